@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migration Script
+ * Command-line tool for applying, reverting and inspecting schema migrations
+ */
+
+import dotenv from 'dotenv';
+import { initializeDatabase, closeDatabase } from '../src/database/connection.js';
+import {
+  runMigrations,
+  runSeeders,
+  rollbackMigration,
+  getMigrationStatus
+} from '../src/database/migrator.js';
+
+dotenv.config();
+
+// The CLI decides what to apply, not the start-up hook
+process.env.DB_AUTO_MIGRATE = 'false';
+process.env.DB_AUTO_SEED = 'false';
+
+const command = process.argv[2] || 'up';
+
+function showHelp() {
+  console.log(`
+AI Policy Foundry - Database Migrations
+
+Usage: node scripts/migrate.js <command>
+
+Commands:
+  up        Apply all pending migrations (default)
+  down      Revert the most recently applied migration
+  seed      Apply pending seeders
+  status    List migrations and whether they are applied
+  help      Show this help message
+
+Examples:
+  npm run db:migrate
+  npm run db:rollback
+  npm run db:seed
+`);
+}
+
+async function main() {
+  if (command === 'help' || command === '--help') {
+    showHelp();
+    return;
+  }
+
+  const sequelize = await initializeDatabase();
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await runMigrations(sequelize);
+        console.log(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'No pending migrations');
+        break;
+      }
+      case 'down': {
+        const reverted = await rollbackMigration(sequelize);
+        console.log(reverted ? `Reverted: ${reverted}` : 'No migrations to revert');
+        break;
+      }
+      case 'seed': {
+        const applied = await runSeeders(sequelize);
+        console.log(applied.length > 0 ? `Seeded: ${applied.join(', ')}` : 'No pending seeders');
+        break;
+      }
+      case 'status': {
+        const status = await getMigrationStatus(sequelize);
+        for (const migration of status) {
+          console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.name}`);
+        }
+        break;
+      }
+      default:
+        console.error(`Unknown command: ${command}`);
+        showHelp();
+        process.exitCode = 1;
+    }
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
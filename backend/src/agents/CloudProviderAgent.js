@@ -2,6 +2,7 @@ import axios from 'axios';
 import { logger } from '../utils/logger.js';
 import { CloudService } from '../models/CloudService.js';
 import { ServiceUpdate } from '../models/ServiceUpdate.js';
+import { policyTemplateService } from '../policies/PolicyTemplateService.js';
 
 export class CloudProviderAgent {
   constructor() {
@@ -455,43 +456,17 @@ export class CloudProviderAgent {
   }
 
   async getPolicyTemplates(service) {
-    // Get policy templates for the service
-    const templates = [
-      {
-        name: 'Basic Security Policy',
-        description: 'Standard security controls for the service',
-        template: `# ${service.name} Security Policy
-apiVersion: v1
-kind: SecurityPolicy
-metadata:
-  name: ${service.name.toLowerCase().replace(/\s+/g, '-')}-security-policy
-spec:
-  # Basic security controls
-  encryption:
-    atRest: true
-    inTransit: true`
-      },
-      {
-        name: 'Enhanced Security Policy',
-        description: 'Advanced security controls with monitoring',
-        template: `# ${service.name} Enhanced Security Policy
-apiVersion: v1
-kind: SecurityPolicy
-metadata:
-  name: ${service.name.toLowerCase().replace(/\s+/g, '-')}-enhanced-security-policy
-spec:
-  # Enhanced security controls
-  encryption:
-    atRest: true
-    inTransit: true
-    algorithm: "AES-256"
-  monitoring:
-    enabled: true
-    alerting: true`
-      }
-    ];
+    // Stored templates for the service, managed through /api/templates
+    const templates = await policyTemplateService.listTemplates({ service: service.name });
     
-    return templates;
+    return templates.map(template => ({
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      version: template.version,
+      isDefault: template.isDefault,
+      parameters: template.parameters
+    }));
   }
 
   async getBestPractices(service) {
@@ -1,6 +1,7 @@
 import { logger } from '../utils/logger.js';
 import { ComplianceFramework } from '../models/ComplianceFramework.js';
 import { ComplianceControl } from '../models/ComplianceControl.js';
+import { policyExceptionService } from '../exceptions/PolicyExceptionService.js';
 
 export class ComplianceAgent {
   constructor() {
@@ -35,7 +36,7 @@ export class ComplianceAgent {
 
     switch (task) {
       case 'validate':
-        return await this.validateCompliance(data.policy, data.framework);
+        return await this.validateCompliance(data.policy, data.framework, { policyId: data.policyId });
       case 'check-updates':
         return await this.checkFrameworkUpdates();
       case 'map-controls':
@@ -47,7 +48,11 @@ export class ComplianceAgent {
     }
   }
 
-  async validateCompliance(policy, frameworkName) {
+  /**
+   * With `policyId`, controls the stored policy has an approved, unexpired
+   * exception for are reported as `excepted` and count as covered
+   */
+  async validateCompliance(policy, frameworkName, { policyId } = {}) {
     try {
       logger.info(`Validating compliance for policy: ${policy.metadata?.name}`);
       
@@ -65,17 +70,21 @@ export class ComplianceAgent {
         issues: [],
         warnings: [],
         recommendations: [],
-        controls: []
+        controls: [],
+        exceptions: []
       };
 
+      const exceptions = policyId ? await policyExceptionService.getActiveExceptions(policyId) : new Map();
+
       // Validate against framework controls
-      const controlValidation = await this.validateControls(policy, framework);
+      const controlValidation = await this.validateControls(policy, framework, exceptions);
       validation.controls = controlValidation.controls;
       validation.score = controlValidation.score;
       validation.passed = controlValidation.passed;
       validation.issues = controlValidation.issues;
       validation.warnings = controlValidation.warnings;
       validation.recommendations = controlValidation.recommendations;
+      validation.exceptions = controlValidation.exceptions;
 
       return validation;
       
@@ -85,14 +94,15 @@ export class ComplianceAgent {
     }
   }
 
-  async validateControls(policy, framework) {
+  async validateControls(policy, framework, exceptions = new Map()) {
     const validation = {
       controls: [],
       score: 0,
       passed: true,
       issues: [],
       warnings: [],
-      recommendations: []
+      recommendations: [],
+      exceptions: []
     };
 
     const relevantControls = this.getRelevantControls(policy, framework);
@@ -100,10 +110,15 @@ export class ComplianceAgent {
 
     for (const control of relevantControls) {
       const controlValidation = await this.validateControl(policy, control);
+      this.applyException(controlValidation, exceptions.get(control.id));
       validation.controls.push(controlValidation);
 
       if (controlValidation.status === 'passed') {
         passedControls++;
+      } else if (controlValidation.status === 'excepted') {
+        // Accepted risk covers the control until the exception expires
+        passedControls++;
+        validation.exceptions.push(controlValidation.exception);
       } else if (controlValidation.status === 'failed') {
         validation.passed = false;
         validation.issues.push(controlValidation.issue);
@@ -165,6 +180,29 @@ export class ComplianceAgent {
     return validation;
   }
 
+  /**
+   * Mark a failed or partially covered control as excepted, keeping the
+   * finding the exception accepts
+   */
+  applyException(controlValidation, exception) {
+    if (!exception || !['failed', 'warning'].includes(controlValidation.status)) {
+      return;
+    }
+
+    controlValidation.exception = {
+      id: exception.id,
+      controlId: exception.controlId,
+      status: controlValidation.status,
+      finding: controlValidation.issue || controlValidation.warning,
+      compensatingControls: exception.compensatingControls,
+      approver: exception.approver,
+      expiresAt: exception.expiresAt
+    };
+    controlValidation.status = 'excepted';
+    delete controlValidation.issue;
+    delete controlValidation.warning;
+  }
+
   getRelevantControls(policy, framework) {
     const relevantControls = [];
     const service = policy.metadata?.service;
@@ -209,6 +247,10 @@ export class ComplianceAgent {
       recommendations.push('Policy meets compliance requirements - ready for deployment');
     }
 
+    if (validation.exceptions.length > 0) {
+      recommendations.push('Remediate excepted controls before their exceptions expire');
+    }
+
     return recommendations;
   }
 
@@ -339,6 +381,10 @@ export class ComplianceAgent {
     return evidence;
   }
 
+  /**
+   * Audit stored policies against their compliance frameworks, with the
+   * approved exceptions of each policy applied
+   */
   async performComplianceAudit(policies) {
     try {
       logger.info('Performing compliance audit...');
@@ -354,7 +400,7 @@ export class ComplianceAgent {
       // Group policies by framework
       const policiesByFramework = {};
       for (const policy of policies) {
-        const framework = policy.compliance?.framework || 'CIS';
+        const framework = policy.complianceFramework || 'CIS';
         if (!policiesByFramework[framework]) {
           policiesByFramework[framework] = [];
         }
@@ -405,7 +451,7 @@ export class ComplianceAgent {
     const controlCoverage = {};
 
     for (const policy of policies) {
-      const validation = await this.validateCompliance(policy, frameworkName);
+      const validation = await this.validateCompliance(policy.document, frameworkName, { policyId: policy.id });
       
       if (validation.passed) {
         audit.compliantPolicies++;
@@ -420,7 +466,8 @@ export class ComplianceAgent {
             total: 0,
             passed: 0,
             failed: 0,
-            warnings: 0
+            warnings: 0,
+            excepted: 0
           };
         }
         
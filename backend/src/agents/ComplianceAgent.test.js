@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+
+const { ComplianceAgent } = await import('./ComplianceAgent.js');
+const { policyExceptionService } = await import('../exceptions/PolicyExceptionService.js');
+
+const POLICY_ID = '7f1c2a4e-7777-4c8b-9d1e-000000000001';
+
+const document = {
+  metadata: { name: 'storage-policy' },
+  policy: { spec: { encryption: { atRest: true, inTransit: true } } }
+};
+
+const makeAgent = () => {
+  const agent = new ComplianceAgent();
+  agent.isInitialized = true;
+  agent.frameworks.set('CIS', { name: 'CIS', controls: [] });
+  agent.controls.set('CIS-3.1', { id: 'CIS-3.1', name: 'Encryption in transit', framework: 'CIS', requirement: 'Encrypt data in transit', keywords: ['inTransit'] });
+  agent.controls.set('CIS-5.2', { id: 'CIS-5.2', name: 'Audit logging', framework: 'CIS', requirement: 'Keep audit logs', keywords: ['auditLogs', 'retentionDays'] });
+  return agent;
+};
+
+const exception = {
+  id: '7f1c2a4e-7777-4c8b-9d1e-000000000002',
+  controlId: 'CIS-5.2',
+  compensatingControls: ['Central SIEM collects bucket access events'],
+  approver: 'approver@example.com',
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ComplianceAgent exceptions', () => {
+  it('counts an excepted control as covered for the stored policy', async () => {
+    jest.spyOn(policyExceptionService, 'getActiveExceptions').mockResolvedValue(new Map([['CIS-5.2', exception]]));
+
+    const validation = await makeAgent().executeTask('validate', { policy: document, framework: 'CIS', policyId: POLICY_ID });
+
+    expect(policyExceptionService.getActiveExceptions).toHaveBeenCalledWith(POLICY_ID);
+    expect(validation).toMatchObject({ passed: true, score: 100, issues: [] });
+    expect(validation.exceptions).toEqual([expect.objectContaining({
+      id: exception.id,
+      status: 'failed',
+      finding: 'Missing coverage for control CIS-5.2: Keep audit logs'
+    })]);
+  });
+
+  it('applies no exceptions without a policy id', async () => {
+    const getActiveExceptions = jest.spyOn(policyExceptionService, 'getActiveExceptions');
+
+    const validation = await makeAgent().executeTask('validate', { policy: document, framework: 'CIS' });
+
+    expect(getActiveExceptions).not.toHaveBeenCalled();
+    expect(validation).toMatchObject({ passed: false, score: 50, exceptions: [] });
+  });
+
+  it('audits stored policies with their own exceptions', async () => {
+    jest.spyOn(policyExceptionService, 'getActiveExceptions').mockImplementation(async (policyId) => (
+      policyId === POLICY_ID ? new Map([['CIS-5.2', exception]]) : new Map()
+    ));
+    const policies = [
+      { id: POLICY_ID, complianceFramework: 'CIS', document },
+      { id: '7f1c2a4e-7777-4c8b-9d1e-000000000003', complianceFramework: 'CIS', document }
+    ];
+
+    const audit = await makeAgent().executeTask('audit', { policies });
+
+    expect(audit.totalPolicies).toBe(2);
+    expect(audit.frameworks.CIS).toMatchObject({ compliantPolicies: 1, score: 75 });
+    expect(audit.frameworks.CIS.controls['CIS-5.2']).toMatchObject({ excepted: 1, failed: 1 });
+  });
+});
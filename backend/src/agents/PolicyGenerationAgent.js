@@ -1,8 +1,31 @@
 import OpenAI from 'openai';
 import { logger } from '../utils/logger.js';
-import { PolicyTemplate } from '../models/PolicyTemplate.js';
 import { ComplianceFramework } from '../models/ComplianceFramework.js';
 import { CloudService } from '../models/CloudService.js';
+import { UnprocessableEntityError, ValidationError } from '../middleware/errorHandler.js';
+import { parsePolicyDocument, validatePolicyDocument, formatIssues } from '../policies/policyDocument.js';
+import { policyTemplateService } from '../policies/PolicyTemplateService.js';
+import { renderTemplate } from '../policies/templateParameters.js';
+
+// Initial generation plus repair rounds before the output is rejected
+const MAX_GENERATION_ATTEMPTS = 3;
+
+// Structure hint when no template is stored for the service or `default`
+const FALLBACK_TEMPLATE = {
+  name: 'Default Security Policy',
+  service: 'default',
+  version: '1.0.0',
+  structure: `apiVersion: v1
+kind: SecurityPolicy
+metadata: { name, labels, version }
+spec:
+  encryption: { atRest, inTransit, algorithm, keyManagement }
+  accessControl: { authentication, authorization, leastPrivilege }
+  network: { allowedSources, blockedPorts }
+  logging: { enabled, retentionDays }
+  monitoring: { enabled, alerting }`,
+  parameters: []
+};
 
 export class PolicyGenerationAgent {
   constructor() {
@@ -10,7 +33,6 @@ export class PolicyGenerationAgent {
       apiKey: process.env.OPENAI_API_KEY
     });
     this.isInitialized = false;
-    this.templates = new Map();
     this.frameworks = new Map();
   }
 
@@ -18,9 +40,6 @@ export class PolicyGenerationAgent {
     try {
       logger.info('Initializing Policy Generation Agent...');
       
-      // Load policy templates
-      await this.loadTemplates();
-      
       // Load compliance frameworks
       await this.loadFrameworks();
       
@@ -59,45 +78,100 @@ export class PolicyGenerationAgent {
     try {
       logger.info(`Generating policy for service: ${service}`);
       
-      // Get service-specific template
-      const template = this.templates.get(service) || this.templates.get('default');
-      const framework = this.frameworks.get(requirements.compliance || 'CIS');
+      const frameworkName = requirements.compliance || 'CIS';
+      const framework = this.frameworks.get(frameworkName);
+      if (!framework) {
+        throw new ValidationError(`Compliance framework ${frameworkName} is not loaded`);
+      }
+      
+      // Selected template version, or the service's default template
+      const template = await policyTemplateService.resolveTemplate(service, requirements.template) || FALLBACK_TEMPLATE;
+      const rendered = renderTemplate(template, requirements.template?.parameters);
       
       // Build prompt for AI
-      const prompt = this.buildGenerationPrompt(service, requirements, template, framework);
+      const prompt = this.buildGenerationPrompt(service, requirements, rendered.structure, framework);
+      
+      // Generate policy using OpenAI, repairing invalid output
+      const { document, attempts } = await this.generatePolicyDocument([
+        {
+          role: "system",
+          content: "You are an expert cloud security policy generator. Generate comprehensive, production-ready security policies that follow best practices and compliance requirements. Respond with a single YAML document and nothing else."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ]);
+
+      // Structure the validated policy
+      const structuredPolicy = await this.structurePolicy(document, service, requirements);
+      structuredPolicy.metadata.generationAttempts = attempts;
+      if (template.id) {
+        structuredPolicy.metadata.template = {
+          id: template.id,
+          name: template.name,
+          version: template.version,
+          parameters: rendered.parameters
+        };
+      }
+      
+      logger.info(`Policy generated successfully for ${service}`);
+      return structuredPolicy;
       
-      // Generate policy using OpenAI
+    } catch (error) {
+      logger.error(`Failed to generate policy for ${service}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask the model for a SecurityPolicy document and feed schema issues back
+   * until it validates. Throws UnprocessableEntityError with the remaining
+   * issues when every attempt fails.
+   */
+  async generatePolicyDocument(messages) {
+    let issues = [];
+    
+    for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
       const completion = await this.openai.chat.completions.create({
         model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert cloud security policy generator. Generate comprehensive, production-ready security policies that follow best practices and compliance requirements."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
+        messages,
         temperature: 0.3,
         max_tokens: 4000
       });
-
-      const generatedPolicy = completion.choices[0].message.content;
       
-      // Parse and structure the policy
-      const structuredPolicy = await this.structurePolicy(generatedPolicy, service, requirements);
+      const content = completion.choices[0].message.content;
+      const result = parsePolicyDocument(content);
       
-      logger.info(`Policy generated successfully for ${service}`);
-      return structuredPolicy;
+      if (result.issues.length === 0) {
+        return { document: result.document, attempts: attempt };
+      }
       
-    } catch (error) {
-      logger.error(`Failed to generate policy for ${service}:`, error);
-      throw error;
+      issues = result.issues;
+      logger.warn(`Generated policy failed validation (attempt ${attempt}/${MAX_GENERATION_ATTEMPTS}):\n${formatIssues(issues)}`);
+      
+      messages.push(
+        { role: "assistant", content },
+        { role: "user", content: this.buildRepairPrompt(issues) }
+      );
     }
+    
+    throw new UnprocessableEntityError(
+      `Generated policy failed schema validation after ${MAX_GENERATION_ATTEMPTS} attempts`,
+      issues
+    );
   }
 
-  buildGenerationPrompt(service, requirements, template, framework) {
+  buildRepairPrompt(issues) {
+    return `
+The policy you returned is not a valid SecurityPolicy document:
+${formatIssues(issues)}
+
+Return the corrected policy as a single YAML document. Fix every issue listed above, keep all valid content, and do not add fields that are not part of the required structure.
+    `;
+  }
+
+  buildGenerationPrompt(service, requirements, structure, framework) {
     return `
 Generate a comprehensive security policy for ${service} with the following requirements:
 
@@ -113,20 +187,72 @@ ${requirements.additionalRequirements || 'Standard security requirements apply'}
 COMPLIANCE REQUIREMENTS:
 - Framework: ${framework.name}
 - Version: ${framework.version}
-- Controls: ${framework.controls.join(', ')}
+- Controls: ${framework.controls.map(control => control.id).join(', ')}
 
 POLICY TEMPLATE STRUCTURE:
-${template.structure}
+${structure}
 
 OUTPUT FORMAT:
-Generate the policy in YAML format with the following structure:
-- Metadata (name, labels, version)
-- Encryption requirements (at rest, in transit)
-- Access control (authentication, authorization, MFA)
-- Network security (allowed sources, blocked ports)
-- Monitoring and logging
-- Compliance controls mapping
-- Risk assessment
+Return a single YAML document with exactly this structure. All fields except
+apiVersion, kind, metadata.name, spec.encryption and spec.accessControl are
+optional; do not add any other fields.
+
+apiVersion: v1
+kind: SecurityPolicy
+metadata:
+  name: lowercase-hyphenated-name
+  description: string
+  labels: { key: value }
+spec:
+  encryption:
+    atRest: true
+    inTransit: true
+    algorithm: AES-256
+    keyManagement: provider-managed | customer-managed | customer-supplied
+    keyRotationDays: 90
+    tlsMinVersion: "1.2"
+  accessControl:
+    authentication:
+      methods: [sso]
+      mfaRequired: true
+      sessionTimeoutMinutes: 60
+    authorization:
+      model: rbac | abac
+      leastPrivilege: true
+      roles:
+        - name: string
+          permissions: [string]
+    publicAccess: false
+  network:
+    allowedSources: [CIDR or service name]
+    blockedPorts: [22]
+    privateEndpointsOnly: true
+  monitoring:
+    enabled: true
+    alerting: true
+    metrics: [string]
+  logging:
+    enabled: true
+    auditLogs: true
+    retentionDays: 365
+    destinations: [string]
+  backup:
+    enabled: true
+    automated: true
+    retentionDays: 35
+  incidentResponse:
+    playbook: playbook name or URL
+    contacts: [string]
+    automatedRemediation: true
+  compliance:
+    framework: CIS | NIST | ISO | SOC2 | PCI
+    controls:
+      - id: control id
+        description: string
+  riskAssessment:
+    level: minimal | low | medium | high | critical
+    threats: [string]
+    mitigations: [string]
 
 Ensure the policy is:
 1. Production-ready and immediately deployable
@@ -137,9 +263,9 @@ Ensure the policy is:
     `;
   }
 
-  async structurePolicy(rawPolicy, service, requirements) {
+  async structurePolicy(document, service, requirements) {
     try {
-      // Parse the raw policy and structure it
+      // Wrap the validated SecurityPolicy document with platform metadata
       const structuredPolicy = {
         metadata: {
           name: `${service.toLowerCase().replace(/\s+/g, '-')}-security-policy`,
@@ -152,7 +278,7 @@ Ensure the policy is:
           generatedAt: new Date().toISOString(),
           riskLevel: this.assessRiskLevel(service, requirements)
         },
-        policy: rawPolicy,
+        policy: document,
         compliance: {
           framework: requirements.compliance || 'CIS',
           controls: this.mapComplianceControls(service, requirements),
@@ -216,6 +342,11 @@ Ensure the policy is:
       if (!policy.metadata || !policy.policy) {
         validation.passed = false;
         validation.issues.push('Missing required policy structure');
+      } else {
+        for (const issue of validatePolicyDocument(policy.policy)) {
+          validation.passed = false;
+          validation.issues.push(`${issue.path}: ${issue.message}`);
+        }
       }
 
       // Validate compliance mapping
@@ -357,23 +488,6 @@ Ensure the policy is:
     return recommendations;
   }
 
-  async loadTemplates() {
-    // Load policy templates from database or file system
-    const templates = await PolicyTemplate.findAll();
-    for (const template of templates) {
-      this.templates.set(template.service, template);
-    }
-    
-    // Add default template if not exists
-    if (!this.templates.has('default')) {
-      this.templates.set('default', {
-        service: 'default',
-        structure: 'Standard security policy structure',
-        version: '1.0.0'
-      });
-    }
-  }
-
   async loadFrameworks() {
     // Load compliance frameworks from database or file system
     const frameworks = await ComplianceFramework.findAll();
@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+
+const { PolicyGenerationAgent } = await import('./PolicyGenerationAgent.js');
+const { policyTemplateService } = await import('../policies/PolicyTemplateService.js');
+
+const VALID_POLICY = `apiVersion: v1
+kind: SecurityPolicy
+metadata:
+  name: aws-s3-security-policy
+spec:
+  encryption:
+    atRest: true
+    inTransit: true
+  accessControl:
+    publicAccess: false`;
+
+const INVALID_POLICY = VALID_POLICY.replace('kind: SecurityPolicy', 'kind: Policy');
+
+// An agent whose model answers with `replies` in turn
+const makeAgent = (replies) => {
+  process.env.OPENAI_API_KEY = 'test-key';
+  const agent = new PolicyGenerationAgent();
+  agent.isInitialized = true;
+  agent.frameworks.set('CIS', { name: 'CIS', version: '8.0', controls: [{ id: 'CIS-3.1', name: 'Encryption in transit', services: ['all'] }] });
+
+  const create = jest.fn();
+  for (const reply of replies) {
+    create.mockResolvedValueOnce({ choices: [{ message: { content: reply } }] });
+  }
+  agent.openai = { chat: { completions: { create } } };
+  return { agent, create };
+};
+
+beforeEach(() => {
+  jest.spyOn(policyTemplateService, 'resolveTemplate').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PolicyGenerationAgent.generatePolicy', () => {
+  it('wraps the first valid document', async () => {
+    const { agent, create } = makeAgent([`\`\`\`yaml\n${VALID_POLICY}\n\`\`\``]);
+
+    const policy = await agent.executeTask('generate', { service: 'AWS S3', requirements: { compliance: 'CIS' } });
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(policy.metadata).toMatchObject({ service: 'AWS S3', compliance: 'CIS', generationAttempts: 1 });
+    expect(policy.policy.kind).toBe('SecurityPolicy');
+  });
+
+  it('feeds schema issues back until the document validates', async () => {
+    const { agent, create } = makeAgent([INVALID_POLICY, VALID_POLICY]);
+
+    const policy = await agent.executeTask('generate', { service: 'AWS S3', requirements: {} });
+
+    expect(policy.metadata.generationAttempts).toBe(2);
+    const messages = create.mock.calls[1][0].messages;
+    expect(messages.at(-2)).toEqual({ role: 'assistant', content: INVALID_POLICY });
+    expect(messages.at(-1).content).toContain("- kind: must be 'SecurityPolicy'");
+  });
+
+  it('rejects the output after the last repair attempt', async () => {
+    const { agent, create } = makeAgent([INVALID_POLICY, 'spec: [unclosed', INVALID_POLICY]);
+
+    await expect(agent.executeTask('generate', { service: 'AWS S3', requirements: {} }))
+      .rejects.toMatchObject({
+        name: 'UnprocessableEntityError',
+        message: 'Generated policy failed schema validation after 3 attempts',
+        details: [{ path: 'kind', message: "must be 'SecurityPolicy'" }]
+      });
+    expect(create).toHaveBeenCalledTimes(3);
+  });
+
+  it('rejects frameworks that are not loaded before asking the model', async () => {
+    const { agent, create } = makeAgent([VALID_POLICY]);
+
+    await expect(agent.executeTask('generate', { service: 'AWS S3', requirements: { compliance: 'PCI' } }))
+      .rejects.toMatchObject({ name: 'ValidationError', message: 'Compliance framework PCI is not loaded' });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,46 @@
 import { logger } from '../utils/logger.js';
 import { SecurityPolicy } from '../models/SecurityPolicy.js';
 import { SecurityRisk } from '../models/SecurityRisk.js';
+import { getPolicySpec } from '../policies/policyDocument.js';
+import { detectPolicyConflicts } from '../policies/policyConflicts.js';
+import {
+  STRONG_ENCRYPTION_ALGORITHMS,
+  WEAK_TLS_VERSIONS,
+  ADMIN_PORTS,
+  MAX_KEY_ROTATION_DAYS,
+  MIN_LOG_RETENTION_DAYS,
+  isBroadSource
+} from '../policies/securityControls.js';
+
+const isNonEmptyArray = (value) => Array.isArray(value) && value.length > 0;
+
+const createControlAnalysis = () => ({
+  implemented: false,
+  score: 0,
+  details: [],
+  recommendations: [],
+  findings: []
+});
+
+/**
+ * Record one field check: adds points and a detail when it passes, a
+ * recommendation when it fails, and a finding naming the field either way.
+ */
+const recordCheck = (analysis, { path, value, passed, points, detail, recommendation }) => {
+  analysis.findings.push({
+    path,
+    value: value === undefined ? null : value,
+    passed,
+    message: passed ? detail : recommendation
+  });
+
+  if (passed) {
+    analysis.score += points;
+    analysis.details.push(`${detail} (${path})`);
+  } else {
+    analysis.recommendations.push(recommendation);
+  }
+};
 
 export class SecurityAnalysisAgent {
   constructor() {
@@ -42,6 +82,8 @@ export class SecurityAnalysisAgent {
         return await this.performRiskAssessment(data.policy, data.environment);
       case 'gap-analysis':
         return await this.performGapAnalysis(data.policies, data.requirements);
+      case 'conflict-analysis':
+        return await this.analyzePolicyConflicts(data.policies, data.focusId);
       default:
         throw new Error(`Unknown task: ${task}`);
     }
@@ -115,284 +157,316 @@ export class SecurityAnalysisAgent {
   }
 
   analyzeEncryptionControls(policy) {
-    const analysis = {
-      implemented: false,
-      score: 0,
-      details: [],
-      recommendations: []
-    };
-
-    const policyContent = JSON.stringify(policy).toLowerCase();
+    const analysis = createControlAnalysis();
+    const encryption = getPolicySpec(policy).encryption || {};
     
     // Check for encryption at rest
-    if (policyContent.includes('encryption') && policyContent.includes('rest')) {
-      analysis.implemented = true;
-      analysis.score += 30;
-      analysis.details.push('Encryption at rest configured');
-    } else {
-      analysis.recommendations.push('Implement encryption at rest');
-    }
-
-    // Check for encryption in transit
-    if (policyContent.includes('encryption') && policyContent.includes('transit')) {
-      analysis.score += 30;
-      analysis.details.push('Encryption in transit configured');
-    } else {
-      analysis.recommendations.push('Implement encryption in transit');
-    }
-
-    // Check for key management
-    if (policyContent.includes('kms') || policyContent.includes('key management')) {
-      analysis.score += 20;
-      analysis.details.push('Key management system configured');
-    } else {
-      analysis.recommendations.push('Implement proper key management');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.encryption.atRest',
+      value: encryption.atRest,
+      passed: encryption.atRest === true,
+      points: 30,
+      detail: 'Encryption at rest configured',
+      recommendation: 'Implement encryption at rest'
+    });
+    analysis.implemented = encryption.atRest === true;
+    
+    // Check for encryption in transit, on a TLS version that is not deprecated
+    const weakTls = WEAK_TLS_VERSIONS.includes(encryption.tlsMinVersion);
+    recordCheck(analysis, {
+      path: weakTls ? 'spec.encryption.tlsMinVersion' : 'spec.encryption.inTransit',
+      value: weakTls ? encryption.tlsMinVersion : encryption.inTransit,
+      passed: encryption.inTransit === true && !weakTls,
+      points: 30,
+      detail: 'Encryption in transit configured',
+      recommendation: weakTls
+        ? 'Require TLS 1.2 or later for encryption in transit'
+        : 'Implement encryption in transit'
+    });
+    
+    // Check for key management with rotation
+    recordCheck(analysis, {
+      path: 'spec.encryption.keyManagement',
+      value: encryption.keyManagement,
+      passed: Boolean(encryption.keyManagement),
+      points: 10,
+      detail: 'Key management system configured',
+      recommendation: 'Implement proper key management'
+    });
+    recordCheck(analysis, {
+      path: 'spec.encryption.keyRotationDays',
+      value: encryption.keyRotationDays,
+      passed: encryption.keyRotationDays > 0 && encryption.keyRotationDays <= MAX_KEY_ROTATION_DAYS,
+      points: 10,
+      detail: 'Key rotation configured',
+      recommendation: `Rotate encryption keys at least every ${MAX_KEY_ROTATION_DAYS} days`
+    });
+    
     // Check for algorithm strength
-    if (policyContent.includes('aes-256') || policyContent.includes('strong encryption')) {
-      analysis.score += 20;
-      analysis.details.push('Strong encryption algorithms configured');
-    } else {
-      analysis.recommendations.push('Use strong encryption algorithms (AES-256)');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.encryption.algorithm',
+      value: encryption.algorithm,
+      passed: STRONG_ENCRYPTION_ALGORITHMS.includes(String(encryption.algorithm).toUpperCase()),
+      points: 20,
+      detail: 'Strong encryption algorithms configured',
+      recommendation: 'Use strong encryption algorithms (AES-256)'
+    });
+    
     return analysis;
   }
 
   analyzeAccessControls(policy) {
-    const analysis = {
-      implemented: false,
-      score: 0,
-      details: [],
-      recommendations: []
-    };
-
-    const policyContent = JSON.stringify(policy).toLowerCase();
+    const analysis = createControlAnalysis();
+    const accessControl = getPolicySpec(policy).accessControl || {};
+    const authentication = accessControl.authentication || {};
+    const authorization = accessControl.authorization || {};
     
     // Check for authentication
-    if (policyContent.includes('authentication') || policyContent.includes('auth')) {
-      analysis.implemented = true;
-      analysis.score += 25;
-      analysis.details.push('Authentication configured');
-    } else {
-      analysis.recommendations.push('Implement authentication controls');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.accessControl.authentication.methods',
+      value: authentication.methods,
+      passed: isNonEmptyArray(authentication.methods),
+      points: 25,
+      detail: 'Authentication configured',
+      recommendation: 'Implement authentication controls'
+    });
+    analysis.implemented = isNonEmptyArray(authentication.methods);
+    
     // Check for authorization
-    if (policyContent.includes('authorization') || policyContent.includes('rbac')) {
-      analysis.score += 25;
-      analysis.details.push('Authorization/RBAC configured');
-    } else {
-      analysis.recommendations.push('Implement authorization controls');
-    }
-
+    const hasAuthorization = Boolean(authorization.model) || isNonEmptyArray(authorization.roles);
+    recordCheck(analysis, {
+      path: authorization.model ? 'spec.accessControl.authorization.model' : 'spec.accessControl.authorization.roles',
+      value: authorization.model || authorization.roles,
+      passed: hasAuthorization,
+      points: 25,
+      detail: 'Authorization/RBAC configured',
+      recommendation: 'Implement authorization controls'
+    });
+    
     // Check for MFA
-    if (policyContent.includes('mfa') || policyContent.includes('multi-factor')) {
-      analysis.score += 25;
-      analysis.details.push('Multi-factor authentication configured');
-    } else {
-      analysis.recommendations.push('Implement multi-factor authentication');
-    }
-
-    // Check for least privilege
-    if (policyContent.includes('least privilege') || policyContent.includes('minimal access')) {
-      analysis.score += 25;
-      analysis.details.push('Least privilege principle implemented');
-    } else {
-      analysis.recommendations.push('Implement least privilege access controls');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.accessControl.authentication.mfaRequired',
+      value: authentication.mfaRequired,
+      passed: authentication.mfaRequired === true,
+      points: 25,
+      detail: 'Multi-factor authentication configured',
+      recommendation: 'Implement multi-factor authentication'
+    });
+    
+    // Check for least privilege; a wildcard grant contradicts the flag
+    const roles = Array.isArray(authorization.roles) ? authorization.roles : [];
+    const wildcardIndex = roles.findIndex(role =>
+      (role.permissions || []).some(permission => permission === '*' || permission.endsWith(':*'))
+    );
+    recordCheck(analysis, {
+      path: wildcardIndex >= 0
+        ? `spec.accessControl.authorization.roles[${wildcardIndex}].permissions`
+        : 'spec.accessControl.authorization.leastPrivilege',
+      value: wildcardIndex >= 0 ? roles[wildcardIndex].permissions : authorization.leastPrivilege,
+      passed: authorization.leastPrivilege === true && wildcardIndex < 0,
+      points: 25,
+      detail: 'Least privilege principle implemented',
+      recommendation: wildcardIndex >= 0
+        ? 'Replace wildcard role permissions with explicit grants'
+        : 'Implement least privilege access controls'
+    });
+    
     return analysis;
   }
 
   analyzeNetworkSecurity(policy) {
-    const analysis = {
-      implemented: false,
-      score: 0,
-      details: [],
-      recommendations: []
-    };
-
-    const policyContent = JSON.stringify(policy).toLowerCase();
+    const analysis = createControlAnalysis();
+    const network = getPolicySpec(policy).network || {};
+    const allowedSources = Array.isArray(network.allowedSources) ? network.allowedSources : [];
+    const blockedPorts = Array.isArray(network.blockedPorts) ? network.blockedPorts : [];
     
     // Check for network segmentation
-    if (policyContent.includes('vpc') || policyContent.includes('subnet') || policyContent.includes('network segmentation')) {
-      analysis.implemented = true;
-      analysis.score += 30;
-      analysis.details.push('Network segmentation configured');
-    } else {
-      analysis.recommendations.push('Implement network segmentation');
-    }
-
-    // Check for firewall rules
-    if (policyContent.includes('firewall') || policyContent.includes('security group')) {
-      analysis.score += 25;
-      analysis.details.push('Firewall/security groups configured');
-    } else {
-      analysis.recommendations.push('Configure firewall rules');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.network.privateEndpointsOnly',
+      value: network.privateEndpointsOnly,
+      passed: network.privateEndpointsOnly === true,
+      points: 30,
+      detail: 'Network segmentation configured',
+      recommendation: 'Implement network segmentation'
+    });
+    analysis.implemented = network.privateEndpointsOnly === true || allowedSources.length > 0;
+    
     // Check for allowed sources
-    if (policyContent.includes('allowed sources') || policyContent.includes('whitelist')) {
-      analysis.score += 25;
-      analysis.details.push('Allowed sources configured');
-    } else {
-      analysis.recommendations.push('Configure allowed source IPs');
-    }
-
-    // Check for blocked ports
-    if (policyContent.includes('blocked ports') || policyContent.includes('port restrictions')) {
-      analysis.score += 20;
-      analysis.details.push('Port restrictions configured');
-    } else {
-      analysis.recommendations.push('Configure port restrictions');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.network.allowedSources',
+      value: network.allowedSources,
+      passed: allowedSources.length > 0,
+      points: 25,
+      detail: 'Allowed sources configured',
+      recommendation: 'Configure allowed source IPs'
+    });
+    
+    // Check that ingress rules do not open the service to the internet
+    const broadIndex = allowedSources.findIndex(isBroadSource);
+    recordCheck(analysis, {
+      path: broadIndex >= 0 ? `spec.network.allowedSources[${broadIndex}]` : 'spec.network.allowedSources',
+      value: broadIndex >= 0 ? allowedSources[broadIndex] : network.allowedSources,
+      passed: allowedSources.length > 0 && broadIndex < 0,
+      points: 25,
+      detail: 'Firewall/security groups configured',
+      recommendation: broadIndex >= 0
+        ? `Restrict allowed source ${allowedSources[broadIndex]} to specific CIDR ranges`
+        : 'Configure firewall rules'
+    });
+    
+    // Check for blocked administrative ports
+    const openAdminPorts = ADMIN_PORTS.filter(port => !blockedPorts.includes(port));
+    recordCheck(analysis, {
+      path: 'spec.network.blockedPorts',
+      value: network.blockedPorts,
+      passed: openAdminPorts.length === 0,
+      points: 20,
+      detail: 'Port restrictions configured',
+      recommendation: `Configure port restrictions (block ${openAdminPorts.join(', ')})`
+    });
+    
     return analysis;
   }
 
   analyzeMonitoringControls(policy) {
-    const analysis = {
-      implemented: false,
-      score: 0,
-      details: [],
-      recommendations: []
-    };
-
-    const policyContent = JSON.stringify(policy).toLowerCase();
+    const analysis = createControlAnalysis();
+    const monitoring = getPolicySpec(policy).monitoring || {};
     
     // Check for monitoring
-    if (policyContent.includes('monitoring') || policyContent.includes('alerting')) {
-      analysis.implemented = true;
-      analysis.score += 40;
-      analysis.details.push('Monitoring and alerting configured');
-    } else {
-      analysis.recommendations.push('Implement monitoring and alerting');
-    }
-
-    // Check for real-time monitoring
-    if (policyContent.includes('real-time') || policyContent.includes('continuous monitoring')) {
-      analysis.score += 30;
-      analysis.details.push('Real-time monitoring configured');
-    } else {
-      analysis.recommendations.push('Implement real-time monitoring');
-    }
-
-    // Check for anomaly detection
-    if (policyContent.includes('anomaly') || policyContent.includes('behavioral analysis')) {
-      analysis.score += 30;
-      analysis.details.push('Anomaly detection configured');
-    } else {
-      analysis.recommendations.push('Implement anomaly detection');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.monitoring.enabled',
+      value: monitoring.enabled,
+      passed: monitoring.enabled === true,
+      points: 40,
+      detail: 'Monitoring configured',
+      recommendation: 'Implement monitoring and alerting'
+    });
+    analysis.implemented = monitoring.enabled === true;
+    
+    // Check for alerting
+    recordCheck(analysis, {
+      path: 'spec.monitoring.alerting',
+      value: monitoring.alerting,
+      passed: monitoring.enabled === true && monitoring.alerting === true,
+      points: 30,
+      detail: 'Real-time alerting configured',
+      recommendation: 'Implement real-time alerting'
+    });
+    
+    // Check for monitored security metrics
+    recordCheck(analysis, {
+      path: 'spec.monitoring.metrics',
+      value: monitoring.metrics,
+      passed: monitoring.enabled === true && isNonEmptyArray(monitoring.metrics),
+      points: 30,
+      detail: 'Security metrics monitored',
+      recommendation: 'Define the security metrics to monitor'
+    });
+    
     return analysis;
   }
 
   analyzeLoggingControls(policy) {
-    const analysis = {
-      implemented: false,
-      score: 0,
-      details: [],
-      recommendations: []
-    };
-
-    const policyContent = JSON.stringify(policy).toLowerCase();
+    const analysis = createControlAnalysis();
+    const logging = getPolicySpec(policy).logging || {};
     
     // Check for logging
-    if (policyContent.includes('logging') || policyContent.includes('audit')) {
-      analysis.implemented = true;
-      analysis.score += 30;
-      analysis.details.push('Logging configured');
-    } else {
-      analysis.recommendations.push('Implement comprehensive logging');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.logging.enabled',
+      value: logging.enabled,
+      passed: logging.enabled === true,
+      points: 30,
+      detail: 'Logging configured',
+      recommendation: 'Implement comprehensive logging'
+    });
+    analysis.implemented = logging.enabled === true;
+    
     // Check for log retention
-    if (policyContent.includes('retention') || policyContent.includes('90d')) {
-      analysis.score += 25;
-      analysis.details.push('Log retention configured');
-    } else {
-      analysis.recommendations.push('Configure log retention policies');
-    }
-
-    // Check for log analysis
-    if (policyContent.includes('log analysis') || policyContent.includes('siem')) {
-      analysis.score += 25;
-      analysis.details.push('Log analysis configured');
-    } else {
-      analysis.recommendations.push('Implement log analysis');
-    }
-
-    // Check for secure logging
-    if (policyContent.includes('secure logging') || policyContent.includes('log integrity')) {
-      analysis.score += 20;
-      analysis.details.push('Secure logging configured');
-    } else {
-      analysis.recommendations.push('Implement secure logging');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.logging.retentionDays',
+      value: logging.retentionDays,
+      passed: logging.retentionDays >= MIN_LOG_RETENTION_DAYS,
+      points: 25,
+      detail: 'Log retention configured',
+      recommendation: `Configure log retention of at least ${MIN_LOG_RETENTION_DAYS} days`
+    });
+    
+    // Check for audit logs
+    recordCheck(analysis, {
+      path: 'spec.logging.auditLogs',
+      value: logging.auditLogs,
+      passed: logging.auditLogs === true,
+      points: 25,
+      detail: 'Audit logging configured',
+      recommendation: 'Enable audit logging'
+    });
+    
+    // Check for central log destinations
+    recordCheck(analysis, {
+      path: 'spec.logging.destinations',
+      value: logging.destinations,
+      passed: isNonEmptyArray(logging.destinations),
+      points: 20,
+      detail: 'Central log destination configured',
+      recommendation: 'Ship logs to a central, tamper-resistant destination'
+    });
+    
     return analysis;
   }
 
   analyzeBackupControls(policy) {
-    const analysis = {
-      implemented: false,
-      score: 0,
-      details: [],
-      recommendations: []
-    };
-
-    const policyContent = JSON.stringify(policy).toLowerCase();
+    const analysis = createControlAnalysis();
+    const backup = getPolicySpec(policy).backup || {};
     
     // Check for backup
-    if (policyContent.includes('backup') || policyContent.includes('recovery')) {
-      analysis.implemented = true;
-      analysis.score += 50;
-      analysis.details.push('Backup and recovery configured');
-    } else {
-      analysis.recommendations.push('Implement backup and recovery');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.backup.enabled',
+      value: backup.enabled,
+      passed: backup.enabled === true,
+      points: 50,
+      detail: 'Backup and recovery configured',
+      recommendation: 'Implement backup and recovery'
+    });
+    analysis.implemented = backup.enabled === true;
+    
     // Check for automated backup
-    if (policyContent.includes('automated backup') || policyContent.includes('scheduled backup')) {
-      analysis.score += 50;
-      analysis.details.push('Automated backup configured');
-    } else {
-      analysis.recommendations.push('Implement automated backup');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.backup.automated',
+      value: backup.automated,
+      passed: backup.enabled === true && backup.automated === true,
+      points: 50,
+      detail: 'Automated backup configured',
+      recommendation: 'Implement automated backup'
+    });
+    
     return analysis;
   }
 
   analyzeIncidentResponseControls(policy) {
-    const analysis = {
-      implemented: false,
-      score: 0,
-      details: [],
-      recommendations: []
-    };
-
-    const policyContent = JSON.stringify(policy).toLowerCase();
+    const analysis = createControlAnalysis();
+    const incidentResponse = getPolicySpec(policy).incidentResponse || {};
     
     // Check for incident response
-    if (policyContent.includes('incident response') || policyContent.includes('ir plan')) {
-      analysis.implemented = true;
-      analysis.score += 50;
-      analysis.details.push('Incident response plan configured');
-    } else {
-      analysis.recommendations.push('Implement incident response plan');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.incidentResponse.playbook',
+      value: incidentResponse.playbook,
+      passed: Boolean(incidentResponse.playbook),
+      points: 50,
+      detail: 'Incident response plan configured',
+      recommendation: 'Implement incident response plan'
+    });
+    analysis.implemented = Boolean(incidentResponse.playbook);
+    
     // Check for automated response
-    if (policyContent.includes('automated response') || policyContent.includes('auto-remediation')) {
-      analysis.score += 50;
-      analysis.details.push('Automated incident response configured');
-    } else {
-      analysis.recommendations.push('Implement automated incident response');
-    }
-
+    recordCheck(analysis, {
+      path: 'spec.incidentResponse.automatedRemediation',
+      value: incidentResponse.automatedRemediation,
+      passed: incidentResponse.automatedRemediation === true,
+      points: 50,
+      detail: 'Automated incident response configured',
+      recommendation: 'Implement automated incident response'
+    });
+    
     return analysis;
   }
 
@@ -482,28 +556,30 @@ export class SecurityAnalysisAgent {
       mitigationStatus: {}
     };
     
-    // Identify potential threat vectors based on policy content
-    const policyContent = JSON.stringify(policy).toLowerCase();
+    // Identify potential threat vectors based on the policy spec
+    const spec = getPolicySpec(policy);
+    const service = String(policy?.metadata?.service || '').toLowerCase();
+    const allowedSources = spec.network?.allowedSources || [];
     
-    if (policyContent.includes('public') || policyContent.includes('internet')) {
+    if (spec.accessControl?.publicAccess === true || allowedSources.some(isBroadSource)) {
       exposure.threatVectors.push('Internet exposure');
       exposure.exposureLevel = 'medium';
     }
     
-    if (policyContent.includes('api') || policyContent.includes('endpoint')) {
+    if (/api|gateway|function|lambda/.test(service)) {
       exposure.threatVectors.push('API exposure');
     }
     
-    if (policyContent.includes('database') || policyContent.includes('storage')) {
+    if (/database|storage|s3|sql|bucket/.test(service)) {
       exposure.threatVectors.push('Data exposure');
     }
     
     // Assess mitigation status
     exposure.mitigationStatus = {
-      encryption: policyContent.includes('encryption'),
-      accessControl: policyContent.includes('authentication'),
-      monitoring: policyContent.includes('monitoring'),
-      logging: policyContent.includes('logging')
+      encryption: spec.encryption?.atRest === true && spec.encryption?.inTransit === true,
+      accessControl: isNonEmptyArray(spec.accessControl?.authentication?.methods),
+      monitoring: spec.monitoring?.enabled === true,
+      logging: spec.logging?.enabled === true
     };
     
     return exposure;
@@ -628,7 +704,8 @@ export class SecurityAnalysisAgent {
 
   identifyRiskFactors(policy, environment) {
     const factors = [];
-    const policyContent = JSON.stringify(policy).toLowerCase();
+    const spec = getPolicySpec(policy);
+    const service = String(policy?.metadata?.service || '').toLowerCase();
     
     // Environment-based risks
     if (environment === 'production') {
@@ -636,17 +713,32 @@ export class SecurityAnalysisAgent {
     }
     
     // Service-based risks
-    if (policyContent.includes('iam') || policyContent.includes('kms')) {
+    if (/iam|kms|key vault|secrets/.test(service)) {
       factors.push({ type: 'service', risk: 'high', description: 'Critical security service' });
     }
     
-    if (policyContent.includes('database') || policyContent.includes('storage')) {
+    if (/database|storage|s3|sql|bucket/.test(service)) {
       factors.push({ type: 'service', risk: 'medium', description: 'Data storage service' });
     }
     
     // Configuration-based risks
-    if (policyContent.includes('public') || policyContent.includes('internet')) {
-      factors.push({ type: 'configuration', risk: 'high', description: 'Public internet exposure' });
+    if (spec.accessControl?.publicAccess === true) {
+      factors.push({
+        type: 'configuration',
+        risk: 'high',
+        description: 'Public internet exposure',
+        path: 'spec.accessControl.publicAccess'
+      });
+    }
+    
+    const broadIndex = (spec.network?.allowedSources || []).findIndex(isBroadSource);
+    if (broadIndex >= 0) {
+      factors.push({
+        type: 'configuration',
+        risk: 'high',
+        description: 'Unrestricted network source',
+        path: `spec.network.allowedSources[${broadIndex}]`
+      });
     }
     
     return factors;
@@ -784,6 +876,43 @@ export class SecurityAnalysisAgent {
     return recommendations;
   }
 
+  /**
+   * Conflicts, duplicates and shadowed rules across stored policy rows;
+   * `focusId` limits the report to pairs involving that policy.
+   */
+  async analyzePolicyConflicts(policies, focusId) {
+    try {
+      logger.info(`Analyzing ${policies.length} policies for conflicts${focusId ? ` with ${focusId}` : ''}`);
+      
+      const analysis = detectPolicyConflicts(policies, { focusId });
+      analysis.recommendations = this.generateConflictRecommendations(analysis);
+      
+      return analysis;
+      
+    } catch (error) {
+      logger.error('Failed to analyze policy conflicts:', error);
+      throw error;
+    }
+  }
+
+  generateConflictRecommendations(analysis) {
+    const recommendations = [];
+    
+    for (const conflict of analysis.conflicts) {
+      recommendations.push(`Align ${conflict.path} between ${conflict.policies.map(policy => policy.name).join(' and ')}`);
+    }
+    
+    for (const duplicate of analysis.duplicates) {
+      recommendations.push(`Retire ${duplicate.policy.name} or merge it into ${duplicate.coveredBy.name}`);
+    }
+    
+    if (analysis.shadowed.length > 0) {
+      recommendations.push('Review shadowed requirements; the stricter policy decides them');
+    }
+    
+    return recommendations;
+  }
+
   async loadRiskModels() {
     // Load risk assessment models
     this.riskModels.set('default', {
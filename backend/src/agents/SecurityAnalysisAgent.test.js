@@ -0,0 +1,124 @@
+import { SecurityAnalysisAgent } from './SecurityAnalysisAgent.js';
+
+const hardened = {
+  encryption: { atRest: true, inTransit: true, tlsMinVersion: '1.2', algorithm: 'aes-256-gcm', keyManagement: 'customer-managed', keyRotationDays: 90 },
+  accessControl: {
+    authentication: { methods: ['sso'], mfaRequired: true },
+    authorization: { model: 'rbac', leastPrivilege: true, roles: [{ name: 'reader', permissions: ['s3:GetObject'] }] }
+  },
+  network: { privateEndpointsOnly: true, allowedSources: ['10.0.0.0/16'], blockedPorts: [22, 3389] },
+  monitoring: { enabled: true, alerting: true, metrics: ['unauthorized-api-calls'] },
+  logging: { enabled: true, retentionDays: 365, auditLogs: true, destinations: ['siem'] },
+  backup: { enabled: true, automated: true },
+  incidentResponse: { playbook: 'storage-breach', automatedRemediation: true }
+};
+
+const stored = (spec) => ({ metadata: { name: 'storage-policy', service: 'AWS S3' }, policy: { spec } });
+
+// The failing checks of one control as { path: value }
+const failures = (analysis) => Object.fromEntries(
+  analysis.findings.filter(finding => !finding.passed).map(finding => [finding.path, finding.value])
+);
+
+const agent = new SecurityAnalysisAgent();
+
+describe('SecurityAnalysisAgent control analysis', () => {
+  it('scores every control of a hardened spec in full', async () => {
+    const controls = await agent.analyzeSecurityControls(stored(hardened));
+
+    for (const key of ['encryption', 'accessControl', 'networkSecurity', 'monitoring', 'logging', 'backup', 'incidentResponse']) {
+      expect(controls[key]).toMatchObject({ score: 100, implemented: true, recommendations: [] });
+    }
+    expect(controls).toMatchObject({ score: 100, totalControls: 7, implementedControls: 7 });
+  });
+
+  it('reads bare SecurityPolicy documents as well as stored ones', () => {
+    expect(agent.analyzeBackupControls({ spec: hardened }).score).toBe(100);
+  });
+
+  it('reports a deprecated TLS version at its own field', () => {
+    const analysis = agent.analyzeEncryptionControls(stored({
+      ...hardened,
+      encryption: { ...hardened.encryption, tlsMinVersion: '1.0', algorithm: 'DES', keyRotationDays: 400 }
+    }));
+
+    expect(failures(analysis)).toEqual({
+      'spec.encryption.tlsMinVersion': '1.0',
+      'spec.encryption.keyRotationDays': 400,
+      'spec.encryption.algorithm': 'DES'
+    });
+    expect(analysis.score).toBe(40);
+    expect(analysis.recommendations).toContain('Require TLS 1.2 or later for encryption in transit');
+  });
+
+  it('points at the role granting a wildcard permission', () => {
+    const roles = [
+      { name: 'reader', permissions: ['s3:GetObject'] },
+      { name: 'operator', permissions: ['s3:*'] }
+    ];
+    const analysis = agent.analyzeAccessControls(stored({
+      ...hardened,
+      accessControl: { ...hardened.accessControl, authorization: { ...hardened.accessControl.authorization, roles } }
+    }));
+
+    expect(failures(analysis)).toEqual({ 'spec.accessControl.authorization.roles[1].permissions': ['s3:*'] });
+    expect(analysis.score).toBe(75);
+  });
+
+  it('points at the broad source and names the open admin ports', () => {
+    const analysis = agent.analyzeNetworkSecurity(stored({
+      ...hardened,
+      network: { privateEndpointsOnly: false, allowedSources: ['10.0.0.0/16', '0.0.0.0/0'], blockedPorts: [22] }
+    }));
+
+    expect(failures(analysis)).toEqual({
+      'spec.network.privateEndpointsOnly': false,
+      'spec.network.allowedSources[1]': '0.0.0.0/0',
+      'spec.network.blockedPorts': [22]
+    });
+    expect(analysis.recommendations).toEqual([
+      'Implement network segmentation',
+      'Restrict allowed source 0.0.0.0/0 to specific CIDR ranges',
+      'Configure port restrictions (block 3389)'
+    ]);
+    expect(analysis.score).toBe(25);
+    expect(analysis.implemented).toBe(true);
+  });
+
+  it('reports missing fields with a null value', () => {
+    const analysis = agent.analyzeLoggingControls(stored({ logging: { enabled: true, retentionDays: 30 } }));
+
+    expect(failures(analysis)).toEqual({
+      'spec.logging.retentionDays': 30,
+      'spec.logging.auditLogs': null,
+      'spec.logging.destinations': null
+    });
+    expect(analysis.details).toEqual(['Logging configured (spec.logging.enabled)']);
+  });
+
+  it('does not credit alerting or automation without the control they depend on', () => {
+    const monitoring = agent.analyzeMonitoringControls(stored({ monitoring: { enabled: false, alerting: true, metrics: ['cpu'] } }));
+    const backup = agent.analyzeBackupControls(stored({ backup: { enabled: false, automated: true } }));
+
+    expect(monitoring.score).toBe(0);
+    expect(backup.score).toBe(0);
+    expect(Object.keys(failures(backup))).toEqual(['spec.backup.enabled', 'spec.backup.automated']);
+  });
+});
+
+describe('SecurityAnalysisAgent.analyzeSecurityPosture', () => {
+  it('rates an empty spec critical and lists each control as a weakness', async () => {
+    const analysis = await agent.analyzeSecurityPosture(stored({}), { environment: 'production' });
+
+    expect(analysis.overallScore).toBe(0);
+    expect(analysis.riskLevel).toBe('critical');
+    expect(analysis.weaknesses).toHaveLength(7);
+    expect(analysis.recommendations).toContain('Immediate action required to reduce security risk');
+  });
+
+  it('raises medium risk to high in production', () => {
+    expect(agent.calculateRiskLevel(60, { environment: 'production' })).toBe('high');
+    expect(agent.calculateRiskLevel(60, { environment: 'staging' })).toBe('medium');
+    expect(agent.calculateRiskLevel(95, {})).toBe('minimal');
+  });
+});
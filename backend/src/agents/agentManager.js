@@ -222,8 +222,14 @@ class AgentManager {
     }, 60 * 60 * 1000);
 
     // Agent health monitoring (every 2 minutes)
-    setInterval(() => {
+    setInterval(async () => {
       this.monitorAgentHealth();
+
+      try {
+        await this.persistAgentState();
+      } catch (error) {
+        logger.error('Failed to persist agent state:', error);
+      }
     }, 2 * 60 * 1000);
   }
 
@@ -239,6 +245,17 @@ class AgentManager {
     }
   }
 
+  async persistAgentState() {
+    for (const [name, info] of this.agents) {
+      await AgentState.upsert({
+        agentName: name,
+        status: info.status,
+        lastActivity: info.lastActivity,
+        metrics: info.metrics
+      });
+    }
+  }
+
   emitAgentUpdate(agentName, data) {
     if (this.io) {
       this.io.to('dashboard').emit('agent-update', {
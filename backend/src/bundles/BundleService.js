@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import { getRedisClient } from '../database/redis.js';
+import { policyService } from '../policies/PolicyService.js';
+import { appliesTo, appliesToWhere } from '../policies/PolicyHierarchy.js';
+import { regoExporter } from '../exporters/RegoExporter.js';
+import { resolveExportSource, toIdentifier } from '../exporters/exportUtils.js';
+import { createTarGz } from './tarball.js';
+import { NotFoundError, isHttpError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+export const BUNDLE_BUSINESS_UNITS = ['upstream', 'downstream', 'trading', 'corporate'];
+export const BUNDLE_ENVIRONMENTS = ['production', 'staging', 'development', 'testing'];
+
+// Bundles are rebuilt on activation; the TTL only bounds staleness from other changes
+const DEFAULT_CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+// Everything in a bundle lives under data.foundry
+const BUNDLE_ROOT = 'foundry';
+
+const cacheKey = (businessUnit, environment) => `opa-bundle:${businessUnit}:${environment}`;
+
+// Generated policies share names (`<service>-security-policy`), so every
+// policy gets a package of its own rather than one per name
+const packageFor = (policy) => `${BUNDLE_ROOT}.policies.${toIdentifier(`${policy.name}_${policy.id}`)}`;
+
+/**
+ * OPA bundles of the active policies of a business unit and environment:
+ * organization layers, the unit's business-unit layers, and the unit's
+ * environment layers and standalone policies for that environment, each
+ * compiled to Rego. Overlays only tighten their parents, so enforcing
+ * every layer's deny rules enforces the effective policy.
+ *
+ * The revision is a hash of the bundle contents, so an unchanged policy
+ * set keeps its revision (and ETag) across rebuilds. Built bundles are
+ * cached in Redis.
+ */
+export class BundleService {
+  getScopes() {
+    return BUNDLE_BUSINESS_UNITS.flatMap(businessUnit => (
+      BUNDLE_ENVIRONMENTS.map(environment => ({ businessUnit, environment }))
+    ));
+  }
+
+  assertScope(businessUnit, environment) {
+    if (!BUNDLE_BUSINESS_UNITS.includes(businessUnit) || !BUNDLE_ENVIRONMENTS.includes(environment)) {
+      throw new NotFoundError(`No policy bundle for business unit '${businessUnit}' and environment '${environment}'`);
+    }
+  }
+
+  /**
+   * The cached bundle of a scope, built on a cache miss
+   */
+  async getBundle(businessUnit, environment) {
+    this.assertScope(businessUnit, environment);
+
+    const cached = await this.readCache(businessUnit, environment);
+    if (cached) {
+      return cached;
+    }
+    return await this.buildBundle(businessUnit, environment);
+  }
+
+  async buildBundle(businessUnit, environment) {
+    this.assertScope(businessUnit, environment);
+
+    const files = [];
+    const included = [];
+    const skipped = [];
+
+    for await (const policy of policyService.eachPolicy({ status: 'active' }, appliesToWhere({ businessUnit, environment }))) {
+      try {
+        const exported = regoExporter.export(resolveExportSource(policy), { packageName: packageFor(policy) });
+        const module = exported.files.find(file => file.path.endsWith('/policy.rego'));
+
+        files.push({ path: module.path, content: module.content });
+        included.push({
+          id: policy.id,
+          name: policy.name,
+          service: policy.service,
+          layer: policy.layer,
+          version: policy.version,
+          package: exported.package
+        });
+      } catch (error) {
+        if (!isHttpError(error)) {
+          throw error;
+        }
+        logger.warn(`OPA bundle ${businessUnit}/${environment}: skipping policy ${policy.id}: ${error.message}`);
+        skipped.push({ id: policy.id, name: policy.name, error: error.message });
+      }
+    }
+
+    files.push({
+      path: `${BUNDLE_ROOT}/bundle/data.json`,
+      content: JSON.stringify({ businessUnit, environment, policies: included }, null, 2)
+    });
+    files.sort((a, b) => a.path.localeCompare(b.path));
+
+    const hash = crypto.createHash('sha256');
+    for (const file of files) {
+      hash.update(file.path).update('\0').update(file.content).update('\0');
+    }
+    const revision = hash.digest('hex').slice(0, 32);
+
+    const manifest = {
+      revision,
+      roots: [BUNDLE_ROOT],
+      metadata: { businessUnit, environment }
+    };
+
+    const bundle = {
+      businessUnit,
+      environment,
+      revision,
+      policies: included,
+      skipped,
+      builtAt: new Date().toISOString(),
+      archive: createTarGz([{ path: '.manifest', content: JSON.stringify(manifest) }, ...files])
+    };
+
+    await this.writeCache(bundle);
+    logger.info(`OPA bundle ${businessUnit}/${environment} built: revision ${revision}, ${included.length} policies`);
+    return bundle;
+  }
+
+  /**
+   * Rebuild the bundles of every scope a policy applies to, after it
+   * became active or stopped being active
+   */
+  async rebuildForPolicy(policy) {
+    const scopes = this.getScopes().filter(scope => appliesTo(policy, scope));
+    for (const { businessUnit, environment } of scopes) {
+      await this.buildBundle(businessUnit, environment);
+    }
+    return scopes;
+  }
+
+  // The cache speeds up polling agents; bundles are still served while Redis is unavailable
+  async readCache(businessUnit, environment) {
+    try {
+      const cached = await getRedisClient().get(cacheKey(businessUnit, environment));
+      if (!cached) {
+        return null;
+      }
+      const { archive, ...bundle } = JSON.parse(cached);
+      return { ...bundle, archive: Buffer.from(archive, 'base64') };
+    } catch (error) {
+      logger.warn(`OPA bundle cache read for ${businessUnit}/${environment} failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async writeCache(bundle) {
+    const ttl = Number(process.env.OPA_BUNDLE_CACHE_TTL_SECONDS) || DEFAULT_CACHE_TTL_SECONDS;
+    try {
+      await getRedisClient().set(
+        cacheKey(bundle.businessUnit, bundle.environment),
+        JSON.stringify({ ...bundle, archive: bundle.archive.toString('base64') }),
+        { EX: ttl }
+      );
+    } catch (error) {
+      logger.warn(`OPA bundle cache write for ${bundle.businessUnit}/${bundle.environment} failed: ${error.message}`);
+    }
+  }
+
+  toSummary(bundle) {
+    return {
+      businessUnit: bundle.businessUnit,
+      environment: bundle.environment,
+      revision: bundle.revision,
+      etag: this.getETag(bundle),
+      size: bundle.archive.length,
+      policies: bundle.policies,
+      skipped: bundle.skipped,
+      builtAt: bundle.builtAt
+    };
+  }
+
+  getETag(bundle) {
+    return `"${bundle.revision}"`;
+  }
+}
+
+// Singleton instance
+const bundleService = new BundleService();
+
+export { bundleService };
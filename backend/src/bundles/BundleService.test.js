@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import zlib from 'zlib';
+
+const { bundleService } = await import('./BundleService.js');
+const { policyService } = await import('../policies/PolicyService.js');
+
+const policy = (id, spec, overrides = {}) => ({
+  id,
+  name: 'aws-s3-security-policy',
+  service: 'AWS S3',
+  businessUnit: 'trading',
+  environment: 'production',
+  layer: null,
+  status: 'active',
+  version: '1.0.0',
+  document: {
+    metadata: {},
+    policy: {
+      apiVersion: 'v1',
+      kind: 'SecurityPolicy',
+      metadata: { name: 'aws-s3-security-policy' },
+      spec
+    }
+  },
+  ...overrides
+});
+
+const encryption = { atRest: true, inTransit: true };
+const accessControl = { publicAccess: false };
+
+const mockPolicies = (policies) => jest.spyOn(policyService, 'eachPolicy').mockImplementation(async function* () {
+  yield* policies;
+});
+
+// File contents of the tar.gz, keyed by path
+const unpack = (archive) => {
+  const tar = zlib.gunzipSync(archive);
+  const files = {};
+  for (let offset = 0; offset + 512 <= tar.length;) {
+    const name = tar.toString('utf8', offset, offset + 100).replace(/\0.*$/s, '');
+    if (!name) break;
+    const size = parseInt(tar.toString('utf8', offset + 124, offset + 136).replace(/\0.*$/s, '').trim(), 8);
+    files[name] = tar.toString('utf8', offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+};
+
+beforeEach(() => {
+  jest.spyOn(bundleService, 'writeCache').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('BundleService.buildBundle', () => {
+  it('gives same-named policies packages of their own', async () => {
+    mockPolicies([
+      policy('7f1c2a4e-4444-4c8b-9d1e-000000000001', { encryption, accessControl, network: { allowedSources: ['10.0.0.0/8'] } }),
+      policy('7f1c2a4e-4444-4c8b-9d1e-000000000002', { encryption, accessControl, network: { allowedSources: ['10.1.0.0/16'], blockedPorts: [22] } })
+    ]);
+
+    const bundle = await bundleService.buildBundle('trading', 'production');
+    const packages = bundle.policies.map(entry => entry.package);
+    expect(new Set(packages).size).toBe(2);
+
+    const files = unpack(bundle.archive);
+    const modules = Object.entries(files).filter(([path]) => path.endsWith('.rego'));
+    expect(modules).toHaveLength(2);
+
+    const declared = modules.map(([, content]) => /^package (\S+)$/m.exec(content)[1]);
+    expect(declared.sort()).toEqual([...packages].sort());
+    for (const [path, content] of modules) {
+      expect(path).toBe(`${/^package (\S+)$/m.exec(content)[1].replace(/\./g, '/')}/policy.rego`);
+      expect(content.match(/^allowed_sources :=/gm)).toHaveLength(1);
+    }
+    expect(JSON.parse(files['foundry/bundle/data.json']).policies).toHaveLength(2);
+  });
+
+  it('selects the scope in the query rather than after a capped read', async () => {
+    mockPolicies([]);
+
+    await bundleService.buildBundle('trading', 'production');
+    const [filters, where] = policyService.eachPolicy.mock.calls[0];
+    expect(filters).toEqual({ status: 'active' });
+    expect(Object.getOwnPropertySymbols(where)).toHaveLength(1);
+  });
+
+  it('keeps the revision of an unchanged policy set', async () => {
+    mockPolicies([policy('7f1c2a4e-4444-4c8b-9d1e-000000000001', { encryption, accessControl })]);
+
+    const first = await bundleService.buildBundle('trading', 'production');
+    const second = await bundleService.buildBundle('trading', 'production');
+    expect(second.revision).toBe(first.revision);
+  });
+
+  it('skips policies that cannot be compiled', async () => {
+    mockPolicies([policy('7f1c2a4e-4444-4c8b-9d1e-000000000003', { encryption })]);
+
+    const bundle = await bundleService.buildBundle('trading', 'production');
+    expect(bundle.policies).toEqual([]);
+    expect(bundle.skipped).toEqual([expect.objectContaining({ id: '7f1c2a4e-4444-4c8b-9d1e-000000000003' })]);
+  });
+});
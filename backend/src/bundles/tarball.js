@@ -0,0 +1,60 @@
+import { gzipSync } from 'zlib';
+
+const BLOCK_SIZE = 512;
+
+const octal = (value, length) => value.toString(8).padStart(length - 1, '0');
+
+// ustar keeps names over 100 bytes as prefix/name, split at a slash
+const splitPath = (path) => {
+  if (Buffer.byteLength(path) <= 100) return { name: path, prefix: '' };
+
+  const slash = path.lastIndexOf('/', 155);
+  if (slash <= 0 || Buffer.byteLength(path.slice(slash + 1)) > 100 || Buffer.byteLength(path.slice(0, slash)) > 155) {
+    throw new Error(`Path too long for a tar archive: ${path}`);
+  }
+  return { name: path.slice(slash + 1), prefix: path.slice(0, slash) };
+};
+
+const header = (path, size) => {
+  const block = Buffer.alloc(BLOCK_SIZE);
+  const { name, prefix } = splitPath(path);
+
+  block.write(name, 0, 100);
+  block.write(octal(0o644, 8), 100, 8);
+  block.write(octal(0, 8), 108, 8);
+  block.write(octal(0, 8), 116, 8);
+  block.write(octal(size, 12), 124, 12);
+  // Fixed mtime so the same files always produce the same archive
+  block.write(octal(0, 12), 136, 12);
+  block.write(' '.repeat(8), 148, 8);
+  block.write('0', 156, 1);
+  block.write('ustar\0', 257, 6);
+  block.write('00', 263, 2);
+  block.write(prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of block) checksum += byte;
+  block.write(`${octal(checksum, 7)}\0 `, 148, 8);
+
+  return block;
+};
+
+/**
+ * A gzipped ustar archive of regular files ({ path, content }), byte for
+ * byte the same for the same files
+ */
+export const createTarGz = (files) => {
+  const blocks = [];
+
+  for (const file of files) {
+    const content = Buffer.from(file.content);
+    blocks.push(header(file.path, content.length), content);
+
+    const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) blocks.push(Buffer.alloc(padding));
+  }
+
+  // End of archive: two empty blocks
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return gzipSync(Buffer.concat(blocks));
+};
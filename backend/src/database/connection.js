@@ -1,5 +1,7 @@
 import { Sequelize } from 'sequelize';
 import { logger } from '../utils/logger.js';
+import { initializeModels } from '../models/index.js';
+import { runMigrations, runSeeders } from './migrator.js';
 
 let sequelize;
 
@@ -29,10 +31,19 @@ export const initializeDatabase = async () => {
     await sequelize.authenticate();
     logger.info('Database connection established successfully');
 
-    // Sync models (in development)
-    if (process.env.NODE_ENV === 'development') {
-      await sequelize.sync({ alter: true });
-      logger.info('Database models synchronized');
+    // Bind models before anything queries them
+    initializeModels();
+
+    // Apply versioned migrations
+    if (process.env.DB_AUTO_MIGRATE !== 'false') {
+      const migrations = await runMigrations(sequelize);
+      logger.info(`Database schema up to date (${migrations.length} migrations applied)`);
+    }
+
+    // Reference data is opt-in and never loaded on its own in production (use npm run db:seed)
+    if (process.env.DB_AUTO_SEED === 'true' && process.env.NODE_ENV !== 'production') {
+      const seeders = await runSeeders(sequelize);
+      logger.info(`Reference data up to date (${seeders.length} seeders applied)`);
     }
 
     return sequelize;
@@ -0,0 +1,224 @@
+// Enum types created by up, dropped by down
+const ENUM_TYPES = [
+  'enum_service_updates_impact',
+  'enum_vulnerabilities_severity',
+  'enum_threat_alerts_severity',
+  'enum_threat_alerts_status',
+  'enum_security_risks_level',
+  'enum_security_risks_status'
+];
+
+const timestamps = (Sequelize) => ({
+  created_at: {
+    type: Sequelize.DATE,
+    allowNull: false
+  },
+  updated_at: {
+    type: Sequelize.DATE,
+    allowNull: false
+  }
+});
+
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.createTable('compliance_frameworks', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    name: { type: Sequelize.STRING(50), allowNull: false, unique: true },
+    version: { type: Sequelize.STRING(50), allowNull: false },
+    description: { type: Sequelize.TEXT },
+    ...timestamps(Sequelize)
+  }, options);
+
+  await queryInterface.createTable('compliance_controls', {
+    id: { type: Sequelize.STRING(100), primaryKey: true },
+    framework: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      references: { model: 'compliance_frameworks', key: 'name' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    name: { type: Sequelize.STRING, allowNull: false },
+    description: { type: Sequelize.TEXT },
+    requirement: { type: Sequelize.TEXT },
+    keywords: { type: Sequelize.ARRAY(Sequelize.STRING), defaultValue: [] },
+    services: { type: Sequelize.ARRAY(Sequelize.STRING), defaultValue: ['all'] },
+    environments: { type: Sequelize.ARRAY(Sequelize.STRING), defaultValue: ['all'] },
+    ...timestamps(Sequelize)
+  }, options);
+  await queryInterface.addIndex('compliance_controls', ['framework'], options);
+
+  await queryInterface.createTable('policy_templates', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    name: { type: Sequelize.STRING, allowNull: false },
+    service: { type: Sequelize.STRING(100), allowNull: false },
+    description: { type: Sequelize.TEXT },
+    structure: { type: Sequelize.TEXT, allowNull: false },
+    version: { type: Sequelize.STRING(20), allowNull: false, defaultValue: '1.0.0' },
+    ...timestamps(Sequelize)
+  }, options);
+  await queryInterface.addIndex('policy_templates', ['service'], options);
+
+  await queryInterface.createTable('cloud_services', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    service_id: { type: Sequelize.STRING(100), allowNull: false, unique: true },
+    name: { type: Sequelize.STRING, allowNull: false },
+    provider: { type: Sequelize.STRING(20), allowNull: false },
+    category: { type: Sequelize.STRING(50), defaultValue: 'General' },
+    description: { type: Sequelize.TEXT },
+    launch_date: { type: Sequelize.DATE },
+    requires_policy: { type: Sequelize.BOOLEAN, defaultValue: true },
+    ...timestamps(Sequelize)
+  }, options);
+
+  await queryInterface.createTable('service_updates', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    service_id: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+      references: { model: 'cloud_services', key: 'service_id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    update_type: { type: Sequelize.STRING(50), allowNull: false },
+    description: { type: Sequelize.TEXT },
+    impact: { type: Sequelize.ENUM('low', 'medium', 'high'), defaultValue: 'low' },
+    requires_policy_update: { type: Sequelize.BOOLEAN, defaultValue: false },
+    update_date: { type: Sequelize.DATE },
+    ...timestamps(Sequelize)
+  }, options);
+  await queryInterface.addIndex('service_updates', ['service_id'], options);
+
+  await queryInterface.createTable('threat_feeds', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    name: { type: Sequelize.STRING(100), allowNull: false, unique: true },
+    type: { type: Sequelize.STRING(50), allowNull: false },
+    url: { type: Sequelize.STRING(500) },
+    api_key: { type: Sequelize.STRING },
+    enabled: { type: Sequelize.BOOLEAN, defaultValue: true },
+    last_scan: { type: Sequelize.DATE },
+    ...timestamps(Sequelize)
+  }, options);
+
+  await queryInterface.createTable('vulnerabilities', {
+    id: { type: Sequelize.STRING(100), primaryKey: true },
+    feed_id: {
+      type: Sequelize.UUID,
+      references: { model: 'threat_feeds', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    title: { type: Sequelize.TEXT, allowNull: false },
+    description: { type: Sequelize.TEXT },
+    severity: {
+      type: Sequelize.ENUM('critical', 'high', 'medium', 'low'),
+      allowNull: false,
+      defaultValue: 'medium'
+    },
+    cvss: { type: Sequelize.DECIMAL(3, 1) },
+    source: { type: Sequelize.STRING(100) },
+    published_date: { type: Sequelize.DATE },
+    affected_services: { type: Sequelize.ARRAY(Sequelize.STRING), defaultValue: [] },
+    exploited: { type: Sequelize.BOOLEAN, defaultValue: false },
+    ...timestamps(Sequelize)
+  }, options);
+  await queryInterface.addIndex('vulnerabilities', ['severity'], options);
+
+  await queryInterface.createTable('threat_alerts', {
+    id: { type: Sequelize.STRING(200), primaryKey: true },
+    threat_id: { type: Sequelize.STRING(100), allowNull: false },
+    severity: {
+      type: Sequelize.ENUM('critical', 'high', 'medium', 'low'),
+      allowNull: false
+    },
+    title: { type: Sequelize.TEXT, allowNull: false },
+    description: { type: Sequelize.TEXT },
+    source: { type: Sequelize.STRING(100) },
+    affected_services: { type: Sequelize.ARRAY(Sequelize.STRING), defaultValue: [] },
+    recommended_actions: { type: Sequelize.JSONB, defaultValue: [] },
+    status: {
+      type: Sequelize.ENUM('new', 'acknowledged', 'resolved'),
+      defaultValue: 'new'
+    },
+    ...timestamps(Sequelize)
+  }, options);
+  await queryInterface.addIndex('threat_alerts', ['threat_id'], options);
+  await queryInterface.addIndex('threat_alerts', ['status'], options);
+
+  await queryInterface.createTable('security_policies', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    name: { type: Sequelize.STRING, allowNull: false },
+    service: { type: Sequelize.STRING(100), allowNull: false },
+    environment: { type: Sequelize.STRING(20), defaultValue: 'production' },
+    business_unit: { type: Sequelize.STRING(20), defaultValue: 'corporate' },
+    compliance_framework: { type: Sequelize.STRING(50), defaultValue: 'CIS' },
+    risk_level: { type: Sequelize.STRING(20), defaultValue: 'low' },
+    status: { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'draft' },
+    version: { type: Sequelize.STRING(20), allowNull: false, defaultValue: '1.0.0' },
+    document: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+    created_by: { type: Sequelize.STRING },
+    updated_by: { type: Sequelize.STRING },
+    ...timestamps(Sequelize)
+  }, options);
+  await queryInterface.addIndex('security_policies', ['service'], options);
+  await queryInterface.addIndex('security_policies', ['status'], options);
+  await queryInterface.addIndex('security_policies', ['business_unit', 'environment'], options);
+
+  await queryInterface.createTable('security_risks', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    policy_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'security_policies', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    type: { type: Sequelize.STRING(50), allowNull: false },
+    level: {
+      type: Sequelize.ENUM('critical', 'high', 'medium', 'low', 'minimal'),
+      allowNull: false
+    },
+    description: { type: Sequelize.TEXT },
+    mitigation: { type: Sequelize.TEXT },
+    status: {
+      type: Sequelize.ENUM('open', 'mitigated', 'accepted'),
+      defaultValue: 'open'
+    },
+    ...timestamps(Sequelize)
+  }, options);
+  await queryInterface.addIndex('security_risks', ['policy_id'], options);
+
+  await queryInterface.createTable('agent_states', {
+    agent_name: { type: Sequelize.STRING(100), primaryKey: true },
+    status: { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'active' },
+    last_activity: { type: Sequelize.DATE },
+    metrics: { type: Sequelize.JSONB, defaultValue: {} },
+    ...timestamps(Sequelize)
+  }, options);
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  // Reverse dependency order
+  const tables = [
+    'agent_states',
+    'security_risks',
+    'security_policies',
+    'threat_alerts',
+    'vulnerabilities',
+    'threat_feeds',
+    'service_updates',
+    'cloud_services',
+    'policy_templates',
+    'compliance_controls',
+    'compliance_frameworks'
+  ];
+
+  for (const table of tables) {
+    await queryInterface.dropTable(table, options);
+  }
+
+  // createTable names enum types after the column, enum_<table>_<column>; dropTable
+  // only drops those of registered models, named after the attribute instead
+  for (const type of ENUM_TYPES) {
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${type}"`, options);
+  }
+};
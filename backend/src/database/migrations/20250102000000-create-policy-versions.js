@@ -0,0 +1,46 @@
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  // Deleted policies keep their row so the version history keeps its policy
+  await queryInterface.addColumn('security_policies', 'deleted_at', { type: Sequelize.DATE }, options);
+
+  await queryInterface.createTable('policy_versions', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    policy_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'security_policies', key: 'id' },
+      onUpdate: 'CASCADE',
+      // History outlives the policy; policies are soft-deleted
+      onDelete: 'RESTRICT'
+    },
+    version: { type: Sequelize.STRING(20), allowNull: false },
+    change_type: {
+      type: Sequelize.ENUM('create', 'update', 'rollback'),
+      allowNull: false
+    },
+    document: { type: Sequelize.JSONB, allowNull: false },
+    author: { type: Sequelize.STRING },
+    reason: { type: Sequelize.TEXT },
+    created_at: { type: Sequelize.DATE, allowNull: false }
+  }, options);
+
+  await queryInterface.addIndex('policy_versions', ['policy_id', 'version'], {
+    ...options,
+    unique: true
+  });
+
+  // Baseline version for policies stored before history was tracked
+  // (md5-derived uuid keeps this working on Postgres 12 without pgcrypto)
+  await queryInterface.sequelize.query(`
+    INSERT INTO policy_versions (id, policy_id, version, change_type, document, author, reason, created_at)
+    SELECT md5(random()::text || clock_timestamp()::text || id::text)::uuid,
+           id, version, 'create', document, created_by, 'Baseline version', updated_at
+    FROM security_policies
+  `, options);
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.removeColumn('security_policies', 'deleted_at', options);
+  await queryInterface.dropTable('policy_versions', options);
+  // dropTable leaves the enum types behind
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_policy_versions_change_type"', options);
+};
@@ -0,0 +1,30 @@
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.createTable('policy_transitions', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    policy_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'security_policies', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    },
+    action: { type: Sequelize.STRING(20), allowNull: false },
+    from_status: { type: Sequelize.STRING(20) },
+    to_status: { type: Sequelize.STRING(20), allowNull: false },
+    policy_version: { type: Sequelize.STRING(20) },
+    actor: { type: Sequelize.STRING },
+    actor_role: { type: Sequelize.STRING(50) },
+    comment: { type: Sequelize.TEXT },
+    created_at: { type: Sequelize.DATE, allowNull: false }
+  }, options);
+
+  await queryInterface.addIndex('policy_transitions', ['policy_id', 'created_at'], options);
+
+  // 'pending' was the pre-lifecycle name for policies awaiting review
+  await queryInterface.bulkUpdate('security_policies', { status: 'in-review' }, { status: 'pending' }, options);
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.bulkUpdate('security_policies', { status: 'pending' }, { status: 'in-review' }, options);
+  await queryInterface.dropTable('policy_transitions', options);
+};
@@ -0,0 +1,12 @@
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  // [{ name, type, description, default }] inputs a template's exports take
+  await queryInterface.addColumn('policy_templates', 'parameters', {
+    type: Sequelize.JSONB,
+    allowNull: false,
+    defaultValue: []
+  }, options);
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.removeColumn('policy_templates', 'parameters', options);
+};
@@ -0,0 +1,46 @@
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.createTable('drift_findings', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    policy_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'security_policies', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    policy_version: { type: Sequelize.STRING(20) },
+    resource_id: { type: Sequelize.TEXT, allowNull: false },
+    resource_type: { type: Sequelize.STRING(100) },
+    service: { type: Sequelize.STRING(100) },
+    path: { type: Sequelize.STRING(100), allowNull: false },
+    control: { type: Sequelize.STRING(50) },
+    message: { type: Sequelize.TEXT, allowNull: false },
+    required: { type: Sequelize.JSONB },
+    actual: { type: Sequelize.JSONB },
+    source: { type: Sequelize.STRING },
+    status: { type: Sequelize.ENUM('open', 'resolved', 'closed'), allowNull: false, defaultValue: 'open' },
+    occurrences: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+    first_seen_at: { type: Sequelize.DATE, allowNull: false },
+    last_seen_at: { type: Sequelize.DATE, allowNull: false },
+    resolved_at: { type: Sequelize.DATE },
+    created_at: { type: Sequelize.DATE, allowNull: false },
+    updated_at: { type: Sequelize.DATE, allowNull: false }
+  }, options);
+
+  await queryInterface.addIndex('drift_findings', ['policy_id', 'last_seen_at'], options);
+  await queryInterface.addIndex('drift_findings', ['resource_id', 'last_seen_at'], options);
+
+  // At most one open finding per policy, resource and spec path
+  await queryInterface.addIndex('drift_findings', ['policy_id', 'resource_id', 'path'], {
+    ...options,
+    unique: true,
+    where: { status: 'open' },
+    name: 'drift_findings_open_unique'
+  });
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.dropTable('drift_findings', options);
+  // dropTable leaves the enum types behind
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_drift_findings_status"', options);
+};
@@ -0,0 +1,14 @@
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  // organization, business-unit or environment; null for standalone policies
+  await queryInterface.addColumn('security_policies', 'layer', {
+    type: Sequelize.STRING(20),
+    allowNull: true
+  }, options);
+
+  await queryInterface.addIndex('security_policies', ['service', 'layer'], options);
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.removeIndex('security_policies', ['service', 'layer'], options);
+  await queryInterface.removeColumn('security_policies', 'layer', options);
+};
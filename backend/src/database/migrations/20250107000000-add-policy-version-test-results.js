@@ -0,0 +1,11 @@
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  // Report of the policy tests run against the version when it was recorded
+  await queryInterface.addColumn('policy_versions', 'test_results', {
+    type: Sequelize.JSONB,
+    allowNull: true
+  }, options);
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.removeColumn('policy_versions', 'test_results', options);
+};
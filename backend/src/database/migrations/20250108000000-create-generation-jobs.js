@@ -0,0 +1,60 @@
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.createTable('generation_jobs', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    status: {
+      type: Sequelize.ENUM('running', 'cancelled', 'interrupted', 'completed'),
+      allowNull: false,
+      defaultValue: 'running'
+    },
+    concurrency: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+    total: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+    created_by: { type: Sequelize.STRING },
+    started_at: { type: Sequelize.DATE },
+    finished_at: { type: Sequelize.DATE },
+    created_at: { type: Sequelize.DATE, allowNull: false },
+    updated_at: { type: Sequelize.DATE, allowNull: false }
+  }, options);
+
+  await queryInterface.createTable('generation_job_items', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    job_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'generation_jobs', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    position: { type: Sequelize.INTEGER, allowNull: false },
+    service: { type: Sequelize.STRING(100), allowNull: false },
+    requirements: { type: Sequelize.JSONB, allowNull: false },
+    status: {
+      type: Sequelize.ENUM('pending', 'running', 'succeeded', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    policy_id: {
+      type: Sequelize.UUID,
+      references: { model: 'security_policies', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    error: { type: Sequelize.TEXT },
+    attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+    started_at: { type: Sequelize.DATE },
+    finished_at: { type: Sequelize.DATE },
+    created_at: { type: Sequelize.DATE, allowNull: false },
+    updated_at: { type: Sequelize.DATE, allowNull: false }
+  }, options);
+
+  await queryInterface.addIndex('generation_jobs', ['created_at'], options);
+  await queryInterface.addIndex('generation_job_items', ['job_id', 'position'], { ...options, unique: true });
+  await queryInterface.addIndex('generation_job_items', ['job_id', 'status'], options);
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.dropTable('generation_job_items', options);
+  await queryInterface.dropTable('generation_jobs', options);
+  // dropTable leaves the enum types behind
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_generation_job_items_status"', options);
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_generation_jobs_status"', options);
+};
@@ -0,0 +1,63 @@
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  // The template generation uses for a service unless one is selected
+  await queryInterface.addColumn('policy_templates', 'is_default', {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }, options);
+  await queryInterface.addColumn('policy_templates', 'created_by', { type: Sequelize.STRING }, options);
+  await queryInterface.addColumn('policy_templates', 'updated_by', { type: Sequelize.STRING }, options);
+
+  await queryInterface.createTable('policy_template_versions', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    template_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'policy_templates', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    version: { type: Sequelize.STRING(20), allowNull: false },
+    name: { type: Sequelize.STRING, allowNull: false },
+    description: { type: Sequelize.TEXT },
+    structure: { type: Sequelize.TEXT, allowNull: false },
+    parameters: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+    author: { type: Sequelize.STRING },
+    reason: { type: Sequelize.TEXT },
+    created_at: { type: Sequelize.DATE, allowNull: false }
+  }, options);
+
+  await queryInterface.addIndex('policy_template_versions', ['template_id', 'version'], {
+    ...options,
+    unique: true
+  });
+
+  // Existing templates become their service's default, oldest first
+  await queryInterface.sequelize.query(`
+    UPDATE policy_templates SET is_default = true
+    WHERE id IN (SELECT DISTINCT ON (service) id FROM policy_templates ORDER BY service, created_at)
+  `, options);
+
+  await queryInterface.addIndex('policy_templates', ['service'], {
+    ...options,
+    unique: true,
+    where: { is_default: true },
+    name: 'policy_templates_default_unique'
+  });
+
+  // Baseline version for templates stored before history was tracked
+  await queryInterface.sequelize.query(`
+    INSERT INTO policy_template_versions (id, template_id, version, name, description, structure, parameters, reason, created_at)
+    SELECT md5(random()::text || clock_timestamp()::text || id::text)::uuid,
+           id, version, name, description, structure, parameters, 'Baseline version', updated_at
+    FROM policy_templates
+  `, options);
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.dropTable('policy_template_versions', options);
+  await queryInterface.removeIndex('policy_templates', 'policy_templates_default_unique', options);
+  await queryInterface.removeColumn('policy_templates', 'updated_by', options);
+  await queryInterface.removeColumn('policy_templates', 'created_by', options);
+  await queryInterface.removeColumn('policy_templates', 'is_default', options);
+};
@@ -0,0 +1,31 @@
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.createTable('policy_signatures', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    policy_version_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'policy_versions', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    policy_id: { type: Sequelize.UUID, allowNull: false },
+    version: { type: Sequelize.STRING(20), allowNull: false },
+    key_id: { type: Sequelize.STRING(100), allowNull: false },
+    algorithm: { type: Sequelize.STRING(20), allowNull: false },
+    digest: { type: Sequelize.STRING(64), allowNull: false },
+    signature: { type: Sequelize.TEXT, allowNull: false },
+    signed_by: { type: Sequelize.STRING },
+    created_at: { type: Sequelize.DATE, allowNull: false }
+  }, options);
+
+  // One signature per version and key; re-approving an unchanged version reuses it
+  await queryInterface.addIndex('policy_signatures', ['policy_version_id', 'key_id'], {
+    ...options,
+    unique: true
+  });
+  await queryInterface.addIndex('policy_signatures', ['digest'], options);
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.dropTable('policy_signatures', options);
+};
@@ -0,0 +1,25 @@
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  // Weighted full-text vector: name, then service and scope, then every string in the document.
+  // Generated so it can never fall out of step with the row; the columns are plain strings
+  // because casts from enums are not immutable.
+  await queryInterface.sequelize.query(`
+    ALTER TABLE security_policies ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+      setweight(to_tsvector('english'::regconfig, coalesce(name, '')), 'A') ||
+      setweight(to_tsvector('english'::regconfig,
+        coalesce(service, '') || ' ' || coalesce(compliance_framework, '') || ' ' ||
+        coalesce(business_unit, '') || ' ' || coalesce(environment, '')), 'B') ||
+      setweight(jsonb_to_tsvector('english'::regconfig, coalesce(document, '{}'::jsonb), '["string"]'), 'C')
+    ) STORED
+  `, options);
+
+  await queryInterface.addIndex('security_policies', ['search_vector'], {
+    ...options,
+    name: 'security_policies_search_vector',
+    using: 'GIN'
+  });
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.removeIndex('security_policies', 'security_policies_search_vector', options);
+  await queryInterface.removeColumn('security_policies', 'search_vector', options);
+};
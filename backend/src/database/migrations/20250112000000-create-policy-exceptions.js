@@ -0,0 +1,46 @@
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.createTable('policy_exceptions', {
+    id: { type: Sequelize.UUID, primaryKey: true },
+    policy_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'security_policies', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    control_id: { type: Sequelize.STRING(100), allowNull: false },
+    justification: { type: Sequelize.TEXT, allowNull: false },
+    compensating_controls: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+    approver: { type: Sequelize.STRING, allowNull: false },
+    status: {
+      type: Sequelize.ENUM('requested', 'approved', 'rejected', 'revoked', 'expired'),
+      allowNull: false,
+      defaultValue: 'requested'
+    },
+    requested_by: { type: Sequelize.STRING },
+    decided_by: { type: Sequelize.STRING },
+    decided_at: { type: Sequelize.DATE },
+    decision_comment: { type: Sequelize.TEXT },
+    expires_at: { type: Sequelize.DATE, allowNull: false },
+    expiry_alerted_at: { type: Sequelize.DATE },
+    created_at: { type: Sequelize.DATE, allowNull: false },
+    updated_at: { type: Sequelize.DATE, allowNull: false }
+  }, options);
+
+  await queryInterface.addIndex('policy_exceptions', ['policy_id', 'control_id'], options);
+  await queryInterface.addIndex('policy_exceptions', ['status', 'expires_at'], options);
+
+  // At most one pending or approved exception per policy control
+  await queryInterface.addIndex('policy_exceptions', ['policy_id', 'control_id'], {
+    ...options,
+    unique: true,
+    where: { status: ['requested', 'approved'] },
+    name: 'policy_exceptions_open_unique'
+  });
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.dropTable('policy_exceptions', options);
+  // dropTable leaves the enum types behind
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_policy_exceptions_status"', options);
+};
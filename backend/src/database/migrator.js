@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Sequelize } from 'sequelize';
+import { logger } from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SEEDERS_DIR = path.join(__dirname, 'seeders');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const SEEDS_TABLE = 'schema_seeds';
+
+/**
+ * Versioned migration runner. Each file in `migrations/` (and `seeders/`)
+ * exports `up(queryInterface, Sequelize)` and `down(queryInterface, Sequelize)`
+ * and is applied once, in filename order, inside a transaction. Applied names
+ * are recorded in a tracking table so reruns are no-ops.
+ */
+
+// Postgres createTable is emitted as CREATE TABLE IF NOT EXISTS
+const ensureTrackingTable = async (queryInterface, tableName) => {
+  await queryInterface.createTable(tableName, {
+    name: {
+      type: Sequelize.STRING,
+      primaryKey: true
+    },
+    applied_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+};
+
+const listScripts = async (directory) => {
+  const files = await fs.readdir(directory);
+  return files.filter(file => file.endsWith('.js')).sort();
+};
+
+const getApplied = async (sequelize, tableName) => {
+  const [rows] = await sequelize.query(`SELECT name FROM ${tableName} ORDER BY name`);
+  return rows.map(row => row.name);
+};
+
+const loadScript = async (directory, file) => {
+  return await import(pathToFileURL(path.join(directory, file)).href);
+};
+
+const applyPending = async (sequelize, directory, tableName) => {
+  const queryInterface = sequelize.getQueryInterface();
+  await ensureTrackingTable(queryInterface, tableName);
+
+  const applied = new Set(await getApplied(sequelize, tableName));
+  const pending = (await listScripts(directory)).filter(file => !applied.has(file));
+
+  for (const file of pending) {
+    const script = await loadScript(directory, file);
+
+    await sequelize.transaction(async (transaction) => {
+      await script.up(queryInterface, Sequelize, { transaction });
+      await queryInterface.bulkInsert(tableName, [{ name: file, applied_at: new Date() }], { transaction });
+    });
+
+    logger.info(`Applied ${path.basename(directory)} script: ${file}`);
+  }
+
+  return pending;
+};
+
+export const runMigrations = async (sequelize) => {
+  return await applyPending(sequelize, MIGRATIONS_DIR, MIGRATIONS_TABLE);
+};
+
+export const runSeeders = async (sequelize) => {
+  return await applyPending(sequelize, SEEDERS_DIR, SEEDS_TABLE);
+};
+
+export const rollbackMigration = async (sequelize) => {
+  const queryInterface = sequelize.getQueryInterface();
+  await ensureTrackingTable(queryInterface, MIGRATIONS_TABLE);
+
+  const applied = await getApplied(sequelize, MIGRATIONS_TABLE);
+  const last = applied[applied.length - 1];
+  if (!last) {
+    return null;
+  }
+
+  const script = await loadScript(MIGRATIONS_DIR, last);
+
+  await sequelize.transaction(async (transaction) => {
+    await script.down(queryInterface, Sequelize, { transaction });
+    await queryInterface.bulkDelete(MIGRATIONS_TABLE, { name: last }, { transaction });
+  });
+
+  logger.info(`Reverted migration: ${last}`);
+  return last;
+};
+
+export const getMigrationStatus = async (sequelize) => {
+  const queryInterface = sequelize.getQueryInterface();
+  await ensureTrackingTable(queryInterface, MIGRATIONS_TABLE);
+
+  const applied = new Set(await getApplied(sequelize, MIGRATIONS_TABLE));
+  const files = await listScripts(MIGRATIONS_DIR);
+
+  return files.map(file => ({
+    name: file,
+    applied: applied.has(file)
+  }));
+};
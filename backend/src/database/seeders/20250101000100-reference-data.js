@@ -0,0 +1,273 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Reference data the agents load at start-up. Framework names match the
+// values accepted by validatePolicyRequest.
+const frameworks = [
+  { name: 'CIS', version: '1.4.0', description: 'Center for Internet Security Benchmarks' },
+  { name: 'NIST', version: '1.1', description: 'NIST Cybersecurity Framework' },
+  { name: 'ISO', version: '27001:2013', description: 'ISO 27001 Information Security Management' },
+  { name: 'SOC2', version: '2017', description: 'SOC 2 Trust Services Criteria' },
+  { name: 'PCI', version: '4.0', description: 'PCI Data Security Standard' }
+];
+
+const controls = [
+  {
+    id: 'CIS-2.1.1',
+    framework: 'CIS',
+    name: 'Storage encryption at rest',
+    description: 'Ensure all storage is encrypted at rest',
+    requirement: 'Data at rest must be encrypted with a managed key',
+    keywords: ['encryption', 'atRest', 'kms'],
+    services: ['AWS S3', 'GCP Cloud Storage', 'Azure Storage']
+  },
+  {
+    id: 'CIS-2.1.2',
+    framework: 'CIS',
+    name: 'Secure transport',
+    description: 'Ensure storage denies requests over plain HTTP',
+    requirement: 'All requests must use TLS',
+    keywords: ['inTransit', 'tls'],
+    services: ['all']
+  },
+  {
+    id: 'CIS-1.4',
+    framework: 'CIS',
+    name: 'Multi-factor authentication',
+    description: 'Ensure MFA is enabled for privileged access',
+    requirement: 'Privileged access requires MFA',
+    keywords: ['mfa', 'authentication'],
+    services: ['all']
+  },
+  {
+    id: 'CIS-3.1',
+    framework: 'CIS',
+    name: 'Audit logging',
+    description: 'Ensure audit logging is enabled',
+    requirement: 'API activity must be logged and retained',
+    keywords: ['logging', 'audit', 'retention'],
+    services: ['all']
+  },
+  {
+    id: 'CIS-5.2',
+    framework: 'CIS',
+    name: 'Restrict administrative ports',
+    description: 'Ensure no ingress from 0.0.0.0/0 to administrative ports',
+    requirement: 'Ports 22 and 3389 must not be reachable from the internet',
+    keywords: ['network', 'ports'],
+    services: ['all']
+  },
+  {
+    id: 'NIST-PR.DS-1',
+    framework: 'NIST',
+    name: 'Data-at-rest is protected',
+    description: 'Data-at-rest is protected',
+    requirement: 'Encrypt stored data',
+    keywords: ['encryption', 'atRest'],
+    services: ['all']
+  },
+  {
+    id: 'NIST-PR.DS-2',
+    framework: 'NIST',
+    name: 'Data-in-transit is protected',
+    description: 'Data-in-transit is protected',
+    requirement: 'Encrypt data in transit',
+    keywords: ['encryption', 'inTransit'],
+    services: ['all']
+  },
+  {
+    id: 'NIST-PR.AC-4',
+    framework: 'NIST',
+    name: 'Access permissions are managed',
+    description: 'Least privilege and separation of duties are enforced',
+    requirement: 'Access must follow least privilege',
+    keywords: ['access', 'least privilege'],
+    services: ['all']
+  },
+  {
+    id: 'NIST-DE.CM-1',
+    framework: 'NIST',
+    name: 'Network monitoring',
+    description: 'The network is monitored to detect potential cybersecurity events',
+    requirement: 'Enable monitoring and alerting',
+    keywords: ['monitoring', 'alerting'],
+    services: ['all']
+  },
+  {
+    id: 'ISO-A.10.1.1',
+    framework: 'ISO',
+    name: 'Policy on the use of cryptographic controls',
+    description: 'Cryptographic controls protect information',
+    requirement: 'Use approved encryption algorithms',
+    keywords: ['encryption', 'algorithm'],
+    services: ['all']
+  },
+  {
+    id: 'ISO-A.12.4.1',
+    framework: 'ISO',
+    name: 'Event logging',
+    description: 'Event logs are produced, kept and reviewed',
+    requirement: 'Record and retain event logs',
+    keywords: ['logging', 'retention'],
+    services: ['all']
+  },
+  {
+    id: 'SOC2-CC6.1',
+    framework: 'SOC2',
+    name: 'Logical access security',
+    description: 'Logical access security software, infrastructure and architectures',
+    requirement: 'Restrict logical access to authorized users',
+    keywords: ['authentication', 'authorization'],
+    services: ['all']
+  },
+  {
+    id: 'SOC2-CC7.2',
+    framework: 'SOC2',
+    name: 'System monitoring',
+    description: 'System components are monitored for anomalies',
+    requirement: 'Monitor system components for anomalies',
+    keywords: ['monitoring', 'anomaly'],
+    services: ['all']
+  },
+  {
+    id: 'PCI-3.5',
+    framework: 'PCI',
+    name: 'Protect stored account data',
+    description: 'Primary account numbers are secured wherever stored',
+    requirement: 'Render stored cardholder data unreadable',
+    keywords: ['encryption', 'atRest', 'kms'],
+    services: ['all']
+  },
+  {
+    id: 'PCI-4.2',
+    framework: 'PCI',
+    name: 'Strong cryptography in transit',
+    description: 'Account data is protected with strong cryptography during transmission',
+    requirement: 'Use TLS 1.2 or higher over open networks',
+    keywords: ['inTransit', 'tls'],
+    services: ['all']
+  },
+  {
+    id: 'PCI-10.2',
+    framework: 'PCI',
+    name: 'Audit logs',
+    description: 'Audit logs are implemented to support detection of anomalies',
+    requirement: 'Log all access to system components',
+    keywords: ['logging', 'audit'],
+    services: ['all']
+  }
+];
+
+const templates = [
+  {
+    name: 'Default Security Policy',
+    service: 'default',
+    description: 'Standard security policy structure',
+    structure: `apiVersion: v1
+kind: SecurityPolicy
+metadata: { name, labels, version }
+spec:
+  encryption: { atRest, inTransit, algorithm, keyManagement }
+  accessControl: { authentication, authorization, mfa, leastPrivilege }
+  network: { allowedSources, blockedPorts }
+  logging: { enabled, retention }
+  monitoring: { enabled, alerting }`
+  },
+  {
+    name: 'Object Storage Security Policy',
+    service: 'AWS S3',
+    description: 'Bucket encryption, public access and logging controls',
+    structure: `apiVersion: v1
+kind: SecurityPolicy
+spec:
+  encryption: { atRest: true, inTransit: true, algorithm: AES-256, keyManagement: kms }
+  accessControl: { publicAccess: false, leastPrivilege: true }
+  logging: { enabled: true, retention: 90d }
+  backup: { versioning: true }`
+  },
+  {
+    name: 'Serverless Function Security Policy',
+    service: 'AWS Lambda',
+    description: 'Execution role, network and secret handling controls',
+    structure: `apiVersion: v1
+kind: SecurityPolicy
+spec:
+  accessControl: { authentication: iam, leastPrivilege: true }
+  network: { vpc: true, allowedSources: [] }
+  encryption: { inTransit: true, keyManagement: kms }
+  monitoring: { enabled: true, alerting: true }`
+  }
+];
+
+const services = [
+  { serviceId: 'aws-s3', name: 'AWS S3', provider: 'AWS', category: 'Storage', description: 'Object storage' },
+  { serviceId: 'aws-lambda', name: 'AWS Lambda', provider: 'AWS', category: 'Compute', description: 'Serverless functions' },
+  { serviceId: 'aws-iam', name: 'AWS IAM', provider: 'AWS', category: 'Security', description: 'Identity and access management' },
+  { serviceId: 'azure-functions', name: 'Azure Functions', provider: 'Azure', category: 'Compute', description: 'Serverless functions' },
+  { serviceId: 'azure-key-vault', name: 'Azure Key Vault', provider: 'Azure', category: 'Security', description: 'Secrets and key management' },
+  { serviceId: 'azure-storage', name: 'Azure Storage', provider: 'Azure', category: 'Storage', description: 'Blob, file and queue storage' },
+  { serviceId: 'gcp-cloud-storage', name: 'GCP Cloud Storage', provider: 'GCP', category: 'Storage', description: 'Object storage' },
+  { serviceId: 'gcp-cloud-run', name: 'GCP Cloud Run', provider: 'GCP', category: 'Compute', description: 'Serverless containers' }
+];
+
+const feeds = [
+  { name: 'nist-nvd', type: 'nist-nvd', url: 'https://services.nvd.nist.gov/rest/json/cves/2.0/' },
+  { name: 'mitre-attack', type: 'mitre-attack', url: 'https://attack.mitre.org/api/techniques/enterprise/' },
+  { name: 'cisa-alerts', type: 'cisa-alerts', url: 'https://www.cisa.gov/sites/default/files/feeds/known_exploited_vulnerabilities.json' },
+  { name: 'cloud-security-alliance', type: 'cloud-security-alliance', url: null }
+];
+
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  const now = new Date();
+  const stamp = { created_at: now, updated_at: now };
+
+  await queryInterface.bulkInsert('compliance_frameworks', frameworks.map(framework => ({
+    id: uuidv4(),
+    ...framework,
+    ...stamp
+  })), options);
+
+  await queryInterface.bulkInsert('compliance_controls', controls.map(control => ({
+    id: control.id,
+    framework: control.framework,
+    name: control.name,
+    description: control.description,
+    requirement: control.requirement,
+    keywords: control.keywords,
+    services: control.services,
+    environments: ['all'],
+    ...stamp
+  })), options);
+
+  await queryInterface.bulkInsert('policy_templates', templates.map(template => ({
+    id: uuidv4(),
+    ...template,
+    version: '1.0.0',
+    ...stamp
+  })), options);
+
+  await queryInterface.bulkInsert('cloud_services', services.map(service => ({
+    id: uuidv4(),
+    service_id: service.serviceId,
+    name: service.name,
+    provider: service.provider,
+    category: service.category,
+    description: service.description,
+    requires_policy: true,
+    ...stamp
+  })), options);
+
+  await queryInterface.bulkInsert('threat_feeds', feeds.map(feed => ({
+    id: uuidv4(),
+    ...feed,
+    enabled: true,
+    ...stamp
+  })), options);
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.bulkDelete('threat_feeds', { name: feeds.map(feed => feed.name) }, options);
+  await queryInterface.bulkDelete('cloud_services', { service_id: services.map(service => service.serviceId) }, options);
+  await queryInterface.bulkDelete('policy_templates', { service: templates.map(template => template.service) }, options);
+  await queryInterface.bulkDelete('compliance_controls', { id: controls.map(control => control.id) }, options);
+  await queryInterface.bulkDelete('compliance_frameworks', { name: frameworks.map(framework => framework.name) }, options);
+};
@@ -0,0 +1,28 @@
+// Deployment inputs for the seeded templates. Exporters that emit
+// infrastructure code (e.g. Terraform) turn these into variables so one
+// policy can be instantiated across accounts and projects.
+const parameters = {
+  'AWS S3': [
+    { name: 'region', type: 'string', description: 'AWS region the guardrails are applied in', default: 'us-east-1' },
+    { name: 'bucket_name', type: 'string', description: 'Name of the bucket the policy applies to' },
+    { name: 'log_bucket_name', type: 'string', description: 'Bucket receiving access logs and CloudTrail logs' },
+    { name: 'key_admin_arns', type: 'list(string)', description: 'IAM principals allowed to administer the KMS key', default: [] },
+    { name: 'tags', type: 'map(string)', description: 'Tags applied to every resource', default: {} }
+  ],
+  'AWS Lambda': [
+    { name: 'region', type: 'string', description: 'AWS region the guardrails are applied in', default: 'us-east-1' },
+    { name: 'log_bucket_name', type: 'string', description: 'Bucket receiving CloudTrail logs' },
+    { name: 'key_admin_arns', type: 'list(string)', description: 'IAM principals allowed to administer the KMS key', default: [] },
+    { name: 'tags', type: 'map(string)', description: 'Tags applied to every resource', default: {} }
+  ]
+};
+
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  for (const [service, values] of Object.entries(parameters)) {
+    await queryInterface.bulkUpdate('policy_templates', { parameters: JSON.stringify(values) }, { service }, options);
+  }
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.bulkUpdate('policy_templates', { parameters: '[]' }, { service: Object.keys(parameters) }, options);
+};
@@ -0,0 +1,21 @@
+// The seeded templates are inserted after the template version migration
+// ran, so give them the default flag and baseline version it backfills.
+export const up = async (queryInterface, Sequelize, options = {}) => {
+  await queryInterface.sequelize.query(`
+    UPDATE policy_templates SET is_default = true
+    WHERE id IN (SELECT DISTINCT ON (service) id FROM policy_templates ORDER BY service, created_at)
+      AND service NOT IN (SELECT service FROM policy_templates WHERE is_default)
+  `, options);
+
+  await queryInterface.sequelize.query(`
+    INSERT INTO policy_template_versions (id, template_id, version, name, description, structure, parameters, reason, created_at)
+    SELECT md5(random()::text || clock_timestamp()::text || id::text)::uuid,
+           id, version, name, description, structure, parameters, 'Baseline version', updated_at
+    FROM policy_templates
+    WHERE id NOT IN (SELECT template_id FROM policy_template_versions)
+  `, options);
+};
+
+export const down = async (queryInterface, Sequelize, options = {}) => {
+  // Template history is kept; versions are removed with their templates
+};
@@ -0,0 +1,275 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Op } from 'sequelize';
+import { DriftFinding } from '../models/DriftFinding.js';
+import { policyService } from '../policies/PolicyService.js';
+import { policySimulator } from '../simulation/PolicySimulator.js';
+import { readSnapshot } from '../simulation/snapshots.js';
+import { isHttpError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_SCAN_INTERVAL_MINUTES = 15;
+
+/**
+ * Detects drift between active policies and deployed resources. Snapshots
+ * come from DRIFT_SNAPSHOT_DIR, rescanned every DRIFT_SCAN_INTERVAL_MINUTES,
+ * or from uploads; each is simulated against every active policy and the
+ * violations are kept as findings. New findings are pushed to the
+ * `dashboard` socket.io room as `drift-detected`.
+ */
+export class DriftService {
+  constructor() {
+    this.io = null;
+    this.directory = null;
+    this.interval = null;
+    // Snapshot file -> modification time it was last ingested at
+    this.ingestedFiles = new Map();
+    // Ingestion runs one snapshot at a time so findings are never opened twice
+    this.queue = Promise.resolve();
+  }
+
+  async initialize(io) {
+    this.io = io;
+    this.directory = process.env.DRIFT_SNAPSHOT_DIR || null;
+
+    if (!this.directory) {
+      logger.info('Drift detection: DRIFT_SNAPSHOT_DIR not set, accepting uploaded snapshots only');
+      return;
+    }
+
+    const minutes = Number(process.env.DRIFT_SCAN_INTERVAL_MINUTES) || DEFAULT_SCAN_INTERVAL_MINUTES;
+    const scan = async () => {
+      try {
+        await this.scanDirectory();
+      } catch (error) {
+        logger.error('Drift snapshot scan failed:', error);
+      }
+    };
+
+    scan();
+    this.interval = setInterval(scan, minutes * 60 * 1000);
+
+    logger.info(`Drift detection: scanning ${this.directory} every ${minutes} minutes`);
+  }
+
+  shutdown() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Ingest the JSON snapshots in the snapshot directory that were added or
+   * changed since the last scan
+   */
+  async scanDirectory() {
+    const entries = await fs.readdir(this.directory, { withFileTypes: true });
+    const results = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || !entry.name.endsWith('.json')) continue;
+
+      // A snapshot that fails does not hold up the rest and is retried on
+      // the next scan
+      const file = path.join(this.directory, entry.name);
+      try {
+        const { mtimeMs } = await fs.stat(file);
+        if (this.ingestedFiles.get(file) === mtimeMs) continue;
+
+        const snapshot = JSON.parse(await fs.readFile(file, 'utf8'));
+        results.push(await this.ingestSnapshot(snapshot, { source: `file:${entry.name}` }));
+        this.ingestedFiles.set(file, mtimeMs);
+      } catch (error) {
+        if (error instanceof SyntaxError || isHttpError(error)) {
+          logger.warn(`Skipping drift snapshot ${entry.name}: ${error.message}`);
+        } else {
+          logger.error(`Failed to ingest drift snapshot ${entry.name}:`, error);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Compare a snapshot with every active policy and record the outcome.
+   * `options.source` labels the findings; `options.format` as in readSnapshot.
+   */
+  ingestSnapshot(snapshot, options = {}) {
+    const run = this.queue.then(() => this.compare(snapshot, options));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async compare(snapshot, { source = 'upload', format } = {}) {
+    const { format: resolvedFormat, resources } = readSnapshot(snapshot, format);
+    const seenAt = new Date();
+    const summary = {
+      source,
+      format: resolvedFormat,
+      resources: resources.length,
+      policies: 0,
+      opened: 0,
+      recurring: 0,
+      resolved: 0
+    };
+    const opened = [];
+
+    for await (const policy of policyService.eachPolicy({ status: 'active' })) {
+      let simulation;
+      try {
+        simulation = policySimulator.simulateResources(policy, resources);
+      } catch (error) {
+        if (!isHttpError(error)) {
+          throw error;
+        }
+        logger.warn(`Drift detection skipped policy ${policy.id}: ${error.message}`);
+        continue;
+      }
+
+      summary.policies++;
+      for (const resource of simulation.resources) {
+        if (resource.outcome === 'unaffected') continue;
+        await this.recordResource(policy, resource, { source, seenAt, summary, opened });
+      }
+    }
+
+    summary.opened = opened.length;
+    if (opened.length > 0) {
+      this.emitDrift(source, opened);
+    }
+
+    logger.info(`Drift snapshot ${source}: ${summary.opened} new, ${summary.recurring} recurring, ${summary.resolved} resolved findings`);
+    return { ...summary, findings: opened.map(finding => this.toSummary(finding)) };
+  }
+
+  /**
+   * Open, refresh or resolve the findings of one evaluated resource
+   */
+  async recordResource(policy, resource, { source, seenAt, summary, opened }) {
+    const existing = await DriftFinding.findAll({
+      where: { policyId: policy.id, resourceId: resource.id, status: 'open' }
+    });
+    const openByPath = new Map(existing.map(finding => [finding.path, finding]));
+
+    for (const violation of resource.violations) {
+      const values = {
+        policyVersion: policy.version,
+        resourceType: resource.type,
+        service: resource.service,
+        control: violation.control,
+        message: violation.message,
+        required: violation.required,
+        actual: violation.actual ?? null,
+        source,
+        lastSeenAt: seenAt
+      };
+
+      const finding = openByPath.get(violation.path);
+      if (finding) {
+        await finding.update({ ...values, occurrences: finding.occurrences + 1 });
+        openByPath.delete(violation.path);
+        summary.recurring++;
+      } else {
+        opened.push(await DriftFinding.create({
+          ...values,
+          policyId: policy.id,
+          resourceId: resource.id,
+          path: violation.path,
+          firstSeenAt: seenAt
+        }));
+      }
+    }
+
+    for (const finding of openByPath.values()) {
+      await finding.update({ status: 'resolved', resolvedAt: seenAt });
+      summary.resolved++;
+    }
+  }
+
+  /**
+   * Close the open findings of a policy that is no longer enforced; later
+   * snapshots are only compared with active policies and would never
+   * resolve them
+   */
+  async closeFindings(policyId, transaction) {
+    const [closed] = await DriftFinding.update(
+      { status: 'closed', resolvedAt: new Date() },
+      { where: { policyId, status: 'open' }, transaction }
+    );
+    if (closed > 0) {
+      logger.info(`Closed ${closed} open drift findings of policy ${policyId}`);
+    }
+    return closed;
+  }
+
+  emitDrift(source, findings) {
+    if (this.io) {
+      this.io.to('dashboard').emit('drift-detected', {
+        source,
+        count: findings.length,
+        findings: findings.map(finding => this.toSummary(finding)),
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Finding history, newest first, for `policyId` and/or `resourceId`
+   */
+  async listFindings(query = {}) {
+    const page = Number(query.page) || 1;
+    const limit = Number(query.limit) || 20;
+    const where = {};
+
+    if (query.policyId) where.policyId = query.policyId;
+    if (query.resourceId) where.resourceId = query.resourceId;
+    if (query.status) where.status = query.status;
+    if (query.since) where.lastSeenAt = { [Op.gte]: new Date(query.since) };
+
+    const { rows, count } = await DriftFinding.findAndCountAll({
+      where,
+      order: [['lastSeenAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      findings: rows.map(finding => this.toSummary(finding)),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  toSummary(finding) {
+    return {
+      id: finding.id,
+      policyId: finding.policyId,
+      policyVersion: finding.policyVersion,
+      resourceId: finding.resourceId,
+      resourceType: finding.resourceType,
+      service: finding.service,
+      path: finding.path,
+      control: finding.control,
+      message: finding.message,
+      required: finding.required,
+      actual: finding.actual,
+      source: finding.source,
+      status: finding.status,
+      occurrences: finding.occurrences,
+      firstSeenAt: finding.firstSeenAt,
+      lastSeenAt: finding.lastSeenAt,
+      resolvedAt: finding.resolvedAt
+    };
+  }
+}
+
+// Singleton instance
+const driftService = new DriftService();
+
+export { driftService };
@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const { driftService } = await import('./DriftService.js');
+const { policyService } = await import('../policies/PolicyService.js');
+const { policySimulator } = await import('../simulation/PolicySimulator.js');
+const { DriftFinding } = await import('../models/DriftFinding.js');
+
+let directory;
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'drift-'));
+  driftService.directory = directory;
+  driftService.ingestedFiles = new Map();
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+describe('DriftService.scanDirectory', () => {
+  it('keeps scanning past a failing snapshot and retries it next time', async () => {
+    await fs.writeFile(path.join(directory, 'a.json'), '{"resources":[]}');
+    await fs.writeFile(path.join(directory, 'b.json'), '{"resources":[]}');
+    const ingest = jest.spyOn(driftService, 'ingestSnapshot')
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValue({ opened: 0 });
+
+    const results = await driftService.scanDirectory();
+    expect(ingest).toHaveBeenCalledTimes(2);
+    expect(results).toHaveLength(1);
+
+    await driftService.scanDirectory();
+    expect(ingest).toHaveBeenCalledTimes(3);
+    expect(ingest).toHaveBeenLastCalledWith(expect.anything(), { source: 'file:a.json' });
+  });
+
+  it('skips invalid snapshots without stopping', async () => {
+    await fs.writeFile(path.join(directory, 'a.json'), '{not json');
+    await fs.writeFile(path.join(directory, 'b.json'), '{"resources":[]}');
+    jest.spyOn(driftService, 'ingestSnapshot').mockResolvedValue({ opened: 0 });
+
+    const results = await driftService.scanDirectory();
+    expect(results).toHaveLength(1);
+    expect([...driftService.ingestedFiles.keys()]).toEqual([path.join(directory, 'b.json')]);
+  });
+});
+
+describe('DriftService.compare', () => {
+  it('checks every active policy, not only the first bulk page', async () => {
+    const policies = Array.from({ length: 3 }, (_, i) => ({ id: `policy-${i}` }));
+    jest.spyOn(policyService, 'eachPolicy').mockImplementation(async function* () {
+      yield* policies;
+    });
+    jest.spyOn(policySimulator, 'simulateResources').mockReturnValue({ resources: [] });
+
+    const summary = await driftService.compare({ resources: [] });
+    expect(summary.policies).toBe(3);
+    expect(policyService.eachPolicy).toHaveBeenCalledWith({ status: 'active' });
+  });
+});
+
+describe('DriftService.closeFindings', () => {
+  it('closes only the open findings of the policy', async () => {
+    const update = jest.spyOn(DriftFinding, 'update').mockResolvedValue([2]);
+    const transaction = {};
+
+    await expect(driftService.closeFindings('policy-1', transaction)).resolves.toBe(2);
+    expect(update).toHaveBeenCalledWith(
+      { status: 'closed', resolvedAt: expect.any(Date) },
+      { where: { policyId: 'policy-1', status: 'open' }, transaction }
+    );
+  });
+});
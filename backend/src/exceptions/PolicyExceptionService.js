@@ -0,0 +1,290 @@
+import { Op } from 'sequelize';
+import { validate as isUuid } from 'uuid';
+import { PolicyException } from '../models/PolicyException.js';
+import { ComplianceControl } from '../models/ComplianceControl.js';
+import { policyService } from '../policies/PolicyService.js';
+import { APPROVER_ROLES } from '../policies/PolicyLifecycle.js';
+import { monitoringService } from '../monitoring/MonitoringService.js';
+import { ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// Pending and approved exceptions block another request for the same control
+const OPEN_STATUSES = ['requested', 'approved'];
+
+export const MAX_EXCEPTION_DAYS = 365;
+
+const DEFAULT_WARNING_DAYS = 14;
+const DEFAULT_CHECK_INTERVAL_MINUTES = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const actorOf = (user) => user?.email || user?.id;
+
+/**
+ * Time-boxed risk acceptance for policy controls. A requested exception
+ * names an approver, who alone can approve or reject it and must hold an
+ * approver role when they do. Approved exceptions count as covered
+ * controls in compliance validation until they expire. Every
+ * EXCEPTION_CHECK_INTERVAL_MINUTES, exceptions within
+ * EXCEPTION_EXPIRY_WARNING_DAYS of their expiry raise a monitoring alert
+ * once, and lapsed ones are marked expired with another alert.
+ */
+export class PolicyExceptionService {
+  constructor() {
+    this.interval = null;
+    this.warningDays = DEFAULT_WARNING_DAYS;
+  }
+
+  async initialize() {
+    this.warningDays = Number(process.env.EXCEPTION_EXPIRY_WARNING_DAYS) || DEFAULT_WARNING_DAYS;
+    const minutes = Number(process.env.EXCEPTION_CHECK_INTERVAL_MINUTES) || DEFAULT_CHECK_INTERVAL_MINUTES;
+
+    const check = async () => {
+      try {
+        await this.checkExpiry();
+      } catch (error) {
+        logger.error('Policy exception expiry check failed:', error);
+      }
+    };
+
+    check();
+    this.interval = setInterval(check, minutes * 60 * 1000);
+
+    logger.info(`Policy exceptions: checking expiry every ${minutes} minutes, warning ${this.warningDays} days ahead`);
+  }
+
+  shutdown() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  async requestException(data, user) {
+    const requester = actorOf(user);
+    const policy = await policyService.getPolicy(data.policyId);
+
+    const control = await ComplianceControl.findByPk(data.controlId);
+    if (!control) {
+      throw new ValidationError(`Unknown compliance control: ${data.controlId}`);
+    }
+
+    const expiresAt = new Date(data.expiresAt);
+    if (expiresAt <= new Date()) {
+      throw new ValidationError('expiresAt must be in the future');
+    }
+    if (expiresAt > new Date(Date.now() + MAX_EXCEPTION_DAYS * DAY_MS)) {
+      throw new ValidationError(`Exceptions can last at most ${MAX_EXCEPTION_DAYS} days`);
+    }
+
+    if (requester && [user.email, user.id].includes(data.approver)) {
+      throw new ValidationError('The requester of an exception cannot approve it');
+    }
+
+    const open = await PolicyException.findOne({
+      where: { policyId: policy.id, controlId: control.id, status: OPEN_STATUSES }
+    });
+    if (open) {
+      throw new ConflictError(`Policy ${policy.id} already has a ${open.status} exception for ${control.id}: ${open.id}`);
+    }
+
+    const exception = await PolicyException.create({
+      policyId: policy.id,
+      controlId: control.id,
+      justification: data.justification,
+      compensatingControls: data.compensatingControls || [],
+      approver: data.approver,
+      requestedBy: requester,
+      expiresAt
+    });
+
+    logger.info(`Policy exception ${exception.id}: ${control.id} on ${policy.id} requested by ${requester}, approver ${exception.approver}`);
+    return exception;
+  }
+
+  /**
+   * Approve or reject a requested exception; only its named approver may,
+   * with an approver role on their token. There is no user directory, so
+   * this is the first point the approver's role is known.
+   */
+  async decide(id, action, user, { comment } = {}) {
+    const exception = await this.getException(id);
+    const actor = actorOf(user);
+
+    if (!actor || ![user.email, user.id].includes(exception.approver)) {
+      throw new ForbiddenError(`Only the named approver (${exception.approver}) can ${action} this exception`);
+    }
+    if (!APPROVER_ROLES.includes(user.role)) {
+      throw new ForbiddenError(`Deciding an exception needs one of the roles ${APPROVER_ROLES.join(', ')}`);
+    }
+    if (exception.status !== 'requested') {
+      throw new ConflictError(`Cannot ${action} an exception that is ${exception.status}`);
+    }
+    if (action === 'approve' && exception.expiresAt <= new Date()) {
+      throw new ConflictError('The exception expired before it was approved');
+    }
+
+    await exception.update({
+      status: action === 'approve' ? 'approved' : 'rejected',
+      decidedBy: actor,
+      decidedAt: new Date(),
+      decisionComment: comment || null
+    });
+
+    logger.info(`Policy exception ${id}: ${action} by ${actor}`);
+    return exception;
+  }
+
+  /**
+   * Withdraw a requested or approved exception before it expires
+   */
+  async revoke(id, user, { comment } = {}) {
+    const exception = await this.getException(id);
+    if (!OPEN_STATUSES.includes(exception.status)) {
+      throw new ConflictError(`Cannot revoke an exception that is ${exception.status}`);
+    }
+
+    await exception.update({
+      status: 'revoked',
+      decidedBy: actorOf(user),
+      decidedAt: new Date(),
+      decisionComment: comment || null
+    });
+
+    logger.info(`Policy exception ${id}: revoked by ${actorOf(user)}`);
+    return exception;
+  }
+
+  async getException(id) {
+    const exception = isUuid(id) ? await PolicyException.findByPk(id) : null;
+    if (!exception) {
+      throw new NotFoundError(`Policy exception not found: ${id}`);
+    }
+    return exception;
+  }
+
+  /**
+   * Approved, unexpired exceptions of a policy by control id
+   */
+  async getActiveExceptions(policyId) {
+    if (!isUuid(policyId)) {
+      return new Map();
+    }
+
+    const exceptions = await PolicyException.findAll({
+      where: { policyId, status: 'approved', expiresAt: { [Op.gt]: new Date() } }
+    });
+    return new Map(exceptions.map(exception => [exception.controlId, exception]));
+  }
+
+  async listExceptions(query = {}) {
+    const page = Number(query.page) || 1;
+    const limit = Number(query.limit) || 20;
+    const where = {};
+
+    if (query.policyId) where.policyId = query.policyId;
+    if (query.controlId) where.controlId = query.controlId;
+    if (query.status) where.status = query.status;
+    if (query.approver) where.approver = query.approver;
+    if (query.expiringWithinDays) {
+      where.status = 'approved';
+      where.expiresAt = { [Op.lte]: new Date(Date.now() + query.expiringWithinDays * DAY_MS) };
+    }
+
+    const { rows, count } = await PolicyException.findAndCountAll({
+      where,
+      order: [['expiresAt', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      exceptions: rows.map(exception => this.toSummary(exception)),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Expire lapsed exceptions and warn once about approved exceptions
+   * nearing their expiry
+   */
+  async checkExpiry(now = new Date()) {
+    const result = { expired: 0, expiring: 0 };
+
+    const lapsed = await PolicyException.findAll({
+      where: { status: OPEN_STATUSES, expiresAt: { [Op.lte]: now } }
+    });
+    for (const exception of lapsed) {
+      const wasApproved = exception.status === 'approved';
+      await exception.update({ status: 'expired' });
+      result.expired++;
+
+      // A request nobody decided in time never took effect
+      if (wasApproved) {
+        await this.raiseAlert(exception, 'high', `Policy exception for ${exception.controlId} on policy ${exception.policyId} has expired; the control counts against compliance again`);
+      }
+    }
+
+    const expiring = await PolicyException.findAll({
+      where: {
+        status: 'approved',
+        expiryAlertedAt: null,
+        expiresAt: { [Op.lte]: new Date(now.getTime() + this.warningDays * DAY_MS) }
+      }
+    });
+    for (const exception of expiring) {
+      const days = Math.max(1, Math.round((exception.expiresAt - now) / DAY_MS));
+      await this.raiseAlert(exception, 'medium', `Policy exception for ${exception.controlId} on policy ${exception.policyId} expires in ${days} day${days === 1 ? '' : 's'}`);
+      await exception.update({ expiryAlertedAt: now });
+      result.expiring++;
+    }
+
+    if (result.expired > 0 || result.expiring > 0) {
+      logger.info(`Policy exceptions: ${result.expired} expired, ${result.expiring} expiring within ${this.warningDays} days`);
+    }
+    return result;
+  }
+
+  raiseAlert(exception, severity, message) {
+    return monitoringService.createAlert({
+      type: 'policy-exception',
+      severity,
+      policyId: exception.policyId,
+      exceptionId: exception.id,
+      controlId: exception.controlId,
+      approver: exception.approver,
+      metric: 'expiresAt',
+      value: exception.expiresAt,
+      message
+    });
+  }
+
+  toSummary(exception) {
+    return {
+      id: exception.id,
+      policyId: exception.policyId,
+      controlId: exception.controlId,
+      justification: exception.justification,
+      compensatingControls: exception.compensatingControls,
+      approver: exception.approver,
+      status: exception.status,
+      requestedBy: exception.requestedBy,
+      decidedBy: exception.decidedBy,
+      decidedAt: exception.decidedAt,
+      decisionComment: exception.decisionComment,
+      expiresAt: exception.expiresAt,
+      expiryAlertedAt: exception.expiryAlertedAt,
+      createdAt: exception.createdAt
+    };
+  }
+}
+
+// Singleton instance
+const policyExceptionService = new PolicyExceptionService();
+
+export { policyExceptionService };
@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+
+const { policyExceptionService } = await import('./PolicyExceptionService.js');
+const { policyService } = await import('../policies/PolicyService.js');
+const { PolicyException } = await import('../models/PolicyException.js');
+const { ComplianceControl } = await import('../models/ComplianceControl.js');
+
+const POLICY_ID = '7f1c2a4e-6666-4c8b-9d1e-000000000001';
+const EXCEPTION_ID = '7f1c2a4e-6666-4c8b-9d1e-000000000002';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const requester = { email: 'author@example.com', role: 'policy-author' };
+const approver = { email: 'approver@example.com', role: 'policy-approver' };
+
+const request = (overrides = {}) => ({
+  policyId: POLICY_ID,
+  controlId: 'CIS-5.2',
+  justification: 'Legacy clients cannot use TLS 1.2 until the Q3 migration',
+  approver: approver.email,
+  expiresAt: new Date(Date.now() + 30 * DAY_MS).toISOString(),
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.spyOn(policyService, 'getPolicy').mockResolvedValue({ id: POLICY_ID });
+  jest.spyOn(ComplianceControl, 'findByPk').mockResolvedValue({ id: 'CIS-5.2' });
+  jest.spyOn(PolicyException, 'findOne').mockResolvedValue(null);
+  jest.spyOn(PolicyException, 'create').mockImplementation(async (values) => ({ id: EXCEPTION_ID, ...values }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PolicyExceptionService.requestException', () => {
+  it('records a request for a named approver', async () => {
+    const exception = await policyExceptionService.requestException(request(), requester);
+
+    expect(exception).toMatchObject({ approver: approver.email, requestedBy: requester.email });
+    expect(PolicyException.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves the approver role to the decision, where their token carries it', async () => {
+    const exception = await policyExceptionService.requestException(request({ approver: 'new-approver@example.com' }), requester);
+
+    expect(exception.approver).toBe('new-approver@example.com');
+  });
+
+  it('does not let requesters approve their own exception', async () => {
+    await expect(policyExceptionService.requestException(request({ approver: requester.email }), requester))
+      .rejects.toMatchObject({ name: 'ValidationError', message: 'The requester of an exception cannot approve it' });
+  });
+
+  it('caps the duration', async () => {
+    const expiresAt = new Date(Date.now() + 400 * DAY_MS).toISOString();
+
+    await expect(policyExceptionService.requestException(request({ expiresAt }), requester))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+  });
+});
+
+describe('PolicyExceptionService.decide', () => {
+  const requested = () => ({
+    id: EXCEPTION_ID,
+    status: 'requested',
+    approver: approver.email,
+    expiresAt: new Date(Date.now() + DAY_MS),
+    update: jest.fn(async function (values) {
+      Object.assign(this, values);
+      return this;
+    })
+  });
+
+  it('lets the named approver approve', async () => {
+    const exception = requested();
+    jest.spyOn(PolicyException, 'findByPk').mockResolvedValue(exception);
+
+    await policyExceptionService.decide(EXCEPTION_ID, 'approve', approver, { comment: 'Until Q3' });
+    expect(exception).toMatchObject({ status: 'approved', decidedBy: approver.email, decisionComment: 'Until Q3' });
+  });
+
+  it('turns away anyone else, and the approver without an approver role', async () => {
+    const exception = requested();
+    jest.spyOn(PolicyException, 'findByPk').mockResolvedValue(exception);
+
+    await expect(policyExceptionService.decide(EXCEPTION_ID, 'approve', { email: 'admin@example.com', role: 'admin' }))
+      .rejects.toMatchObject({ name: 'ForbiddenError' });
+    await expect(policyExceptionService.decide(EXCEPTION_ID, 'approve', { ...approver, role: 'viewer' }))
+      .rejects.toMatchObject({ name: 'ForbiddenError' });
+    expect(exception.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,479 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { toIdentifier, isNonEmptyArray, isCidr, getCloudProvider } from './exportUtils.js';
+
+// Quotas counted on the minified JSON document
+export const SCP_MAX_CHARACTERS = 5120;
+export const IAM_MANAGED_POLICY_MAX_CHARACTERS = 6144;
+export const SCP_MAX_PER_TARGET = 5;
+
+const POLICY_VERSION = '2012-10-17';
+
+// Service name patterns -> IAM service prefix
+const AWS_SERVICE_PREFIXES = [
+  [/s3/i, 's3'],
+  [/lambda/i, 'lambda'],
+  [/rds|aurora/i, 'rds'],
+  [/dynamodb/i, 'dynamodb'],
+  [/kms/i, 'kms'],
+  [/ec2|ebs/i, 'ec2'],
+  [/secrets manager/i, 'secretsmanager'],
+  [/sqs/i, 'sqs'],
+  [/sns/i, 'sns'],
+  [/iam/i, 'iam']
+];
+
+const S3_ENCRYPTION_VALUES = ['AES256', 'aws:kms', 'aws:kms:dsse'];
+const VPC_ID = /^vpc-[0-9a-f]+$/;
+const VPC_ENDPOINT_ID = /^vpce-[0-9a-f]+$/;
+const S3_PUBLIC_ACLS = ['public-read', 'public-read-write', 'authenticated-read'];
+
+const UNEXPRESSIBLE = {
+  'spec.encryption.algorithm': 'IAM has no condition key for the encryption algorithm; AWS services encrypt with AES-256',
+  'spec.accessControl.authentication.methods': 'Authentication methods are configured in IAM Identity Center or the identity provider, not in IAM policies',
+  'spec.accessControl.authorization.model': 'The authorization model describes the identity provider setup, not a policy statement',
+  'spec.network.blockedPorts': 'Security group ports have no IAM condition key; use AWS Config rule restricted-common-ports or Firewall Manager',
+  'spec.logging.enabled': 'IAM can only deny actions; enabling service logging needs an AWS Config rule',
+  'spec.logging.retentionDays': 'Log retention periods have no IAM condition key; use AWS Config rule cw-loggroup-retention-period-check',
+  'spec.logging.destinations': 'Log destinations are configured on the trail or log group, not in IAM policies',
+  'spec.monitoring': 'Monitoring is configured with CloudWatch and Security Hub, not IAM policies',
+  'spec.backup': 'Backup requirements map to AWS Backup policies, not SCPs',
+  'spec.incidentResponse': 'Incident response procedures cannot be expressed as IAM policy statements'
+};
+
+const minifiedLength = (document) => JSON.stringify(document).length;
+
+const toSid = (...parts) => parts
+  .join(' ')
+  .split(/[^a-zA-Z0-9]+/)
+  .filter(Boolean)
+  .map(part => part[0].toUpperCase() + part.slice(1))
+  .join('');
+
+const isIamAction = (permission) => /^[a-z0-9-]+:[A-Za-z0-9*]+$/.test(permission);
+
+/**
+ * Translates a SecurityPolicy spec into AWS Organizations service control
+ * policies (guardrails that deny non-compliant requests) and IAM managed
+ * policies (per-role permissions plus identity guardrails such as MFA).
+ */
+export class AwsExporter {
+  constructor() {
+    this.format = 'aws';
+    this.description = 'AWS service control policies and IAM policy JSON';
+  }
+
+  export(source) {
+    const { scpStatements, guardrailStatements, roleStatements, unsupported } = this.buildStatements(source);
+    const directory = `aws/${toIdentifier(source.name)}`;
+    const warnings = [];
+    const files = [];
+
+    const scps = this.packStatements(scpStatements, SCP_MAX_CHARACTERS, unsupported);
+    files.push(...this.toFiles(scps, `${directory}/scp`));
+    if (scps.length > SCP_MAX_PER_TARGET) {
+      warnings.push(`${scps.length} SCPs exceed the ${SCP_MAX_PER_TARGET} SCPs that can be attached to one target`);
+    }
+
+    const guardrails = this.packStatements(guardrailStatements, IAM_MANAGED_POLICY_MAX_CHARACTERS, unsupported);
+    files.push(...this.toFiles(guardrails, `${directory}/iam/guardrails`));
+
+    for (const { role, statement } of roleStatements) {
+      const documents = this.packStatements([statement], IAM_MANAGED_POLICY_MAX_CHARACTERS, unsupported);
+      files.push(...this.toFiles(documents, `${directory}/iam/${toIdentifier(role)}`));
+    }
+
+    return { files, unsupported, warnings };
+  }
+
+  /**
+   * Combine the SCP statements of several policies into as few SCPs as the
+   * size quota allows, dropping statements that several policies share.
+   */
+  bundle(sources) {
+    const seen = new Set();
+    const statements = [];
+
+    for (const source of sources) {
+      for (const statement of this.buildStatements(source).scpStatements) {
+        const { Sid, ...body } = statement;
+        const key = JSON.stringify(body);
+        if (!seen.has(key)) {
+          seen.add(key);
+          statements.push(statement);
+        }
+      }
+    }
+
+    const unsupported = [];
+    const scps = this.packStatements(statements, SCP_MAX_CHARACTERS, unsupported);
+    const warnings = scps.length > SCP_MAX_PER_TARGET
+      ? [`${scps.length} SCPs exceed the ${SCP_MAX_PER_TARGET} SCPs that can be attached to one target`]
+      : [];
+
+    return { files: this.toFiles(scps, 'aws/bundle/scp'), unsupported, warnings };
+  }
+
+  buildStatements(source) {
+    if (getCloudProvider(source.service) !== 'aws') {
+      throw new UnprocessableEntityError(`${source.service} is not an AWS service`);
+    }
+
+    const prefix = this.getServicePrefix(source.service);
+    const sidPrefix = toSid(source.name);
+    const spec = source.spec;
+    const unsupported = [];
+    const scpStatements = [];
+    const guardrailStatements = [];
+
+    this.addEncryptionStatements(spec.encryption || {}, prefix, sidPrefix, scpStatements, unsupported);
+    this.addAccessStatements(spec.accessControl || {}, prefix, sidPrefix, scpStatements, guardrailStatements, unsupported);
+    this.addNetworkStatements(spec.network || {}, prefix, sidPrefix, scpStatements, unsupported);
+    this.addLoggingStatements(spec.logging || {}, sidPrefix, scpStatements);
+    this.addUnexpressible(spec, unsupported);
+
+    const roleStatements = this.buildRoleStatements(spec.accessControl || {}, sidPrefix, unsupported);
+
+    return { scpStatements, guardrailStatements, roleStatements, unsupported };
+  }
+
+  getServicePrefix(service) {
+    const match = AWS_SERVICE_PREFIXES.find(([pattern]) => pattern.test(service));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Deny every action of the policy's service under a condition. Without a
+   * known IAM prefix the statement would deny every action in the account,
+   * so the requirement is reported as unsupported instead.
+   */
+  denyServiceActions(statements, prefix, { path, sid, condition }, unsupported) {
+    if (!prefix) {
+      unsupported.push({
+        path,
+        reason: 'The service has no known IAM action prefix, and denying every action would block the whole account'
+      });
+      return;
+    }
+
+    statements.push({
+      Sid: sid,
+      Effect: 'Deny',
+      Action: [`${prefix}:*`],
+      Resource: '*',
+      Condition: condition
+    });
+  }
+
+  addEncryptionStatements(encryption, prefix, sidPrefix, statements, unsupported) {
+    const customerKeys = ['customer-managed', 'customer-supplied'].includes(encryption.keyManagement);
+
+    if (encryption.atRest === true) {
+      if (prefix === 's3') {
+        statements.push({
+          Sid: toSid(sidPrefix, 'DenyUnencryptedObjectUploads'),
+          Effect: 'Deny',
+          Action: 's3:PutObject',
+          Resource: '*',
+          Condition: {
+            StringNotEquals: {
+              's3:x-amz-server-side-encryption': customerKeys ? ['aws:kms', 'aws:kms:dsse'] : S3_ENCRYPTION_VALUES
+            }
+          }
+        });
+      } else if (prefix === 'rds') {
+        statements.push({
+          Sid: toSid(sidPrefix, 'DenyUnencryptedDatabases'),
+          Effect: 'Deny',
+          Action: ['rds:CreateDBInstance', 'rds:CreateDBCluster'],
+          Resource: '*',
+          Condition: { Bool: { 'rds:StorageEncrypted': 'false' } }
+        });
+      } else if (prefix === 'ec2') {
+        statements.push({
+          Sid: toSid(sidPrefix, 'DenyUnencryptedVolumes'),
+          Effect: 'Deny',
+          Action: 'ec2:CreateVolume',
+          Resource: '*',
+          Condition: { Bool: { 'ec2:Encrypted': 'false' } }
+        });
+      } else {
+        unsupported.push({
+          path: 'spec.encryption.atRest',
+          reason: `No IAM condition key enforces encryption at rest for ${prefix || 'this service'}; enable default encryption on the resource`
+        });
+      }
+    }
+
+    if (encryption.inTransit === true) {
+      this.denyServiceActions(statements, prefix, {
+        path: 'spec.encryption.inTransit',
+        sid: toSid(sidPrefix, 'DenyInsecureTransport'),
+        condition: { Bool: { 'aws:SecureTransport': 'false' } }
+      }, unsupported);
+    }
+
+    if (encryption.tlsMinVersion) {
+      if (prefix === 's3') {
+        statements.push({
+          Sid: toSid(sidPrefix, 'DenyOutdatedTls'),
+          Effect: 'Deny',
+          Action: 's3:*',
+          Resource: '*',
+          Condition: { NumericLessThan: { 's3:TlsVersion': encryption.tlsMinVersion } }
+        });
+      } else {
+        unsupported.push({
+          path: 'spec.encryption.tlsMinVersion',
+          reason: 'Only Amazon S3 exposes the negotiated TLS version as a condition key (s3:TlsVersion)'
+        });
+      }
+    }
+
+    if (encryption.keyRotationDays) {
+      statements.push({
+        Sid: toSid(sidPrefix, 'DenyLongKeyRotation'),
+        Effect: 'Deny',
+        Action: 'kms:EnableKeyRotation',
+        Resource: '*',
+        Condition: { NumericGreaterThan: { 'kms:RotationPeriodInDays': String(encryption.keyRotationDays) } }
+      });
+      statements.push({
+        Sid: toSid(sidPrefix, 'DenyDisableKeyRotation'),
+        Effect: 'Deny',
+        Action: 'kms:DisableKeyRotation',
+        Resource: '*'
+      });
+    }
+  }
+
+  addAccessStatements(accessControl, prefix, sidPrefix, scpStatements, guardrailStatements, unsupported) {
+    const authentication = accessControl.authentication || {};
+
+    if (authentication.mfaRequired === true) {
+      this.denyServiceActions(guardrailStatements, prefix, {
+        path: 'spec.accessControl.authentication.mfaRequired',
+        sid: toSid(sidPrefix, 'DenyWithoutMfa'),
+        condition: { BoolIfExists: { 'aws:MultiFactorAuthPresent': 'false' } }
+      }, unsupported);
+
+      if (authentication.sessionTimeoutMinutes) {
+        this.denyServiceActions(guardrailStatements, prefix, {
+          path: 'spec.accessControl.authentication.sessionTimeoutMinutes',
+          sid: toSid(sidPrefix, 'DenyExpiredMfaSession'),
+          condition: {
+            NumericGreaterThanIfExists: { 'aws:MultiFactorAuthAge': String(authentication.sessionTimeoutMinutes * 60) }
+          }
+        }, unsupported);
+      }
+    } else if (authentication.sessionTimeoutMinutes) {
+      unsupported.push({
+        path: 'spec.accessControl.authentication.sessionTimeoutMinutes',
+        reason: 'Without MFA there is no session age condition key; set the maximum session duration on the IAM roles'
+      });
+    }
+
+    if (accessControl.publicAccess === false) {
+      if (prefix === 's3') {
+        scpStatements.push({
+          Sid: toSid(sidPrefix, 'DenyPublicAcls'),
+          Effect: 'Deny',
+          Action: ['s3:PutBucketAcl', 's3:PutObjectAcl', 's3:CreateBucket'],
+          Resource: '*',
+          Condition: { StringEquals: { 's3:x-amz-acl': S3_PUBLIC_ACLS } }
+        });
+        scpStatements.push({
+          Sid: toSid(sidPrefix, 'DenyPublicAccessBlockChanges'),
+          Effect: 'Deny',
+          Action: ['s3:PutBucketPublicAccessBlock', 's3:PutAccountPublicAccessBlock'],
+          Resource: '*'
+        });
+      } else if (prefix === 'lambda') {
+        scpStatements.push({
+          Sid: toSid(sidPrefix, 'DenyPublicInvoke'),
+          Effect: 'Deny',
+          Action: 'lambda:AddPermission',
+          Resource: '*',
+          Condition: { StringEquals: { 'lambda:Principal': '*' } }
+        });
+        scpStatements.push({
+          Sid: toSid(sidPrefix, 'DenyPublicFunctionUrls'),
+          Effect: 'Deny',
+          Action: ['lambda:CreateFunctionUrlConfig', 'lambda:UpdateFunctionUrlConfig'],
+          Resource: '*',
+          Condition: { StringEquals: { 'lambda:FunctionUrlAuthType': 'NONE' } }
+        });
+      } else {
+        unsupported.push({
+          path: 'spec.accessControl.publicAccess',
+          reason: `No public access condition key is available for ${prefix || 'this service'}`
+        });
+      }
+    }
+  }
+
+  /**
+   * One Allow statement per declared role. Wildcard grants are dropped when
+   * the spec asks for least privilege.
+   */
+  buildRoleStatements(accessControl, sidPrefix, unsupported) {
+    const authorization = accessControl.authorization || {};
+    const roles = Array.isArray(authorization.roles) ? authorization.roles : [];
+
+    return roles.flatMap((role, index) => {
+      const path = `spec.accessControl.authorization.roles[${index}].permissions`;
+      const actions = [];
+
+      for (const permission of role.permissions) {
+        if (!isIamAction(permission)) {
+          unsupported.push({ path, reason: `'${permission}' is not an IAM action (service:Action)` });
+        } else if (authorization.leastPrivilege === true && permission.endsWith('*')) {
+          unsupported.push({ path, reason: `Wildcard action '${permission}' dropped because the policy requires least privilege` });
+        } else {
+          actions.push(permission);
+        }
+      }
+
+      if (actions.length === 0) {
+        return [];
+      }
+
+      return [{
+        role: role.name,
+        statement: {
+          Sid: toSid(sidPrefix, role.name, 'Permissions'),
+          Effect: 'Allow',
+          Action: actions,
+          Resource: '*'
+        }
+      }];
+    });
+  }
+
+  addNetworkStatements(network, prefix, sidPrefix, statements, unsupported) {
+    // Calls AWS services make on the caller's behalf come from AWS addresses
+    const notViaService = { 'aws:ViaAWSService': 'false' };
+
+    const sources = network.allowedSources || [];
+    const cidrs = sources.filter(isCidr);
+    const endpoints = sources.filter(source => VPC_ENDPOINT_ID.test(source));
+    const vpcs = sources.filter(source => VPC_ID.test(source));
+
+    sources.forEach((source, index) => {
+      if (!isCidr(source) && !VPC_ENDPOINT_ID.test(source) && !VPC_ID.test(source)) {
+        unsupported.push({
+          path: `spec.network.allowedSources[${index}]`,
+          reason: `'${source}' is not a CIDR, VPC ID or VPC endpoint ID`
+        });
+      }
+    });
+
+    if (cidrs.length + endpoints.length + vpcs.length > 0) {
+      // Conditions in one statement are ANDed: the request is denied only
+      // when it matches none of the allowed sources
+      const condition = { Bool: notViaService };
+      if (cidrs.length > 0) condition.NotIpAddressIfExists = { 'aws:SourceIp': cidrs };
+      if (endpoints.length > 0 || vpcs.length > 0) {
+        condition.StringNotEqualsIfExists = {
+          ...(endpoints.length > 0 && { 'aws:SourceVpce': endpoints }),
+          ...(vpcs.length > 0 && { 'aws:SourceVpc': vpcs })
+        };
+      }
+
+      this.denyServiceActions(statements, prefix, {
+        path: 'spec.network.allowedSources',
+        sid: toSid(sidPrefix, 'DenyUnlistedSources'),
+        condition
+      }, unsupported);
+    }
+
+    if (network.privateEndpointsOnly === true) {
+      this.denyServiceActions(statements, prefix, {
+        path: 'spec.network.privateEndpointsOnly',
+        sid: toSid(sidPrefix, 'DenyOutsideVpcEndpoints'),
+        condition: {
+          Null: { 'aws:SourceVpce': 'true' },
+          Bool: notViaService
+        }
+      }, unsupported);
+    }
+  }
+
+  addLoggingStatements(logging, sidPrefix, statements) {
+    if (logging.auditLogs === true) {
+      statements.push({
+        Sid: toSid(sidPrefix, 'ProtectCloudTrail'),
+        Effect: 'Deny',
+        Action: [
+          'cloudtrail:StopLogging',
+          'cloudtrail:DeleteTrail',
+          'cloudtrail:UpdateTrail',
+          'cloudtrail:PutEventSelectors'
+        ],
+        Resource: '*'
+      });
+    }
+  }
+
+  addUnexpressible(spec, unsupported) {
+    const has = {
+      'spec.encryption.algorithm': spec.encryption?.algorithm,
+      'spec.accessControl.authentication.methods': isNonEmptyArray(spec.accessControl?.authentication?.methods),
+      'spec.accessControl.authorization.model': spec.accessControl?.authorization?.model,
+      'spec.network.blockedPorts': isNonEmptyArray(spec.network?.blockedPorts),
+      'spec.logging.enabled': spec.logging?.enabled === true,
+      'spec.logging.retentionDays': spec.logging?.retentionDays,
+      'spec.logging.destinations': isNonEmptyArray(spec.logging?.destinations),
+      'spec.monitoring': spec.monitoring,
+      'spec.backup': spec.backup,
+      'spec.incidentResponse': spec.incidentResponse
+    };
+
+    for (const [path, present] of Object.entries(has)) {
+      if (present) {
+        unsupported.push({ path, reason: UNEXPRESSIBLE[path] });
+      }
+    }
+  }
+
+  /**
+   * Split statements into policy documents that stay within the character
+   * quota. A single statement that is too large on its own is reported.
+   */
+  packStatements(statements, limit, unsupported) {
+    const documents = [];
+    let current = null;
+
+    for (const statement of statements) {
+      if (minifiedLength({ Version: POLICY_VERSION, Statement: [statement] }) > limit) {
+        unsupported.push({
+          path: statement.Sid,
+          reason: `Statement exceeds the ${limit} character policy size limit on its own`
+        });
+        continue;
+      }
+
+      if (current && minifiedLength({ ...current, Statement: [...current.Statement, statement] }) <= limit) {
+        current.Statement.push(statement);
+      } else {
+        current = { Version: POLICY_VERSION, Statement: [statement] };
+        documents.push(current);
+      }
+    }
+
+    return documents;
+  }
+
+  toFiles(documents, basePath) {
+    return documents.map((document, index) => ({
+      path: documents.length > 1 ? `${basePath}-${index + 1}.json` : `${basePath}.json`,
+      contentType: 'application/json',
+      content: `${JSON.stringify(document, null, 2)}\n`,
+      size: minifiedLength(document)
+    }));
+  }
+}
+
+// Singleton instance
+const awsExporter = new AwsExporter();
+
+export { awsExporter };
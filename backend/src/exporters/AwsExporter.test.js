@@ -0,0 +1,155 @@
+import { awsExporter, SCP_MAX_CHARACTERS, IAM_MANAGED_POLICY_MAX_CHARACTERS } from './AwsExporter.js';
+
+const source = (spec, overrides = {}) => ({
+  id: '7f1c2a4e-9999-4c8b-9d1e-000000000001',
+  name: 'aws-s3-security-policy',
+  service: 'AWS S3',
+  version: '1.0.0',
+  spec,
+  ...overrides
+});
+
+const documentAt = (exported, path) => JSON.parse(exported.files.find(file => file.path === path).content);
+const sids = (document) => document.Statement.map(statement => statement.Sid);
+
+// A statement of roughly `size` minified characters
+const statementOfSize = (sid, size) => {
+  const base = JSON.stringify({ Sid: sid, Effect: 'Deny', Action: [], Resource: '*' }).length;
+  const actions = [];
+  while (base + JSON.stringify(actions).length - 2 < size) {
+    actions.push(`s3:Action${String(actions.length).padStart(4, '0')}`);
+  }
+  return { Sid: sid, Effect: 'Deny', Action: actions, Resource: '*' };
+};
+
+describe('AwsExporter.export', () => {
+  it('writes S3 guardrails scoped to the service prefix', () => {
+    const exported = awsExporter.export(source({
+      encryption: { atRest: true, inTransit: true, tlsMinVersion: '1.2', keyManagement: 'customer-managed' },
+      accessControl: { publicAccess: false, authentication: { mfaRequired: true } },
+      network: { allowedSources: ['10.0.0.0/8', 'vpce-0a1b2c'] }
+    }));
+
+    const scp = documentAt(exported, 'aws/aws_s3_security_policy/scp.json');
+    expect(scp.Version).toBe('2012-10-17');
+    expect(sids(scp)).toEqual([
+      'AwsS3SecurityPolicyDenyUnencryptedObjectUploads',
+      'AwsS3SecurityPolicyDenyInsecureTransport',
+      'AwsS3SecurityPolicyDenyOutdatedTls',
+      'AwsS3SecurityPolicyDenyPublicAcls',
+      'AwsS3SecurityPolicyDenyPublicAccessBlockChanges',
+      'AwsS3SecurityPolicyDenyUnlistedSources'
+    ]);
+    expect(scp.Statement[0].Condition).toEqual({ StringNotEquals: { 's3:x-amz-server-side-encryption': ['aws:kms', 'aws:kms:dsse'] } });
+    expect(scp.Statement[1]).toMatchObject({ Action: ['s3:*'], Condition: { Bool: { 'aws:SecureTransport': 'false' } } });
+    expect(scp.Statement[5].Condition).toEqual({
+      Bool: { 'aws:ViaAWSService': 'false' },
+      NotIpAddressIfExists: { 'aws:SourceIp': ['10.0.0.0/8'] },
+      StringNotEqualsIfExists: { 'aws:SourceVpce': ['vpce-0a1b2c'] }
+    });
+
+    const guardrails = documentAt(exported, 'aws/aws_s3_security_policy/iam/guardrails.json');
+    expect(guardrails.Statement).toEqual([expect.objectContaining({ Sid: 'AwsS3SecurityPolicyDenyWithoutMfa', Action: ['s3:*'] })]);
+  });
+
+  it('reports service-wide denies for services without a known prefix instead of denying every action', () => {
+    const exported = awsExporter.export(source({
+      encryption: { inTransit: true },
+      accessControl: { authentication: { mfaRequired: true, sessionTimeoutMinutes: 30 } },
+      network: { allowedSources: ['10.0.0.0/8'], privateEndpointsOnly: true }
+    }, { name: 'cloudfront-policy', service: 'AWS CloudFront' }));
+
+    expect(exported.files).toEqual([]);
+    expect(exported.unsupported.map(entry => entry.path)).toEqual([
+      'spec.encryption.inTransit',
+      'spec.accessControl.authentication.mfaRequired',
+      'spec.accessControl.authentication.sessionTimeoutMinutes',
+      'spec.network.allowedSources',
+      'spec.network.privateEndpointsOnly'
+    ]);
+    expect(JSON.stringify(exported)).not.toContain('"Action":["*"]');
+  });
+
+  it('writes one policy per role and drops wildcards under least privilege', () => {
+    const exported = awsExporter.export(source({
+      accessControl: {
+        authorization: {
+          leastPrivilege: true,
+          roles: [
+            { name: 'Data Reader', permissions: ['s3:GetObject', 's3:*', 'read everything'] },
+            { name: 'admin', permissions: ['*'] }
+          ]
+        }
+      }
+    }));
+
+    expect(exported.files.map(file => file.path)).toEqual(['aws/aws_s3_security_policy/iam/data_reader.json']);
+    expect(documentAt(exported, 'aws/aws_s3_security_policy/iam/data_reader.json').Statement).toEqual([{
+      Sid: 'AwsS3SecurityPolicyDataReaderPermissions',
+      Effect: 'Allow',
+      Action: ['s3:GetObject'],
+      Resource: '*'
+    }]);
+    expect(exported.unsupported).toEqual([
+      { path: 'spec.accessControl.authorization.roles[0].permissions', reason: expect.stringContaining("'s3:*' dropped") },
+      { path: 'spec.accessControl.authorization.roles[0].permissions', reason: expect.stringContaining("'read everything' is not an IAM action") },
+      { path: 'spec.accessControl.authorization.roles[1].permissions', reason: expect.stringContaining("'*' is not an IAM action") }
+    ]);
+  });
+
+  it('rejects services of other providers', () => {
+    expect(() => awsExporter.export(source({ encryption: { atRest: true } }, { service: 'Azure Key Vault' })))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError' }));
+  });
+});
+
+describe('AwsExporter.packStatements', () => {
+  it('fills each document up to the quota counted on minified JSON', () => {
+    const statements = ['One', 'Two', 'Three'].map(sid => statementOfSize(sid, 2000));
+    const unsupported = [];
+
+    const documents = awsExporter.packStatements(statements, SCP_MAX_CHARACTERS, unsupported);
+
+    expect(documents.map(sids)).toEqual([['One', 'Two'], ['Three']]);
+    for (const document of documents) {
+      expect(JSON.stringify(document).length).toBeLessThanOrEqual(SCP_MAX_CHARACTERS);
+    }
+    expect(unsupported).toEqual([]);
+  });
+
+  it('packs IAM policies against their larger quota', () => {
+    const statements = ['One', 'Two', 'Three'].map(sid => statementOfSize(sid, 2000));
+
+    expect(awsExporter.packStatements(statements, IAM_MANAGED_POLICY_MAX_CHARACTERS, []).map(sids))
+      .toEqual([['One', 'Two', 'Three']]);
+  });
+
+  it('reports a statement too large for any document', () => {
+    const unsupported = [];
+
+    const documents = awsExporter.packStatements([statementOfSize('Huge', 6000), statementOfSize('Small', 100)], SCP_MAX_CHARACTERS, unsupported);
+
+    expect(documents.map(sids)).toEqual([['Small']]);
+    expect(unsupported).toEqual([{ path: 'Huge', reason: 'Statement exceeds the 5120 character policy size limit on its own' }]);
+  });
+
+  it('numbers files when a policy needs several documents', () => {
+    const files = awsExporter.toFiles([{ Statement: [] }, { Statement: [] }], 'aws/p/scp');
+
+    expect(files.map(file => file.path)).toEqual(['aws/p/scp-1.json', 'aws/p/scp-2.json']);
+  });
+});
+
+describe('AwsExporter.bundle', () => {
+  it('drops statements several policies share', () => {
+    const spec = { encryption: { inTransit: true }, logging: { auditLogs: true } };
+
+    const bundle = awsExporter.bundle([source(spec), source(spec, { name: 'other-s3-policy' })]);
+
+    expect(bundle.files.map(file => file.path)).toEqual(['aws/bundle/scp.json']);
+    expect(sids(JSON.parse(bundle.files[0].content))).toEqual([
+      'AwsS3SecurityPolicyDenyInsecureTransport',
+      'AwsS3SecurityPolicyProtectCloudTrail'
+    ]);
+  });
+});
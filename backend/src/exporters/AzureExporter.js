@@ -0,0 +1,500 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { toIdentifier, isNonEmptyArray, isCidr, getCloudProvider, getSpecValue, isRequested } from './exportUtils.js';
+
+const TLS_VERSIONS = ['1.0', '1.1', '1.2', '1.3'];
+const SHARED_KEY_METHODS = ['shared-key', 'access-key', 'sas'];
+const AUDIT_DENY_EFFECTS = ['Audit', 'Deny', 'Disabled'];
+const AUDIT_IF_NOT_EXISTS_EFFECTS = ['AuditIfNotExists', 'Disabled'];
+
+// Definitions are created at a management group; the initiative references them there
+const DEFINITION_SCOPE = '/providers/Microsoft.Management/managementGroups/{managementGroupId}';
+const MAX_DEFINITION_NAME_LENGTH = 64;
+
+const SECTION_TITLES = {
+  encryption: 'Data Protection',
+  accessControl: 'Identity and Access Control',
+  network: 'Network Security',
+  logging: 'Logging and Threat Detection',
+  backup: 'Backup and Recovery'
+};
+
+// Spec items checked for coverage, with the reason when no rule covers them
+const SPEC_REQUIREMENTS = {
+  'spec.encryption.atRest': 'The platform encrypts this resource at rest; there is no setting to enforce',
+  'spec.encryption.inTransit': 'The platform only accepts HTTPS for this resource; there is no setting to enforce',
+  'spec.encryption.algorithm': 'Azure services encrypt with AES-256; the algorithm is not configurable',
+  'spec.encryption.keyManagement': 'This resource type has no alias for the key source',
+  'spec.encryption.keyRotationDays': 'Key rotation is set on Key Vault keys; export the Key Vault policy',
+  'spec.encryption.tlsMinVersion': 'This resource type has no alias for the minimum TLS version',
+  'spec.accessControl.authentication.methods': 'This resource type has no alias for its authentication methods',
+  'spec.accessControl.authentication.mfaRequired': 'MFA is enforced by Entra ID Conditional Access, not Azure Policy',
+  'spec.accessControl.authentication.sessionTimeoutMinutes': 'Session lifetime is set by Entra ID Conditional Access, not Azure Policy',
+  'spec.accessControl.authorization.model': 'This resource type has no alias for the authorization model',
+  'spec.accessControl.authorization.leastPrivilege': 'Role assignments are managed with Azure RBAC, not Azure Policy',
+  'spec.accessControl.authorization.roles': 'Role definitions are managed with Azure RBAC, not Azure Policy',
+  'spec.accessControl.publicAccess': 'This resource type has no alias for anonymous access',
+  'spec.network.allowedSources': 'This resource type has no alias for its firewall rules',
+  'spec.network.blockedPorts': 'Port rules belong to network security groups, not this resource type',
+  'spec.network.privateEndpointsOnly': 'This resource type has no alias for public network access',
+  'spec.monitoring': 'Alerting and metrics are configured with Azure Monitor, not Azure Policy',
+  'spec.logging.retentionDays': 'Log retention is set on the Log Analytics workspace or storage destination',
+  'spec.logging.destinations': 'Log destinations are chosen when the diagnostic setting is deployed',
+  'spec.backup': 'This resource type has no alias for backup settings',
+  'spec.incidentResponse': 'Incident response procedures cannot be expressed as Azure Policy rules'
+};
+
+const tlsAtLeast = (minimum) => TLS_VERSIONS.filter(version => version >= minimum);
+
+const unlistedRules = (arrayField, valueProperty, allowed) => ({
+  count: {
+    field: `${arrayField}[*]`,
+    where: { field: `${arrayField}[*].${valueProperty}`, notIn: allowed }
+  },
+  greater: 0
+});
+
+const diagnosticLogsRule = (spec) => ({
+  path: spec.logging?.auditLogs === true ? 'spec.logging.auditLogs' : 'spec.logging.enabled',
+  id: 'diagnostic-logs',
+  displayName: 'Diagnostic logs should be enabled',
+  effects: AUDIT_IF_NOT_EXISTS_EFFECTS,
+  details: {
+    type: 'Microsoft.Insights/diagnosticSettings',
+    existenceCondition: {
+      field: 'Microsoft.Insights/diagnosticSettings/logs.enabled',
+      equals: 'true'
+    }
+  }
+});
+
+/**
+ * Azure resource types the exporter knows, matched on the policy's service
+ * name. `rules(spec, sources)` returns the requirements the type's policy
+ * aliases can check; each condition describes a NON-compliant resource.
+ */
+const RESOURCE_TYPES = [
+  {
+    pattern: /function/i,
+    type: 'Microsoft.Web/sites',
+    kind: 'functionapp',
+    category: 'App Service',
+    rules: (spec, sources) => [
+      spec.encryption?.inTransit === true && {
+        path: 'spec.encryption.inTransit',
+        id: 'https-only',
+        displayName: 'Function apps should only be accessible over HTTPS and FTPS',
+        condition: {
+          anyOf: [
+            { field: 'Microsoft.Web/sites/httpsOnly', notEquals: true },
+            { field: 'Microsoft.Web/sites/siteConfig.ftpsState', notIn: ['FtpsOnly', 'Disabled'] }
+          ]
+        }
+      },
+      spec.encryption?.tlsMinVersion && {
+        path: 'spec.encryption.tlsMinVersion',
+        id: 'minimum-tls',
+        displayName: `Function apps should require TLS ${spec.encryption.tlsMinVersion} or later`,
+        condition: { field: 'Microsoft.Web/sites/siteConfig.minTlsVersion', notIn: tlsAtLeast(spec.encryption.tlsMinVersion) }
+      },
+      sources.length > 0 && {
+        path: 'spec.network.allowedSources',
+        id: 'access-restrictions',
+        displayName: 'Function apps should only allow the listed source addresses',
+        condition: {
+          anyOf: [
+            { count: { field: 'Microsoft.Web/sites/siteConfig.ipSecurityRestrictions[*]' }, equals: 0 },
+            unlistedRules('Microsoft.Web/sites/siteConfig.ipSecurityRestrictions', 'ipAddress', sources)
+          ]
+        }
+      },
+      spec.network?.privateEndpointsOnly === true && {
+        path: 'spec.network.privateEndpointsOnly',
+        id: 'disable-public-network',
+        displayName: 'Function apps should disable public network access',
+        condition: { field: 'Microsoft.Web/sites/publicNetworkAccess', notEquals: 'Disabled' }
+      }
+    ]
+  },
+  {
+    pattern: /key ?vault/i,
+    type: 'Microsoft.KeyVault/vaults',
+    category: 'Key Vault',
+    rules: (spec, sources) => [
+      spec.encryption?.keyRotationDays && {
+        path: 'spec.encryption.keyRotationDays',
+        id: 'key-rotation',
+        displayName: `Keys should rotate within ${spec.encryption.keyRotationDays} days of creation`,
+        type: 'Microsoft.KeyVault.Data/vaults/keys',
+        mode: 'Microsoft.KeyVault.Data',
+        condition: {
+          anyOf: [
+            { field: 'Microsoft.KeyVault.Data/vaults/keys/rotationPolicy.lifetimeAction.trigger.timeAfterCreateInDays', exists: false },
+            { field: 'Microsoft.KeyVault.Data/vaults/keys/rotationPolicy.lifetimeAction.trigger.timeAfterCreateInDays', greater: spec.encryption.keyRotationDays }
+          ]
+        }
+      },
+      spec.accessControl?.authorization?.model === 'rbac' && {
+        path: 'spec.accessControl.authorization.model',
+        id: 'rbac-authorization',
+        displayName: 'Key vaults should use the RBAC permission model',
+        condition: { field: 'Microsoft.KeyVault/vaults/enableRbacAuthorization', notEquals: true }
+      },
+      spec.accessControl?.publicAccess === false && {
+        path: 'spec.accessControl.publicAccess',
+        id: 'firewall-enabled',
+        displayName: 'Key vaults should deny network access by default',
+        condition: { field: 'Microsoft.KeyVault/vaults/networkAcls.defaultAction', notEquals: 'Deny' }
+      },
+      sources.length > 0 && {
+        path: 'spec.network.allowedSources',
+        id: 'allowed-sources',
+        displayName: 'Key vault firewalls should only allow the listed source addresses',
+        condition: unlistedRules('Microsoft.KeyVault/vaults/networkAcls.ipRules', 'value', sources)
+      },
+      spec.network?.privateEndpointsOnly === true && {
+        path: 'spec.network.privateEndpointsOnly',
+        id: 'disable-public-network',
+        displayName: 'Key vaults should disable public network access',
+        condition: { field: 'Microsoft.KeyVault/vaults/publicNetworkAccess', notEquals: 'Disabled' }
+      },
+      spec.backup?.enabled === true && {
+        path: 'spec.backup.enabled',
+        id: 'purge-protection',
+        displayName: 'Key vaults should have deletion protection enabled',
+        condition: { field: 'Microsoft.KeyVault/vaults/enablePurgeProtection', notEquals: true }
+      },
+      spec.backup?.retentionDays && {
+        path: 'spec.backup.retentionDays',
+        id: 'soft-delete-retention',
+        displayName: `Key vaults should keep deleted objects for at least ${Math.min(spec.backup.retentionDays, 90)} days`,
+        // Soft delete retention is capped at 90 days
+        condition: { field: 'Microsoft.KeyVault/vaults/softDeleteRetentionInDays', less: Math.min(spec.backup.retentionDays, 90) }
+      }
+    ]
+  },
+  {
+    pattern: /storage|blob/i,
+    type: 'Microsoft.Storage/storageAccounts',
+    category: 'Storage',
+    rules: (spec, sources) => {
+      const methods = spec.accessControl?.authentication?.methods || [];
+
+      return [
+        ['customer-managed', 'customer-supplied'].includes(spec.encryption?.keyManagement) && {
+          path: 'spec.encryption.keyManagement',
+          id: 'customer-managed-keys',
+          displayName: 'Storage accounts should encrypt with customer-managed keys',
+          condition: { field: 'Microsoft.Storage/storageAccounts/encryption.keySource', notEquals: 'Microsoft.Keyvault' }
+        },
+        spec.encryption?.inTransit === true && {
+          path: 'spec.encryption.inTransit',
+          id: 'secure-transfer',
+          displayName: 'Storage accounts should require secure transfer',
+          condition: { field: 'Microsoft.Storage/storageAccounts/supportsHttpsTrafficOnly', notEquals: true }
+        },
+        spec.encryption?.tlsMinVersion && {
+          path: 'spec.encryption.tlsMinVersion',
+          id: 'minimum-tls',
+          displayName: `Storage accounts should require TLS ${spec.encryption.tlsMinVersion} or later`,
+          condition: {
+            field: 'Microsoft.Storage/storageAccounts/minimumTlsVersion',
+            notIn: tlsAtLeast(spec.encryption.tlsMinVersion).map(version => `TLS${version.replace('.', '_')}`)
+          }
+        },
+        methods.length > 0 && !methods.some(method => SHARED_KEY_METHODS.includes(method)) && {
+          path: 'spec.accessControl.authentication.methods',
+          id: 'disable-shared-key',
+          displayName: 'Storage accounts should not allow shared key authorization',
+          condition: { field: 'Microsoft.Storage/storageAccounts/allowSharedKeyAccess', notEquals: false }
+        },
+        spec.accessControl?.publicAccess === false && {
+          path: 'spec.accessControl.publicAccess',
+          id: 'disable-blob-public-access',
+          displayName: 'Storage accounts should not allow anonymous blob access',
+          condition: { field: 'Microsoft.Storage/storageAccounts/allowBlobPublicAccess', notEquals: false }
+        },
+        sources.length > 0 && {
+          path: 'spec.network.allowedSources',
+          id: 'allowed-sources',
+          displayName: 'Storage account firewalls should only allow the listed source addresses',
+          condition: {
+            anyOf: [
+              { field: 'Microsoft.Storage/storageAccounts/networkAcls.defaultAction', notEquals: 'Deny' },
+              unlistedRules('Microsoft.Storage/storageAccounts/networkAcls.ipRules', 'value', sources)
+            ]
+          }
+        },
+        spec.network?.privateEndpointsOnly === true && {
+          path: 'spec.network.privateEndpointsOnly',
+          id: 'disable-public-network',
+          displayName: 'Storage accounts should disable public network access',
+          condition: { field: 'Microsoft.Storage/storageAccounts/publicNetworkAccess', notEquals: 'Disabled' }
+        },
+        spec.backup?.enabled === true && {
+          path: 'spec.backup.enabled',
+          id: 'blob-soft-delete',
+          displayName: 'Blob services should keep deleted blobs recoverable',
+          type: 'Microsoft.Storage/storageAccounts/blobServices',
+          condition: {
+            anyOf: [
+              { field: 'Microsoft.Storage/storageAccounts/blobServices/deleteRetentionPolicy.enabled', notEquals: true },
+              ...(spec.backup.retentionDays
+                ? [{ field: 'Microsoft.Storage/storageAccounts/blobServices/deleteRetentionPolicy.days', less: Math.min(spec.backup.retentionDays, 365) }]
+                : [])
+            ]
+          }
+        }
+      ];
+    }
+  }
+];
+
+/**
+ * Translates a SecurityPolicy spec into Azure Policy definitions, one per
+ * requirement, and an initiative (policy set definition) grouping them by
+ * the policy's compliance framework. Each definition takes an `effect`
+ * parameter that defaults to Deny in production and Audit elsewhere.
+ */
+export class AzureExporter {
+  constructor() {
+    this.format = 'azure';
+    this.description = 'Azure Policy definitions and an initiative per compliance framework';
+  }
+
+  export(source) {
+    const { definitions, unsupported } = this.buildDefinitions(source);
+    const slug = this.toName(source.name);
+    const framework = this.getFramework(source);
+
+    const initiative = this.buildInitiative(
+      `${slug}-initiative`,
+      `${source.name} (${framework})`,
+      framework,
+      definitions,
+      { policyId: source.id, version: source.version, controls: this.getControls(source) }
+    );
+
+    return {
+      files: [
+        ...definitions.map(({ definition }) => this.toFile(`azure/${slug}/definitions/${definition.name}.json`, definition)),
+        this.toFile(`azure/${slug}/initiative.json`, initiative)
+      ],
+      unsupported
+    };
+  }
+
+  /**
+   * One initiative per compliance framework covering every policy in the
+   * selection; definitions are deployed from the per-policy exports.
+   */
+  bundle(sources) {
+    const byFramework = new Map();
+
+    for (const source of sources) {
+      const framework = this.getFramework(source);
+      if (!byFramework.has(framework)) {
+        byFramework.set(framework, { definitions: [], controls: new Set() });
+      }
+      const entry = byFramework.get(framework);
+      entry.definitions.push(...this.buildDefinitions(source).definitions);
+      this.getControls(source).forEach(control => entry.controls.add(control));
+    }
+
+    const files = Array.from(byFramework.entries()).map(([framework, { definitions, controls }]) => {
+      const name = `foundry-${this.toName(framework)}-initiative`;
+      const initiative = this.buildInitiative(
+        name,
+        `Policy foundry ${framework} initiative`,
+        framework,
+        definitions,
+        { controls: Array.from(controls) }
+      );
+      return this.toFile(`azure/bundle/${name}.json`, initiative);
+    });
+
+    return { files, unsupported: [] };
+  }
+
+  buildDefinitions(source) {
+    if (getCloudProvider(source.service) !== 'azure') {
+      throw new UnprocessableEntityError(`${source.service} is not an Azure service`);
+    }
+
+    const resourceType = RESOURCE_TYPES.find(candidate => candidate.pattern.test(source.service));
+    if (!resourceType) {
+      throw new UnprocessableEntityError(
+        `No Azure Policy mapping for ${source.service}; supported services: Functions, Key Vault, Storage`
+      );
+    }
+
+    const spec = source.spec;
+    const unsupported = [];
+    const sources = this.getAllowedSources(spec, unsupported);
+
+    const rules = resourceType.rules(spec, sources).filter(Boolean);
+    if (spec.logging?.enabled === true || spec.logging?.auditLogs === true) {
+      rules.push(diagnosticLogsRule(spec));
+    }
+
+    if (rules.length === 0) {
+      throw new UnprocessableEntityError('Policy spec has no requirements that can be expressed as Azure Policy', unsupported);
+    }
+
+    const covered = new Set(rules.map(rule => rule.path));
+    for (const [path, reason] of Object.entries(SPEC_REQUIREMENTS)) {
+      const isCovered = Array.from(covered).some(rulePath => rulePath === path || rulePath.startsWith(`${path}.`));
+      if (!isCovered && isRequested(path, getSpecValue(spec, path))) {
+        unsupported.push({ path, reason });
+      }
+    }
+
+    const slug = this.toName(source.name);
+    const defaultEffect = (effects) => {
+      const preferred = source.environment === 'production' ? 'Deny' : 'Audit';
+      return effects.includes(preferred) ? preferred : effects[0];
+    };
+
+    const definitions = rules.map(rule => {
+      const effects = rule.effects || AUDIT_DENY_EFFECTS;
+      const section = rule.path.split('.')[1];
+
+      return {
+        section,
+        definition: {
+          name: this.toDefinitionName(slug, rule.id),
+          properties: {
+            displayName: rule.displayName,
+            policyType: 'Custom',
+            mode: rule.mode || 'Indexed',
+            description: `Generated from ${source.name} v${source.version} (${rule.path}).`,
+            metadata: {
+              category: resourceType.category,
+              version: source.version,
+              foundryPolicyId: source.id,
+              specPath: rule.path
+            },
+            parameters: {
+              effect: {
+                type: 'String',
+                metadata: { displayName: 'Effect', description: 'Enable or disable the execution of the policy' },
+                allowedValues: effects,
+                defaultValue: defaultEffect(effects)
+              }
+            },
+            policyRule: {
+              if: {
+                allOf: [
+                  { field: 'type', equals: rule.type || resourceType.type },
+                  ...(resourceType.kind && !rule.type ? [{ field: 'kind', contains: resourceType.kind }] : []),
+                  ...(rule.condition ? [rule.condition] : [])
+                ]
+              },
+              then: {
+                effect: "[parameters('effect')]",
+                ...(rule.details && { details: rule.details })
+              }
+            }
+          }
+        }
+      };
+    });
+
+    return { definitions, unsupported };
+  }
+
+  /**
+   * Policy set definition referencing the given definitions. Every member
+   * gets its own effect parameter so audit and deny can be mixed per rule.
+   */
+  buildInitiative(name, displayName, framework, definitions, metadata) {
+    const groups = new Map();
+    const parameters = {};
+    const policyDefinitions = [];
+
+    for (const { section, definition } of definitions) {
+      const groupName = `${framework}-${section}`;
+      groups.set(groupName, {
+        name: groupName,
+        category: framework,
+        displayName: `${framework} ${SECTION_TITLES[section] || section}`
+      });
+
+      const effect = definition.properties.parameters.effect;
+      const parameterName = `effect-${definition.name}`;
+      parameters[parameterName] = {
+        type: 'String',
+        metadata: { displayName: `Effect for ${definition.properties.displayName}` },
+        allowedValues: effect.allowedValues,
+        defaultValue: effect.defaultValue
+      };
+
+      policyDefinitions.push({
+        policyDefinitionReferenceId: definition.name,
+        policyDefinitionId: `${DEFINITION_SCOPE}/providers/Microsoft.Authorization/policyDefinitions/${definition.name}`,
+        parameters: { effect: { value: `[parameters('${parameterName}')]` } },
+        groupNames: [groupName]
+      });
+    }
+
+    return {
+      name,
+      properties: {
+        displayName,
+        policyType: 'Custom',
+        description: `${framework} controls generated by the policy foundry.`,
+        metadata: { category: 'Regulatory Compliance', framework, ...metadata },
+        parameters,
+        policyDefinitionGroups: Array.from(groups.values()),
+        policyDefinitions
+      }
+    };
+  }
+
+  getAllowedSources(spec, unsupported) {
+    const sources = spec.network?.allowedSources || [];
+    sources.forEach((source, index) => {
+      if (!isCidr(source)) {
+        unsupported.push({
+          path: `spec.network.allowedSources[${index}]`,
+          reason: `'${source}' is not a CIDR; Azure firewall rules only take address ranges`
+        });
+      }
+    });
+    return sources.filter(isCidr);
+  }
+
+  getFramework(source) {
+    return source.complianceFramework
+      || source.document.metadata?.compliance
+      || source.spec.compliance?.framework
+      || 'Custom';
+  }
+
+  getControls(source) {
+    const controls = source.spec.compliance?.controls;
+    return isNonEmptyArray(controls) ? controls.map(control => control.id) : [];
+  }
+
+  // Azure resource names: lowercase words joined by hyphens
+  toName(value) {
+    return toIdentifier(value).replace(/_/g, '-');
+  }
+
+  toDefinitionName(slug, ruleId) {
+    const prefix = slug.slice(0, MAX_DEFINITION_NAME_LENGTH - ruleId.length - 1).replace(/-+$/, '');
+    return `${prefix}-${ruleId}`;
+  }
+
+  toFile(path, document) {
+    return {
+      path,
+      contentType: 'application/json',
+      content: `${JSON.stringify(document, null, 2)}\n`
+    };
+  }
+}
+
+// Singleton instance
+const azureExporter = new AzureExporter();
+
+export { azureExporter };
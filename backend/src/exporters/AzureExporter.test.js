@@ -0,0 +1,141 @@
+import { azureExporter } from './AzureExporter.js';
+
+const source = (spec, overrides = {}) => ({
+  id: '7f1c2a4e-aaaa-4c8b-9d1e-000000000001',
+  name: 'azure-storage-security-policy',
+  service: 'Azure Blob Storage',
+  environment: 'production',
+  complianceFramework: 'CIS',
+  version: '1.1.0',
+  document: { metadata: {} },
+  spec,
+  ...overrides
+});
+
+const parse = (exported) => Object.fromEntries(exported.files.map(file => [file.path, JSON.parse(file.content)]));
+
+describe('AzureExporter.export', () => {
+  it('writes one definition per requirement and an initiative referencing them', () => {
+    const files = parse(azureExporter.export(source({
+      encryption: { atRest: true, inTransit: true, tlsMinVersion: '1.2' },
+      accessControl: { publicAccess: false },
+      logging: { auditLogs: true }
+    })));
+
+    expect(Object.keys(files)).toEqual([
+      'azure/azure-storage-security-policy/definitions/azure-storage-security-policy-secure-transfer.json',
+      'azure/azure-storage-security-policy/definitions/azure-storage-security-policy-minimum-tls.json',
+      'azure/azure-storage-security-policy/definitions/azure-storage-security-policy-disable-blob-public-access.json',
+      'azure/azure-storage-security-policy/definitions/azure-storage-security-policy-diagnostic-logs.json',
+      'azure/azure-storage-security-policy/initiative.json'
+    ]);
+
+    const tls = files['azure/azure-storage-security-policy/definitions/azure-storage-security-policy-minimum-tls.json'];
+    expect(tls.properties).toMatchObject({
+      displayName: 'Storage accounts should require TLS 1.2 or later',
+      policyType: 'Custom',
+      mode: 'Indexed',
+      metadata: { category: 'Storage', foundryPolicyId: source({}).id, specPath: 'spec.encryption.tlsMinVersion' },
+      parameters: { effect: { allowedValues: ['Audit', 'Deny', 'Disabled'], defaultValue: 'Deny' } },
+      policyRule: {
+        if: {
+          allOf: [
+            { field: 'type', equals: 'Microsoft.Storage/storageAccounts' },
+            { field: 'Microsoft.Storage/storageAccounts/minimumTlsVersion', notIn: ['TLS1_2', 'TLS1_3'] }
+          ]
+        },
+        then: { effect: "[parameters('effect')]" }
+      }
+    });
+
+    const logs = files['azure/azure-storage-security-policy/definitions/azure-storage-security-policy-diagnostic-logs.json'];
+    expect(logs.properties.parameters.effect.defaultValue).toBe('AuditIfNotExists');
+    expect(logs.properties.policyRule.then.details.type).toBe('Microsoft.Insights/diagnosticSettings');
+
+    const initiative = files['azure/azure-storage-security-policy/initiative.json'];
+    expect(initiative.name).toBe('azure-storage-security-policy-initiative');
+    expect(initiative.properties.displayName).toBe('azure-storage-security-policy (CIS)');
+    expect(initiative.properties.policyDefinitionGroups.map(group => group.name)).toEqual(['CIS-encryption', 'CIS-accessControl', 'CIS-logging']);
+    expect(initiative.properties.policyDefinitions[1]).toEqual({
+      policyDefinitionReferenceId: 'azure-storage-security-policy-minimum-tls',
+      policyDefinitionId: '/providers/Microsoft.Management/managementGroups/{managementGroupId}/providers/Microsoft.Authorization/policyDefinitions/azure-storage-security-policy-minimum-tls',
+      parameters: { effect: { value: "[parameters('effect-azure-storage-security-policy-minimum-tls')]" } },
+      groupNames: ['CIS-encryption']
+    });
+    expect(initiative.properties.parameters['effect-azure-storage-security-policy-minimum-tls'])
+      .toMatchObject({ allowedValues: ['Audit', 'Deny', 'Disabled'], defaultValue: 'Deny' });
+  });
+
+  it('audits outside production and reports requirements no alias covers', () => {
+    const exported = azureExporter.export(source({
+      encryption: { atRest: true, inTransit: true, algorithm: 'AES-256' },
+      network: { allowedSources: ['10.0.0.0/8', 'corp-vpn'] }
+    }, { environment: 'staging' }));
+    const files = parse(exported);
+
+    const transfer = files['azure/azure-storage-security-policy/definitions/azure-storage-security-policy-secure-transfer.json'];
+    expect(transfer.properties.parameters.effect.defaultValue).toBe('Audit');
+
+    const sources = files['azure/azure-storage-security-policy/definitions/azure-storage-security-policy-allowed-sources.json'];
+    expect(sources.properties.policyRule.if.allOf[1].anyOf[1]).toEqual({
+      count: {
+        field: 'Microsoft.Storage/storageAccounts/networkAcls.ipRules[*]',
+        where: { field: 'Microsoft.Storage/storageAccounts/networkAcls.ipRules[*].value', notIn: ['10.0.0.0/8'] }
+      },
+      greater: 0
+    });
+
+    expect(exported.unsupported.map(entry => entry.path)).toEqual([
+      'spec.network.allowedSources[1]',
+      'spec.encryption.atRest',
+      'spec.encryption.algorithm'
+    ]);
+  });
+
+  it('matches function apps on their kind', () => {
+    const files = parse(azureExporter.export(source({ encryption: { inTransit: true } }, { name: 'orders-functions', service: 'Azure Functions' })));
+
+    const https = files['azure/orders-functions/definitions/orders-functions-https-only.json'];
+    expect(https.properties.policyRule.if.allOf.slice(0, 2)).toEqual([
+      { field: 'type', equals: 'Microsoft.Web/sites' },
+      { field: 'kind', contains: 'functionapp' }
+    ]);
+  });
+
+  it('keeps definition names within 64 characters', () => {
+    const name = 'a-very-long-policy-name-for-the-storage-accounts-of-the-trading-unit';
+    const exported = azureExporter.export(source({ accessControl: { publicAccess: false } }, { name }));
+    const [definition] = Object.values(parse(exported));
+
+    expect(definition.name).toHaveLength(64);
+    expect(definition.name.endsWith('-disable-blob-public-access')).toBe(true);
+  });
+
+  it('rejects unmapped services and specs with nothing to express', () => {
+    expect(() => azureExporter.export(source({ encryption: { inTransit: true } }, { service: 'Azure Cosmos DB' })))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError' }));
+    expect(() => azureExporter.export(source({ encryption: { inTransit: true } }, { service: 'AWS S3' })))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError', message: 'AWS S3 is not an Azure service' }));
+    expect(() => azureExporter.export(source({ monitoring: { enabled: true } })))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError' }));
+  });
+});
+
+describe('AzureExporter.bundle', () => {
+  it('writes one initiative per compliance framework', () => {
+    const bundle = azureExporter.bundle([
+      source({ encryption: { inTransit: true } }),
+      source({ accessControl: { publicAccess: false } }, { name: 'vault-policy', service: 'Azure Key Vault', complianceFramework: 'NIST' }),
+      source({ accessControl: { publicAccess: false } }, { name: 'blob-policy' })
+    ]);
+    const files = parse(bundle);
+
+    expect(Object.keys(files)).toEqual([
+      'azure/bundle/foundry-cis-initiative.json',
+      'azure/bundle/foundry-nist-initiative.json'
+    ]);
+    expect(files['azure/bundle/foundry-cis-initiative.json'].properties.policyDefinitions.map(entry => entry.policyDefinitionReferenceId))
+      .toEqual(['azure-storage-security-policy-secure-transfer', 'blob-policy-disable-blob-public-access']);
+    expect(files['azure/bundle/foundry-nist-initiative.json'].properties.metadata.framework).toBe('NIST');
+  });
+});
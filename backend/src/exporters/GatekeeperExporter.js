@@ -0,0 +1,241 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import {
+  selectKubernetesRules,
+  isEnforced,
+  toResourceName,
+  foundryLabels,
+  toMultiDocumentYaml,
+  groupByBusinessUnit
+} from './kubernetesRules.js';
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Gatekeeper ConstraintTemplates by shared rule id. Templates are generic;
+ * the policy's values reach them as constraint parameters.
+ */
+const TEMPLATES = {
+  'require-ingress-tls': {
+    kind: 'FoundryRequireIngressTls',
+    rego: `
+violation[{"msg": msg}] {
+  count(object.get(input.review.object.spec, "tls", [])) == 0
+  msg := sprintf("Ingress %v must terminate TLS", [input.review.object.metadata.name])
+}`
+  },
+  'require-encrypted-storage': {
+    kind: 'FoundryRequireEncryptedStorage',
+    rego: `
+violation[{"msg": msg}] {
+  object.get(object.get(input.review.object, "parameters", {}), "encrypted", "false") != "true"
+  msg := sprintf("StorageClass %v must set parameters.encrypted to \\"true\\"", [input.review.object.metadata.name])
+}`
+  },
+  'restrict-service-types': {
+    kind: 'FoundryRestrictServiceTypes',
+    schema: { disallowedTypes: stringArray },
+    rego: `
+violation[{"msg": msg}] {
+  type := object.get(input.review.object.spec, "type", "ClusterIP")
+  type == input.parameters.disallowedTypes[_]
+  msg := sprintf("Service %v must not be of type %v", [input.review.object.metadata.name, type])
+}`
+  },
+  'restrict-load-balancer-sources': {
+    kind: 'FoundryRestrictLoadBalancerSources',
+    schema: { allowedCidrs: stringArray },
+    rego: `
+violation[{"msg": msg}] {
+  input.review.object.spec.type == "LoadBalancer"
+  count(object.get(input.review.object.spec, "loadBalancerSourceRanges", [])) == 0
+  msg := sprintf("LoadBalancer Service %v must set loadBalancerSourceRanges", [input.review.object.metadata.name])
+}
+
+violation[{"msg": msg}] {
+  input.review.object.spec.type == "LoadBalancer"
+  range := input.review.object.spec.loadBalancerSourceRanges[_]
+  not allowed(range)
+  msg := sprintf("Service %v allows source range %v outside the allowed sources", [input.review.object.metadata.name, range])
+}
+
+allowed(range) {
+  net.cidr_contains(input.parameters.allowedCidrs[_], range)
+}`
+  },
+  'block-ports': {
+    kind: 'FoundryBlockPorts',
+    schema: { ports: { type: 'array', items: { type: 'integer' } } },
+    rego: `
+violation[{"msg": msg}] {
+  input.review.kind.kind == "Pod"
+  container := input.review.object.spec.containers[_]
+  port := container.ports[_].containerPort
+  port == input.parameters.ports[_]
+  msg := sprintf("Container %v exposes blocked port %v", [container.name, port])
+}
+
+violation[{"msg": msg}] {
+  input.review.kind.kind == "Service"
+  port := input.review.object.spec.ports[_].port
+  port == input.parameters.ports[_]
+  msg := sprintf("Service %v exposes blocked port %v", [input.review.object.metadata.name, port])
+}`
+  },
+  'disallow-privileged-containers': {
+    kind: 'FoundryDisallowPrivilegedContainers',
+    rego: `
+containers[container] {
+  container := input.review.object.spec.containers[_]
+}
+
+containers[container] {
+  container := input.review.object.spec.initContainers[_]
+}
+
+violation[{"msg": msg}] {
+  container := containers[_]
+  container.securityContext.privileged
+  msg := sprintf("Container %v must not run privileged", [container.name])
+}
+
+violation[{"msg": msg}] {
+  container := containers[_]
+  not container.securityContext.allowPrivilegeEscalation == false
+  msg := sprintf("Container %v must set allowPrivilegeEscalation to false", [container.name])
+}`
+  },
+  'restrict-rbac-wildcards': {
+    kind: 'FoundryRestrictRbacWildcards',
+    rego: `
+violation[{"msg": msg}] {
+  field := ["verbs", "resources"][_]
+  input.review.object.rules[_][field][_] == "*"
+  msg := sprintf("%v %v must not grant wildcard %v", [input.review.object.kind, input.review.object.metadata.name, field])
+}`
+  }
+};
+
+const toTemplate = (id) => {
+  const { kind, schema, rego } = TEMPLATES[id];
+  const name = kind.toLowerCase();
+
+  return {
+    apiVersion: 'templates.gatekeeper.sh/v1',
+    kind: 'ConstraintTemplate',
+    metadata: {
+      name,
+      labels: { 'app.kubernetes.io/managed-by': 'policy-foundry' }
+    },
+    spec: {
+      crd: {
+        spec: {
+          names: { kind },
+          ...(schema && {
+            validation: { openAPIV3Schema: { type: 'object', properties: schema } }
+          })
+        }
+      },
+      targets: [{
+        target: 'admission.k8s.gatekeeper.sh',
+        rego: `package ${name}\n${rego}\n`
+      }]
+    }
+  };
+};
+
+/**
+ * Translates a SecurityPolicy spec into Gatekeeper ConstraintTemplate and
+ * Constraint pairs. Constraints deny in production and run as dryrun in
+ * every other environment. Templates must be applied, and their CRDs
+ * established, before the constraints.
+ */
+export class GatekeeperExporter {
+  constructor() {
+    this.format = 'gatekeeper';
+    this.description = 'OPA Gatekeeper ConstraintTemplates and Constraints, bundled per business unit';
+  }
+
+  export(source) {
+    const { templates, constraints, unsupported } = this.buildResources(source);
+    const directory = `gatekeeper/${toResourceName(source.name)}`;
+
+    return {
+      files: [
+        {
+          path: `${directory}/templates.yaml`,
+          contentType: 'application/yaml',
+          content: toMultiDocumentYaml(templates)
+        },
+        {
+          path: `${directory}/constraints.yaml`,
+          contentType: 'application/yaml',
+          content: toMultiDocumentYaml(constraints)
+        }
+      ],
+      unsupported
+    };
+  }
+
+  /**
+   * One multi-document YAML file per business unit: the templates the unit
+   * needs, once each, followed by every constraint
+   */
+  bundle(sources) {
+    const files = [];
+
+    for (const [unit, unitSources] of groupByBusinessUnit(sources)) {
+      const templates = new Map();
+      const constraints = [];
+
+      for (const source of unitSources) {
+        const resources = this.buildResources(source);
+        resources.templates.forEach(template => templates.set(template.metadata.name, template));
+        constraints.push(...resources.constraints);
+      }
+
+      files.push({
+        path: `gatekeeper/bundles/${toResourceName(unit)}.yaml`,
+        contentType: 'application/yaml',
+        businessUnit: unit,
+        content: toMultiDocumentYaml([...templates.values(), ...constraints])
+      });
+    }
+
+    return { files, unsupported: [] };
+  }
+
+  buildResources(source) {
+    const { rules, unsupported } = selectKubernetesRules(source.spec);
+
+    if (rules.length === 0) {
+      throw new UnprocessableEntityError('Policy spec has no requirements that can be enforced at admission', unsupported);
+    }
+
+    const prefix = toResourceName(source.name);
+    const templates = rules.map(rule => toTemplate(rule.id));
+    const constraints = rules.map(rule => ({
+      apiVersion: 'constraints.gatekeeper.sh/v1beta1',
+      kind: TEMPLATES[rule.id].kind,
+      metadata: {
+        name: toResourceName(`${prefix.slice(0, 62 - rule.id.length)}-${rule.id}`),
+        labels: foundryLabels(source),
+        annotations: {
+          'policy-foundry/spec-path': rule.path,
+          description: rule.description
+        }
+      },
+      spec: {
+        enforcementAction: isEnforced(source.environment) ? 'deny' : 'dryrun',
+        match: { kinds: rule.kinds },
+        ...(Object.keys(rule.parameters).length > 0 && { parameters: rule.parameters })
+      }
+    }));
+
+    return { templates, constraints, unsupported };
+  }
+}
+
+// Singleton instance
+const gatekeeperExporter = new GatekeeperExporter();
+
+export { gatekeeperExporter };
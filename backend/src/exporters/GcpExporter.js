@@ -0,0 +1,295 @@
+import yaml from 'js-yaml';
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { toIdentifier, isCidr, getCloudProvider, getSpecValue, isRequested } from './exportUtils.js';
+
+// Policies are set on the organization; replace with the target node
+const POLICY_PARENT = 'organizations/{organizationId}';
+const MAX_CUSTOM_CONSTRAINT_LENGTH = 70;
+
+const TLS_VERSIONS = ['1.0', '1.1', '1.2', '1.3'];
+const toTlsValue = (version) => `TLS_VERSION_${version.replace('1.0', '1').replace('.', '_')}`;
+
+// Spec items checked for coverage, with the reason when no constraint covers them
+const SPEC_REQUIREMENTS = {
+  'spec.encryption.atRest': 'Google Cloud encrypts all data at rest by default; there is nothing to enforce',
+  'spec.encryption.inTransit': 'This service only serves TLS endpoints; there is nothing to enforce',
+  'spec.encryption.algorithm': 'Google Cloud encrypts with AES-256; the algorithm is not configurable',
+  'spec.accessControl.authentication.methods': 'Authentication methods are configured in Cloud Identity, not Organization Policy',
+  'spec.accessControl.authentication.mfaRequired': '2-step verification is enforced in the Google Admin console, not Organization Policy',
+  'spec.accessControl.authentication.sessionTimeoutMinutes': 'Session length is set in the Google Admin console, not Organization Policy',
+  'spec.accessControl.authorization.model': 'The authorization model describes IAM setup, not a resource constraint',
+  'spec.accessControl.authorization.leastPrivilege': 'Role bindings are managed with IAM and IAM Recommender, not Organization Policy',
+  'spec.accessControl.authorization.roles': 'Role bindings are managed with IAM, not Organization Policy',
+  'spec.accessControl.publicAccess': 'This service has no constraint for public access',
+  'spec.network.allowedSources': 'Source address restrictions need Cloud Armor or VPC Service Controls for this service',
+  'spec.network.blockedPorts': 'Port rules belong to VPC firewall policies, not Organization Policy',
+  'spec.network.privateEndpointsOnly': 'Private-only access for this service needs VPC Service Controls',
+  'spec.monitoring': 'Alerting and metrics are configured with Cloud Monitoring, not Organization Policy',
+  'spec.logging.enabled': 'This service has no constraint for logging configuration',
+  'spec.logging.auditLogs': 'Data Access audit logs are enabled in the IAM audit configuration, not Organization Policy',
+  'spec.logging.retentionDays': 'Log retention is set on the Cloud Logging bucket',
+  'spec.logging.destinations': 'Log destinations are configured with log sinks, not Organization Policy',
+  'spec.backup': 'This service has no constraint for backup settings',
+  'spec.incidentResponse': 'Incident response procedures cannot be expressed as Organization Policy'
+};
+
+const celList = (values) => `[${values.map(value => `'${value}'`).join(', ')}]`;
+
+/**
+ * Constraints that apply whatever the service: TLS versions and CMEK are
+ * restricted per API, key rotation on the Cloud KMS keys the service uses.
+ */
+const commonConstraints = (spec, resourceType) => [
+  spec.encryption?.tlsMinVersion && TLS_VERSIONS.indexOf(spec.encryption.tlsMinVersion) > 0 && {
+    path: 'spec.encryption.tlsMinVersion',
+    constraint: 'gcp.restrictTLSVersion',
+    values: {
+      deniedValues: TLS_VERSIONS
+        .filter(version => version < spec.encryption.tlsMinVersion)
+        .map(toTlsValue)
+    }
+  },
+  ['customer-managed', 'customer-supplied'].includes(spec.encryption?.keyManagement) && {
+    path: 'spec.encryption.keyManagement',
+    constraint: 'gcp.restrictNonCmekServices',
+    values: { deniedValues: [resourceType.api] }
+  },
+  spec.encryption?.keyRotationDays && {
+    path: 'spec.encryption.keyRotationDays',
+    id: 'key-rotation',
+    resourceType: 'cloudkms.googleapis.com/CryptoKey',
+    displayName: `Keys must rotate at least every ${spec.encryption.keyRotationDays} days`,
+    condition: `!has(resource.rotationPeriod) || duration(resource.rotationPeriod) > duration('${spec.encryption.keyRotationDays * 86400}s')`
+  }
+];
+
+/**
+ * GCP resource types the exporter knows, matched on the policy's service
+ * name. Entries with `constraint` set a built-in boolean or list constraint;
+ * `covers` lists further spec paths an entry satisfies.
+ * entries with `condition` become custom constraints whose CEL condition
+ * matches NON-compliant resources (actionType DENY).
+ */
+const RESOURCE_TYPES = [
+  {
+    pattern: /cloud storage|gcs|bucket/i,
+    api: 'storage.googleapis.com',
+    type: 'storage.googleapis.com/Bucket',
+    constraints: (spec) => [
+      spec.accessControl?.publicAccess === false && {
+        path: 'spec.accessControl.publicAccess',
+        constraint: 'storage.publicAccessPrevention'
+      },
+      spec.accessControl?.publicAccess === false && {
+        path: 'spec.accessControl.publicAccess',
+        constraint: 'storage.uniformBucketLevelAccess'
+      },
+      spec.logging?.enabled === true && {
+        path: 'spec.logging.enabled',
+        id: 'bucket-usage-logs',
+        displayName: 'Buckets must write usage logs',
+        condition: "!has(resource.logging) || resource.logging.logBucket == ''"
+      },
+      spec.backup?.enabled === true && {
+        path: 'spec.backup.enabled',
+        id: 'bucket-versioning',
+        displayName: 'Buckets must keep object versions',
+        condition: '!has(resource.versioning) || resource.versioning.enabled == false'
+      },
+      spec.backup?.retentionDays && {
+        path: 'spec.backup.retentionDays',
+        id: 'bucket-soft-delete',
+        displayName: `Buckets must keep deleted objects for ${spec.backup.retentionDays} days`,
+        condition: `!has(resource.softDeletePolicy) || resource.softDeletePolicy.retentionDurationSeconds < ${spec.backup.retentionDays * 86400}`
+      }
+    ]
+  },
+  {
+    pattern: /cloud run/i,
+    api: 'run.googleapis.com',
+    type: 'run.googleapis.com/Service',
+    constraints: (spec) => [
+      (spec.network?.privateEndpointsOnly === true || spec.accessControl?.publicAccess === false) && {
+        path: spec.network?.privateEndpointsOnly === true ? 'spec.network.privateEndpointsOnly' : 'spec.accessControl.publicAccess',
+        covers: ['spec.accessControl.publicAccess'],
+        constraint: 'run.allowedIngress',
+        values: {
+          allowedValues: spec.network?.privateEndpointsOnly === true
+            ? ['internal']
+            : ['internal', 'internal-and-cloud-load-balancing']
+        }
+      }
+    ]
+  },
+  {
+    pattern: /cloud sql/i,
+    api: 'sqladmin.googleapis.com',
+    type: 'sqladmin.googleapis.com/Instance',
+    constraints: (spec, sources) => [
+      (spec.network?.privateEndpointsOnly === true || spec.accessControl?.publicAccess === false) && {
+        path: spec.network?.privateEndpointsOnly === true ? 'spec.network.privateEndpointsOnly' : 'spec.accessControl.publicAccess',
+        covers: ['spec.accessControl.publicAccess'],
+        constraint: 'sql.restrictPublicIp'
+      },
+      spec.encryption?.inTransit === true && {
+        path: 'spec.encryption.inTransit',
+        id: 'sql-require-ssl',
+        displayName: 'Cloud SQL instances must only accept encrypted connections',
+        condition: "!(resource.settings.ipConfiguration.sslMode in ['ENCRYPTED_ONLY', 'TRUSTED_CLIENT_CERTIFICATE_REQUIRED'])"
+      },
+      sources.length > 0 && {
+        path: 'spec.network.allowedSources',
+        id: 'sql-authorized-networks',
+        displayName: 'Cloud SQL authorized networks must be on the allowed list',
+        condition: `resource.settings.ipConfiguration.authorizedNetworks.exists(network, !(network.value in ${celList(sources)}))`
+      },
+      spec.backup?.enabled === true && {
+        path: 'spec.backup.enabled',
+        id: 'sql-automated-backups',
+        displayName: 'Cloud SQL instances must have automated backups enabled',
+        condition: 'resource.settings.backupConfiguration.enabled == false'
+      }
+    ]
+  }
+];
+
+/**
+ * Translates a SecurityPolicy spec into GCP Organization Policy: built-in
+ * boolean and list constraints where one exists, custom constraints with CEL
+ * conditions where none does, and a report of requirements that cannot be
+ * expressed. Outside production, custom constraints are set as dry-run
+ * policies so violations are logged instead of denied.
+ */
+export class GcpExporter {
+  constructor() {
+    this.format = 'gcp';
+    this.description = 'GCP Organization Policy constraints and custom constraints (CEL)';
+  }
+
+  export(source) {
+    if (getCloudProvider(source.service) !== 'gcp') {
+      throw new UnprocessableEntityError(`${source.service} is not a GCP service`);
+    }
+
+    const resourceType = RESOURCE_TYPES.find(candidate => candidate.pattern.test(source.service));
+    if (!resourceType) {
+      throw new UnprocessableEntityError(
+        `No Organization Policy mapping for ${source.service}; supported services: Cloud Storage, Cloud Run, Cloud SQL`
+      );
+    }
+
+    const spec = source.spec;
+    const unsupported = [];
+    const warnings = [];
+    const sources = this.getAllowedSources(spec, unsupported);
+
+    const constraints = [
+      ...commonConstraints(spec, resourceType),
+      ...resourceType.constraints(spec, sources)
+    ].filter(Boolean);
+
+    if (constraints.length === 0) {
+      throw new UnprocessableEntityError('Policy spec has no requirements that can be expressed as Organization Policy', unsupported);
+    }
+
+    const covered = constraints.flatMap(constraint => [constraint.path, ...(constraint.covers || [])]);
+    for (const [path, reason] of Object.entries(SPEC_REQUIREMENTS)) {
+      const isCovered = covered.some(constraintPath => constraintPath === path || constraintPath.startsWith(`${path}.`));
+      if (!isCovered && isRequested(path, getSpecValue(spec, path))) {
+        unsupported.push({ path, reason });
+      }
+    }
+
+    const slug = toIdentifier(source.name).replace(/_/g, '-');
+    const enforce = source.environment === 'production';
+    const files = [];
+    const builtIn = new Set();
+
+    for (const entry of constraints) {
+      if (entry.condition) {
+        const name = this.toCustomConstraintName(source.name, entry.id);
+        files.push(this.toFile(`gcp/${slug}/constraints/${name}.yaml`, {
+          name: `${POLICY_PARENT}/customConstraints/${name}`,
+          resourceTypes: [entry.resourceType || resourceType.type],
+          methodTypes: ['CREATE', 'UPDATE'],
+          condition: entry.condition,
+          actionType: 'DENY',
+          displayName: entry.displayName,
+          description: `Generated from ${source.name} v${source.version} (${entry.path}).`
+        }));
+        files.push(this.toFile(`gcp/${slug}/policies/${name}.yaml`, {
+          name: `${POLICY_PARENT}/policies/${name}`,
+          [enforce ? 'spec' : 'dryRunSpec']: { rules: [{ enforce: true }] }
+        }));
+      } else if (!builtIn.has(entry.constraint)) {
+        builtIn.add(entry.constraint);
+        files.push(this.toFile(`gcp/${slug}/policies/${entry.constraint}.yaml`, {
+          name: `${POLICY_PARENT}/policies/${entry.constraint}`,
+          spec: { rules: [entry.values ? { values: entry.values } : { enforce: true }] }
+        }));
+      }
+    }
+
+    if (!enforce && builtIn.size > 0) {
+      warnings.push(`Built-in constraints have no dry-run mode; ${Array.from(builtIn).join(', ')} will be enforced in ${source.environment || 'this environment'}`);
+    }
+
+    if (unsupported.length > 0) {
+      files.push({
+        path: `gcp/${slug}/unsupported.md`,
+        contentType: 'text/markdown',
+        content: this.renderReport(source, unsupported)
+      });
+    }
+
+    return { files, unsupported, warnings };
+  }
+
+  getAllowedSources(spec, unsupported) {
+    const sources = spec.network?.allowedSources || [];
+    sources.forEach((source, index) => {
+      if (!isCidr(source)) {
+        unsupported.push({
+          path: `spec.network.allowedSources[${index}]`,
+          reason: `'${source}' is not a CIDR; authorized networks only take address ranges`
+        });
+      }
+    });
+    return sources.filter(isCidr);
+  }
+
+  // custom.<camelCase>, letters and digits only
+  toCustomConstraintName(policyName, id) {
+    const words = `${policyName} ${id}`.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+    const camel = words
+      .map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+      .join('');
+    return `custom.${camel.slice(0, MAX_CUSTOM_CONSTRAINT_LENGTH)}`;
+  }
+
+  renderReport(source, unsupported) {
+    return [
+      `# Unsupported requirements: ${source.name} v${source.version}`,
+      '',
+      `These requirements of the policy have no Organization Policy equivalent for ${source.service} and need another control.`,
+      '',
+      '| Requirement | Reason |',
+      '|-------------|--------|',
+      ...unsupported.map(item => `| \`${item.path}\` | ${item.reason} |`),
+      ''
+    ].join('\n');
+  }
+
+  toFile(path, document) {
+    return {
+      path,
+      contentType: 'application/yaml',
+      content: yaml.dump(document, { lineWidth: -1, noRefs: true })
+    };
+  }
+}
+
+// Singleton instance
+const gcpExporter = new GcpExporter();
+
+export { gcpExporter };
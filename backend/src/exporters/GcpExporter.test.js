@@ -0,0 +1,127 @@
+import yaml from 'js-yaml';
+import { gcpExporter } from './GcpExporter.js';
+
+const source = (spec, overrides = {}) => ({
+  id: '7f1c2a4e-bbbb-4c8b-9d1e-000000000001',
+  name: 'gcp-sql-policy',
+  service: 'GCP Cloud SQL',
+  environment: 'production',
+  version: '2.0.0',
+  spec,
+  ...overrides
+});
+
+const parse = (exported) => Object.fromEntries(exported.files
+  .filter(file => file.path.endsWith('.yaml'))
+  .map(file => [file.path, yaml.load(file.content)]));
+
+describe('GcpExporter.export', () => {
+  it('sets built-in constraints and CEL custom constraints', () => {
+    const exported = gcpExporter.export(source({
+      encryption: { inTransit: true, tlsMinVersion: '1.2', keyManagement: 'customer-managed' },
+      accessControl: { publicAccess: false },
+      network: { allowedSources: ['10.0.0.0/8', '192.168.0.0/16'] }
+    }));
+    const files = parse(exported);
+
+    expect(Object.keys(files)).toEqual([
+      'gcp/gcp-sql-policy/policies/gcp.restrictTLSVersion.yaml',
+      'gcp/gcp-sql-policy/policies/gcp.restrictNonCmekServices.yaml',
+      'gcp/gcp-sql-policy/policies/sql.restrictPublicIp.yaml',
+      'gcp/gcp-sql-policy/constraints/custom.gcpSqlPolicySqlRequireSsl.yaml',
+      'gcp/gcp-sql-policy/policies/custom.gcpSqlPolicySqlRequireSsl.yaml',
+      'gcp/gcp-sql-policy/constraints/custom.gcpSqlPolicySqlAuthorizedNetworks.yaml',
+      'gcp/gcp-sql-policy/policies/custom.gcpSqlPolicySqlAuthorizedNetworks.yaml'
+    ]);
+    expect(files['gcp/gcp-sql-policy/policies/gcp.restrictTLSVersion.yaml']).toEqual({
+      name: 'organizations/{organizationId}/policies/gcp.restrictTLSVersion',
+      spec: { rules: [{ values: { deniedValues: ['TLS_VERSION_1', 'TLS_VERSION_1_1'] } }] }
+    });
+    expect(files['gcp/gcp-sql-policy/policies/gcp.restrictNonCmekServices.yaml'].spec.rules[0].values)
+      .toEqual({ deniedValues: ['sqladmin.googleapis.com'] });
+    expect(files['gcp/gcp-sql-policy/policies/sql.restrictPublicIp.yaml'].spec).toEqual({ rules: [{ enforce: true }] });
+
+    expect(files['gcp/gcp-sql-policy/constraints/custom.gcpSqlPolicySqlAuthorizedNetworks.yaml']).toEqual({
+      name: 'organizations/{organizationId}/customConstraints/custom.gcpSqlPolicySqlAuthorizedNetworks',
+      resourceTypes: ['sqladmin.googleapis.com/Instance'],
+      methodTypes: ['CREATE', 'UPDATE'],
+      condition: "resource.settings.ipConfiguration.authorizedNetworks.exists(network, !(network.value in ['10.0.0.0/8', '192.168.0.0/16']))",
+      actionType: 'DENY',
+      displayName: 'Cloud SQL authorized networks must be on the allowed list',
+      description: 'Generated from gcp-sql-policy v2.0.0 (spec.network.allowedSources).'
+    });
+    expect(files['gcp/gcp-sql-policy/policies/custom.gcpSqlPolicySqlAuthorizedNetworks.yaml'].spec).toEqual({ rules: [{ enforce: true }] });
+    expect(exported.unsupported).toEqual([]);
+    expect(exported.warnings).toEqual([]);
+  });
+
+  it('sets custom constraints as dry runs outside production and warns about built-in ones', () => {
+    const exported = gcpExporter.export(source({
+      accessControl: { publicAccess: false },
+      backup: { enabled: true, retentionDays: 7 }
+    }, { name: 'gcs-bucket-policy', service: 'GCP Cloud Storage', environment: 'staging' }));
+    const files = parse(exported);
+
+    expect(files['gcp/gcs-bucket-policy/policies/custom.gcsBucketPolicyBucketVersioning.yaml']).toEqual({
+      name: 'organizations/{organizationId}/policies/custom.gcsBucketPolicyBucketVersioning',
+      dryRunSpec: { rules: [{ enforce: true }] }
+    });
+    expect(files['gcp/gcs-bucket-policy/constraints/custom.gcsBucketPolicyBucketSoftDelete.yaml'].condition)
+      .toBe('!has(resource.softDeletePolicy) || resource.softDeletePolicy.retentionDurationSeconds < 604800');
+    expect(exported.warnings).toEqual([
+      'Built-in constraints have no dry-run mode; storage.publicAccessPrevention, storage.uniformBucketLevelAccess will be enforced in staging'
+    ]);
+  });
+
+  it('writes key rotation as a constraint on Cloud KMS keys', () => {
+    const files = parse(gcpExporter.export(source({ encryption: { keyRotationDays: 90 } }, { name: 'run-policy', service: 'GCP Cloud Run' })));
+
+    expect(files['gcp/run-policy/constraints/custom.runPolicyKeyRotation.yaml']).toMatchObject({
+      resourceTypes: ['cloudkms.googleapis.com/CryptoKey'],
+      condition: "!has(resource.rotationPeriod) || duration(resource.rotationPeriod) > duration('7776000s')"
+    });
+  });
+
+  it('lets Cloud Run ingress cover public access', () => {
+    const exported = gcpExporter.export(source({
+      accessControl: { publicAccess: false },
+      network: { privateEndpointsOnly: true }
+    }, { name: 'run-policy', service: 'GCP Cloud Run' }));
+
+    expect(parse(exported)['gcp/run-policy/policies/run.allowedIngress.yaml'].spec.rules[0].values)
+      .toEqual({ allowedValues: ['internal'] });
+    expect(exported.unsupported).toEqual([]);
+  });
+
+  it('reports unsupported requirements in a markdown file', () => {
+    const exported = gcpExporter.export(source({
+      encryption: { inTransit: true },
+      network: { allowedSources: ['corp-vpn'], blockedPorts: [22] },
+      monitoring: { enabled: true }
+    }));
+
+    expect(exported.unsupported.map(entry => entry.path)).toEqual([
+      'spec.network.allowedSources[0]',
+      'spec.network.allowedSources',
+      'spec.network.blockedPorts',
+      'spec.monitoring'
+    ]);
+    const report = exported.files.find(file => file.path === 'gcp/gcp-sql-policy/unsupported.md');
+    expect(report.content).toContain('| `spec.network.blockedPorts` | Port rules belong to VPC firewall policies, not Organization Policy |');
+  });
+
+  it('limits custom constraint names to letters and digits', () => {
+    expect(gcpExporter.toCustomConstraintName('PCI / cardholder-data (prod)', 'sql-require-ssl'))
+      .toBe('custom.pciCardholderDataProdSqlRequireSsl');
+    expect(gcpExporter.toCustomConstraintName('x'.repeat(100), 'id')).toHaveLength('custom.'.length + 70);
+  });
+
+  it('rejects other providers, unmapped services and specs with nothing to express', () => {
+    expect(() => gcpExporter.export(source({ encryption: { inTransit: true } }, { service: 'AWS S3' })))
+      .toThrow(expect.objectContaining({ message: 'AWS S3 is not a GCP service' }));
+    expect(() => gcpExporter.export(source({ encryption: { inTransit: true } }, { service: 'GCP BigQuery' })))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError' }));
+    expect(() => gcpExporter.export(source({ monitoring: { enabled: true } })))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError' }));
+  });
+});
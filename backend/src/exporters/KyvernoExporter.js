@@ -0,0 +1,169 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import {
+  selectKubernetesRules,
+  isEnforced,
+  toResourceName,
+  foundryLabels,
+  toMultiDocumentYaml,
+  groupByBusinessUnit
+} from './kubernetesRules.js';
+
+const SEVERITIES = { minimal: 'low', low: 'low', medium: 'medium', high: 'high', critical: 'high' };
+
+const serviceType = "{{ request.object.spec.type || 'ClusterIP' }}";
+
+const deny = (...conditions) => ({ deny: { conditions: { any: conditions } } });
+
+/**
+ * Kyverno validate bodies by shared rule id. A rule may expand into several
+ * Kyverno rules when it matches kinds that need different expressions.
+ */
+const KYVERNO_RULES = {
+  'require-ingress-tls': () => [{
+    kinds: ['Ingress'],
+    validate: deny({ key: '{{ length(request.object.spec.tls || `[]`) }}', operator: 'Equals', value: 0 })
+  }],
+  'require-encrypted-storage': () => [{
+    kinds: ['StorageClass'],
+    validate: { pattern: { parameters: { encrypted: 'true' } } }
+  }],
+  'restrict-service-types': ({ disallowedTypes }) => [{
+    kinds: ['Service'],
+    validate: deny({ key: serviceType, operator: 'AnyIn', value: disallowedTypes })
+  }],
+  'restrict-load-balancer-sources': ({ allowedCidrs }) => [{
+    kinds: ['Service'],
+    preconditions: { all: [{ key: serviceType, operator: 'Equals', value: 'LoadBalancer' }] },
+    validate: deny(
+      { key: '{{ length(request.object.spec.loadBalancerSourceRanges || `[]`) }}', operator: 'Equals', value: 0 },
+      { key: '{{ request.object.spec.loadBalancerSourceRanges || `[]` }}', operator: 'AnyNotIn', value: allowedCidrs }
+    )
+  }],
+  'block-ports': ({ ports }) => [
+    {
+      suffix: 'containers',
+      kinds: ['Pod'],
+      validate: deny({ key: '{{ request.object.spec.containers[].ports[].containerPort }}', operator: 'AnyIn', value: ports })
+    },
+    {
+      suffix: 'services',
+      kinds: ['Service'],
+      validate: deny({ key: '{{ request.object.spec.ports[].port }}', operator: 'AnyIn', value: ports })
+    }
+  ],
+  'disallow-privileged-containers': () => [{
+    kinds: ['Pod'],
+    validate: {
+      pattern: {
+        spec: {
+          containers: [{
+            securityContext: {
+              allowPrivilegeEscalation: 'false',
+              '=(privileged)': 'false'
+            }
+          }]
+        }
+      }
+    }
+  }],
+  'restrict-rbac-wildcards': () => [{
+    kinds: ['Role', 'ClusterRole'],
+    validate: deny(
+      { key: '{{ request.object.rules[].verbs[] }}', operator: 'AnyIn', value: ['*'] },
+      { key: '{{ request.object.rules[].resources[] }}', operator: 'AnyIn', value: ['*'] }
+    )
+  }]
+};
+
+/**
+ * Translates a SecurityPolicy spec into one Kyverno ClusterPolicy. The
+ * policy enforces in production and audits in every other environment.
+ */
+export class KyvernoExporter {
+  constructor() {
+    this.format = 'kyverno';
+    this.description = 'Kyverno ClusterPolicy admission rules, bundled per business unit';
+  }
+
+  export(source) {
+    const { clusterPolicy, unsupported } = this.buildClusterPolicy(source);
+
+    return {
+      files: [{
+        path: `kyverno/${clusterPolicy.metadata.name}.yaml`,
+        contentType: 'application/yaml',
+        content: toMultiDocumentYaml([clusterPolicy])
+      }],
+      unsupported
+    };
+  }
+
+  /**
+   * One multi-document YAML file per business unit
+   */
+  bundle(sources) {
+    const files = [];
+
+    for (const [unit, unitSources] of groupByBusinessUnit(sources)) {
+      const policies = unitSources.map(source => this.buildClusterPolicy(source).clusterPolicy);
+      files.push({
+        path: `kyverno/bundles/${toResourceName(unit)}.yaml`,
+        contentType: 'application/yaml',
+        businessUnit: unit,
+        content: toMultiDocumentYaml(policies)
+      });
+    }
+
+    return { files, unsupported: [] };
+  }
+
+  buildClusterPolicy(source) {
+    const { rules, unsupported } = selectKubernetesRules(source.spec);
+
+    if (rules.length === 0) {
+      throw new UnprocessableEntityError('Policy spec has no requirements that can be enforced at admission', unsupported);
+    }
+
+    const kinds = new Set();
+    const kyvernoRules = rules.flatMap(rule => KYVERNO_RULES[rule.id](rule.parameters).map(body => {
+      body.kinds.forEach(kind => kinds.add(kind));
+      return {
+        name: body.suffix ? `${rule.id}-${body.suffix}` : rule.id,
+        match: { any: [{ resources: { kinds: body.kinds } }] },
+        ...(body.preconditions && { preconditions: body.preconditions }),
+        validate: {
+          message: `${rule.path}: ${rule.description}`,
+          ...body.validate
+        }
+      };
+    }));
+
+    const clusterPolicy = {
+      apiVersion: 'kyverno.io/v1',
+      kind: 'ClusterPolicy',
+      metadata: {
+        name: toResourceName(source.name),
+        labels: foundryLabels(source),
+        annotations: {
+          'policies.kyverno.io/title': source.name,
+          'policies.kyverno.io/category': 'Policy Foundry',
+          'policies.kyverno.io/severity': SEVERITIES[source.riskLevel] || 'medium',
+          'policies.kyverno.io/subject': Array.from(kinds).join(', '),
+          'policies.kyverno.io/description': `Generated from ${source.name} v${source.version}.`
+        }
+      },
+      spec: {
+        validationFailureAction: isEnforced(source.environment) ? 'Enforce' : 'Audit',
+        background: true,
+        rules: kyvernoRules
+      }
+    };
+
+    return { clusterPolicy, unsupported };
+  }
+}
+
+// Singleton instance
+const kyvernoExporter = new KyvernoExporter();
+
+export { kyvernoExporter };
@@ -0,0 +1,503 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { toIdentifier, isNonEmptyArray, deepClone, setPath, cidrContains, isCidr } from './exportUtils.js';
+
+const TLS_VERSIONS = ['1.0', '1.1', '1.2', '1.3'];
+const KEY_MANAGEMENT_STRENGTH = ['provider-managed', 'customer-managed', 'customer-supplied'];
+const DISALLOWED_AUTH_METHODS = ['anonymous', 'basic', 'password'];
+const DEFAULT_INGRESS_PORT = 443;
+
+// Documentation-only address (RFC 5737) used to build non-compliant examples
+const EXAMPLE_OUTSIDE_SOURCE = '203.0.113.7';
+
+// Spec sections with no counterpart in the resource input this package checks
+const UNCOMPILED_SECTIONS = {
+  monitoring: 'Monitoring is a platform capability, not resource configuration checked at admission',
+  backup: 'Backup schedules are not part of the resource input evaluated by OPA',
+  incidentResponse: 'Incident response procedures cannot be evaluated as resource configuration'
+};
+
+const regoString = (value) => JSON.stringify(String(value));
+const regoSet = (values) => {
+  const unique = [...new Set(values)];
+  return unique.length === 0 ? 'set()' : `{${unique.map(value => typeof value === 'number' ? value : regoString(value)).join(', ')}}`;
+};
+
+const indent = (lines, depth = 1) => lines.map(line => `${'\t'.repeat(depth)}${line}`);
+
+/**
+ * Compiles a SecurityPolicy spec into a Rego package.
+ *
+ * The package evaluates `input.resource`, a normalized view of a cloud
+ * resource's configuration:
+ *
+ *   encryption:    { atRest, inTransit, algorithm, keyManagement, keyRotationDays, tlsVersion }
+ *   accessControl: { authenticationMethods, mfaEnabled, sessionTimeoutMinutes, publicAccess, roles: [{ name, permissions }] }
+ *   network:       { privateEndpoint, ingress: [{ source, fromPort, toPort }] }
+ *   logging:       { enabled, auditLogs, retentionDays, destinations }
+ *
+ * and reports violations through the `deny` set. Each message is prefixed
+ * with the spec field path it enforces.
+ */
+export class RegoExporter {
+  constructor() {
+    this.format = 'rego';
+    this.description = 'Open Policy Agent Rego package with unit tests and example inputs';
+  }
+
+  /**
+   * `options.packageName` overrides the package derived from the policy name
+   */
+  export(source, { packageName = `foundry.policies.${toIdentifier(source.name)}` } = {}) {
+    const { rules, helpers, unsupported } = this.buildRules(source.spec);
+
+    if (rules.length === 0) {
+      throw new UnprocessableEntityError('Policy spec has no requirements that can be compiled to Rego', unsupported);
+    }
+
+    const compliant = { resource: {} };
+    for (const rule of rules) {
+      rule.comply(compliant.resource);
+    }
+
+    const violations = rules
+      .map(rule => {
+        const input = deepClone(compliant);
+        return rule.violate(input.resource) === false ? null : { rule, input };
+      })
+      .filter(Boolean);
+
+    const nonCompliant = deepClone(compliant);
+    for (const { rule } of violations) {
+      rule.violate(nonCompliant.resource);
+    }
+
+    const directory = packageName.replace(/\./g, '/');
+
+    return {
+      files: [
+        {
+          path: `${directory}/policy.rego`,
+          contentType: 'text/x-rego',
+          content: this.renderPolicy(packageName, source, rules, helpers)
+        },
+        {
+          path: `${directory}/policy_test.rego`,
+          contentType: 'text/x-rego',
+          content: this.renderTests(packageName, compliant, violations)
+        },
+        {
+          path: `${directory}/examples/compliant.json`,
+          contentType: 'application/json',
+          content: `${JSON.stringify(compliant, null, 2)}\n`
+        },
+        {
+          path: `${directory}/examples/non-compliant.json`,
+          contentType: 'application/json',
+          content: `${JSON.stringify(nonCompliant, null, 2)}\n`
+        }
+      ],
+      unsupported,
+      package: packageName
+    };
+  }
+
+  buildRules(spec) {
+    const rules = [];
+    const helpers = [];
+    const unsupported = [];
+
+    this.addEncryptionRules(spec.encryption || {}, rules);
+    this.addAccessControlRules(spec.accessControl || {}, rules, helpers, unsupported);
+    this.addNetworkRules(spec.network || {}, rules, helpers);
+    this.addLoggingRules(spec.logging || {}, rules, helpers);
+
+    for (const [section, reason] of Object.entries(UNCOMPILED_SECTIONS)) {
+      if (spec[section]) {
+        unsupported.push({ path: `spec.${section}`, reason });
+      }
+    }
+
+    return { rules, helpers, unsupported };
+  }
+
+  // A rule requiring a boolean resource attribute to be true
+  requireTrue(id, path, inputPath, message) {
+    return {
+      id,
+      path,
+      conditions: [`not input.resource.${inputPath}`],
+      message,
+      comply: (resource) => setPath(resource, inputPath, true),
+      violate: (resource) => setPath(resource, inputPath, false)
+    };
+  }
+
+  addEncryptionRules(encryption, rules) {
+    if (encryption.atRest === true) {
+      rules.push(this.requireTrue('encryption_at_rest', 'spec.encryption.atRest', 'encryption.atRest',
+        'encryption at rest must be enabled'));
+    }
+
+    if (encryption.inTransit === true) {
+      rules.push(this.requireTrue('encryption_in_transit', 'spec.encryption.inTransit', 'encryption.inTransit',
+        'encryption in transit must be enabled'));
+    }
+
+    const minTls = TLS_VERSIONS.indexOf(encryption.tlsMinVersion);
+    if (minTls > 0) {
+      const allowed = TLS_VERSIONS.slice(minTls);
+      rules.push({
+        id: 'tls_min_version',
+        path: 'spec.encryption.tlsMinVersion',
+        conditions: [`not input.resource.encryption.tlsVersion in ${regoSet(allowed)}`],
+        message: `TLS ${encryption.tlsMinVersion} or later is required`,
+        comply: (resource) => setPath(resource, 'encryption.tlsVersion', encryption.tlsMinVersion),
+        violate: (resource) => setPath(resource, 'encryption.tlsVersion', TLS_VERSIONS[0])
+      });
+    }
+
+    if (encryption.algorithm) {
+      const algorithm = encryption.algorithm.toUpperCase();
+      rules.push({
+        id: 'encryption_algorithm',
+        path: 'spec.encryption.algorithm',
+        conditions: [`not upper(input.resource.encryption.algorithm) == ${regoString(algorithm)}`],
+        message: `encryption algorithm must be ${algorithm}`,
+        comply: (resource) => setPath(resource, 'encryption.algorithm', algorithm),
+        violate: (resource) => setPath(resource, 'encryption.algorithm', algorithm === 'DES' ? '3DES' : 'DES')
+      });
+    }
+
+    const keyStrength = KEY_MANAGEMENT_STRENGTH.indexOf(encryption.keyManagement);
+    if (keyStrength > 0) {
+      const allowed = KEY_MANAGEMENT_STRENGTH.slice(keyStrength);
+      rules.push({
+        id: 'key_management',
+        path: 'spec.encryption.keyManagement',
+        conditions: [`not input.resource.encryption.keyManagement in ${regoSet(allowed)}`],
+        message: `keys must be ${allowed.join(' or ')}`,
+        comply: (resource) => setPath(resource, 'encryption.keyManagement', encryption.keyManagement),
+        violate: (resource) => setPath(resource, 'encryption.keyManagement', KEY_MANAGEMENT_STRENGTH[0])
+      });
+    }
+
+    if (encryption.keyRotationDays) {
+      const days = encryption.keyRotationDays;
+      rules.push({
+        id: 'key_rotation',
+        path: 'spec.encryption.keyRotationDays',
+        conditions: [`not input.resource.encryption.keyRotationDays <= ${days}`],
+        message: `keys must be rotated at least every ${days} days`,
+        comply: (resource) => setPath(resource, 'encryption.keyRotationDays', days),
+        violate: (resource) => setPath(resource, 'encryption.keyRotationDays', days + 1)
+      });
+    }
+  }
+
+  addAccessControlRules(accessControl, rules, helpers, unsupported) {
+    const authentication = accessControl.authentication || {};
+    const authorization = accessControl.authorization || {};
+
+    if (isNonEmptyArray(authentication.methods)) {
+      const methods = authentication.methods;
+      const outsider = DISALLOWED_AUTH_METHODS.find(method => !methods.includes(method)) || 'unlisted-method';
+      helpers.push(`allowed_authentication_methods := ${regoSet(methods)}`);
+      rules.push({
+        id: 'authentication_methods',
+        path: 'spec.accessControl.authentication.methods',
+        conditions: [
+          'some method in input.resource.accessControl.authenticationMethods',
+          'not method in allowed_authentication_methods'
+        ],
+        message: ['authentication method %s is not allowed', 'method'],
+        comply: (resource) => setPath(resource, 'accessControl.authenticationMethods', [methods[0]]),
+        violate: (resource) => resource.accessControl.authenticationMethods.push(outsider)
+      });
+    }
+
+    if (authentication.mfaRequired === true) {
+      rules.push(this.requireTrue('mfa_required', 'spec.accessControl.authentication.mfaRequired',
+        'accessControl.mfaEnabled', 'multi-factor authentication must be required'));
+    }
+
+    if (authentication.sessionTimeoutMinutes) {
+      const minutes = authentication.sessionTimeoutMinutes;
+      rules.push({
+        id: 'session_timeout',
+        path: 'spec.accessControl.authentication.sessionTimeoutMinutes',
+        conditions: [`not input.resource.accessControl.sessionTimeoutMinutes <= ${minutes}`],
+        message: `sessions must time out within ${minutes} minutes`,
+        comply: (resource) => setPath(resource, 'accessControl.sessionTimeoutMinutes', minutes),
+        violate: (resource) => setPath(resource, 'accessControl.sessionTimeoutMinutes', minutes + 1)
+      });
+    }
+
+    if (accessControl.publicAccess === false) {
+      rules.push({
+        id: 'public_access',
+        path: 'spec.accessControl.publicAccess',
+        conditions: ['input.resource.accessControl.publicAccess == true'],
+        message: 'public access must be disabled',
+        comply: (resource) => setPath(resource, 'accessControl.publicAccess', false),
+        violate: (resource) => setPath(resource, 'accessControl.publicAccess', true)
+      });
+    }
+
+    const roles = Array.isArray(authorization.roles) ? authorization.roles : [];
+    const isWildcard = (permission) => permission.endsWith('*');
+
+    // Role names become object keys, which Rego requires to be unique
+    const duplicates = roles
+      .map((role, index) => ({ role, index }))
+      .filter(({ role, index }) => roles.findIndex(other => other.name === role.name) < index)
+      .map(({ role, index }) => ({
+        path: `spec.accessControl.authorization.roles[${index}].name`,
+        message: `duplicates role ${role.name}`
+      }));
+    if (duplicates.length > 0) {
+      throw new UnprocessableEntityError('Policy declares the same role more than once', duplicates);
+    }
+
+    if (roles.length > 0) {
+      const rolePermissions = Object.fromEntries(roles.map(role => [role.name, role.permissions]));
+      helpers.push(`allowed_roles := ${regoSet(roles.map(role => role.name))}`);
+      helpers.push([
+        'role_permissions := {',
+        ...indent(Object.entries(rolePermissions).map(([name, permissions], index, all) =>
+          `${regoString(name)}: ${regoSet(permissions)}${index < all.length - 1 ? ',' : ''}`)),
+        '}'
+      ].join('\n'));
+
+      rules.push({
+        id: 'declared_roles',
+        path: 'spec.accessControl.authorization.roles',
+        conditions: [
+          'some role in input.resource.accessControl.roles',
+          'not role.name in allowed_roles'
+        ],
+        message: ['role %s is not declared by the policy', 'role.name'],
+        comply: (resource) => setPath(resource, 'accessControl.roles', roles.map(role => ({
+          name: role.name,
+          permissions: role.permissions.filter(permission => !(authorization.leastPrivilege && isWildcard(permission)))
+        }))),
+        violate: (resource) => resource.accessControl.roles.push({ name: 'undeclared-role', permissions: [] })
+      });
+
+      rules.push({
+        id: 'role_permissions',
+        path: 'spec.accessControl.authorization.roles',
+        conditions: [
+          'some role in input.resource.accessControl.roles',
+          'some permission in role.permissions',
+          'not permission in object.get(role_permissions, role.name, set())'
+        ],
+        message: ['role %s has undeclared permission %s', 'role.name, permission'],
+        comply: () => {},
+        violate: (resource) => resource.accessControl.roles[0].permissions.push('undeclared:Permission')
+      });
+    }
+
+    if (authorization.leastPrivilege === true) {
+      rules.push({
+        id: 'least_privilege',
+        path: 'spec.accessControl.authorization.leastPrivilege',
+        conditions: [
+          'some role in input.resource.accessControl.roles',
+          'some permission in role.permissions',
+          'endswith(permission, "*")'
+        ],
+        message: ['role %s has wildcard permission %s', 'role.name, permission'],
+        comply: (resource) => {
+          if (!resource.accessControl?.roles) setPath(resource, 'accessControl.roles', []);
+        },
+        violate: (resource) => resource.accessControl.roles.push({ name: roles[0]?.name || 'operator', permissions: ['*'] })
+      });
+    }
+
+    if (authorization.model) {
+      unsupported.push({
+        path: 'spec.accessControl.authorization.model',
+        reason: 'The authorization model describes the identity provider setup, not resource configuration'
+      });
+    }
+  }
+
+  addNetworkRules(network, rules, helpers) {
+    if (network.privateEndpointsOnly === true) {
+      rules.push(this.requireTrue('private_endpoints', 'spec.network.privateEndpointsOnly',
+        'network.privateEndpoint', 'the resource must only be reachable through private endpoints'));
+    }
+
+    const allowedSources = Array.isArray(network.allowedSources) ? network.allowedSources : [];
+    const blockedPorts = Array.isArray(network.blockedPorts) ? network.blockedPorts : [];
+    const openPort = [DEFAULT_INGRESS_PORT, 8443, 8080].find(port => !blockedPorts.includes(port));
+    const compliantSource = allowedSources[0] || '10.0.0.1';
+    const ingressRule = (source, port) => ({ source, fromPort: port, toPort: port });
+    const ensureIngress = (resource) => {
+      if (!resource.network?.ingress) {
+        setPath(resource, 'network.ingress', [ingressRule(compliantSource, openPort)]);
+      }
+    };
+
+    if (allowedSources.length > 0) {
+      helpers.push(`allowed_sources := ${regoSet(allowedSources)}`);
+      helpers.push('source_allowed(source) if source in allowed_sources');
+      helpers.push([
+        'source_allowed(source) if {',
+        ...indent([
+          'some cidr in allowed_sources',
+          'contains(cidr, "/")',
+          'net.cidr_contains(cidr, source)'
+        ]),
+        '}'
+      ].join('\n'));
+
+      const outsideCovered = allowedSources.some(allowed => allowed === EXAMPLE_OUTSIDE_SOURCE ||
+        (isCidr(allowed) && cidrContains(allowed, EXAMPLE_OUTSIDE_SOURCE)));
+
+      rules.push({
+        id: 'allowed_sources',
+        path: 'spec.network.allowedSources',
+        conditions: [
+          'some rule in input.resource.network.ingress',
+          'not source_allowed(rule.source)'
+        ],
+        message: ['ingress from %s is not allowed', 'rule.source'],
+        comply: ensureIngress,
+        violate: (resource) => {
+          if (outsideCovered) return false;
+          resource.network.ingress.push(ingressRule(EXAMPLE_OUTSIDE_SOURCE, openPort));
+        }
+      });
+    }
+
+    if (blockedPorts.length > 0) {
+      helpers.push(`blocked_ports := ${regoSet(blockedPorts)}`);
+      rules.push({
+        id: 'blocked_ports',
+        path: 'spec.network.blockedPorts',
+        conditions: [
+          'some rule in input.resource.network.ingress',
+          'some port in blocked_ports',
+          'rule.fromPort <= port',
+          'port <= rule.toPort'
+        ],
+        message: ['ingress on port %d is blocked', 'port'],
+        comply: ensureIngress,
+        violate: (resource) => resource.network.ingress.push(ingressRule(compliantSource, blockedPorts[0]))
+      });
+    }
+  }
+
+  addLoggingRules(logging, rules, helpers) {
+    if (logging.enabled === true) {
+      rules.push(this.requireTrue('logging_enabled', 'spec.logging.enabled', 'logging.enabled',
+        'logging must be enabled'));
+    }
+
+    if (logging.auditLogs === true) {
+      rules.push(this.requireTrue('audit_logs', 'spec.logging.auditLogs', 'logging.auditLogs',
+        'audit logging must be enabled'));
+    }
+
+    if (logging.retentionDays) {
+      const days = logging.retentionDays;
+      rules.push({
+        id: 'log_retention',
+        path: 'spec.logging.retentionDays',
+        conditions: [`not input.resource.logging.retentionDays >= ${days}`],
+        message: `logs must be retained for at least ${days} days`,
+        comply: (resource) => setPath(resource, 'logging.retentionDays', days),
+        violate: (resource) => setPath(resource, 'logging.retentionDays', days - 1)
+      });
+    }
+
+    if (isNonEmptyArray(logging.destinations)) {
+      helpers.push(`required_log_destinations := ${regoSet(logging.destinations)}`);
+      rules.push({
+        id: 'log_destinations',
+        path: 'spec.logging.destinations',
+        conditions: [
+          'some destination in required_log_destinations',
+          'not destination in input.resource.logging.destinations'
+        ],
+        message: ['logs must be shipped to %s', 'destination'],
+        comply: (resource) => setPath(resource, 'logging.destinations', [...logging.destinations]),
+        violate: (resource) => resource.logging.destinations.pop()
+      });
+    }
+  }
+
+  renderMessage(rule) {
+    if (Array.isArray(rule.message)) {
+      const [format, args] = rule.message;
+      return `msg := sprintf(${regoString(`${rule.path}: ${format}`)}, [${args}])`;
+    }
+    return `msg := ${regoString(`${rule.path}: ${rule.message}`)}`;
+  }
+
+  renderPolicy(packageName, source, rules, helpers) {
+    const lines = [
+      `# Generated by AI Policy Foundry from policy ${source.id} (${source.name} ${source.version}).`,
+      '# Evaluates input.resource; each deny message starts with the spec field it enforces.',
+      `package ${packageName}`,
+      '',
+      'import rego.v1',
+      ''
+    ];
+
+    if (helpers.length > 0) {
+      lines.push(...helpers.flatMap(helper => [helper, '']));
+    }
+
+    for (const rule of rules) {
+      lines.push(
+        `# ${rule.path}`,
+        'deny contains msg if {',
+        ...indent([...rule.conditions, this.renderMessage(rule)]),
+        '}',
+        ''
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  renderTests(packageName, compliant, violations) {
+    const alias = packageName.split('.').pop();
+    const lines = [
+      `package ${packageName}_test`,
+      '',
+      'import rego.v1',
+      '',
+      `import data.${packageName}`,
+      '',
+      `compliant_input := ${JSON.stringify(compliant, null, '\t')}`,
+      '',
+      'test_compliant_input_allowed if {',
+      ...indent([`count(${alias}.deny) == 0 with input as compliant_input`]),
+      '}',
+      ''
+    ];
+
+    for (const { rule, input } of violations) {
+      lines.push(
+        `test_${rule.id}_violation_denied if {`,
+        ...indent([
+          `denials := ${alias}.deny with input as ${JSON.stringify(input)}`,
+          'some msg in denials',
+          `startswith(msg, ${regoString(`${rule.path}:`)})`
+        ]),
+        '}',
+        ''
+      );
+    }
+
+    return lines.join('\n');
+  }
+}
+
+// Singleton instance
+const regoExporter = new RegoExporter();
+
+export { regoExporter };
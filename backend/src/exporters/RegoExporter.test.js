@@ -0,0 +1,144 @@
+import { regoExporter } from './RegoExporter.js';
+
+const source = (spec, overrides = {}) => ({
+  id: '7f1c2a4e-8888-4c8b-9d1e-000000000001',
+  name: 'AWS S3 security-policy',
+  version: '1.2.0',
+  spec,
+  ...overrides
+});
+
+const file = (exported, suffix) => exported.files.find(entry => entry.path.endsWith(suffix)).content;
+
+describe('RegoExporter.export', () => {
+  it('lays out the package, its tests and example inputs', () => {
+    const exported = regoExporter.export(source({ encryption: { atRest: true } }));
+
+    expect(exported.package).toBe('foundry.policies.aws_s3_security_policy');
+    expect(exported.files.map(entry => entry.path)).toEqual([
+      'foundry/policies/aws_s3_security_policy/policy.rego',
+      'foundry/policies/aws_s3_security_policy/policy_test.rego',
+      'foundry/policies/aws_s3_security_policy/examples/compliant.json',
+      'foundry/policies/aws_s3_security_policy/examples/non-compliant.json'
+    ]);
+    expect(file(exported, 'policy.rego')).toBe([
+      '# Generated by AI Policy Foundry from policy 7f1c2a4e-8888-4c8b-9d1e-000000000001 (AWS S3 security-policy 1.2.0).',
+      '# Evaluates input.resource; each deny message starts with the spec field it enforces.',
+      'package foundry.policies.aws_s3_security_policy',
+      '',
+      'import rego.v1',
+      '',
+      '# spec.encryption.atRest',
+      'deny contains msg if {',
+      '\tnot input.resource.encryption.atRest',
+      '\tmsg := "spec.encryption.atRest: encryption at rest must be enabled"',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  it('uses the given package name', () => {
+    const exported = regoExporter.export(source({ encryption: { atRest: true } }), { packageName: 'foundry.policies.custom' });
+
+    expect(exported.package).toBe('foundry.policies.custom');
+    expect(file(exported, 'policy.rego')).toContain('package foundry.policies.custom\n');
+    expect(file(exported, 'policy_test.rego')).toContain('package foundry.policies.custom_test\n');
+  });
+
+  it('writes one denied example per rule and a compliant input that violates none', () => {
+    const exported = regoExporter.export(source({
+      encryption: { inTransit: true, tlsMinVersion: '1.2' },
+      network: { allowedSources: ['10.0.0.0/8'], blockedPorts: [22] },
+      logging: { retentionDays: 90 }
+    }));
+    const tests = file(exported, 'policy_test.rego');
+    const compliant = JSON.parse(file(exported, 'compliant.json'));
+    const nonCompliant = JSON.parse(file(exported, 'non-compliant.json'));
+
+    for (const id of ['encryption_in_transit', 'tls_min_version', 'allowed_sources', 'blocked_ports', 'log_retention']) {
+      expect(tests).toContain(`test_${id}_violation_denied if {`);
+    }
+    expect(compliant.resource).toEqual({
+      encryption: { inTransit: true, tlsVersion: '1.2' },
+      network: { ingress: [{ source: '10.0.0.0/8', fromPort: 443, toPort: 443 }] },
+      logging: { retentionDays: 90 }
+    });
+    expect(nonCompliant.resource.network.ingress).toEqual([
+      { source: '10.0.0.0/8', fromPort: 443, toPort: 443 },
+      { source: '203.0.113.7', fromPort: 443, toPort: 443 },
+      { source: '10.0.0.0/8', fromPort: 22, toPort: 22 }
+    ]);
+    expect(nonCompliant.resource.encryption.tlsVersion).toBe('1.0');
+  });
+
+  it('renders network helpers and messages with sprintf arguments', () => {
+    const policy = file(regoExporter.export(source({ network: { allowedSources: ['10.0.0.0/8', '192.168.1.10'], blockedPorts: [22, 3389] } })), 'policy.rego');
+
+    expect(policy).toContain('allowed_sources := {"10.0.0.0/8", "192.168.1.10"}');
+    expect(policy).toContain('blocked_ports := {22, 3389}');
+    expect(policy).toContain('\tnet.cidr_contains(cidr, source)');
+    expect(policy).toContain('\tsome port in blocked_ports\n\trule.fromPort <= port\n\tport <= rule.toPort\n');
+    expect(policy).toContain('\tmsg := sprintf("spec.network.blockedPorts: ingress on port %d is blocked", [port])');
+  });
+
+  it('skips the outside-source example when the allowed ranges cover it', () => {
+    const tests = file(regoExporter.export(source({ network: { allowedSources: ['0.0.0.0/0'] } })), 'policy_test.rego');
+
+    expect(tests).toContain('test_compliant_input_allowed if {');
+    expect(tests).not.toContain('test_allowed_sources_violation_denied');
+  });
+
+  it('escapes strings as Rego string literals', () => {
+    const policy = file(regoExporter.export(source({
+      accessControl: { authentication: { methods: ['sso"} deny contains "x', 'mfa\\token'] } }
+    })), 'policy.rego');
+
+    expect(policy).toContain('allowed_authentication_methods := {"sso\\"} deny contains \\"x", "mfa\\\\token"}');
+  });
+
+  it('declares each role once with its permissions', () => {
+    const policy = file(regoExporter.export(source({
+      accessControl: {
+        authorization: {
+          leastPrivilege: true,
+          roles: [
+            { name: 'reader', permissions: ['s3:GetObject', 's3:GetObject'] },
+            { name: 'writer', permissions: ['s3:PutObject'] }
+          ]
+        }
+      }
+    })), 'policy.rego');
+
+    expect(policy).toContain('allowed_roles := {"reader", "writer"}');
+    expect(policy).toContain('role_permissions := {\n\t"reader": {"s3:GetObject"},\n\t"writer": {"s3:PutObject"}\n}');
+    expect(policy).toContain('\tendswith(permission, "*")');
+  });
+
+  it('rejects duplicate role names, which would be duplicate object keys', () => {
+    const roles = [
+      { name: 'reader', permissions: ['s3:GetObject'] },
+      { name: 'writer', permissions: ['s3:PutObject'] },
+      { name: 'reader', permissions: ['s3:ListBucket'] }
+    ];
+
+    expect(() => regoExporter.export(source({ accessControl: { authorization: { roles } } })))
+      .toThrow(expect.objectContaining({
+        name: 'UnprocessableEntityError',
+        details: [{ path: 'spec.accessControl.authorization.roles[2].name', message: 'duplicates role reader' }]
+      }));
+  });
+
+  it('reports sections it cannot compile and rejects specs with nothing to compile', () => {
+    const exported = regoExporter.export(source({ encryption: { atRest: true }, monitoring: { enabled: true } }));
+    expect(exported.unsupported).toEqual([{ path: 'spec.monitoring', reason: expect.any(String) }]);
+
+    expect(() => regoExporter.export(source({ backup: { enabled: true }, accessControl: { authorization: { model: 'rbac' } } })))
+      .toThrow(expect.objectContaining({
+        name: 'UnprocessableEntityError',
+        details: [
+          { path: 'spec.accessControl.authorization.model', reason: expect.any(String) },
+          { path: 'spec.backup', reason: expect.any(String) }
+        ]
+      }));
+  });
+});
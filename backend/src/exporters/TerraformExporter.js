@@ -0,0 +1,742 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { toIdentifier, getCloudProvider, getSpecValue, isRequested } from './exportUtils.js';
+
+const TLS_VERSIONS = ['1.0', '1.1', '1.2', '1.3'];
+const VARIABLE_NAME = /^[a-z_][a-z0-9_]*$/;
+
+/**
+ * Variables the generated resources may reference. `specPath` takes the
+ * default from the policy spec; a template parameter of the same name
+ * overrides type, description and default.
+ */
+const VARIABLES = {
+  aws: {
+    region: { type: 'string', description: 'AWS region the guardrails are applied in', default: 'us-east-1' },
+    bucket_name: { type: 'string', description: 'Name of the existing bucket the guardrails apply to' },
+    log_bucket_name: { type: 'string', description: 'Bucket receiving access logs and CloudTrail logs' },
+    key_admin_arns: { type: 'list(string)', description: 'IAM principals allowed to administer the KMS key', default: [] },
+    key_rotation_days: { type: 'number', description: 'Days between automatic KMS key rotations', specPath: 'spec.encryption.keyRotationDays', default: 365 },
+    backup_retention_days: { type: 'number', description: 'Days noncurrent object versions are kept', specPath: 'spec.backup.retentionDays', default: 30 },
+    tags: { type: 'map(string)', description: 'Tags applied to every resource', default: {} }
+  },
+  gcp: {
+    project_id: { type: 'string', description: 'Project the guardrails are applied in' },
+    region: { type: 'string', description: 'Location for buckets and key rings', default: 'us-central1' },
+    bucket_name: { type: 'string', description: 'Name of the bucket created with the guardrails' },
+    log_bucket_name: { type: 'string', description: 'Bucket receiving usage logs' },
+    key_ring_name: { type: 'string', description: 'Cloud KMS key ring for the policy key', default: 'policy-foundry' },
+    key_rotation_days: { type: 'number', description: 'Days between automatic key rotations', specPath: 'spec.encryption.keyRotationDays', default: 90 },
+    backup_retention_days: { type: 'number', description: 'Days deleted objects stay recoverable', specPath: 'spec.backup.retentionDays', default: 7 },
+    log_retention_days: { type: 'number', description: 'Days logs are kept in the _Default log bucket', specPath: 'spec.logging.retentionDays', default: 30 },
+    log_sink_destination: { type: 'string', description: 'Log sink destination, e.g. storage.googleapis.com/<bucket>' },
+    labels: { type: 'map(string)', description: 'Labels applied to every resource', default: {} }
+  }
+};
+
+// Spec items checked for coverage, with the reason when no resource covers them
+const SPEC_REQUIREMENTS = {
+  'spec.encryption.algorithm': 'Cloud storage encrypts with AES-256; the algorithm is not configurable',
+  'spec.accessControl.authentication.methods': 'Authentication methods are configured in the identity provider',
+  'spec.accessControl.authentication.mfaRequired': 'MFA is enforced by the identity provider or an SCP export',
+  'spec.accessControl.authentication.sessionTimeoutMinutes': 'Session lifetime is set on the identity provider',
+  'spec.accessControl.authorization': 'Role definitions are exported as IAM policies (format aws), not guardrail resources',
+  'spec.network': 'Network restrictions are exported as SCPs or Organization Policy, not guardrail resources',
+  'spec.monitoring': 'Alerting and metrics are not part of the guardrail module',
+  'spec.logging.retentionDays': 'Log retention is set by the lifecycle rules of the log bucket',
+  'spec.logging.destinations': 'Log destinations are chosen through the log bucket and sink variables',
+  'spec.incidentResponse': 'Incident response procedures cannot be expressed as infrastructure'
+};
+
+// Quoted HCL string: JSON escapes, plus `$${` and `%%{` so values are never read as templates
+const hclString = (value) => JSON.stringify(String(value))
+  .replace(/\$\{/g, '$$${')
+  .replace(/%\{/g, '%%{');
+
+const hclValue = (value) => {
+  if (Array.isArray(value)) return `[${value.map(hclValue).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    return entries.length === 0 ? '{}' : `{ ${entries.map(([key, item]) => `${hclString(key)} = ${hclValue(item)}`).join(', ')} }`;
+  }
+  return typeof value === 'string' ? hclString(value) : String(value);
+};
+
+// Free text on a single `#` comment line
+const commentText = (value) => String(value).replace(/\s+/g, ' ');
+
+/**
+ * Builds guardrail resources and their Sentinel checks. `use(name)`
+ * registers a variable and returns its reference. Every entry is
+ * { path, hcl: [lines], check?: { name, rule: [lines] } }.
+ */
+const PROVIDERS = {
+  aws: (spec, service, use) => {
+    const entries = [];
+    const isS3 = /s3/i.test(service);
+    const customerKeys = ['customer-managed', 'customer-supplied'].includes(spec.encryption?.keyManagement);
+    const withKey = customerKeys || Boolean(spec.encryption?.keyRotationDays);
+
+    if (withKey) {
+      entries.push({
+        path: spec.encryption?.keyRotationDays ? 'spec.encryption.keyRotationDays' : 'spec.encryption.keyManagement',
+        covers: ['spec.encryption.keyManagement'],
+        hcl: [
+          'data "aws_caller_identity" "current" {}',
+          '',
+          'data "aws_iam_policy_document" "key" {',
+          '  statement {',
+          '    sid       = "AccountAccess"',
+          '    actions   = ["kms:*"]',
+          '    resources = ["*"]',
+          '    principals {',
+          '      type        = "AWS"',
+          '      identifiers = ["arn:aws:iam::${data.aws_caller_identity.current.account_id}:root"]',
+          '    }',
+          '  }',
+          '',
+          '  dynamic "statement" {',
+          `    for_each = length(${use('key_admin_arns')}) > 0 ? [1] : []`,
+          '    content {',
+          '      sid       = "KeyAdministration"',
+          '      actions   = ["kms:Create*", "kms:Describe*", "kms:Enable*", "kms:List*", "kms:Put*", "kms:Update*", "kms:Revoke*", "kms:Disable*", "kms:Get*", "kms:Delete*", "kms:ScheduleKeyDeletion", "kms:CancelKeyDeletion"]',
+          '      resources = ["*"]',
+          '      principals {',
+          '        type        = "AWS"',
+          `        identifiers = ${use('key_admin_arns')}`,
+          '      }',
+          '    }',
+          '  }',
+          '}',
+          '',
+          'resource "aws_kms_key" "this" {',
+          '  description             = "Policy foundry guardrail key"',
+          '  enable_key_rotation     = true',
+          `  rotation_period_in_days = ${use('key_rotation_days')}`,
+          '  deletion_window_in_days = 30',
+          '  policy                  = data.aws_iam_policy_document.key.json',
+          `  tags                    = ${use('tags')}`,
+          '}'
+        ],
+        check: {
+          name: 'kms_keys_rotate',
+          rule: [
+            'all managed("aws_kms_key") as _, rc {',
+            '\trc.change.after.enable_key_rotation is true and',
+            `\t(rc.change.after.rotation_period_in_days else 365) <= ${spec.encryption?.keyRotationDays || 365}`,
+            '}'
+          ]
+        }
+      });
+    }
+
+    if (isS3 && spec.encryption?.atRest === true) {
+      entries.push({
+        path: 'spec.encryption.atRest',
+        hcl: [
+          'resource "aws_s3_bucket_server_side_encryption_configuration" "this" {',
+          `  bucket = ${use('bucket_name')}`,
+          '',
+          '  rule {',
+          '    apply_server_side_encryption_by_default {',
+          `      sse_algorithm     = ${withKey ? '"aws:kms"' : '"AES256"'}`,
+          ...(withKey ? ['      kms_master_key_id = aws_kms_key.this.arn'] : []),
+          '    }',
+          `    bucket_key_enabled = ${withKey}`,
+          '  }',
+          '}'
+        ],
+        check: {
+          name: 'buckets_encrypted',
+          rule: [
+            'length(managed("aws_s3_bucket_server_side_encryption_configuration")) >= length(managed("aws_s3_bucket")) and',
+            'all managed("aws_s3_bucket_server_side_encryption_configuration") as _, rc {',
+            '\tall rc.change.after.rule as r {',
+            '\t\tall r.apply_server_side_encryption_by_default as d {',
+            `\t\t\td.sse_algorithm in ${withKey ? '["aws:kms", "aws:kms:dsse"]' : '["AES256", "aws:kms", "aws:kms:dsse"]'}`,
+            '\t\t}',
+            '\t}',
+            '}'
+          ]
+        }
+      });
+    }
+
+    if (isS3 && spec.accessControl?.publicAccess === false) {
+      entries.push({
+        path: 'spec.accessControl.publicAccess',
+        hcl: [
+          'resource "aws_s3_bucket_public_access_block" "this" {',
+          `  bucket                  = ${use('bucket_name')}`,
+          '  block_public_acls       = true',
+          '  block_public_policy     = true',
+          '  ignore_public_acls      = true',
+          '  restrict_public_buckets = true',
+          '}'
+        ],
+        check: {
+          name: 'public_access_blocked',
+          rule: [
+            'length(managed("aws_s3_bucket_public_access_block")) >= length(managed("aws_s3_bucket")) and',
+            'all managed("aws_s3_bucket_public_access_block") as _, rc {',
+            '\trc.change.after.block_public_acls is true and',
+            '\trc.change.after.block_public_policy is true and',
+            '\trc.change.after.ignore_public_acls is true and',
+            '\trc.change.after.restrict_public_buckets is true',
+            '}'
+          ]
+        }
+      });
+    }
+
+    const minimumTls = spec.encryption?.tlsMinVersion;
+    if (isS3 && (spec.encryption?.inTransit === true || minimumTls)) {
+      entries.push({
+        path: 'spec.encryption.inTransit',
+        covers: ['spec.encryption.tlsMinVersion'],
+        hcl: [
+          'data "aws_iam_policy_document" "bucket" {',
+          '  statement {',
+          '    sid       = "DenyInsecureTransport"',
+          '    effect    = "Deny"',
+          '    actions   = ["s3:*"]',
+          `    resources = ["arn:aws:s3:::\${${use('bucket_name')}}", "arn:aws:s3:::\${${use('bucket_name')}}/*"]`,
+          '    principals {',
+          '      type        = "*"',
+          '      identifiers = ["*"]',
+          '    }',
+          '    condition {',
+          '      test     = "Bool"',
+          '      variable = "aws:SecureTransport"',
+          '      values   = ["false"]',
+          '    }',
+          '  }',
+          ...(minimumTls && TLS_VERSIONS.indexOf(minimumTls) > 0 ? [
+            '',
+            '  statement {',
+            '    sid       = "DenyOutdatedTls"',
+            '    effect    = "Deny"',
+            '    actions   = ["s3:*"]',
+            `    resources = ["arn:aws:s3:::\${${use('bucket_name')}}", "arn:aws:s3:::\${${use('bucket_name')}}/*"]`,
+            '    principals {',
+            '      type        = "*"',
+            '      identifiers = ["*"]',
+            '    }',
+            '    condition {',
+            '      test     = "NumericLessThan"',
+            '      variable = "s3:TlsVersion"',
+            `      values   = ["${minimumTls}"]`,
+            '    }',
+            '  }'
+          ] : []),
+          '}',
+          '',
+          'resource "aws_s3_bucket_policy" "this" {',
+          `  bucket = ${use('bucket_name')}`,
+          '  policy = data.aws_iam_policy_document.bucket.json',
+          '}'
+        ],
+        check: {
+          name: 'bucket_policies_present',
+          rule: ['length(managed("aws_s3_bucket_policy")) >= length(managed("aws_s3_bucket"))']
+        }
+      });
+    }
+
+    if (isS3 && spec.logging?.enabled === true) {
+      entries.push({
+        path: 'spec.logging.enabled',
+        hcl: [
+          'resource "aws_s3_bucket_logging" "this" {',
+          `  bucket        = ${use('bucket_name')}`,
+          `  target_bucket = ${use('log_bucket_name')}`,
+          '  target_prefix = "${var.bucket_name}/"',
+          '}'
+        ],
+        check: {
+          name: 'bucket_access_logged',
+          rule: [
+            'length(managed("aws_s3_bucket_logging")) >= length(managed("aws_s3_bucket")) and',
+            'all managed("aws_s3_bucket_logging") as _, rc {',
+            '\tlength(rc.change.after.target_bucket else "") > 0',
+            '}'
+          ]
+        }
+      });
+    }
+
+    if (isS3 && spec.backup?.enabled === true) {
+      entries.push({
+        path: 'spec.backup.enabled',
+        covers: ['spec.backup.retentionDays'],
+        hcl: [
+          'resource "aws_s3_bucket_versioning" "this" {',
+          `  bucket = ${use('bucket_name')}`,
+          '',
+          '  versioning_configuration {',
+          '    status = "Enabled"',
+          '  }',
+          '}',
+          '',
+          'resource "aws_s3_bucket_lifecycle_configuration" "this" {',
+          `  bucket     = ${use('bucket_name')}`,
+          '  depends_on = [aws_s3_bucket_versioning.this]',
+          '',
+          '  rule {',
+          '    id     = "retain-noncurrent-versions"',
+          '    status = "Enabled"',
+          '    filter {}',
+          '',
+          '    noncurrent_version_expiration {',
+          `      noncurrent_days = ${use('backup_retention_days')}`,
+          '    }',
+          '  }',
+          '}'
+        ],
+        check: {
+          name: 'buckets_versioned',
+          rule: [
+            'length(managed("aws_s3_bucket_versioning")) >= length(managed("aws_s3_bucket")) and',
+            'all managed("aws_s3_bucket_versioning") as _, rc {',
+            '\tall rc.change.after.versioning_configuration as v {',
+            '\t\tv.status is "Enabled"',
+            '\t}',
+            '}'
+          ]
+        }
+      });
+    }
+
+    if (spec.logging?.auditLogs === true) {
+      entries.push({
+        path: 'spec.logging.auditLogs',
+        hcl: [
+          'resource "aws_cloudtrail" "this" {',
+          '  name                          = "policy-foundry-audit"',
+          `  s3_bucket_name                = ${use('log_bucket_name')}`,
+          '  is_multi_region_trail         = true',
+          '  include_global_service_events = true',
+          '  enable_log_file_validation    = true',
+          ...(withKey ? ['  kms_key_id                    = aws_kms_key.this.arn'] : []),
+          `  tags                          = ${use('tags')}`,
+          '}'
+        ],
+        check: {
+          name: 'audit_trail_protected',
+          rule: [
+            'all managed("aws_cloudtrail") as _, rc {',
+            '\trc.change.after.is_multi_region_trail is true and',
+            '\trc.change.after.enable_log_file_validation is true',
+            '}'
+          ]
+        }
+      });
+    }
+
+    return entries;
+  },
+
+  gcp: (spec, service, use) => {
+    const entries = [];
+    const isStorage = /cloud storage|gcs|bucket/i.test(service);
+    const customerKeys = ['customer-managed', 'customer-supplied'].includes(spec.encryption?.keyManagement);
+    const withKey = customerKeys || Boolean(spec.encryption?.keyRotationDays);
+
+    if (withKey) {
+      entries.push({
+        path: spec.encryption?.keyRotationDays ? 'spec.encryption.keyRotationDays' : 'spec.encryption.keyManagement',
+        covers: ['spec.encryption.keyManagement'],
+        hcl: [
+          'resource "google_kms_key_ring" "this" {',
+          `  name     = ${use('key_ring_name')}`,
+          `  location = ${use('region')}`,
+          `  project  = ${use('project_id')}`,
+          '}',
+          '',
+          'resource "google_kms_crypto_key" "this" {',
+          '  name            = "policy-foundry"',
+          '  key_ring        = google_kms_key_ring.this.id',
+          `  rotation_period = "\${${use('key_rotation_days')} * 86400}s"`,
+          `  labels          = ${use('labels')}`,
+          '',
+          '  lifecycle {',
+          '    prevent_destroy = true',
+          '  }',
+          '}'
+        ],
+        check: {
+          name: 'kms_keys_rotate',
+          rule: [
+            'all managed("google_kms_crypto_key") as _, rc {',
+            '\trc.change.after.rotation_period is not null and',
+            `\tint(strings.trim_suffix(rc.change.after.rotation_period, "s")) <= ${(spec.encryption?.keyRotationDays || 90) * 86400}`,
+            '}'
+          ]
+        }
+      });
+    }
+
+    if (isStorage) {
+      const bucketLines = [
+        'resource "google_storage_bucket" "this" {',
+        `  name     = ${use('bucket_name')}`,
+        `  project  = ${use('project_id')}`,
+        `  location = ${use('region')}`,
+        `  labels   = ${use('labels')}`
+      ];
+      const checks = [];
+      const paths = [];
+
+      if (spec.accessControl?.publicAccess === false) {
+        paths.push('spec.accessControl.publicAccess');
+        bucketLines.push('  uniform_bucket_level_access = true', '  public_access_prevention    = "enforced"');
+        checks.push('\trc.change.after.public_access_prevention is "enforced" and', '\trc.change.after.uniform_bucket_level_access is true');
+      }
+      if (withKey && spec.encryption?.atRest === true) {
+        paths.push('spec.encryption.atRest');
+        bucketLines.push('', '  encryption {', '    default_kms_key_name = google_kms_crypto_key.this.id', '  }');
+        checks.push('\tlength(rc.change.after.encryption else []) > 0');
+      }
+      if (spec.logging?.enabled === true) {
+        paths.push('spec.logging.enabled');
+        bucketLines.push('', '  logging {', `    log_bucket = ${use('log_bucket_name')}`, '  }');
+        checks.push('\tlength(rc.change.after.logging else []) > 0');
+      }
+      if (spec.backup?.enabled === true) {
+        paths.push('spec.backup.enabled', 'spec.backup.retentionDays');
+        bucketLines.push(
+          '',
+          '  versioning {',
+          '    enabled = true',
+          '  }',
+          '',
+          '  soft_delete_policy {',
+          `    retention_duration_seconds = ${use('backup_retention_days')} * 86400`,
+          '  }'
+        );
+        checks.push('\tall rc.change.after.versioning as v { v.enabled is true }');
+      }
+      bucketLines.push('}');
+
+      if (withKey && spec.encryption?.atRest === true) {
+        bucketLines.push(
+          '',
+          'data "google_storage_project_service_account" "this" {',
+          `  project = ${use('project_id')}`,
+          '}',
+          '',
+          'resource "google_kms_crypto_key_iam_member" "storage" {',
+          '  crypto_key_id = google_kms_crypto_key.this.id',
+          '  role          = "roles/cloudkms.cryptoKeyEncrypterDecrypter"',
+          '  member        = "serviceAccount:${data.google_storage_project_service_account.this.email_address}"',
+          '}'
+        );
+      }
+
+      if (paths.length > 0) {
+        entries.push({
+          path: paths[0],
+          covers: paths.slice(1),
+          hcl: bucketLines,
+          check: {
+            name: 'buckets_hardened',
+            // Conditions are joined with `and` between lines
+            rule: [
+              'all managed("google_storage_bucket") as _, rc {',
+              ...checks.map((line, index) => (index < checks.length - 1 && !line.endsWith(' and') ? `${line} and` : line)),
+              '}'
+            ]
+          }
+        });
+      }
+    }
+
+    if (spec.logging?.auditLogs === true) {
+      entries.push({
+        path: 'spec.logging.auditLogs',
+        hcl: [
+          'resource "google_project_iam_audit_config" "this" {',
+          `  project = ${use('project_id')}`,
+          '  service = "allServices"',
+          '',
+          '  audit_log_config {',
+          '    log_type = "ADMIN_READ"',
+          '  }',
+          '  audit_log_config {',
+          '    log_type = "DATA_READ"',
+          '  }',
+          '  audit_log_config {',
+          '    log_type = "DATA_WRITE"',
+          '  }',
+          '}'
+        ],
+        check: {
+          name: 'data_access_audited',
+          rule: [
+            'all managed("google_project_iam_audit_config") as _, rc {',
+            '\tlength(rc.change.after.audit_log_config) is 3',
+            '}'
+          ]
+        }
+      });
+    }
+
+    if (spec.logging?.enabled === true) {
+      entries.push({
+        path: 'spec.logging.destinations',
+        covers: ['spec.logging.retentionDays'],
+        hcl: [
+          'resource "google_logging_project_sink" "this" {',
+          '  name                   = "policy-foundry-sink"',
+          `  project                = ${use('project_id')}`,
+          `  destination            = ${use('log_sink_destination')}`,
+          '  unique_writer_identity = true',
+          '}',
+          '',
+          'resource "google_logging_project_bucket_config" "default" {',
+          `  project        = ${use('project_id')}`,
+          '  location       = "global"',
+          '  bucket_id      = "_Default"',
+          `  retention_days = ${use('log_retention_days')}`,
+          '}'
+        ],
+        check: {
+          name: 'log_sinks_configured',
+          rule: [
+            'all managed("google_logging_project_sink") as _, rc {',
+            '\tlength(rc.change.after.destination else "") > 0',
+            '}'
+          ]
+        }
+      });
+    }
+
+    return entries;
+  }
+};
+
+const PROVIDER_BLOCKS = {
+  aws: {
+    source: 'hashicorp/aws',
+    version: '>= 5.40',
+    configuration: (use) => ['provider "aws" {', `  region = ${use('region')}`, '}']
+  },
+  gcp: {
+    source: 'hashicorp/google',
+    version: '>= 5.30',
+    configuration: (use) => ['provider "google" {', `  project = ${use('project_id')}`, `  region  = ${use('region')}`, '}']
+  }
+};
+
+/**
+ * Compiles a SecurityPolicy spec into a Terraform module of guardrail
+ * resources for AWS or GCP, plus a Sentinel policy that checks plans for
+ * the same requirements. Module variables come from the policy template's
+ * `parameters`, falling back to built-in definitions with spec defaults.
+ */
+export class TerraformExporter {
+  constructor() {
+    this.format = 'terraform';
+    this.description = 'Terraform guardrail module (HCL) with a Sentinel policy';
+    this.usesTemplate = true;
+  }
+
+  export(source) {
+    const provider = getCloudProvider(source.service);
+    if (!PROVIDERS[provider]) {
+      throw new UnprocessableEntityError(`Terraform export supports AWS and GCP services, not ${source.service}`);
+    }
+
+    const spec = source.spec;
+    const used = new Set();
+    const use = (name) => {
+      used.add(name);
+      return `var.${name}`;
+    };
+
+    const providerBlock = PROVIDER_BLOCKS[provider];
+    const providerLines = providerBlock.configuration(use);
+    const entries = PROVIDERS[provider](spec, source.service, use);
+    if (entries.length === 0) {
+      throw new UnprocessableEntityError('Policy spec has no requirements that map to Terraform guardrail resources');
+    }
+
+    const unsupported = [];
+    const covered = entries.flatMap(entry => [entry.path, ...(entry.covers || [])]);
+    for (const [path, reason] of Object.entries({ ...SPEC_REQUIREMENTS, ...this.providerGaps(provider, source.service) })) {
+      const isCovered = covered.some(entryPath => entryPath === path || entryPath.startsWith(`${path}.`));
+      if (!isCovered && isRequested(path, getSpecValue(spec, path))) {
+        unsupported.push({ path, reason });
+      }
+    }
+
+    const variables = this.resolveVariables(provider, used, spec, source.template);
+    const slug = toIdentifier(source.name).replace(/_/g, '-');
+    const directory = `terraform/${slug}`;
+    const checks = entries.filter(entry => entry.check);
+
+    return {
+      files: [
+        {
+          path: `${directory}/versions.tf`,
+          contentType: 'text/x-hcl',
+          content: [
+            'terraform {',
+            '  required_version = ">= 1.5"',
+            '',
+            '  required_providers {',
+            `    ${provider === 'gcp' ? 'google' : 'aws'} = {`,
+            `      source  = "${providerBlock.source}"`,
+            `      version = "${providerBlock.version}"`,
+            '    }',
+            '  }',
+            '}',
+            '',
+            ...providerLines,
+            ''
+          ].join('\n')
+        },
+        {
+          path: `${directory}/variables.tf`,
+          contentType: 'text/x-hcl',
+          content: variables.map(variable => this.renderVariable(variable)).join('\n')
+        },
+        {
+          path: `${directory}/main.tf`,
+          contentType: 'text/x-hcl',
+          content: [
+            `# Generated from ${commentText(source.name)} v${source.version}`,
+            '',
+            ...entries.flatMap(entry => [`# ${entry.path}`, ...entry.hcl, ''])
+          ].join('\n')
+        },
+        {
+          path: `${directory}/terraform.tfvars.example`,
+          contentType: 'text/plain',
+          content: variables
+            .map(variable => `${variable.name} = ${variable.default === undefined ? '"<required>"' : hclValue(variable.default)}`)
+            .join('\n') + '\n'
+        },
+        {
+          path: `${directory}/sentinel/${slug}.sentinel`,
+          contentType: 'text/plain',
+          content: this.renderSentinel(source, checks)
+        },
+        {
+          path: `${directory}/sentinel/sentinel.hcl`,
+          contentType: 'text/x-hcl',
+          content: [
+            `policy "${slug}" {`,
+            `  source            = "./${slug}.sentinel"`,
+            `  enforcement_level = "${source.environment === 'production' ? 'hard-mandatory' : 'advisory'}"`,
+            '}',
+            ''
+          ].join('\n')
+        }
+      ],
+      unsupported,
+      variables: variables.map(({ name, type, source: origin }) => ({ name, type, source: origin }))
+    };
+  }
+
+  providerGaps(provider, service) {
+    const gaps = {
+      'spec.encryption.atRest': `No guardrail resource enforces encryption at rest for ${service}`,
+      'spec.encryption.inTransit': `No guardrail resource enforces TLS for ${service}`,
+      'spec.encryption.tlsMinVersion': `No guardrail resource enforces a minimum TLS version for ${service}`,
+      'spec.accessControl.publicAccess': `No guardrail resource blocks public access for ${service}`,
+      'spec.logging.enabled': `No guardrail resource enables access logging for ${service}`,
+      'spec.backup': `No guardrail resource configures backups for ${service}`
+    };
+    if (provider === 'gcp') {
+      gaps['spec.encryption.atRest'] = 'Google Cloud encrypts data at rest by default; set keyManagement to enforce CMEK';
+      gaps['spec.encryption.inTransit'] = 'Google Cloud APIs only serve TLS; restrict versions with the gcp export';
+      gaps['spec.encryption.tlsMinVersion'] = 'TLS versions are restricted with Organization Policy (format gcp)';
+    }
+    return gaps;
+  }
+
+  /**
+   * Variables in reference order. Template parameters override built-in
+   * definitions and add variables the template wants exposed.
+   */
+  resolveVariables(provider, used, spec, template) {
+    const parameters = new Map(
+      (template?.parameters || [])
+        .filter(parameter => VARIABLE_NAME.test(parameter?.name || ''))
+        .map(parameter => [parameter.name, parameter])
+    );
+    const names = [...used, ...Array.from(parameters.keys()).filter(name => !used.has(name))];
+
+    return names.map(name => {
+      const builtIn = VARIABLES[provider][name] || { type: 'string' };
+      const parameter = parameters.get(name);
+      const specValue = builtIn.specPath ? getSpecValue(spec, builtIn.specPath) : undefined;
+
+      let value = builtIn.default;
+      let origin = 'default';
+      if (specValue !== undefined) {
+        value = specValue;
+        origin = 'spec';
+      }
+      if (parameter && parameter.default !== undefined) {
+        value = parameter.default;
+        origin = 'template';
+      }
+
+      return {
+        name,
+        type: parameter?.type || builtIn.type,
+        description: parameter?.description || builtIn.description || name,
+        default: value,
+        source: parameter ? 'template' : origin
+      };
+    });
+  }
+
+  renderVariable(variable) {
+    return [
+      `variable "${variable.name}" {`,
+      `  type        = ${variable.type}`,
+      `  description = ${hclString(variable.description)}`,
+      ...(variable.default !== undefined ? [`  default     = ${hclValue(variable.default)}`] : []),
+      '}',
+      ''
+    ].join('\n');
+  }
+
+  renderSentinel(source, checks) {
+    const lines = [
+      `# Generated from ${commentText(source.name)} v${source.version}`,
+      '# Checks Terraform plans for the guardrails in the module next to this policy.',
+      '',
+      'import "tfplan/v2" as tfplan',
+      ...(checks.some(({ check }) => check.rule.some(line => line.includes('strings.'))) ? ['import "strings"'] : []),
+      '',
+      '# Resources of a type the plan creates or updates',
+      'managed = func(type) {',
+      '\treturn filter tfplan.resource_changes as _, rc {',
+      '\t\trc.type is type and rc.mode is "managed" and',
+      '\t\t(rc.change.actions contains "create" or rc.change.actions contains "update")',
+      '\t}',
+      '}',
+      ''
+    ];
+
+    for (const { path, check } of checks) {
+      lines.push(`# ${path}`, `${check.name} = rule {`, ...check.rule.map(line => `\t${line}`), '}', '');
+    }
+
+    lines.push('main = rule {');
+    checks.forEach(({ check }, index) => {
+      lines.push(`\t${check.name}${index < checks.length - 1 ? ' and' : ''}`);
+    });
+    lines.push('}', '');
+
+    return lines.join('\n');
+  }
+}
+
+// Singleton instance
+const terraformExporter = new TerraformExporter();
+
+export { terraformExporter };
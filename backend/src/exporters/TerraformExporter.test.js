@@ -0,0 +1,121 @@
+import { terraformExporter } from './TerraformExporter.js';
+
+const source = (spec, overrides = {}) => ({
+  id: '7f1c2a4e-cccc-4c8b-9d1e-000000000001',
+  name: 'aws-s3-security-policy',
+  service: 'AWS S3',
+  environment: 'production',
+  version: '1.3.0',
+  spec,
+  ...overrides
+});
+
+const files = (exported) => Object.fromEntries(exported.files.map(file => [file.path.split('/').slice(2).join('/'), file.content]));
+
+// Top-level `resource "<type>"` blocks of main.tf
+const resourceTypes = (main) => [...main.matchAll(/^resource "([a-z0-9_]+)"/gm)].map(match => match[1]);
+
+describe('TerraformExporter.export', () => {
+  it('writes the AWS guardrail resources with a provider block and variables', () => {
+    const exported = terraformExporter.export(source({
+      encryption: { atRest: true, keyManagement: 'customer-managed', keyRotationDays: 180 },
+      accessControl: { publicAccess: false }
+    }));
+    const module = files(exported);
+
+    expect(Object.keys(module)).toEqual([
+      'versions.tf',
+      'variables.tf',
+      'main.tf',
+      'terraform.tfvars.example',
+      'sentinel/aws-s3-security-policy.sentinel',
+      'sentinel/sentinel.hcl'
+    ]);
+    expect(module['versions.tf']).toContain('      source  = "hashicorp/aws"\n');
+    expect(module['versions.tf']).toContain('provider "aws" {\n  region = var.region\n}');
+    expect(resourceTypes(module['main.tf'])).toEqual([
+      'aws_kms_key',
+      'aws_s3_bucket_server_side_encryption_configuration',
+      'aws_s3_bucket_public_access_block'
+    ]);
+    expect(module['main.tf']).toContain('      sse_algorithm     = "aws:kms"\n      kms_master_key_id = aws_kms_key.this.arn');
+    expect(module['variables.tf']).toContain('variable "key_rotation_days" {\n  type        = number\n  description = "Days between automatic KMS key rotations"\n  default     = 180\n}');
+    expect(exported.variables).toContainEqual({ name: 'key_rotation_days', type: 'number', source: 'spec' });
+    expect(module['terraform.tfvars.example']).toContain('bucket_name = "<required>"\n');
+    expect(module['sentinel/sentinel.hcl']).toContain('  enforcement_level = "hard-mandatory"');
+  });
+
+  it('writes the GCP bucket as one resource carrying every bucket requirement', () => {
+    const exported = terraformExporter.export(source({
+      accessControl: { publicAccess: false },
+      logging: { enabled: true },
+      backup: { enabled: true, retentionDays: 14 }
+    }, { name: 'gcs-policy', service: 'GCP Cloud Storage', environment: 'staging' }));
+    const module = files(exported);
+
+    expect(module['versions.tf']).toContain('provider "google" {\n  project = var.project_id\n  region  = var.region\n}');
+    expect(resourceTypes(module['main.tf'])).toEqual(['google_storage_bucket', 'google_logging_project_sink', 'google_logging_project_bucket_config']);
+    expect(module['main.tf']).toContain('  public_access_prevention    = "enforced"');
+    expect(module['main.tf']).toContain('    retention_duration_seconds = var.backup_retention_days * 86400');
+    expect(module['sentinel/sentinel.hcl']).toContain('  enforcement_level = "advisory"');
+    expect(exported.unsupported).toEqual([]);
+  });
+
+  it('renders a Sentinel rule per guardrail and requires them all in main', () => {
+    const sentinel = files(terraformExporter.export(source({ accessControl: { publicAccess: false }, logging: { auditLogs: true } })))['sentinel/aws-s3-security-policy.sentinel'];
+
+    expect(sentinel).toContain('import "tfplan/v2" as tfplan\n');
+    expect(sentinel).not.toContain('import "strings"');
+    expect(sentinel).toContain([
+      '# spec.accessControl.publicAccess',
+      'public_access_blocked = rule {',
+      '\tlength(managed("aws_s3_bucket_public_access_block")) >= length(managed("aws_s3_bucket")) and',
+      '\tall managed("aws_s3_bucket_public_access_block") as _, rc {',
+      '\t\trc.change.after.block_public_acls is true and',
+      '\t\trc.change.after.block_public_policy is true and',
+      '\t\trc.change.after.ignore_public_acls is true and',
+      '\t\trc.change.after.restrict_public_buckets is true',
+      '\t}',
+      '}'
+    ].join('\n'));
+    expect(sentinel).toContain('main = rule {\n\tpublic_access_blocked and\n\taudit_trail_protected\n}\n');
+  });
+
+  it('quotes template values as HCL strings that are never interpolated', () => {
+    const template = {
+      parameters: [
+        { name: 'bucket_name', type: 'string', description: 'Bucket "name" ${var.other}', default: 'logs-${terraform.workspace}-%{ if true }x%{ endif }' },
+        { name: 'tags', type: 'map(string)', default: { 'cost-center': 'a"b\\c', team: 'line\nbreak' } }
+      ]
+    };
+    const module = files(terraformExporter.export(source({ accessControl: { publicAccess: false } }, { template })));
+
+    expect(module['variables.tf']).toContain('  description = "Bucket \\"name\\" $${var.other}"\n');
+    expect(module['variables.tf']).toContain('  default     = "logs-$${terraform.workspace}-%%{ if true }x%%{ endif }"\n');
+    expect(module['terraform.tfvars.example']).toContain('tags = { "cost-center" = "a\\"b\\\\c", "team" = "line\\nbreak" }\n');
+  });
+
+  it('keeps policy names on their comment line', () => {
+    const module = files(terraformExporter.export(source({ accessControl: { publicAccess: false } }, { name: 'storage\nresource "x" "y" {}' })));
+
+    expect(module['main.tf'].split('\n')[0]).toBe('# Generated from storage resource "x" "y" {} v1.3.0');
+    expect(resourceTypes(module['main.tf'])).toEqual(['aws_s3_bucket_public_access_block']);
+  });
+
+  it('reports requirements no guardrail resource covers', () => {
+    const exported = terraformExporter.export(source({
+      encryption: { atRest: true, algorithm: 'AES-256' },
+      accessControl: { publicAccess: false },
+      network: { blockedPorts: [22] }
+    }));
+
+    expect(exported.unsupported.map(entry => entry.path)).toEqual(['spec.encryption.algorithm', 'spec.network']);
+  });
+
+  it('rejects other providers and specs with no guardrail resources', () => {
+    expect(() => terraformExporter.export(source({ encryption: { atRest: true } }, { service: 'Azure Key Vault' })))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError' }));
+    expect(() => terraformExporter.export(source({ monitoring: { enabled: true } })))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError' }));
+  });
+});
@@ -0,0 +1,132 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { getPolicySpec, validatePolicyDocument } from '../policies/policyDocument.js';
+
+/**
+ * Collect what every exporter needs from a stored SecurityPolicy row.
+ * Policies stored before documents were schema-validated may still hold the
+ * raw LLM text; those cannot be compiled and are rejected with the issues.
+ */
+export const resolveExportSource = (policy) => {
+  const document = policy.document || {};
+  const issues = validatePolicyDocument(document.policy);
+
+  if (issues.length > 0) {
+    throw new UnprocessableEntityError('Policy has no valid SecurityPolicy document to export', issues);
+  }
+
+  return {
+    id: policy.id,
+    name: policy.name,
+    service: policy.service,
+    environment: policy.environment,
+    businessUnit: policy.businessUnit,
+    complianceFramework: policy.complianceFramework,
+    riskLevel: policy.riskLevel,
+    version: policy.version,
+    document,
+    spec: getPolicySpec(document)
+  };
+};
+
+// 'AWS S3 security-policy' -> 'aws_s3_security_policy'
+export const toIdentifier = (name) => {
+  const identifier = String(name || 'policy')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return /^[a-z]/.test(identifier) ? identifier : `p_${identifier}`;
+};
+
+const PROVIDER_PREFIXES = [
+  [/^(aws|amazon)\b/i, 'aws'],
+  [/^(azure|microsoft)\b/i, 'azure'],
+  [/^(gcp|google)\b/i, 'gcp']
+];
+
+// Services commonly named without their provider prefix
+const PROVIDER_SERVICES = [
+  [/\b(s3|lambda|dynamodb|cloudtrail)\b/i, 'aws'],
+  [/\b(key vault|cosmos ?db|blob storage)\b/i, 'azure'],
+  [/\b(bigquery|cloud run|cloud storage|gke)\b/i, 'gcp']
+];
+
+/**
+ * Cloud provider of a service name as stored on policies ('AWS S3',
+ * 'Azure Key Vault', 'GCP Cloud Run'); null when it cannot be told.
+ */
+export const getCloudProvider = (service) => {
+  const name = String(service || '').trim();
+  const match = PROVIDER_PREFIXES.find(([pattern]) => pattern.test(name))
+    || PROVIDER_SERVICES.find(([pattern]) => pattern.test(name));
+  return match ? match[1] : null;
+};
+
+export const isNonEmptyArray = (value) => Array.isArray(value) && value.length > 0;
+
+export const deepClone = (value) => JSON.parse(JSON.stringify(value));
+
+// 'a.b.c' -> sets obj.a.b.c, creating intermediate objects
+export const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+  return target;
+};
+
+// 'spec.encryption.atRest' -> spec.encryption.atRest
+export const getSpecValue = (spec, path) => path
+  .split('.')
+  .slice(1)
+  .reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), spec);
+
+// Only requirements that ask for something count; `publicAccess: true` asks for nothing
+export const isRequested = (path, value) => {
+  if (path === 'spec.accessControl.publicAccess') return value === false;
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false;
+};
+
+const ipv4ToNumber = (address) => address
+  .split('.')
+  .reduce((total, octet) => total * 256 + Number(octet), 0);
+
+const IPV4_CIDR = /^(\d{1,3}(?:\.\d{1,3}){3})(?:\/(\d{1,2}))?$/;
+
+// '10.0.0.0/8' -> { start, size }; a bare address is a /32
+const parseIpv4Range = (value) => {
+  const match = IPV4_CIDR.exec(String(value));
+  if (!match) return null;
+
+  const prefix = match[2] === undefined ? 32 : Number(match[2]);
+  if (prefix > 32) return null;
+
+  const size = 2 ** (32 - prefix);
+  return { start: Math.floor(ipv4ToNumber(match[1]) / size) * size, size };
+};
+
+/**
+ * True when every address of the inner IPv4 CIDR or address lies in the
+ * outer one, so the inner range is at least as long a prefix inside it.
+ * Non-IPv4 values never match.
+ */
+export const cidrCovers = (outer, inner) => {
+  const range = parseIpv4Range(outer);
+  const target = parseIpv4Range(inner);
+  if (!range || !target) return false;
+
+  return target.size <= range.size
+    && target.start >= range.start
+    && target.start + target.size <= range.start + range.size;
+};
+
+/**
+ * True when an IPv4 CIDR contains the given IPv4 address. Use cidrCovers to
+ * compare two ranges.
+ */
+export const cidrContains = (cidr, address) => !String(address).includes('/') && cidrCovers(cidr, address);
+
+export const isCidr = (value) => /^[0-9a-f.:]+\/\d{1,3}$/i.test(String(value));
@@ -0,0 +1,32 @@
+import { cidrContains, cidrCovers } from './exportUtils.js';
+
+describe('cidrCovers', () => {
+  it('covers longer prefixes inside the range', () => {
+    expect(cidrCovers('10.0.0.0/8', '10.1.0.0/16')).toBe(true);
+    expect(cidrCovers('10.0.0.0/8', '10.255.255.255')).toBe(true);
+    expect(cidrCovers('10.0.0.0/16', '10.0.0.0/16')).toBe(true);
+  });
+
+  it('does not cover a wider range that shares its network address', () => {
+    expect(cidrCovers('10.0.0.0/16', '10.0.0.0/8')).toBe(false);
+    expect(cidrCovers('10.0.0.0/8', '0.0.0.0/0')).toBe(false);
+  });
+
+  it('does not cover ranges outside it', () => {
+    expect(cidrCovers('10.0.0.0/16', '10.1.0.0/16')).toBe(false);
+    expect(cidrCovers('192.168.0.0/24', '192.168.1.7')).toBe(false);
+  });
+
+  it('ignores values that are not IPv4', () => {
+    expect(cidrCovers('10.0.0.0/8', 'vpc-internal')).toBe(false);
+    expect(cidrCovers('2001:db8::/32', '2001:db8::1')).toBe(false);
+    expect(cidrCovers('10.0.0.0/33', '10.0.0.1')).toBe(false);
+  });
+});
+
+describe('cidrContains', () => {
+  it('matches addresses only', () => {
+    expect(cidrContains('203.0.113.0/24', '203.0.113.7')).toBe(true);
+    expect(cidrContains('10.0.0.0/8', '10.0.0.0/16')).toBe(false);
+  });
+});
@@ -0,0 +1,136 @@
+import { ValidationError, NotFoundError, isHttpError } from '../middleware/errorHandler.js';
+import { policyTemplateService } from '../policies/PolicyTemplateService.js';
+import { policySigner } from '../signing/PolicySigner.js';
+import { resolveExportSource } from './exportUtils.js';
+import { regoExporter } from './RegoExporter.js';
+import { awsExporter } from './AwsExporter.js';
+import { azureExporter } from './AzureExporter.js';
+import { gcpExporter } from './GcpExporter.js';
+import { kyvernoExporter } from './KyvernoExporter.js';
+import { gatekeeperExporter } from './GatekeeperExporter.js';
+import { terraformExporter } from './TerraformExporter.js';
+
+/**
+ * Registry of policy exporters by `format`. Every exporter takes the
+ * resolved export source and returns { files: [{ path, contentType, content }],
+ * unsupported: [{ path, reason }] } plus any format-specific fields.
+ * Exporters that can merge several policies also implement bundle(sources);
+ * exporters with `usesTemplate` get the template the policy was generated
+ * from as `source.template`. With `signed`, each policy export carries the
+ * signature of its approved version (see signing/PolicySigner.js).
+ */
+const exporters = new Map([
+  [regoExporter.format, regoExporter],
+  [awsExporter.format, awsExporter],
+  [azureExporter.format, azureExporter],
+  [gcpExporter.format, gcpExporter],
+  [kyvernoExporter.format, kyvernoExporter],
+  [gatekeeperExporter.format, gatekeeperExporter],
+  [terraformExporter.format, terraformExporter]
+]);
+
+export const listExportFormats = () => Array.from(exporters.values()).map(exporter => ({
+  format: exporter.format,
+  description: exporter.description
+}));
+
+export const getExporter = (format) => {
+  const exporter = exporters.get(format);
+  if (!exporter) {
+    throw new ValidationError(
+      `Unsupported export format '${format}'. Supported formats: ${Array.from(exporters.keys()).join(', ')}`
+    );
+  }
+  return exporter;
+};
+
+const resolveSource = async (exporter, policy) => {
+  const source = resolveExportSource(policy);
+  if (exporter.usesTemplate) {
+    source.template = await policyTemplateService.getPolicyTemplate(policy);
+  }
+  return source;
+};
+
+const exportSource = async (exporter, source, policy, signed) => {
+  const result = exporter.export(source);
+  return signed ? await policySigner.attachSignature(policy, result) : result;
+};
+
+/**
+ * Export one stored policy in the given format
+ */
+export const exportPolicy = async (policy, format, { signed = false } = {}) => {
+  const exporter = getExporter(format);
+  const result = await exportSource(exporter, await resolveSource(exporter, policy), policy, signed);
+
+  return {
+    format: exporter.format,
+    policyId: policy.id,
+    policyVersion: policy.version,
+    generatedAt: new Date().toISOString(),
+    ...result
+  };
+};
+
+/**
+ * Export several stored policies in one format. A policy that cannot be
+ * exported, or is unsigned when `signed` is set, is reported in `errors`
+ * instead of failing the whole request. Bundles are not signed.
+ */
+export const exportPolicies = async (policies, format, { signed = false } = {}) => {
+  const exporter = getExporter(format);
+  const exports = [];
+  const errors = [];
+  const sources = [];
+
+  for (const policy of policies) {
+    try {
+      const source = await resolveSource(exporter, policy);
+      exports.push({
+        policyId: policy.id,
+        policyName: policy.name,
+        policyVersion: policy.version,
+        ...await exportSource(exporter, source, policy, signed)
+      });
+      sources.push(source);
+    } catch (error) {
+      if (!isHttpError(error)) {
+        throw error;
+      }
+      errors.push({
+        policyId: policy.id,
+        policyName: policy.name,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+  }
+
+  return {
+    format: exporter.format,
+    generatedAt: new Date().toISOString(),
+    exports,
+    errors,
+    ...(exporter.bundle && sources.length > 0 && { bundle: exporter.bundle(sources) })
+  };
+};
+
+/**
+ * The bundle file for one business unit, for formats that bundle per unit
+ */
+export const exportBusinessUnitBundle = async (policies, format, businessUnit) => {
+  const exporter = getExporter(format);
+  if (!exporter.bundle) {
+    throw new ValidationError(`Format '${format}' does not produce bundles`);
+  }
+
+  const unitPolicies = policies.filter(policy => (policy.businessUnit || 'unassigned') === businessUnit);
+  const result = await exportPolicies(unitPolicies, format);
+  const file = result.bundle?.files.find(candidate => candidate.businessUnit === businessUnit);
+  if (!file) {
+    throw new NotFoundError(`No exportable ${format} policies for business unit '${businessUnit}'`);
+  }
+
+  return { file, exported: result.exports.length, errors: result.errors };
+};
@@ -0,0 +1,160 @@
+import yaml from 'js-yaml';
+import { isCidr, getSpecValue, isRequested } from './exportUtils.js';
+
+// Spec items checked for coverage, with the reason when no admission rule covers them
+const SPEC_REQUIREMENTS = {
+  'spec.encryption.algorithm': 'The encryption algorithm is chosen by the storage provisioner, not the admitted object',
+  'spec.encryption.keyManagement': 'Key management is configured on the storage provisioner or KMS plugin',
+  'spec.encryption.keyRotationDays': 'Key rotation happens in the KMS, outside the cluster API',
+  'spec.encryption.tlsMinVersion': 'TLS versions are set on the ingress controller, not on Ingress objects',
+  'spec.accessControl.authentication.methods': 'Authentication is configured on the API server and identity provider',
+  'spec.accessControl.authentication.mfaRequired': 'MFA is enforced by the identity provider, not admission control',
+  'spec.accessControl.authentication.sessionTimeoutMinutes': 'Session lifetime is set on the identity provider',
+  'spec.accessControl.authorization.model': 'The authorization mode is an API server setting',
+  'spec.accessControl.authorization.roles': 'Role bindings are managed as RBAC objects, not admission rules',
+  'spec.network.allowedSources': 'Source restrictions need a NetworkPolicy or ingress controller configuration',
+  'spec.monitoring': 'Monitoring is a cluster add-on, not a property of admitted objects',
+  'spec.logging': 'Audit logging is an API server setting, not a property of admitted objects',
+  'spec.backup': 'Backups are taken by cluster tooling such as Velero, not admission control',
+  'spec.incidentResponse': 'Incident response procedures cannot be enforced at admission'
+};
+
+/**
+ * Admission rules shared by the Kyverno and Gatekeeper exporters. Each rule
+ * has a stable `id` both renderers key their output on, the spec `path` it
+ * enforces (plus any it `covers`), the resource `kinds` it matches and the
+ * `parameters` taken from the spec.
+ */
+export const selectKubernetesRules = (spec) => {
+  const unsupported = [];
+  const rules = [];
+
+  const sources = spec.network?.allowedSources || [];
+  const cidrs = sources.filter(isCidr);
+  sources.forEach((source, index) => {
+    if (!isCidr(source)) {
+      unsupported.push({
+        path: `spec.network.allowedSources[${index}]`,
+        reason: `'${source}' is not a CIDR; load balancer source ranges only take address ranges`
+      });
+    }
+  });
+
+  if (spec.encryption?.inTransit === true) {
+    rules.push({
+      id: 'require-ingress-tls',
+      path: 'spec.encryption.inTransit',
+      title: 'Require TLS on Ingress',
+      description: 'Ingresses must terminate TLS.',
+      kinds: [{ apiGroups: ['networking.k8s.io'], kinds: ['Ingress'] }],
+      parameters: {}
+    });
+  }
+
+  if (spec.encryption?.atRest === true) {
+    rules.push({
+      id: 'require-encrypted-storage',
+      path: 'spec.encryption.atRest',
+      title: 'Require encrypted StorageClasses',
+      description: 'StorageClasses must provision encrypted volumes (parameters.encrypted: "true").',
+      kinds: [{ apiGroups: ['storage.k8s.io'], kinds: ['StorageClass'] }],
+      parameters: {}
+    });
+  }
+
+  const restrictExposure = spec.accessControl?.publicAccess === false || spec.network?.privateEndpointsOnly === true;
+  if (restrictExposure) {
+    rules.push({
+      id: 'restrict-service-types',
+      path: spec.network?.privateEndpointsOnly === true ? 'spec.network.privateEndpointsOnly' : 'spec.accessControl.publicAccess',
+      covers: ['spec.accessControl.publicAccess', 'spec.network.allowedSources'],
+      title: 'Restrict externally reachable Services',
+      description: 'Services must not be exposed through NodePorts or load balancers.',
+      kinds: [{ apiGroups: [''], kinds: ['Service'] }],
+      parameters: { disallowedTypes: ['NodePort', 'LoadBalancer'] }
+    });
+  } else if (cidrs.length > 0) {
+    rules.push({
+      id: 'restrict-load-balancer-sources',
+      path: 'spec.network.allowedSources',
+      title: 'Restrict load balancer source ranges',
+      description: 'LoadBalancer Services must limit loadBalancerSourceRanges to the allowed sources.',
+      kinds: [{ apiGroups: [''], kinds: ['Service'] }],
+      parameters: { allowedCidrs: cidrs }
+    });
+  }
+
+  if (Array.isArray(spec.network?.blockedPorts) && spec.network.blockedPorts.length > 0) {
+    rules.push({
+      id: 'block-ports',
+      path: 'spec.network.blockedPorts',
+      title: 'Block restricted ports',
+      description: `Containers and Services must not expose ports ${spec.network.blockedPorts.join(', ')}.`,
+      kinds: [{ apiGroups: [''], kinds: ['Pod', 'Service'] }],
+      parameters: { ports: spec.network.blockedPorts }
+    });
+  }
+
+  if (spec.accessControl?.authorization?.leastPrivilege === true) {
+    rules.push({
+      id: 'disallow-privileged-containers',
+      path: 'spec.accessControl.authorization.leastPrivilege',
+      title: 'Disallow privileged containers',
+      description: 'Containers must not run privileged and must set allowPrivilegeEscalation to false.',
+      kinds: [{ apiGroups: [''], kinds: ['Pod'] }],
+      parameters: {}
+    });
+    rules.push({
+      id: 'restrict-rbac-wildcards',
+      path: 'spec.accessControl.authorization.leastPrivilege',
+      title: 'Restrict wildcard RBAC rules',
+      description: 'Roles and ClusterRoles must not grant wildcard verbs or resources.',
+      kinds: [{ apiGroups: ['rbac.authorization.k8s.io'], kinds: ['Role', 'ClusterRole'] }],
+      parameters: {}
+    });
+  }
+
+  const covered = rules.flatMap(rule => [rule.path, ...(rule.covers || [])]);
+  for (const [path, reason] of Object.entries(SPEC_REQUIREMENTS)) {
+    const isCovered = covered.some(rulePath => rulePath === path || rulePath.startsWith(`${path}.`));
+    if (!isCovered && isRequested(path, getSpecValue(spec, path))) {
+      unsupported.push({ path, reason });
+    }
+  }
+
+  return { rules, unsupported };
+};
+
+// Production policies block; everything else reports violations only
+export const isEnforced = (environment) => environment === 'production';
+
+export const toResourceName = (value) => String(value || 'policy')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 63)
+  .replace(/-+$/, '');
+
+export const foundryLabels = (source) => ({
+  'app.kubernetes.io/managed-by': 'policy-foundry',
+  'policy-foundry/policy-id': String(source.id),
+  ...(source.businessUnit && { 'policy-foundry/business-unit': source.businessUnit }),
+  ...(source.environment && { 'policy-foundry/environment': source.environment })
+});
+
+export const toMultiDocumentYaml = (documents) => documents
+  .map(document => yaml.dump(document, { lineWidth: -1, noRefs: true }))
+  .join('---\n');
+
+/**
+ * Group export sources by business unit, for one bundle per unit
+ */
+export const groupByBusinessUnit = (sources) => {
+  const groups = new Map();
+  for (const source of sources) {
+    const unit = source.businessUnit || 'unassigned';
+    if (!groups.has(unit)) groups.set(unit, []);
+    groups.get(unit).push(source);
+  }
+  return groups;
+};
@@ -0,0 +1,310 @@
+import { validate as isUuid } from 'uuid';
+import { GenerationJob } from '../models/GenerationJob.js';
+import { GenerationJobItem } from '../models/GenerationJobItem.js';
+import { agentManager } from '../agents/agentManager.js';
+import { policyService } from '../policies/PolicyService.js';
+import { ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+export const DEFAULT_JOB_CONCURRENCY = 3;
+export const SUMMARY_FORMATS = ['json', 'csv'];
+
+// Jobs that can be picked up again with resume
+const RESUMABLE_STATUSES = ['cancelled', 'interrupted', 'completed'];
+
+const SUMMARY_COLUMNS = ['position', 'service', 'environment', 'businessUnit', 'compliance', 'status', 'policyId', 'attempts', 'error'];
+
+const csvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Batch policy generation. A job runs its items through
+ * agentManager.generatePolicy with a fixed number of workers and stores
+ * each result as a draft policy. Progress is pushed to the `dashboard`
+ * socket.io room as `generation-job-progress` per item and
+ * `generation-job-updated` when the job status changes.
+ */
+export class GenerationJobService {
+  constructor() {
+    this.io = null;
+    // Job id -> { cancelled, run } for jobs running in this process
+    this.active = new Map();
+  }
+
+  async initialize(io) {
+    this.io = io;
+
+    // Jobs that were running when the process stopped; their items have to be resumed
+    const [interrupted] = await GenerationJob.update(
+      { status: 'interrupted', finishedAt: new Date() },
+      { where: { status: 'running' } }
+    );
+
+    if (interrupted > 0) {
+      logger.warn(`Generation jobs: ${interrupted} jobs interrupted by a restart, resume them to continue`);
+    }
+  }
+
+  async createJob(requests, { concurrency = DEFAULT_JOB_CONCURRENCY } = {}, user) {
+    const job = await GenerationJob.create({
+      status: 'running',
+      concurrency,
+      total: requests.length,
+      createdBy: user?.email || user?.id,
+      startedAt: new Date()
+    });
+
+    await GenerationJobItem.bulkCreate(requests.map(({ service, requirements }, position) => ({
+      jobId: job.id,
+      position,
+      service,
+      requirements
+    })));
+
+    logger.info(`Generation job ${job.id}: ${requests.length} services, concurrency ${concurrency}`);
+    this.start(job, user);
+    return job;
+  }
+
+  async getJob(id) {
+    const job = isUuid(id) ? await GenerationJob.findByPk(id) : null;
+    if (!job) {
+      throw new NotFoundError(`Generation job not found: ${id}`);
+    }
+    return job;
+  }
+
+  async listJobs({ limit = 20 } = {}) {
+    const jobs = await GenerationJob.findAll({ order: [['createdAt', 'DESC']], limit });
+    return Promise.all(jobs.map(async job => this.toSummary(job, await this.countItems(job.id))));
+  }
+
+  /**
+   * Stop handing out items. Items already being generated finish and are
+   * recorded; the rest stay pending for resume.
+   */
+  async cancelJob(id) {
+    const job = await this.getJob(id);
+    if (job.status !== 'running') {
+      throw new ConflictError(`Generation job is ${job.status}; only running jobs can be cancelled`);
+    }
+
+    const active = this.active.get(id);
+    if (active) {
+      active.cancelled = true;
+    }
+
+    await job.update({ status: 'cancelled', finishedAt: new Date() });
+    logger.info(`Generation job ${id} cancelled`);
+    this.emitJobUpdate(job);
+    return job;
+  }
+
+  /**
+   * Continue a cancelled or interrupted job with its pending items, and its
+   * failed items when `retryFailed` is set
+   */
+  async resumeJob(id, { retryFailed = false, concurrency } = {}, user) {
+    const job = await this.getJob(id);
+    if (!RESUMABLE_STATUSES.includes(job.status)) {
+      throw new ConflictError(`Generation job is ${job.status}; only cancelled, interrupted or completed jobs can be resumed`);
+    }
+    if (this.active.has(id)) {
+      throw new ConflictError('Generation job is still finishing its in-flight items; try again shortly');
+    }
+
+    // Items left running by an interrupted process never finished
+    const statuses = retryFailed ? ['running', 'failed'] : ['running'];
+    await GenerationJobItem.update(
+      { status: 'pending', error: null },
+      { where: { jobId: id, status: statuses } }
+    );
+
+    const counts = await this.countItems(id);
+    if (counts.pending === 0) {
+      throw new ConflictError('Generation job has no items left to run');
+    }
+
+    await job.update({
+      status: 'running',
+      concurrency: concurrency || job.concurrency,
+      finishedAt: null
+    });
+
+    logger.info(`Generation job ${id} resumed with ${counts.pending} pending items`);
+    this.emitJobUpdate(job, counts);
+    this.start(job, user);
+    return job;
+  }
+
+  start(job, user) {
+    const active = { cancelled: false };
+    active.run = this.run(job, user, active)
+      .catch(error => logger.error(`Generation job ${job.id} failed:`, error))
+      .finally(() => this.active.delete(job.id));
+    this.active.set(job.id, active);
+  }
+
+  async run(job, user, active) {
+    const items = await GenerationJobItem.findAll({
+      where: { jobId: job.id, status: 'pending' },
+      order: [['position', 'ASC']]
+    });
+
+    let next = 0;
+    const worker = async () => {
+      while (!active.cancelled && next < items.length) {
+        await this.runItem(job, items[next++], user);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(job.concurrency, items.length) }, worker));
+
+    if (!active.cancelled) {
+      await job.update({ status: 'completed', finishedAt: new Date() });
+      const counts = await this.countItems(job.id);
+      logger.info(`Generation job ${job.id} completed: ${counts.succeeded} succeeded, ${counts.failed} failed`);
+      this.emitJobUpdate(job, counts);
+    }
+  }
+
+  async runItem(job, item, user) {
+    await item.update({ status: 'running', attempts: item.attempts + 1, startedAt: new Date(), finishedAt: null });
+    this.emitProgress(job, item);
+
+    try {
+      const document = await agentManager.generatePolicy(item.service, item.requirements);
+      const policy = await policyService.createPolicy(document, user, {
+        reason: `Generated by batch job ${job.id}`
+      });
+      await item.update({ status: 'succeeded', policyId: policy.id, error: null, finishedAt: new Date() });
+    } catch (error) {
+      logger.warn(`Generation job ${job.id}: ${item.service} failed: ${error.message}`);
+      await item.update({ status: 'failed', error: error.message, finishedAt: new Date() });
+    }
+
+    this.emitProgress(job, item);
+  }
+
+  async countItems(jobId) {
+    const rows = await GenerationJobItem.count({ where: { jobId }, group: ['status'] });
+    const counts = { pending: 0, running: 0, succeeded: 0, failed: 0 };
+    for (const row of rows) {
+      counts[row.status] = Number(row.count);
+    }
+    return counts;
+  }
+
+  async getItems(jobId) {
+    return GenerationJobItem.findAll({ where: { jobId }, order: [['position', 'ASC']] });
+  }
+
+  async getJobDetail(id) {
+    const job = await this.getJob(id);
+    const items = await this.getItems(id);
+    return {
+      ...this.toSummary(job, this.tally(items)),
+      items: items.map(item => this.toItemSummary(item))
+    };
+  }
+
+  /**
+   * Downloadable outcome of every item, as `json` or `csv`
+   */
+  async getSummaryFile(id, format = 'json') {
+    const job = await this.getJob(id);
+    const items = (await this.getItems(id)).map(item => this.toItemSummary(item));
+
+    if (format === 'csv') {
+      const rows = items.map(item => SUMMARY_COLUMNS.map(column => csvValue(item[column])).join(','));
+      return {
+        filename: `generation-job-${id}.csv`,
+        contentType: 'text/csv',
+        content: [SUMMARY_COLUMNS.join(','), ...rows].join('\n') + '\n'
+      };
+    }
+
+    const tally = this.tally(items);
+    return {
+      filename: `generation-job-${id}.json`,
+      contentType: 'application/json',
+      content: JSON.stringify({
+        job: this.toSummary(job, tally),
+        succeeded: items.filter(item => item.status === 'succeeded'),
+        failed: items.filter(item => item.status === 'failed'),
+        pending: items.filter(item => item.status === 'pending' || item.status === 'running')
+      }, null, 2)
+    };
+  }
+
+  tally(items) {
+    const counts = { pending: 0, running: 0, succeeded: 0, failed: 0 };
+    for (const item of items) {
+      counts[item.status]++;
+    }
+    return counts;
+  }
+
+  emitProgress(job, item) {
+    if (this.io) {
+      this.io.to('dashboard').emit('generation-job-progress', {
+        jobId: job.id,
+        item: this.toItemSummary(item),
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  emitJobUpdate(job, counts) {
+    if (this.io) {
+      this.io.to('dashboard').emit('generation-job-updated', {
+        job: this.toSummary(job, counts),
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  shutdown() {
+    // Stop handing out items; the jobs are marked interrupted on the next start
+    for (const active of this.active.values()) {
+      active.cancelled = true;
+    }
+  }
+
+  toSummary(job, counts) {
+    return {
+      id: job.id,
+      status: job.status,
+      concurrency: job.concurrency,
+      total: job.total,
+      ...(counts && { progress: { ...counts, done: counts.succeeded + counts.failed } }),
+      createdBy: job.createdBy,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      createdAt: job.createdAt
+    };
+  }
+
+  toItemSummary(item) {
+    return {
+      position: item.position,
+      service: item.service,
+      environment: item.requirements?.environment || null,
+      businessUnit: item.requirements?.businessUnit || null,
+      compliance: item.requirements?.compliance || null,
+      status: item.status,
+      policyId: item.policyId,
+      attempts: item.attempts,
+      error: item.error,
+      startedAt: item.startedAt,
+      finishedAt: item.finishedAt
+    };
+  }
+}
+
+// Singleton instance
+const generationJobService = new GenerationJobService();
+
+export { generationJobService };
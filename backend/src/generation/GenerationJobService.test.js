@@ -0,0 +1,271 @@
+import { jest } from '@jest/globals';
+import { randomUUID } from 'crypto';
+
+jest.unstable_mockModule('../agents/agentManager.js', () => ({
+  agentManager: { generatePolicy: jest.fn() }
+}));
+
+const { generationJobService } = await import('./GenerationJobService.js');
+const { agentManager } = await import('../agents/agentManager.js');
+const { policyService } = await import('../policies/PolicyService.js');
+const { GenerationJob } = await import('../models/GenerationJob.js');
+const { GenerationJobItem } = await import('../models/GenerationJobItem.js');
+
+const user = { email: 'batch@example.com' };
+
+// In-memory rows standing in for generation_jobs and generation_job_items
+let jobs;
+let items;
+
+const row = (values) => ({
+  ...values,
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }
+});
+
+const matches = (record, where) => Object.entries(where).every(([key, value]) => (
+  Array.isArray(value) ? value.includes(record[key]) : record[key] === value
+));
+
+const itemsOf = (jobId) => items.filter(item => item.jobId === jobId).sort((a, b) => a.position - b.position);
+
+// Resolves once the job has stopped handing out items
+const settled = (job) => generationJobService.active.get(job.id)?.run;
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+const requests = (count) => Array.from({ length: count }, (_, index) => ({
+  service: `Service ${index}`,
+  requirements: { environment: 'production', compliance: 'CIS' }
+}));
+
+beforeEach(() => {
+  jobs = [];
+  items = [];
+  generationJobService.io = null;
+  generationJobService.active = new Map();
+
+  jest.spyOn(GenerationJob, 'create').mockImplementation(async (values) => {
+    const job = row({ id: randomUUID(), createdAt: new Date(), finishedAt: null, ...values });
+    jobs.push(job);
+    return job;
+  });
+  jest.spyOn(GenerationJob, 'findByPk').mockImplementation(async (id) => jobs.find(job => job.id === id) || null);
+  jest.spyOn(GenerationJob, 'update').mockImplementation(async (values, { where }) => {
+    const updated = jobs.filter(job => matches(job, where));
+    updated.forEach(job => Object.assign(job, values));
+    return [updated.length];
+  });
+
+  jest.spyOn(GenerationJobItem, 'bulkCreate').mockImplementation(async (rows) => {
+    items.push(...rows.map(values => row({ status: 'pending', attempts: 0, policyId: null, error: null, ...values })));
+  });
+  jest.spyOn(GenerationJobItem, 'findAll').mockImplementation(async ({ where }) => itemsOf(where.jobId).filter(item => matches(item, where)));
+  jest.spyOn(GenerationJobItem, 'update').mockImplementation(async (values, { where }) => {
+    const updated = items.filter(item => matches(item, where));
+    updated.forEach(item => Object.assign(item, values));
+    return [updated.length];
+  });
+  jest.spyOn(GenerationJobItem, 'count').mockImplementation(async ({ where }) => {
+    const counts = new Map();
+    itemsOf(where.jobId).forEach(item => counts.set(item.status, (counts.get(item.status) || 0) + 1));
+    return [...counts].map(([status, count]) => ({ status, count: String(count) }));
+  });
+
+  let created = 0;
+  jest.spyOn(policyService, 'createPolicy').mockImplementation(async () => ({ id: `policy-${++created}` }));
+  agentManager.generatePolicy.mockReset();
+  agentManager.generatePolicy.mockImplementation(async (service) => ({ metadata: { service } }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GenerationJobService.run', () => {
+  it('generates every item with at most `concurrency` in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    agentManager.generatePolicy.mockImplementation(async (service) => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      if (service === 'Service 3') throw new Error('model refused');
+      return { metadata: { service } };
+    });
+
+    const job = await generationJobService.createJob(requests(5), { concurrency: 2 }, user);
+    await settled(job);
+
+    expect(peak).toBe(2);
+    expect(agentManager.generatePolicy.mock.calls.map(([service]) => service))
+      .toEqual(['Service 0', 'Service 1', 'Service 2', 'Service 3', 'Service 4']);
+    expect(policyService.createPolicy).toHaveBeenCalledWith({ metadata: { service: 'Service 0' } }, user, {
+      reason: `Generated by batch job ${job.id}`
+    });
+    expect(job.status).toBe('completed');
+    expect(itemsOf(job.id).map(item => [item.status, item.attempts, item.error])).toEqual([
+      ['succeeded', 1, null],
+      ['succeeded', 1, null],
+      ['succeeded', 1, null],
+      ['failed', 1, 'model refused'],
+      ['succeeded', 1, null]
+    ]);
+    expect(generationJobService.active.has(job.id)).toBe(false);
+  });
+
+  it('reports progress per item and the job when it completes', async () => {
+    const emit = jest.fn();
+    generationJobService.io = { to: jest.fn(() => ({ emit })) };
+
+    const job = await generationJobService.createJob(requests(1), {}, user);
+    await settled(job);
+
+    expect(emit.mock.calls.map(([event, payload]) => [event, payload.item?.status ?? payload.job.status])).toEqual([
+      ['generation-job-progress', 'running'],
+      ['generation-job-progress', 'succeeded'],
+      ['generation-job-updated', 'completed']
+    ]);
+    expect(emit.mock.calls[2][1].job.progress).toEqual({ pending: 0, running: 0, succeeded: 1, failed: 0, done: 1 });
+  });
+});
+
+describe('GenerationJobService.cancelJob and resumeJob', () => {
+  it('lets in-flight items finish, leaves the rest pending and picks them up on resume', async () => {
+    const release = deferred();
+    agentManager.generatePolicy.mockImplementation(async (service) => {
+      await release.promise;
+      return { metadata: { service } };
+    });
+
+    const job = await generationJobService.createJob(requests(5), { concurrency: 2 }, user);
+    await new Promise(resolve => setImmediate(resolve));
+    await generationJobService.cancelJob(job.id);
+    const run = settled(job);
+    release.resolve();
+    await run;
+
+    expect(job.status).toBe('cancelled');
+    expect(itemsOf(job.id).map(item => item.status)).toEqual(['succeeded', 'succeeded', 'pending', 'pending', 'pending']);
+    await expect(generationJobService.cancelJob(job.id)).rejects.toMatchObject({ name: 'ConflictError' });
+
+    await generationJobService.resumeJob(job.id, {}, user);
+    expect(job.status).toBe('running');
+    await settled(job);
+
+    expect(job.status).toBe('completed');
+    expect(agentManager.generatePolicy).toHaveBeenCalledTimes(5);
+    expect(itemsOf(job.id).every(item => item.status === 'succeeded')).toBe(true);
+  });
+
+  it('refuses to resume a job still finishing its in-flight items', async () => {
+    const release = deferred();
+    agentManager.generatePolicy.mockImplementation(() => release.promise);
+
+    const job = await generationJobService.createJob(requests(2), { concurrency: 1 }, user);
+    await generationJobService.cancelJob(job.id);
+
+    await expect(generationJobService.resumeJob(job.id, {}, user))
+      .rejects.toThrow('Generation job is still finishing its in-flight items; try again shortly');
+    const run = settled(job);
+    release.resolve({ metadata: {} });
+    await run;
+  });
+
+  it('retries failed items only when asked and refuses jobs with nothing left', async () => {
+    agentManager.generatePolicy.mockRejectedValueOnce(new Error('rate limited'));
+
+    const job = await generationJobService.createJob(requests(2), {}, user);
+    await settled(job);
+    expect(itemsOf(job.id).map(item => item.status)).toEqual(['failed', 'succeeded']);
+
+    await expect(generationJobService.resumeJob(job.id, {}, user))
+      .rejects.toThrow('Generation job has no items left to run');
+
+    await generationJobService.resumeJob(job.id, { retryFailed: true, concurrency: 4 }, user);
+    expect(job.concurrency).toBe(4);
+    await settled(job);
+
+    expect(itemsOf(job.id).map(item => [item.status, item.attempts, item.error])).toEqual([
+      ['succeeded', 2, null],
+      ['succeeded', 1, null]
+    ]);
+  });
+
+  it('rejects unknown and running jobs', async () => {
+    await expect(generationJobService.resumeJob('not-a-uuid', {}, user)).rejects.toMatchObject({ name: 'NotFoundError' });
+
+    const release = deferred();
+    agentManager.generatePolicy.mockImplementation(() => release.promise);
+    const job = await generationJobService.createJob(requests(1), {}, user);
+
+    await expect(generationJobService.resumeJob(job.id, {}, user))
+      .rejects.toThrow('Generation job is running; only cancelled, interrupted or completed jobs can be resumed');
+    release.resolve({ metadata: {} });
+    await settled(job);
+  });
+});
+
+describe('GenerationJobService.initialize', () => {
+  it('marks jobs left running by a restart as interrupted and resumes their unfinished items', async () => {
+    const job = row({ id: randomUUID(), status: 'running', concurrency: 2, total: 3, finishedAt: null });
+    jobs.push(job, row({ id: randomUUID(), status: 'completed' }));
+    await GenerationJobItem.bulkCreate([
+      { jobId: job.id, position: 0, service: 'Service 0', status: 'succeeded', attempts: 1, policyId: 'policy-0' },
+      { jobId: job.id, position: 1, service: 'Service 1', status: 'running', attempts: 1 },
+      { jobId: job.id, position: 2, service: 'Service 2' }
+    ]);
+
+    await generationJobService.initialize(null);
+    expect(jobs.map(candidate => candidate.status)).toEqual(['interrupted', 'completed']);
+    expect(job.finishedAt).toEqual(expect.any(Date));
+
+    await generationJobService.resumeJob(job.id, {}, user);
+    await settled(job);
+
+    expect(agentManager.generatePolicy.mock.calls.map(([service]) => service)).toEqual(['Service 1', 'Service 2']);
+    expect(itemsOf(job.id).map(item => [item.status, item.attempts])).toEqual([['succeeded', 1], ['succeeded', 2], ['succeeded', 1]]);
+  });
+});
+
+describe('GenerationJobService.getSummaryFile', () => {
+  it('quotes CSV values with commas, quotes and line breaks', async () => {
+    const job = row({ id: randomUUID(), status: 'completed', total: 3 });
+    jobs.push(job);
+    await GenerationJobItem.bulkCreate([
+      { jobId: job.id, position: 0, service: 'AWS S3', requirements: { environment: 'production', businessUnit: 'trading', compliance: 'CIS' }, status: 'succeeded', attempts: 1, policyId: 'policy-1' },
+      { jobId: job.id, position: 1, service: 'Azure Storage, EU', requirements: {}, status: 'failed', attempts: 2, error: 'Model said "no"' },
+      { jobId: job.id, position: 2, service: 'GCP Cloud Storage', requirements: null, status: 'failed', attempts: 1, error: 'line one\r\nline two' }
+    ]);
+
+    const file = await generationJobService.getSummaryFile(job.id, 'csv');
+
+    expect(file).toMatchObject({ filename: `generation-job-${job.id}.csv`, contentType: 'text/csv' });
+    expect(file.content).toBe([
+      'position,service,environment,businessUnit,compliance,status,policyId,attempts,error',
+      '0,AWS S3,production,trading,CIS,succeeded,policy-1,1,',
+      '1,"Azure Storage, EU",,,,failed,,2,"Model said ""no"""',
+      '2,GCP Cloud Storage,,,,failed,,1,"line one\r\nline two"',
+      ''
+    ].join('\n'));
+  });
+
+  it('groups items by outcome in the JSON summary', async () => {
+    agentManager.generatePolicy.mockRejectedValueOnce(new Error('timeout'));
+    const job = await generationJobService.createJob(requests(2), {}, user);
+    await settled(job);
+
+    const summary = JSON.parse((await generationJobService.getSummaryFile(job.id)).content);
+
+    expect(summary.job.progress).toEqual({ pending: 0, running: 0, succeeded: 1, failed: 1, done: 2 });
+    expect(summary.succeeded.map(item => item.service)).toEqual(['Service 1']);
+    expect(summary.failed).toEqual([expect.objectContaining({ service: 'Service 0', error: 'timeout' })]);
+    expect(summary.pending).toEqual([]);
+  });
+});
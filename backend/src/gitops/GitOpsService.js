@@ -0,0 +1,375 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import yaml from 'js-yaml';
+import { policyService } from '../policies/PolicyService.js';
+import { validatePolicyDocument } from '../policies/policyDocument.js';
+import { ConflictError, ValidationError, isHttpError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const run = promisify(execFile);
+
+const DEFAULT_BRANCH = 'main';
+const DEFAULT_POLICY_DIR = 'policies';
+const DEFAULT_WORK_DIR = 'gitops-worktree';
+
+// Local ref marking the last repository commit whose edits were imported
+const SYNCED_REF = 'refs/foundry/synced';
+
+// Trailer on commits written by the foundry; inbound sync skips them
+const VERSION_TRAILER = 'Foundry-Policy-Version';
+
+const COMMITTER = {
+  GIT_COMMITTER_NAME: 'AI Policy Foundry',
+  GIT_COMMITTER_EMAIL: 'foundry@localhost'
+};
+
+/**
+ * Policies as code. Activated policy versions are written as YAML to
+ * `<GITOPS_POLICY_DIR>/<policy id>.yaml` in GITOPS_REPOSITORY (any git
+ * remote, including a local bare repository) with one commit per
+ * activation. Inbound sync imports commits made directly in the
+ * repository as a new version of the draft policy the file is named
+ * after. Edits to policies past review are reported and left for the
+ * foundry, so a commit never changes what is enforced.
+ *
+ * All git work happens in a clone at GITOPS_WORK_DIR owned by the
+ * service, one operation at a time.
+ */
+export class GitOpsService {
+  constructor() {
+    this.repository = null;
+    this.interval = null;
+    this.queue = Promise.resolve();
+  }
+
+  async initialize() {
+    this.repository = process.env.GITOPS_REPOSITORY || null;
+
+    if (!this.repository) {
+      logger.info('GitOps: GITOPS_REPOSITORY not set, policies are not synchronized to git');
+      return;
+    }
+
+    this.branch = process.env.GITOPS_BRANCH || DEFAULT_BRANCH;
+    this.policyDir = process.env.GITOPS_POLICY_DIR || DEFAULT_POLICY_DIR;
+    this.workDir = path.resolve(process.env.GITOPS_WORK_DIR || DEFAULT_WORK_DIR);
+
+    await this.enqueue(() => this.prepareWorktree());
+
+    const minutes = Number(process.env.GITOPS_SYNC_INTERVAL_MINUTES) || 0;
+    if (minutes > 0) {
+      const sync = async () => {
+        try {
+          await this.sync();
+        } catch (error) {
+          logger.error('GitOps sync failed:', error);
+        }
+      };
+      this.interval = setInterval(sync, minutes * 60 * 1000);
+    }
+
+    logger.info(`GitOps: synchronizing ${this.repository} (${this.branch}) via ${this.workDir}${minutes > 0 ? `, pulling every ${minutes} minutes` : ''}`);
+  }
+
+  shutdown() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  isEnabled() {
+    return this.repository !== null;
+  }
+
+  assertEnabled() {
+    if (!this.repository) {
+      throw new ConflictError('GitOps synchronization is not configured');
+    }
+  }
+
+  // Git operations share one worktree and run one at a time
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async git(args) {
+    const { stdout } = await run('git', args, {
+      cwd: this.workDir,
+      env: { ...process.env, ...COMMITTER },
+      maxBuffer: 10 * 1024 * 1024
+    });
+    return stdout;
+  }
+
+  async tryGit(args) {
+    try {
+      return (await this.git(args)).trim();
+    } catch {
+      return null;
+    }
+  }
+
+  async prepareWorktree() {
+    const cloned = await fs.stat(path.join(this.workDir, '.git')).then(() => true, () => false);
+    if (!cloned) {
+      await fs.mkdir(path.dirname(this.workDir), { recursive: true });
+      await run('git', ['clone', '--quiet', this.repository, this.workDir]);
+    }
+
+    await this.fetch();
+
+    // A new worktree starts from the repository as it is; older edits are not imported
+    if (!await this.tryGit(['rev-parse', '--verify', '--quiet', SYNCED_REF])) {
+      const head = await this.getRemoteHead();
+      if (head) {
+        await this.git(['update-ref', SYNCED_REF, head]);
+      }
+    }
+  }
+
+  async fetch() {
+    await this.git(['fetch', '--quiet', 'origin']);
+  }
+
+  async getRemoteHead() {
+    return this.tryGit(['rev-parse', '--verify', '--quiet', `refs/remotes/origin/${this.branch}`]);
+  }
+
+  // Discard anything left in the worktree and stand on the remote branch
+  async resetWorktree() {
+    const head = await this.getRemoteHead();
+    if (head) {
+      await this.git(['checkout', '--quiet', '--force', '-B', this.branch, head]);
+      await this.git(['reset', '--quiet', '--hard', head]);
+    } else {
+      // Empty repository: the first commit starts the branch
+      await this.git(['symbolic-ref', 'HEAD', `refs/heads/${this.branch}`]);
+      await this.git(['rm', '-r', '--quiet', '--cached', '--ignore-unmatch', '.']);
+    }
+    await this.git(['clean', '--quiet', '-fdx']);
+    return head;
+  }
+
+  /**
+   * Repository path of a policy's file, derived from its id alone; paths
+   * stored in policy documents are user input and never decide where a
+   * file is written
+   */
+  getPolicyPath(policy) {
+    const file = path.posix.join(this.policyDir, `${policy.id}.yaml`);
+    const directory = path.resolve(this.workDir, this.policyDir);
+    if (path.dirname(path.resolve(this.workDir, file)) !== directory) {
+      throw new ValidationError(`Policy id ${policy.id} does not name a file in ${this.policyDir}`);
+    }
+    return file;
+  }
+
+  renderPolicy(policy) {
+    return [
+      `# ${policy.name} ${policy.version} (${policy.service}, ${policy.businessUnit}/${policy.environment})`,
+      '# Managed by AI Policy Foundry; committed edits are imported as draft versions.',
+      yaml.dump(policy.document, { sortKeys: true, lineWidth: -1 })
+    ].join('\n');
+  }
+
+  /**
+   * Commit the policy's current version to the repository, with the
+   * version's change reason as the message unless `reason` is given. Edits
+   * made in the repository since the last sync are imported first so they
+   * are not overwritten unseen.
+   */
+  async publishPolicy(policy, user, { reason } = {}) {
+    this.assertEnabled();
+
+    const message = reason || (await policyService.getVersion(policy.id, policy.version)).reason;
+    const sync = await this.sync();
+    return this.enqueue(async () => {
+      await this.fetch();
+      const base = await this.resetWorktree();
+
+      const file = this.getPolicyPath(policy);
+      await fs.mkdir(path.dirname(path.join(this.workDir, file)), { recursive: true });
+      await fs.writeFile(path.join(this.workDir, file), this.renderPolicy(policy));
+      await this.git(['add', '--', file]);
+
+      if (!await this.hasStagedChanges()) {
+        logger.info(`GitOps: ${file} already holds ${policy.name} ${policy.version}`);
+        return { path: file, commit: null, sync };
+      }
+
+      const name = user?.email || user?.id || 'unknown';
+      const email = user?.email || COMMITTER.GIT_COMMITTER_EMAIL;
+      const commitMessage = [
+        message || `Activate ${policy.name} ${policy.version}`,
+        '',
+        `Policy ${policy.name} (${policy.id}) version ${policy.version}.`,
+        '',
+        `${VERSION_TRAILER}: ${policy.id}@${policy.version}`
+      ].join('\n');
+
+      await this.git(['commit', '--quiet', '--author', `${name} <${email}>`, '-m', commitMessage]);
+      await this.git(['push', '--quiet', 'origin', `HEAD:refs/heads/${this.branch}`]);
+
+      const commit = (await this.git(['rev-parse', 'HEAD'])).trim();
+
+      // Commits pushed since the sync above still have to be imported
+      const synced = await this.tryGit(['rev-parse', '--verify', '--quiet', SYNCED_REF]);
+      if (synced === base) {
+        await this.git(['update-ref', SYNCED_REF, commit]);
+      }
+
+      logger.info(`GitOps: committed ${policy.name} ${policy.version} to ${file} as ${commit.slice(0, 7)}`);
+      return { path: file, commit, sync };
+    });
+  }
+
+  async hasStagedChanges() {
+    try {
+      await this.git(['diff', '--cached', '--quiet']);
+      return false;
+    } catch (error) {
+      if (error.code === 1) {
+        return true;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Import policy files changed in the repository since the last sync.
+   * Each file takes the content of its latest commit; files last changed
+   * by the foundry itself are left alone.
+   */
+  async sync() {
+    this.assertEnabled();
+
+    return this.enqueue(async () => {
+      await this.fetch();
+      const head = await this.getRemoteHead();
+      const from = await this.tryGit(['rev-parse', '--verify', '--quiet', SYNCED_REF]);
+      const result = { from, to: head, imported: [], skipped: [] };
+
+      if (!head || head === from) {
+        return result;
+      }
+
+      const range = from ? `${from}..${head}` : head;
+      const files = (await this.git(['log', '--format=', '--name-only', range, '--', `${this.policyDir}/`]))
+        .split('\n')
+        .filter(file => file.endsWith('.yaml'));
+
+      for (const file of [...new Set(files)].sort()) {
+        const entry = await this.importFile(file, range, head);
+        if (entry) {
+          (entry.skipped ? result.skipped : result.imported).push(entry);
+        }
+      }
+
+      await this.git(['update-ref', SYNCED_REF, head]);
+      logger.info(`GitOps: synced ${range}, ${result.imported.length} imported, ${result.skipped.length} skipped`);
+      return result;
+    });
+  }
+
+  async importFile(file, range, head) {
+    const [sha, authorName, authorEmail, subject, body] = (await this.git([
+      'log', '-1', '--format=%H%x00%an%x00%ae%x00%s%x00%b', range, '--', file
+    ])).split('\0');
+    const commit = { sha, author: authorEmail || authorName, subject };
+
+    if (body.includes(`${VERSION_TRAILER}:`)) {
+      // Published by the foundry; nothing to import
+      return null;
+    }
+
+    const content = await this.tryGit(['show', `${head}:${file}`]);
+    if (content === null) {
+      return { path: file, commit, skipped: true, reason: 'File was deleted; delete or retire the policy in the foundry' };
+    }
+
+    let document;
+    try {
+      document = yaml.load(content);
+    } catch (error) {
+      return { path: file, commit, skipped: true, reason: `Invalid YAML: ${error.reason || error.message}` };
+    }
+
+    const issues = validatePolicyDocument(document?.policy);
+    if (issues.length > 0) {
+      return { path: file, commit, skipped: true, reason: 'No valid SecurityPolicy document', issues };
+    }
+
+    const policy = await this.findPolicyForFile(file);
+    if (!policy) {
+      return { path: file, commit, skipped: true, reason: 'No policy is published to this file' };
+    }
+
+    if (policy.status !== 'draft') {
+      return {
+        path: file,
+        commit,
+        skipped: true,
+        policyId: policy.id,
+        reason: `Policy is ${policy.status}; repository edits only apply to drafts, revise it in the foundry first`
+      };
+    }
+
+    const user = { email: commit.author };
+    const reason = `${subject} (git ${sha.slice(0, 7)})`;
+
+    try {
+      const updated = await policyService.updatePolicy(policy.id, { document, reason }, user);
+      return { path: file, commit, policyId: updated.id, version: updated.version };
+    } catch (error) {
+      if (!isHttpError(error)) {
+        throw error;
+      }
+      return { path: file, commit, skipped: true, reason: error.message };
+    }
+  }
+
+  /**
+   * The policy a file is named after: `<policyDir>/<policy id>.yaml`
+   */
+  async findPolicyForFile(file) {
+    const id = path.posix.basename(file, '.yaml');
+    if (file !== path.posix.join(this.policyDir, `${id}.yaml`)) {
+      return null;
+    }
+
+    try {
+      return await policyService.getPolicy(id);
+    } catch (error) {
+      if (!isHttpError(error)) {
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  async getStatus() {
+    if (!this.repository) {
+      return { enabled: false };
+    }
+
+    return this.enqueue(async () => ({
+      enabled: true,
+      repository: this.repository,
+      branch: this.branch,
+      policyDir: this.policyDir,
+      head: await this.getRemoteHead(),
+      synced: await this.tryGit(['rev-parse', '--verify', '--quiet', SYNCED_REF]),
+      syncIntervalMinutes: Number(process.env.GITOPS_SYNC_INTERVAL_MINUTES) || 0
+    }));
+  }
+}
+
+// Singleton instance
+const gitOpsService = new GitOpsService();
+
+export { gitOpsService };
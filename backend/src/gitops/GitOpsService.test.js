@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import yaml from 'js-yaml';
+
+const { GitOpsService } = await import('./GitOpsService.js');
+const { policyService } = await import('../policies/PolicyService.js');
+
+const run = promisify(execFile);
+
+const POLICY_ID = '7f1c2a4e-5555-4c8b-9d1e-000000000001';
+
+const IDENTITY = {
+  GIT_AUTHOR_NAME: 'Reviewer',
+  GIT_AUTHOR_EMAIL: 'reviewer@example.com',
+  GIT_COMMITTER_NAME: 'Reviewer',
+  GIT_COMMITTER_EMAIL: 'reviewer@example.com'
+};
+
+const git = (cwd, ...args) => run('git', args, { cwd, env: { ...process.env, ...IDENTITY } });
+
+const makePolicy = (overrides = {}) => ({
+  id: POLICY_ID,
+  name: 'storage-policy',
+  version: '1.0.0',
+  status: 'active',
+  service: 'AWS S3',
+  businessUnit: 'trading',
+  environment: 'production',
+  document: {
+    metadata: { gitops: { path: '../../escaped.yaml' } },
+    policy: {
+      apiVersion: 'v1',
+      kind: 'SecurityPolicy',
+      metadata: { name: 'storage-policy' },
+      spec: { encryption: { atRest: true, inTransit: true }, accessControl: { publicAccess: false } }
+    }
+  },
+  ...overrides
+});
+
+let root;
+let service;
+
+beforeEach(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'gitops-'));
+  await git(root, 'init', '--quiet', '--bare', '--initial-branch=main', 'policies.git');
+
+  process.env.GITOPS_REPOSITORY = path.join(root, 'policies.git');
+  process.env.GITOPS_WORK_DIR = path.join(root, 'work', 'worktree');
+  service = new GitOpsService();
+  await service.initialize();
+
+  jest.spyOn(policyService, 'getVersion').mockResolvedValue({ reason: 'Initial version' });
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  delete process.env.GITOPS_REPOSITORY;
+  delete process.env.GITOPS_WORK_DIR;
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+describe('GitOpsService.getPolicyPath', () => {
+  it('derives the path from the policy id and ignores stored paths', () => {
+    expect(service.getPolicyPath(makePolicy())).toBe(`policies/${POLICY_ID}.yaml`);
+  });
+
+  it('rejects ids that leave the policy directory', () => {
+    expect(() => service.getPolicyPath({ id: '../../escaped' })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    expect(() => service.getPolicyPath({ id: 'nested/escaped' })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+});
+
+describe('GitOpsService.publishPolicy', () => {
+  it('writes inside the policy directory whatever the document says', async () => {
+    const result = await service.publishPolicy(makePolicy(), { email: 'operator@example.com' });
+
+    expect(result.path).toBe(`policies/${POLICY_ID}.yaml`);
+    expect(result.commit).toMatch(/^[0-9a-f]{40}$/);
+    await expect(fs.stat(path.join(root, 'escaped.yaml'))).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(fs.stat(path.join(root, 'work', 'escaped.yaml'))).rejects.toMatchObject({ code: 'ENOENT' });
+
+    const { stdout } = await git(root, '--git-dir', 'policies.git', 'ls-tree', '-r', '--name-only', 'main');
+    expect(stdout.trim()).toBe(`policies/${POLICY_ID}.yaml`);
+  });
+});
+
+describe('GitOpsService.sync', () => {
+  // Publish the policy, then commit an edit to its file from another clone
+  const commitEdit = async (policy) => {
+    await service.publishPolicy(policy, { email: 'operator@example.com' });
+
+    const clone = path.join(root, 'clone');
+    await git(root, 'clone', '--quiet', process.env.GITOPS_REPOSITORY, clone);
+    const file = `policies/${POLICY_ID}.yaml`;
+    const edited = yaml.load(await fs.readFile(path.join(clone, file), 'utf8'));
+    edited.policy.spec.encryption.keyRotationDays = 90;
+    await fs.writeFile(path.join(clone, file), yaml.dump(edited));
+    await git(clone, 'commit', '--quiet', '-am', 'Rotate keys quarterly');
+    await git(clone, 'push', '--quiet', 'origin', 'main');
+    return { file, edited };
+  };
+
+  it('imports an edit to a draft as its next version', async () => {
+    const policy = makePolicy({ status: 'draft' });
+    const { file, edited } = await commitEdit(policy);
+
+    jest.spyOn(policyService, 'getPolicy').mockResolvedValue(policy);
+    const updatePolicy = jest.spyOn(policyService, 'updatePolicy').mockResolvedValue({ id: POLICY_ID, version: '1.0.1' });
+
+    const result = await service.sync();
+
+    expect(updatePolicy).toHaveBeenCalledWith(
+      POLICY_ID,
+      { document: edited, reason: expect.stringMatching(/^Rotate keys quarterly \(git [0-9a-f]{7}\)$/) },
+      { email: 'reviewer@example.com' }
+    );
+    expect(result.imported).toEqual([expect.objectContaining({ path: file, policyId: POLICY_ID, version: '1.0.1' })]);
+  });
+
+  it.each(['approved', 'active', 'deprecated'])('leaves %s policies enforced as they are and reports the edit', async (status) => {
+    const policy = makePolicy({ status });
+    const { file } = await commitEdit(policy);
+
+    jest.spyOn(policyService, 'getPolicy').mockResolvedValue(policy);
+    const updatePolicy = jest.spyOn(policyService, 'updatePolicy');
+
+    const result = await service.sync();
+
+    expect(updatePolicy).not.toHaveBeenCalled();
+    expect(policy.status).toBe(status);
+    expect(result.imported).toEqual([]);
+    expect(result.skipped).toEqual([expect.objectContaining({
+      path: file,
+      policyId: POLICY_ID,
+      commit: expect.objectContaining({ author: 'reviewer@example.com', subject: 'Rotate keys quarterly' }),
+      reason: `Policy is ${status}; repository edits only apply to drafts, revise it in the foundry first`
+    })]);
+  });
+
+  it('skips files outside the policy directory naming scheme', async () => {
+    const clone = path.join(root, 'clone');
+    await git(root, 'clone', '--quiet', process.env.GITOPS_REPOSITORY, clone);
+    await fs.mkdir(path.join(clone, 'policies', 'nested'), { recursive: true });
+    await fs.writeFile(path.join(clone, 'policies', 'nested', `${POLICY_ID}.yaml`), yaml.dump(makePolicy().document));
+    await git(clone, 'add', '.');
+    await git(clone, 'commit', '--quiet', '-m', 'Add nested policy');
+    await git(clone, 'push', '--quiet', 'origin', 'main');
+
+    const getPolicy = jest.spyOn(policyService, 'getPolicy');
+    const result = await service.sync();
+
+    expect(getPolicy).not.toHaveBeenCalled();
+    expect(result.skipped).toEqual([expect.objectContaining({ reason: 'No policy is published to this file' })]);
+  });
+});
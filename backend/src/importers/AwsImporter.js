@@ -0,0 +1,262 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { emptySpec, setSpecValue, addSpecValues, minimumTlsVersion, asArray, parseJson } from './importUtils.js';
+
+// IAM service prefix -> service name as stored on policies
+const SERVICE_NAMES = {
+  s3: 'AWS S3',
+  lambda: 'AWS Lambda',
+  iam: 'AWS IAM',
+  rds: 'AWS RDS',
+  dynamodb: 'AWS DynamoDB',
+  kms: 'AWS KMS',
+  ec2: 'AWS EC2',
+  secretsmanager: 'AWS Secrets Manager',
+  sqs: 'AWS SQS',
+  sns: 'AWS SNS'
+};
+
+// Prefixes guardrails use alongside any service; they only name the service when nothing else does
+const SUPPORTING_PREFIXES = ['cloudtrail', 'kms'];
+
+const S3_PUBLIC_ACLS = ['public-read', 'public-read-write', 'authenticated-read'];
+
+const isFlag = (values, flag) => values.length === 1 && String(values[0]).toLowerCase() === flag;
+
+/**
+ * Deny conditions by '<operator> <condition key>', with any IfExists
+ * suffix dropped. Each handler records what the condition requires in the
+ * spec and returns false when the values do not express a requirement.
+ */
+const DENY_CONDITIONS = {
+  'Bool aws:SecureTransport': (values, spec) => {
+    if (!isFlag(values, 'false')) return false;
+    setSpecValue(spec, 'spec.encryption.inTransit', true);
+    return true;
+  },
+  'NumericLessThan s3:TlsVersion': (values, spec) => {
+    const version = minimumTlsVersion(values);
+    if (!version) return false;
+    setSpecValue(spec, 'spec.encryption.tlsMinVersion', version);
+    return true;
+  },
+  'StringNotEquals s3:x-amz-server-side-encryption': (values, spec) => {
+    setSpecValue(spec, 'spec.encryption.atRest', true);
+    if (values.every(value => String(value).startsWith('aws:kms'))) {
+      setSpecValue(spec, 'spec.encryption.keyManagement', 'customer-managed');
+    }
+    return true;
+  },
+  'Null s3:x-amz-server-side-encryption': (values, spec) => {
+    if (!isFlag(values, 'true')) return false;
+    setSpecValue(spec, 'spec.encryption.atRest', true);
+    return true;
+  },
+  'Bool rds:StorageEncrypted': (values, spec) => {
+    if (!isFlag(values, 'false')) return false;
+    setSpecValue(spec, 'spec.encryption.atRest', true);
+    return true;
+  },
+  'Bool ec2:Encrypted': (values, spec) => {
+    if (!isFlag(values, 'false')) return false;
+    setSpecValue(spec, 'spec.encryption.atRest', true);
+    return true;
+  },
+  'NumericGreaterThan kms:RotationPeriodInDays': (values, spec) => {
+    const days = Number(values[0]);
+    if (!Number.isInteger(days) || days < 1) return false;
+    setSpecValue(spec, 'spec.encryption.keyRotationDays', days);
+    return true;
+  },
+  'Bool aws:MultiFactorAuthPresent': (values, spec) => {
+    if (!isFlag(values, 'false')) return false;
+    setSpecValue(spec, 'spec.accessControl.authentication.mfaRequired', true);
+    return true;
+  },
+  'NumericGreaterThan aws:MultiFactorAuthAge': (values, spec) => {
+    const seconds = Number(values[0]);
+    if (!Number.isFinite(seconds) || seconds <= 0) return false;
+    setSpecValue(spec, 'spec.accessControl.authentication.mfaRequired', true);
+    setSpecValue(spec, 'spec.accessControl.authentication.sessionTimeoutMinutes', Math.max(1, Math.round(seconds / 60)));
+    return true;
+  },
+  'StringEquals s3:x-amz-acl': (values, spec) => {
+    if (!values.some(value => S3_PUBLIC_ACLS.includes(value))) return false;
+    setSpecValue(spec, 'spec.accessControl.publicAccess', false);
+    return true;
+  },
+  'StringEquals lambda:Principal': (values, spec) => {
+    if (!values.includes('*')) return false;
+    setSpecValue(spec, 'spec.accessControl.publicAccess', false);
+    return true;
+  },
+  'StringEquals lambda:FunctionUrlAuthType': (values, spec) => {
+    if (!values.includes('NONE')) return false;
+    setSpecValue(spec, 'spec.accessControl.publicAccess', false);
+    return true;
+  },
+  'NotIpAddress aws:SourceIp': (values, spec) => {
+    addSpecValues(spec, 'spec.network.allowedSources', values.map(String));
+    return true;
+  },
+  'StringNotEquals aws:SourceVpce': (values, spec) => {
+    addSpecValues(spec, 'spec.network.allowedSources', values.map(String));
+    return true;
+  },
+  'StringNotEquals aws:SourceVpc': (values, spec) => {
+    addSpecValues(spec, 'spec.network.allowedSources', values.map(String));
+    return true;
+  },
+  'Null aws:SourceVpce': (values, spec) => {
+    if (!isFlag(values, 'true')) return false;
+    setSpecValue(spec, 'spec.network.privateEndpointsOnly', true);
+    return true;
+  },
+  // Exempts calls AWS services make on the caller's behalf from the source conditions
+  'Bool aws:ViaAWSService': (values) => isFlag(values, 'false')
+};
+
+// Unconditional denials, matched when every denied action is in `actions`
+const DENIED_ACTIONS = [
+  {
+    actions: ['cloudtrail:StopLogging', 'cloudtrail:DeleteTrail', 'cloudtrail:UpdateTrail', 'cloudtrail:PutEventSelectors'],
+    apply: (spec) => setSpecValue(spec, 'spec.logging.auditLogs', true)
+  },
+  {
+    actions: ['s3:PutBucketPublicAccessBlock', 's3:PutAccountPublicAccessBlock'],
+    apply: (spec) => setSpecValue(spec, 'spec.accessControl.publicAccess', false)
+  },
+  {
+    // Keeps automatic rotation on; AWS rotates every 365 days unless a period is set
+    actions: ['kms:DisableKeyRotation'],
+    apply: (spec) => {
+      if (!spec.encryption.keyRotationDays) setSpecValue(spec, 'spec.encryption.keyRotationDays', 365);
+    }
+  }
+];
+
+/**
+ * Reverse-maps IAM and service control policy JSON into a SecurityPolicy
+ * spec. Deny statements become spec requirements through the condition keys
+ * the AWS exporter writes; Allow statements become authorization roles.
+ */
+export class AwsImporter {
+  constructor() {
+    this.format = 'aws';
+    this.description = 'AWS IAM policy or service control policy JSON';
+  }
+
+  detect(content) {
+    try {
+      return Boolean(JSON.parse(content)?.Statement);
+    } catch {
+      return false;
+    }
+  }
+
+  import(content, filename) {
+    const document = parseJson(content, filename);
+    const statements = asArray(document?.Statement);
+
+    if (statements.length === 0) {
+      throw new UnprocessableEntityError(`${filename} has no policy statements`);
+    }
+
+    const spec = emptySpec();
+    const unmapped = [];
+    statements.forEach((statement, index) => this.importStatement(statement, `Statement[${index}]`, spec, unmapped));
+
+    return {
+      name: document.Id || filename,
+      service: this.detectService(statements),
+      spec,
+      unmapped
+    };
+  }
+
+  importStatement(statement, path, spec, unmapped) {
+    const negated = ['NotAction', 'NotResource', 'NotPrincipal'].filter(key => statement[key] !== undefined);
+    if (negated.length > 0) {
+      unmapped.push({ path, reason: `${negated.join(', ')} cannot be expressed in a SecurityPolicy spec` });
+      return;
+    }
+
+    const actions = asArray(statement.Action);
+    if (statement.Effect === 'Allow') {
+      this.importRole(statement, actions, path, spec, unmapped);
+      return;
+    }
+    if (statement.Effect !== 'Deny') {
+      unmapped.push({ path, reason: `Unknown effect '${statement.Effect}'` });
+      return;
+    }
+
+    const conditions = Object.entries(statement.Condition || {}).flatMap(([operator, keys]) =>
+      Object.entries(keys || {}).map(([key, values]) => ({ operator, key, values: asArray(values) })));
+
+    if (conditions.length === 0) {
+      const denial = DENIED_ACTIONS.find(candidate =>
+        actions.length > 0 && actions.every(action => candidate.actions.includes(action)));
+      if (denial) {
+        denial.apply(spec);
+      } else {
+        unmapped.push({ path, reason: `Unconditional deny of ${actions.join(', ') || 'no actions'} has no spec equivalent` });
+      }
+      return;
+    }
+
+    for (const { operator, key, values } of conditions) {
+      const handler = DENY_CONDITIONS[`${operator.replace(/IfExists$/, '')} ${key}`];
+      if (!handler || !handler(values, spec)) {
+        unmapped.push({
+          path: `${path}.Condition.${operator}.${key}`,
+          reason: `Deny condition ${operator} ${key} = ${JSON.stringify(values)} has no spec equivalent`
+        });
+      }
+    }
+  }
+
+  /**
+   * One authorization role per Allow statement, named after its Sid
+   */
+  importRole(statement, actions, path, spec, unmapped) {
+    if (actions.length === 0) {
+      unmapped.push({ path, reason: 'Allow statement grants no actions' });
+      return;
+    }
+
+    const roles = spec.accessControl.authorization?.roles || [];
+    setSpecValue(spec, 'spec.accessControl.authorization.roles', [
+      ...roles,
+      { name: statement.Sid || `statement-${roles.length + 1}`, permissions: actions.map(String) }
+    ]);
+
+    if (asArray(statement.Resource).some(resource => resource !== '*')) {
+      unmapped.push({ path: `${path}.Resource`, reason: 'Roles grant permissions on every resource; the resource scope was dropped' });
+    }
+    if (statement.Condition) {
+      unmapped.push({ path: `${path}.Condition`, reason: 'Role permissions cannot carry conditions; the conditions were dropped' });
+    }
+  }
+
+  /**
+   * The service most of the policy's actions belong to
+   */
+  detectService(statements) {
+    const prefixes = statements
+      .flatMap(statement => asArray(statement.Action))
+      .map(action => String(action).split(':')[0].toLowerCase())
+      .filter(prefix => SERVICE_NAMES[prefix]);
+    const primary = prefixes.filter(prefix => !SUPPORTING_PREFIXES.includes(prefix));
+    const candidates = primary.length > 0 ? primary : prefixes;
+
+    const counts = new Map();
+    candidates.forEach(prefix => counts.set(prefix, (counts.get(prefix) || 0) + 1));
+    const [top] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    return top ? SERVICE_NAMES[top[0]] : null;
+  }
+}
+
+// Singleton instance
+const awsImporter = new AwsImporter();
+
+export { awsImporter };
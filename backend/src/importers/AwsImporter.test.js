@@ -0,0 +1,102 @@
+import { awsImporter } from './AwsImporter.js';
+
+const policy = (...statements) => JSON.stringify({ Version: '2012-10-17', Id: 'S3 Guardrails', Statement: statements });
+
+describe('AwsImporter.import', () => {
+  it('maps the deny conditions the AWS exporter writes back to spec requirements', () => {
+    const result = awsImporter.import(policy(
+      {
+        Sid: 'DenyInsecureTransport',
+        Effect: 'Deny',
+        Action: 's3:*',
+        Resource: '*',
+        Condition: { Bool: { 'aws:SecureTransport': 'false' }, NumericLessThan: { 's3:TlsVersion': '1.2' } }
+      },
+      {
+        Sid: 'DenyUnencryptedUploads',
+        Effect: 'Deny',
+        Action: 's3:PutObject',
+        Resource: '*',
+        Condition: { StringNotEqualsIfExists: { 's3:x-amz-server-side-encryption': 'aws:kms' } }
+      },
+      {
+        Sid: 'DenyOutsideNetwork',
+        Effect: 'Deny',
+        Action: 's3:*',
+        Resource: '*',
+        Condition: { NotIpAddress: { 'aws:SourceIp': ['10.0.0.0/8'] }, Bool: { 'aws:ViaAWSService': 'false' } }
+      },
+      { Sid: 'ProtectAuditTrail', Effect: 'Deny', Action: ['cloudtrail:StopLogging', 'cloudtrail:DeleteTrail'], Resource: '*' }
+    ), 'guardrails.json');
+
+    expect(result).toEqual({
+      name: 'S3 Guardrails',
+      service: 'AWS S3',
+      spec: {
+        encryption: { atRest: true, inTransit: true, tlsMinVersion: '1.2', keyManagement: 'customer-managed' },
+        accessControl: {},
+        network: { allowedSources: ['10.0.0.0/8'] },
+        logging: { auditLogs: true }
+      },
+      unmapped: []
+    });
+  });
+
+  it('turns Allow statements into roles and reports the scope it drops', () => {
+    const result = awsImporter.import(policy({
+      Sid: 'readers',
+      Effect: 'Allow',
+      Action: ['lambda:GetFunction', 'lambda:ListFunctions'],
+      Resource: 'arn:aws:lambda:*:*:function:app-*',
+      Condition: { StringEquals: { 'aws:RequestedRegion': 'eu-west-1' } }
+    }), 'roles.json');
+
+    expect(result.service).toBe('AWS Lambda');
+    expect(result.spec.accessControl.authorization.roles).toEqual([
+      { name: 'readers', permissions: ['lambda:GetFunction', 'lambda:ListFunctions'] }
+    ]);
+    expect(result.unmapped.map(entry => entry.path)).toEqual(['Statement[0].Resource', 'Statement[0].Condition']);
+  });
+
+  it('reports statements and conditions with no spec equivalent', () => {
+    const result = awsImporter.import(policy(
+      { Effect: 'Deny', NotAction: 's3:GetObject', Resource: '*' },
+      { Effect: 'Deny', Action: 'ec2:TerminateInstances', Resource: '*' },
+      { Effect: 'Deny', Action: 's3:*', Resource: '*', Condition: { StringEquals: { 'aws:RequestedRegion': 'us-east-1' } } },
+      { Effect: 'Audit', Action: 's3:*', Resource: '*' }
+    ), 'mixed.json');
+
+    expect(result.spec).toEqual({ encryption: { atRest: false, inTransit: false }, accessControl: {} });
+    expect(result.unmapped.map(entry => entry.path)).toEqual([
+      'Statement[0]',
+      'Statement[1]',
+      'Statement[2].Condition.StringEquals.aws:RequestedRegion',
+      'Statement[3]'
+    ]);
+  });
+
+  it('names the service after the primary actions rather than supporting ones', () => {
+    const result = awsImporter.import(policy(
+      { Effect: 'Deny', Action: ['kms:DisableKeyRotation'], Resource: '*' },
+      { Effect: 'Deny', Action: 'rds:CreateDBInstance', Resource: '*', Condition: { Bool: { 'rds:StorageEncrypted': 'false' } } }
+    ), 'rds.json');
+
+    expect(result.service).toBe('AWS RDS');
+    expect(result.spec.encryption).toEqual({ atRest: true, inTransit: false, keyRotationDays: 365 });
+  });
+
+  it('rejects invalid JSON and documents without statements', () => {
+    expect(() => awsImporter.import('{"Statement": [', 'broken.json'))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError', message: expect.stringMatching(/^broken\.json is not valid JSON/) }));
+    expect(() => awsImporter.import(JSON.stringify({ Version: '2012-10-17' }), 'empty.json'))
+      .toThrow('empty.json has no policy statements');
+  });
+});
+
+describe('AwsImporter.detect', () => {
+  it('recognizes policy documents only', () => {
+    expect(awsImporter.detect(policy({ Effect: 'Deny', Action: '*' }))).toBe(true);
+    expect(awsImporter.detect(JSON.stringify({ properties: { policyRule: {} } }))).toBe(false);
+    expect(awsImporter.detect('package foundry')).toBe(false);
+  });
+});
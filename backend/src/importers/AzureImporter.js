@@ -0,0 +1,290 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { emptySpec, setSpecValue, addSpecValues, minimumTlsVersion, asArray, parseJson } from './importUtils.js';
+
+// Resource type -> service name as stored on policies
+const RESOURCE_SERVICES = [
+  [/^Microsoft\.Web\/sites/i, 'Azure Functions'],
+  [/^Microsoft\.KeyVault/i, 'Azure Key Vault'],
+  [/^Microsoft\.Storage\/storageAccounts/i, 'Azure Storage']
+];
+
+const PARAMETER_REFERENCE = /^\[parameters\('([^']+)'\)\]$/;
+
+const sameValue = (actual, expected) => actual !== undefined && String(actual).toLowerCase() === String(expected).toLowerCase();
+
+// Policy rule conditions describe NON-compliant resources: true when the
+// condition flags resources whose field is anything but `value`
+const flagsUnless = (condition, value, opposite) => sameValue(condition.notEquals, value)
+  || (opposite !== undefined && sameValue(condition.equals, opposite));
+
+/**
+ * Policy aliases the Azure exporter writes, matched on the alias suffix so
+ * one entry covers every resource type with the property. `apply` records
+ * the requirement and returns false when the condition does not express one.
+ */
+const FIELD_RULES = [
+  {
+    field: /\/(httpsOnly|supportsHttpsTrafficOnly)$/i,
+    apply: (condition, spec) => {
+      if (!flagsUnless(condition, true, false)) return false;
+      setSpecValue(spec, 'spec.encryption.inTransit', true);
+      return true;
+    }
+  },
+  {
+    field: /\/siteConfig\.ftpsState$/i,
+    apply: (condition, spec) => {
+      const allowed = asArray(condition.notIn);
+      if (!allowed.includes('FtpsOnly') && !sameValue(condition.equals, 'AllAllowed')) return false;
+      setSpecValue(spec, 'spec.encryption.inTransit', true);
+      return true;
+    }
+  },
+  {
+    field: /\/(minimumTlsVersion|siteConfig\.minTlsVersion)$/i,
+    apply: (condition, spec) => {
+      const version = minimumTlsVersion(asArray(condition.notIn ?? condition.notEquals));
+      if (!version) return false;
+      setSpecValue(spec, 'spec.encryption.tlsMinVersion', version);
+      return true;
+    }
+  },
+  {
+    field: /\/encryption\.keySource$/i,
+    apply: (condition, spec) => {
+      if (!flagsUnless(condition, 'Microsoft.Keyvault', 'Microsoft.Storage')) return false;
+      setSpecValue(spec, 'spec.encryption.atRest', true);
+      setSpecValue(spec, 'spec.encryption.keyManagement', 'customer-managed');
+      return true;
+    }
+  },
+  {
+    field: /\/allowBlobPublicAccess$/i,
+    apply: (condition, spec) => {
+      if (!flagsUnless(condition, false, true)) return false;
+      setSpecValue(spec, 'spec.accessControl.publicAccess', false);
+      return true;
+    }
+  },
+  {
+    field: /\/networkAcls\.defaultAction$/i,
+    apply: (condition, spec) => {
+      if (!flagsUnless(condition, 'Deny', 'Allow')) return false;
+      setSpecValue(spec, 'spec.accessControl.publicAccess', false);
+      return true;
+    }
+  },
+  {
+    field: /\/publicNetworkAccess$/i,
+    apply: (condition, spec) => {
+      if (!flagsUnless(condition, 'Disabled', 'Enabled')) return false;
+      setSpecValue(spec, 'spec.network.privateEndpointsOnly', true);
+      return true;
+    }
+  },
+  {
+    field: /\/enableRbacAuthorization$/i,
+    apply: (condition, spec) => {
+      if (!flagsUnless(condition, true, false)) return false;
+      setSpecValue(spec, 'spec.accessControl.authorization.model', 'rbac');
+      return true;
+    }
+  },
+  {
+    field: /\/(enablePurgeProtection|enableSoftDelete|deleteRetentionPolicy\.enabled)$/i,
+    apply: (condition, spec) => {
+      if (!flagsUnless(condition, true, false)) return false;
+      setSpecValue(spec, 'spec.backup.enabled', true);
+      return true;
+    }
+  },
+  {
+    field: /\/(softDeleteRetentionInDays|deleteRetentionPolicy\.days)$/i,
+    apply: (condition, spec) => {
+      const days = Number(condition.less);
+      if (!Number.isInteger(days) || days < 1) return false;
+      setSpecValue(spec, 'spec.backup.enabled', true);
+      setSpecValue(spec, 'spec.backup.retentionDays', days);
+      return true;
+    }
+  },
+  {
+    field: /\/rotationPolicy\.lifetimeAction\.trigger\.timeAfterCreateInDays$/i,
+    apply: (condition, spec) => {
+      // Flags keys without a rotation policy; the period comes from the `greater` condition
+      if (sameValue(condition.exists, false)) return true;
+      const days = Number(condition.greater);
+      if (!Number.isInteger(days) || days < 1) return false;
+      setSpecValue(spec, 'spec.encryption.keyRotationDays', days);
+      return true;
+    }
+  }
+];
+
+// Firewall rule arrays whose entries become allowed sources
+const SOURCE_ARRAYS = /\/(networkAcls\.ipRules|siteConfig\.ipSecurityRestrictions)\[\*\]$/i;
+
+/**
+ * Reverse-maps Azure Policy definitions into a SecurityPolicy spec. Rule
+ * conditions are read as descriptions of non-compliant resources, the way
+ * the Azure exporter writes them; parameters resolve to their defaults.
+ */
+export class AzureImporter {
+  constructor() {
+    this.format = 'azure';
+    this.description = 'Azure Policy definition JSON';
+  }
+
+  detect(content) {
+    try {
+      const document = JSON.parse(content);
+      const properties = document?.properties || document;
+      return Boolean(properties?.policyRule || properties?.policyDefinitions);
+    } catch {
+      return false;
+    }
+  }
+
+  import(content, filename) {
+    const document = parseJson(content, filename);
+    const properties = document?.properties || document;
+
+    if (properties?.policyDefinitions) {
+      throw new UnprocessableEntityError(
+        `${filename} is an initiative; initiatives reference definitions by id, import the definitions themselves`
+      );
+    }
+    if (!properties?.policyRule?.if) {
+      throw new UnprocessableEntityError(`${filename} has no policyRule condition`);
+    }
+
+    const spec = emptySpec();
+    const unmapped = [];
+    const parameters = properties.parameters || {};
+    const resolve = (value) => this.resolveParameters(value, parameters, unmapped);
+
+    const resourceTypes = this.importConditions(resolve(properties.policyRule.if), spec, unmapped);
+    this.importEffect(resolve(properties.policyRule.then || {}), spec, unmapped);
+
+    const service = resourceTypes
+      .map(type => RESOURCE_SERVICES.find(([pattern]) => pattern.test(type))?.[1])
+      .find(Boolean);
+
+    return {
+      name: properties.displayName || document.name || filename,
+      description: properties.description,
+      service: service || null,
+      spec,
+      unmapped
+    };
+  }
+
+  /**
+   * Replace "[parameters('name')]" references with the parameter's default.
+   * Parameters without a default are reported and left unresolved.
+   */
+  resolveParameters(value, parameters, unmapped) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveParameters(item, parameters, unmapped));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value)
+        .map(([key, item]) => [key, this.resolveParameters(item, parameters, unmapped)]));
+    }
+
+    const reference = typeof value === 'string' && PARAMETER_REFERENCE.exec(value);
+    if (!reference) {
+      return value;
+    }
+
+    const [, name] = reference;
+    if (parameters[name]?.defaultValue === undefined) {
+      if (!unmapped.some(entry => entry.path === `parameters.${name}`)) {
+        unmapped.push({ path: `parameters.${name}`, reason: 'Parameter has no default value; conditions using it were not mapped' });
+      }
+      return undefined;
+    }
+    return parameters[name].defaultValue;
+  }
+
+  /**
+   * Map every leaf condition of the rule and return the resource types it matches
+   */
+  importConditions(root, spec, unmapped) {
+    const resourceTypes = [];
+    const leaves = [];
+    const collect = (node, path) => {
+      for (const operator of ['allOf', 'anyOf']) {
+        if (Array.isArray(node[operator])) {
+          node[operator].forEach((child, index) => collect(child, `${path}.${operator}[${index}]`));
+          return;
+        }
+      }
+      if (node.not) {
+        unmapped.push({ path, reason: 'Negated conditions cannot be mapped to spec requirements' });
+        return;
+      }
+      leaves.push({ path, condition: node });
+    };
+    collect(root, 'policyRule.if');
+
+    for (const { path, condition } of leaves) {
+      if (condition.field === 'type') {
+        resourceTypes.push(...asArray(condition.equals ?? condition.in).filter(Boolean));
+      } else if (condition.field === 'kind') {
+        continue;
+      } else if (condition.count) {
+        if (!this.importCount(condition, spec)) {
+          unmapped.push({ path, reason: `Count over ${condition.count.field} has no spec equivalent` });
+        }
+      } else {
+        const rule = FIELD_RULES.find(candidate => candidate.field.test(condition.field || ''));
+        if (!rule || !rule.apply(condition, spec)) {
+          unmapped.push({ path, reason: `Condition on ${condition.field || 'a value expression'} has no spec equivalent` });
+        }
+      }
+    }
+
+    return resourceTypes;
+  }
+
+  importCount(condition, spec) {
+    const { field, where } = condition.count;
+    if (!SOURCE_ARRAYS.test(field || '')) return false;
+
+    // "No firewall rules at all" accompanies the allowed source list
+    if (!where) return sameValue(condition.equals, 0);
+
+    const sources = asArray(where.notIn).filter(source => source !== undefined);
+    if (sources.length === 0) return false;
+    addSpecValues(spec, 'spec.network.allowedSources', sources.map(String));
+    return true;
+  }
+
+  importEffect(then, spec, unmapped) {
+    const effect = String(then.effect || '');
+
+    if (['auditifnotexists', 'deployifnotexists'].includes(effect.toLowerCase())) {
+      if (sameValue(then.details?.type, 'Microsoft.Insights/diagnosticSettings')) {
+        setSpecValue(spec, 'spec.logging.enabled', true);
+      } else {
+        unmapped.push({
+          path: 'policyRule.then.details',
+          reason: `${effect} on ${then.details?.type || 'an unknown resource type'} has no spec equivalent`
+        });
+      }
+    } else if (['modify', 'append'].includes(effect.toLowerCase())) {
+      unmapped.push({
+        path: 'policyRule.then.effect',
+        reason: `${effect} changes resources instead of flagging them; the mapped requirements describe what it corrects`
+      });
+    } else if (effect.toLowerCase() === 'disabled') {
+      unmapped.push({ path: 'policyRule.then.effect', reason: 'The definition is disabled; its requirements were imported anyway' });
+    }
+  }
+}
+
+// Singleton instance
+const azureImporter = new AzureImporter();
+
+export { azureImporter };
@@ -0,0 +1,102 @@
+import { azureImporter } from './AzureImporter.js';
+
+const definition = (policyRule, extra = {}) => JSON.stringify({
+  name: 'storage-hardening',
+  properties: { displayName: 'Storage hardening', description: 'Flags insecure storage accounts', mode: 'Indexed', policyRule, ...extra }
+});
+
+describe('AzureImporter.import', () => {
+  it('reads rule conditions as descriptions of non-compliant resources', () => {
+    const result = azureImporter.import(definition({
+      if: {
+        allOf: [
+          { field: 'type', equals: 'Microsoft.Storage/storageAccounts' },
+          {
+            anyOf: [
+              { field: 'Microsoft.Storage/storageAccounts/supportsHttpsTrafficOnly', equals: false },
+              { field: 'Microsoft.Storage/storageAccounts/minimumTlsVersion', notIn: ['TLS1_2', 'TLS1_3'] },
+              { field: 'Microsoft.Storage/storageAccounts/allowBlobPublicAccess', notEquals: false },
+              {
+                count: { field: 'Microsoft.Storage/storageAccounts/networkAcls.ipRules[*]', where: { field: 'Microsoft.Storage/storageAccounts/networkAcls.ipRules[*].value', notIn: ['10.0.0.0/8'] } },
+                greater: 0
+              }
+            ]
+          }
+        ]
+      },
+      then: { effect: 'deny' }
+    }), 'storage.json');
+
+    expect(result).toEqual({
+      name: 'Storage hardening',
+      description: 'Flags insecure storage accounts',
+      service: 'Azure Storage',
+      spec: {
+        encryption: { atRest: false, inTransit: true, tlsMinVersion: '1.2' },
+        accessControl: { publicAccess: false },
+        network: { allowedSources: ['10.0.0.0/8'] }
+      },
+      unmapped: []
+    });
+  });
+
+  it('resolves parameters to their defaults and reports those without one', () => {
+    const result = azureImporter.import(definition({
+      if: {
+        allOf: [
+          { field: 'type', equals: 'Microsoft.KeyVault/vaults' },
+          { field: 'Microsoft.KeyVault/vaults/softDeleteRetentionInDays', less: "[parameters('retentionDays')]" },
+          { field: 'Microsoft.KeyVault/vaults/enableRbacAuthorization', notEquals: "[parameters('rbac')]" }
+        ]
+      },
+      then: { effect: "[parameters('effect')]" }
+    }, {
+      parameters: {
+        retentionDays: { type: 'Integer', defaultValue: 30 },
+        rbac: { type: 'Boolean' },
+        effect: { type: 'String', defaultValue: 'Audit' }
+      }
+    }), 'vault.json');
+
+    expect(result.service).toBe('Azure Key Vault');
+    expect(result.spec.backup).toEqual({ enabled: true, retentionDays: 30 });
+    expect(result.unmapped).toEqual([
+      { path: 'parameters.rbac', reason: 'Parameter has no default value; conditions using it were not mapped' },
+      { path: 'policyRule.if.allOf[2]', reason: 'Condition on Microsoft.KeyVault/vaults/enableRbacAuthorization has no spec equivalent' }
+    ]);
+  });
+
+  it('maps diagnostic settings to logging and reports effects that change resources', () => {
+    const logging = azureImporter.import(definition({
+      if: { field: 'type', equals: 'Microsoft.Web/sites' },
+      then: { effect: 'AuditIfNotExists', details: { type: 'Microsoft.Insights/diagnosticSettings' } }
+    }), 'logging.json');
+    expect(logging.service).toBe('Azure Functions');
+    expect(logging.spec.logging).toEqual({ enabled: true });
+
+    const modify = azureImporter.import(definition({
+      if: { not: { field: 'Microsoft.Web/sites/httpsOnly', equals: true } },
+      then: { effect: 'Modify' }
+    }), 'modify.json');
+    expect(modify.service).toBeNull();
+    expect(modify.unmapped.map(entry => entry.path)).toEqual(['policyRule.if', 'policyRule.then.effect']);
+  });
+
+  it('rejects invalid JSON, initiatives and definitions without a rule', () => {
+    expect(() => azureImporter.import('{"properties": ', 'broken.json'))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError', message: expect.stringMatching(/^broken\.json is not valid JSON/) }));
+    expect(() => azureImporter.import(JSON.stringify({ properties: { policyDefinitions: [] } }), 'initiative.json'))
+      .toThrow(/^initiative\.json is an initiative/);
+    expect(() => azureImporter.import(JSON.stringify({ properties: { policyRule: { then: { effect: 'deny' } } } }), 'empty.json'))
+      .toThrow('empty.json has no policyRule condition');
+  });
+});
+
+describe('AzureImporter.detect', () => {
+  it('recognizes definitions and initiatives', () => {
+    expect(azureImporter.detect(definition({ if: {}, then: {} }))).toBe(true);
+    expect(azureImporter.detect(JSON.stringify({ policyDefinitions: [] }))).toBe(true);
+    expect(azureImporter.detect(JSON.stringify({ Statement: [] }))).toBe(false);
+    expect(azureImporter.detect('not json')).toBe(false);
+  });
+});
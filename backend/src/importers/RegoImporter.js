@@ -0,0 +1,243 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { emptySpec, setSpecValue, minimumTlsVersion } from './importUtils.js';
+
+const KEY_MANAGEMENT_STRENGTH = ['provider-managed', 'customer-managed', 'customer-supplied'];
+
+const PACKAGE = /^\s*package\s+([\w.]+)/m;
+const RULE_HEAD = /^(deny|violation|warn)\b/;
+const ASSIGNMENT = /^([a-z_][a-z0-9_]*)\s*:?=\s*([\s\S]*)$/i;
+// Functions the Rego exporter defines around its value sets
+const SUPPORT_FUNCTION = /^source_allowed\(/;
+// A statement continues on the next line after these
+const CONTINUATION = /(\bif|\bcontains|:?=|,|\{)\s*$/;
+
+// '{"1.2", "1.3"}' or 'set()' -> ['1.2', '1.3']; null when it is not a literal set
+const parseSet = (text) => {
+  const value = text.trim();
+  if (value === 'set()') return [];
+  if (!value.startsWith('{') || !value.endsWith('}')) return null;
+  try {
+    return JSON.parse(`[${value.slice(1, -1).replace(/,\s*$/, '')}]`);
+  } catch {
+    return null;
+  }
+};
+
+// Drop a trailing # comment, ignoring # inside string literals
+const stripComment = (line) => {
+  let quoted = false;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (char === '\\' && quoted) index++;
+    else if (char === '"') quoted = !quoted;
+    else if (char === '#' && !quoted) return line.slice(0, index);
+  }
+  return line;
+};
+
+const braceDelta = (line) => {
+  const code = line.replace(/"(?:[^"\\]|\\.)*"|`[^`]*`/g, '');
+  return (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length;
+};
+
+// Condition of a rule requiring a boolean resource attribute to be true
+const requireTrue = (field) => {
+  const path = `input\\.resource\\.${field.replace(/\./g, '\\.')}`;
+  return new RegExp(`not ${path}(?![.\\w])|${path}\\s*==\\s*false`);
+};
+
+/**
+ * Deny rule conditions over the normalized `input.resource` model the Rego
+ * exporter compiles to. The first matching pattern maps a rule; value sets
+ * such as the allowed sources are mapped from their helper definitions.
+ */
+const RULE_PATTERNS = [
+  { pattern: requireTrue('encryption.atRest'), apply: (match, spec) => setSpecValue(spec, 'spec.encryption.atRest', true) },
+  { pattern: requireTrue('encryption.inTransit'), apply: (match, spec) => setSpecValue(spec, 'spec.encryption.inTransit', true) },
+  {
+    pattern: /not input\.resource\.encryption\.tlsVersion in (\{[^}]*\})/,
+    apply: (match, spec) => {
+      const version = minimumTlsVersion(parseSet(match[1]) || []);
+      if (!version) return false;
+      setSpecValue(spec, 'spec.encryption.tlsMinVersion', version);
+    }
+  },
+  {
+    pattern: /upper\(input\.resource\.encryption\.algorithm\) == "([^"]+)"/,
+    apply: (match, spec) => setSpecValue(spec, 'spec.encryption.algorithm', match[1])
+  },
+  {
+    pattern: /not input\.resource\.encryption\.keyManagement in (\{[^}]*\})/,
+    apply: (match, spec) => {
+      const weakest = KEY_MANAGEMENT_STRENGTH.find(level => (parseSet(match[1]) || []).includes(level));
+      if (!weakest) return false;
+      setSpecValue(spec, 'spec.encryption.keyManagement', weakest);
+    }
+  },
+  {
+    pattern: /not input\.resource\.encryption\.keyRotationDays <= (\d+)/,
+    apply: (match, spec) => setSpecValue(spec, 'spec.encryption.keyRotationDays', Number(match[1]))
+  },
+  {
+    pattern: requireTrue('accessControl.mfaEnabled'),
+    apply: (match, spec) => setSpecValue(spec, 'spec.accessControl.authentication.mfaRequired', true)
+  },
+  {
+    pattern: /not input\.resource\.accessControl\.sessionTimeoutMinutes <= (\d+)/,
+    apply: (match, spec) => setSpecValue(spec, 'spec.accessControl.authentication.sessionTimeoutMinutes', Number(match[1]))
+  },
+  {
+    pattern: /input\.resource\.accessControl\.publicAccess == true/,
+    apply: (match, spec) => setSpecValue(spec, 'spec.accessControl.publicAccess', false)
+  },
+  {
+    pattern: /in input\.resource\.accessControl\.roles[\s\S]*endswith\(permission, "\*"\)/,
+    apply: (match, spec) => setSpecValue(spec, 'spec.accessControl.authorization.leastPrivilege', true)
+  },
+  // Checked against allowed_authentication_methods, allowed_roles and role_permissions
+  { pattern: /in input\.resource\.accessControl\.(authenticationMethods|roles)\b/, apply: () => {} },
+  {
+    pattern: requireTrue('network.privateEndpoint'),
+    apply: (match, spec) => setSpecValue(spec, 'spec.network.privateEndpointsOnly', true)
+  },
+  // Checked against allowed_sources and blocked_ports
+  { pattern: /in input\.resource\.network\.ingress\b/, apply: () => {} },
+  { pattern: requireTrue('logging.enabled'), apply: (match, spec) => setSpecValue(spec, 'spec.logging.enabled', true) },
+  { pattern: requireTrue('logging.auditLogs'), apply: (match, spec) => setSpecValue(spec, 'spec.logging.auditLogs', true) },
+  {
+    pattern: /not input\.resource\.logging\.retentionDays >= (\d+)/,
+    apply: (match, spec) => setSpecValue(spec, 'spec.logging.retentionDays', Number(match[1]))
+  },
+  // Checked against required_log_destinations
+  { pattern: /not destination in input\.resource\.logging\.destinations/, apply: () => {} }
+];
+
+// Value sets the Rego exporter defines, by name
+const HELPER_VALUES = {
+  allowed_authentication_methods: (value, spec) => {
+    const methods = parseSet(value);
+    if (!methods) return false;
+    setSpecValue(spec, 'spec.accessControl.authentication.methods', methods.map(String));
+  },
+  allowed_sources: (value, spec) => {
+    const sources = parseSet(value);
+    if (!sources) return false;
+    setSpecValue(spec, 'spec.network.allowedSources', sources.map(String));
+  },
+  blocked_ports: (value, spec) => {
+    const ports = parseSet(value);
+    if (!ports || !ports.every(port => Number.isInteger(port))) return false;
+    setSpecValue(spec, 'spec.network.blockedPorts', ports);
+  },
+  required_log_destinations: (value, spec) => {
+    const destinations = parseSet(value);
+    if (!destinations) return false;
+    setSpecValue(spec, 'spec.logging.destinations', destinations.map(String));
+  },
+  // Role names are taken from role_permissions
+  allowed_roles: (value) => parseSet(value) !== null,
+  role_permissions: (value, spec) => {
+    const roles = [...value.matchAll(/"([^"]+)"\s*:\s*(\{[^}]*\}|set\(\))/g)]
+      .map(([, name, permissions]) => ({ name, permissions: (parseSet(permissions) || []).map(String) }))
+      .filter(role => role.permissions.length > 0);
+    if (roles.length === 0) return false;
+    setSpecValue(spec, 'spec.accessControl.authorization.roles', roles);
+  }
+};
+
+/**
+ * Reverse-maps Rego packages into a SecurityPolicy spec. Packages written
+ * against the normalized `input.resource` model of the Rego exporter map
+ * rule by rule; rules over any other input are reported as unmapped.
+ */
+export class RegoImporter {
+  constructor() {
+    this.format = 'rego';
+    this.description = 'Open Policy Agent Rego package over the normalized input.resource model';
+  }
+
+  detect(content) {
+    return PACKAGE.test(content);
+  }
+
+  import(content, filename) {
+    const packageMatch = PACKAGE.exec(content);
+    if (!packageMatch) {
+      throw new UnprocessableEntityError(`${filename} has no package declaration`);
+    }
+
+    const spec = emptySpec();
+    const unmapped = [];
+
+    for (const statement of this.splitStatements(content)) {
+      this.importStatement(statement, spec, unmapped);
+    }
+
+    return {
+      name: packageMatch[1].split('.').pop(),
+      description: `Imported from Rego package ${packageMatch[1]}`,
+      service: null,
+      spec,
+      unmapped
+    };
+  }
+
+  /**
+   * Top-level statements with the line they start on, comments removed
+   */
+  splitStatements(content) {
+    const statements = [];
+    let current = null;
+    let depth = 0;
+
+    content.split(/\r?\n/).forEach((raw, index) => {
+      const line = stripComment(raw);
+      if (!current) {
+        if (!line.trim()) return;
+        current = { line: index + 1, text: '' };
+      }
+
+      current.text += `${line}\n`;
+      depth += braceDelta(line);
+      if (depth <= 0 && !CONTINUATION.test(line)) {
+        statements.push({ line: current.line, text: current.text.trim() });
+        current = null;
+        depth = 0;
+      }
+    });
+
+    if (current) {
+      statements.push({ line: current.line, text: current.text.trim() });
+    }
+    return statements;
+  }
+
+  importStatement({ line, text }, spec, unmapped) {
+    const path = `line ${line}`;
+
+    if (/^(package|import|default)\s/.test(text) || SUPPORT_FUNCTION.test(text)) {
+      return;
+    }
+
+    if (RULE_HEAD.test(text)) {
+      const rule = RULE_PATTERNS
+        .map(candidate => ({ candidate, match: candidate.pattern.exec(text) }))
+        .find(({ match }) => match);
+      if (!rule || rule.candidate.apply(rule.match, spec) === false) {
+        unmapped.push({ path, reason: `Rule '${text.split('\n')[0]}' does not check a field of the input.resource model` });
+      }
+      return;
+    }
+
+    const assignment = ASSIGNMENT.exec(text);
+    const helper = assignment && HELPER_VALUES[assignment[1]];
+    if (!helper || helper(assignment[2], spec) === false) {
+      unmapped.push({ path, reason: `'${text.split('\n')[0]}' is not a deny rule or value set the import recognizes` });
+    }
+  }
+}
+
+// Singleton instance
+const regoImporter = new RegoImporter();
+
+export { regoImporter };
@@ -0,0 +1,67 @@
+import { regoImporter } from './RegoImporter.js';
+import { regoExporter } from '../exporters/RegoExporter.js';
+
+const exportedModule = (spec) => regoExporter.export({ id: '7f1c2a4e-9999-4c8b-9d1e-000000000001', name: 'storage-policy', version: '1.0.0', spec })
+  .files.find(file => file.path.endsWith('/policy.rego')).content;
+
+describe('RegoImporter.import', () => {
+  it('maps a module written by the Rego exporter back to its spec', () => {
+    const spec = {
+      encryption: { atRest: true, inTransit: true, tlsMinVersion: '1.2', keyManagement: 'customer-managed', keyRotationDays: 90 },
+      accessControl: {
+        publicAccess: false,
+        authentication: { mfaRequired: true, sessionTimeoutMinutes: 30, methods: ['sso'] },
+        authorization: { leastPrivilege: true, roles: [{ name: 'reader', permissions: ['storage:read'] }] }
+      },
+      network: { privateEndpointsOnly: true, allowedSources: ['10.0.0.0/8'], blockedPorts: [22, 3389] },
+      logging: { enabled: true, auditLogs: true, retentionDays: 365, destinations: ['siem'] }
+    };
+
+    const result = regoImporter.import(exportedModule(spec), 'policy.rego');
+
+    expect(result.name).toBe('storage_policy');
+    expect(result.description).toBe('Imported from Rego package foundry.policies.storage_policy');
+    expect(result.service).toBeNull();
+    expect(result.spec).toEqual(spec);
+    expect(result.unmapped).toEqual([]);
+  });
+
+  it('reports rules over other inputs and values it does not recognize', () => {
+    const result = regoImporter.import([
+      'package example.guard',
+      '',
+      'import rego.v1',
+      '',
+      'max_replicas := 3',
+      '',
+      'deny contains msg if {',
+      '\tinput.request.kind.kind == "Pod" # not the resource model',
+      '\tmsg := "pods are not allowed"',
+      '}',
+      '',
+      'deny contains msg if {',
+      '\tinput.resource.accessControl.publicAccess == true',
+      '\tmsg := "#public access must be disabled"',
+      '}'
+    ].join('\n'), 'guard.rego');
+
+    expect(result.name).toBe('guard');
+    expect(result.spec.accessControl).toEqual({ publicAccess: false });
+    expect(result.unmapped).toEqual([
+      { path: 'line 5', reason: "'max_replicas := 3' is not a deny rule or value set the import recognizes" },
+      { path: 'line 7', reason: "Rule 'deny contains msg if {' does not check a field of the input.resource model" }
+    ]);
+  });
+
+  it('reports value sets that are not literals', () => {
+    const result = regoImporter.import('package p\n\nblocked_ports := {port | port := data.ports[_]}\n', 'p.rego');
+
+    expect(result.spec).toEqual({ encryption: { atRest: false, inTransit: false }, accessControl: {} });
+    expect(result.unmapped.map(entry => entry.path)).toEqual(['line 3']);
+  });
+
+  it('rejects files without a package declaration', () => {
+    expect(() => regoImporter.import('deny contains msg if { true }', 'loose.rego'))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError', message: 'loose.rego has no package declaration' }));
+  });
+});
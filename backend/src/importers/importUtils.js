@@ -0,0 +1,52 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { setPath, getSpecValue } from '../exporters/exportUtils.js';
+
+export const TLS_VERSIONS = ['1.0', '1.1', '1.2', '1.3'];
+
+/**
+ * Spec an import starts from. `atRest` and `inTransit` are required by the
+ * SecurityPolicy schema; false means the imported policy does not ask for it.
+ */
+export const emptySpec = () => ({
+  encryption: { atRest: false, inTransit: false },
+  accessControl: {}
+});
+
+// Set a spec value by 'spec.a.b' path, the notation used in unmapped reports
+export const setSpecValue = (spec, path, value) => setPath(spec, path.replace(/^spec\./, ''), value);
+
+// Append to a spec list, skipping values already present
+export const addSpecValues = (spec, path, values) => {
+  const current = getSpecValue(spec, path) || [];
+  setSpecValue(spec, path, [...current, ...values.filter(value => !current.includes(value))]);
+};
+
+// Lowest TLS version in a list of allowed versions ('TLS1_2', 1.2, '1.2')
+export const minimumTlsVersion = (values) => {
+  const versions = values
+    .map(value => String(value).replace(/^tls/i, '').replace('_', '.'))
+    .filter(version => TLS_VERSIONS.includes(version));
+  return versions.length > 0 ? versions.sort()[0] : null;
+};
+
+// 'S3 Guardrails.json' -> 's3-guardrails', valid as SecurityPolicy metadata.name
+export const toPolicyName = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/\.(json|rego)$/, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 253)
+  .replace(/-+$/, '') || 'imported-policy';
+
+export const parseJson = (content, filename) => {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new UnprocessableEntityError(`${filename} is not valid JSON: ${error.message}`);
+  }
+};
+
+export const asArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
@@ -0,0 +1,147 @@
+import { ValidationError, UnprocessableEntityError, isHttpError } from '../middleware/errorHandler.js';
+import { policyService } from '../policies/PolicyService.js';
+import { validatePolicyDocument } from '../policies/policyDocument.js';
+import { SECURITY_POLICY_API_VERSION, SECURITY_POLICY_KIND } from '../policies/securityPolicySchema.js';
+import { toPolicyName, parseJson } from './importUtils.js';
+import { awsImporter } from './AwsImporter.js';
+import { azureImporter } from './AzureImporter.js';
+import { regoImporter } from './RegoImporter.js';
+
+/**
+ * Registry of policy importers by `format`. Every importer takes the file
+ * content and name and returns { name, description?, service, spec,
+ * unmapped: [{ path, reason }] }, where `service` is null when the source
+ * does not tell and `unmapped` locates constructs in the source file.
+ */
+const importers = new Map([
+  [awsImporter.format, awsImporter],
+  [azureImporter.format, azureImporter],
+  [regoImporter.format, regoImporter]
+]);
+
+export const getImporter = (format) => {
+  const importer = importers.get(format);
+  if (!importer) {
+    throw new ValidationError(
+      `Unsupported import format '${format}'. Supported formats: ${Array.from(importers.keys()).join(', ')}`
+    );
+  }
+  return importer;
+};
+
+const detectImporter = (content, filename) => {
+  if (filename.endsWith('.json')) {
+    // Surface the syntax error rather than an unknown format
+    parseJson(content, filename);
+  }
+
+  const importer = filename.endsWith('.rego')
+    ? regoImporter
+    : Array.from(importers.values()).find(candidate => candidate.detect(content));
+  if (!importer) {
+    throw new UnprocessableEntityError(
+      `Could not tell the format of ${filename}; pass format as one of ${Array.from(importers.keys()).join(', ')}`
+    );
+  }
+  return importer;
+};
+
+/**
+ * Reverse-map one uploaded file into a policy document for createPolicy.
+ * `options` carries the upload's format, service, environment, businessUnit
+ * and compliance; service falls back to what the source file names.
+ */
+export const buildImportedDocument = (file, options = {}) => {
+  const filename = file.originalname;
+  const content = file.buffer.toString('utf8');
+  const importer = options.format ? getImporter(options.format) : detectImporter(content, filename);
+  const result = importer.import(content, filename);
+
+  const service = options.service || result.service;
+  if (!service) {
+    throw new UnprocessableEntityError(`Could not tell which service ${filename} is for; pass service with the upload`);
+  }
+
+  const name = toPolicyName(result.name);
+  const policy = {
+    apiVersion: SECURITY_POLICY_API_VERSION,
+    kind: SECURITY_POLICY_KIND,
+    metadata: {
+      name,
+      ...(result.description && { description: result.description }),
+      annotations: { 'policy-foundry/imported-from': filename }
+    },
+    spec: result.spec
+  };
+
+  const issues = validatePolicyDocument(policy);
+  if (issues.length > 0) {
+    throw new UnprocessableEntityError(`${filename} did not map to a valid SecurityPolicy`, issues);
+  }
+
+  const compliance = options.compliance || 'CIS';
+  return {
+    format: importer.format,
+    unmapped: result.unmapped,
+    document: {
+      metadata: {
+        name,
+        service,
+        environment: options.environment || 'production',
+        businessUnit: options.businessUnit || 'corporate',
+        compliance,
+        version: '1.0.0',
+        importedFrom: importer.format,
+        importedAt: new Date().toISOString()
+      },
+      policy,
+      compliance: {
+        framework: compliance,
+        controls: [],
+        status: 'draft'
+      },
+      // Kept for reviewers: what could not be mapped and the file it came from
+      import: {
+        format: importer.format,
+        filename,
+        unmapped: result.unmapped,
+        source: content
+      }
+    }
+  };
+};
+
+/**
+ * Import uploaded files as draft policies. A file that cannot be imported
+ * is reported in `errors` instead of failing the whole upload.
+ */
+export const importPolicies = async (files, options, user) => {
+  const imported = [];
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      const { format, document, unmapped } = buildImportedDocument(file, options);
+      const policy = await policyService.createPolicy(document, user, {
+        reason: `Imported from ${file.originalname} (${format})`
+      });
+      imported.push({
+        file: file.originalname,
+        format,
+        policy: policyService.toSummary(policy),
+        unmapped
+      });
+    } catch (error) {
+      if (!isHttpError(error)) {
+        throw error;
+      }
+      errors.push({
+        file: file.originalname,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+  }
+
+  return { imported, errors };
+};
@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+
+const { buildImportedDocument, getImporter, importPolicies } = await import('./index.js');
+const { policyService } = await import('../policies/PolicyService.js');
+
+const upload = (originalname, content) => ({ originalname, buffer: Buffer.from(typeof content === 'string' ? content : JSON.stringify(content)) });
+
+const scp = {
+  Id: 'S3 Transport',
+  Statement: [{ Effect: 'Deny', Action: 's3:*', Resource: '*', Condition: { Bool: { 'aws:SecureTransport': 'false' } } }]
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildImportedDocument', () => {
+  it('detects the format and wraps the spec in a draft policy document', () => {
+    const { format, document, unmapped } = buildImportedDocument(upload('S3 Transport.json', scp), { environment: 'staging' });
+
+    expect(format).toBe('aws');
+    expect(unmapped).toEqual([]);
+    expect(document.metadata).toEqual(expect.objectContaining({
+      name: 's3-transport',
+      service: 'AWS S3',
+      environment: 'staging',
+      businessUnit: 'corporate',
+      compliance: 'CIS',
+      version: '1.0.0',
+      importedFrom: 'aws'
+    }));
+    expect(document.policy).toEqual({
+      apiVersion: 'v1',
+      kind: 'SecurityPolicy',
+      metadata: { name: 's3-transport', annotations: { 'policy-foundry/imported-from': 'S3 Transport.json' } },
+      spec: { encryption: { atRest: false, inTransit: true }, accessControl: {} }
+    });
+    expect(document.import.source).toBe(JSON.stringify(scp));
+  });
+
+  it('takes Rego by extension and needs the service passed with it', () => {
+    const rego = upload('guard.rego', 'package foundry.guard\n\ndeny contains msg if {\n\tnot input.resource.encryption.atRest\n\tmsg := "x"\n}\n');
+
+    expect(() => buildImportedDocument(rego))
+      .toThrow('Could not tell which service guard.rego is for; pass service with the upload');
+    expect(buildImportedDocument(rego, { service: 'GCP Cloud Storage' }).document.metadata.service).toBe('GCP Cloud Storage');
+  });
+
+  it('rejects invalid JSON before guessing at the format', () => {
+    expect(() => buildImportedDocument(upload('broken.json', '{"Statement": [')))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError', message: expect.stringMatching(/^broken\.json is not valid JSON/) }));
+  });
+
+  it('rejects content no importer recognizes and formats that do not exist', () => {
+    expect(() => buildImportedDocument(upload('policy.json', { rules: [] })))
+      .toThrow("Could not tell the format of policy.json; pass format as one of aws, azure, rego");
+    expect(() => buildImportedDocument(upload('policy.yaml', 'kind: ClusterPolicy\n'), { format: 'kyverno' }))
+      .toThrow(expect.objectContaining({ name: 'ValidationError', message: "Unsupported import format 'kyverno'. Supported formats: aws, azure, rego" }));
+    expect(() => getImporter('terraform')).toThrow(/^Unsupported import format 'terraform'/);
+  });
+
+  it('rejects imports that do not map to a valid SecurityPolicy', () => {
+    const rego = upload('ports.rego', 'package foundry.ports\n\nblocked_ports := {22, 70000}\n');
+
+    expect(() => buildImportedDocument(rego, { service: 'AWS EC2' }))
+      .toThrow(expect.objectContaining({ message: 'ports.rego did not map to a valid SecurityPolicy', details: [expect.objectContaining({ path: expect.stringContaining('blockedPorts') })] }));
+  });
+});
+
+describe('importPolicies', () => {
+  const user = { id: '7f1c2a4e-aaaa-4c8b-9d1e-000000000001', email: 'importer@example.com' };
+
+  it('creates a draft per file and reports the files that fail', async () => {
+    jest.spyOn(policyService, 'createPolicy').mockImplementation(async (document) => ({ id: 'created', name: document.metadata.name }));
+    jest.spyOn(policyService, 'toSummary').mockImplementation(policy => policy);
+
+    const result = await importPolicies([upload('S3 Transport.json', scp), upload('broken.json', '{')], {}, user);
+
+    expect(policyService.createPolicy).toHaveBeenCalledWith(expect.any(Object), user, { reason: 'Imported from S3 Transport.json (aws)' });
+    expect(result.imported).toEqual([{ file: 'S3 Transport.json', format: 'aws', policy: { id: 'created', name: 's3-transport' }, unmapped: [] }]);
+    expect(result.errors).toEqual([{ file: 'broken.json', error: expect.stringMatching(/^broken\.json is not valid JSON/) }]);
+  });
+
+  it('fails the upload on errors that are not about the file', async () => {
+    jest.spyOn(policyService, 'createPolicy').mockRejectedValue(new Error('connection refused'));
+
+    await expect(importPolicies([upload('S3 Transport.json', scp)], {}, user)).rejects.toThrow('connection refused');
+  });
+});
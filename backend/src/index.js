@@ -6,6 +6,11 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { logger } from './utils/logger.js';
 import { initializeAgents } from './agents/agentManager.js';
+import { driftService } from './drift/DriftService.js';
+import { generationJobService } from './generation/GenerationJobService.js';
+import { policySigner } from './signing/PolicySigner.js';
+import { gitOpsService } from './gitops/GitOpsService.js';
+import { policyExceptionService } from './exceptions/PolicyExceptionService.js';
 import { initializeDatabase } from './database/connection.js';
 import { initializeRedis } from './database/redis.js';
 import { errorHandler } from './middleware/errorHandler.js';
@@ -18,6 +23,11 @@ import threatRoutes from './routes/threats.js';
 import dashboardRoutes from './routes/dashboard.js';
 import agentRoutes from './routes/agents.js';
 import complianceRoutes from './routes/compliance.js';
+import driftRoutes from './routes/drift.js';
+import templateRoutes from './routes/templates.js';
+import bundleRoutes from './routes/bundles.js';
+import gitOpsRoutes from './routes/gitops.js';
+import exceptionRoutes from './routes/exceptions.js';
 
 dotenv.config();
 
@@ -57,6 +67,11 @@ app.use('/api/threats', authMiddleware, threatRoutes);
 app.use('/api/dashboard', authMiddleware, dashboardRoutes);
 app.use('/api/agents', authMiddleware, agentRoutes);
 app.use('/api/compliance', authMiddleware, complianceRoutes);
+app.use('/api/drift', authMiddleware, driftRoutes);
+app.use('/api/templates', authMiddleware, templateRoutes);
+app.use('/api/bundles', authMiddleware, bundleRoutes);
+app.use('/api/gitops', authMiddleware, gitOpsRoutes);
+app.use('/api/exceptions', authMiddleware, exceptionRoutes);
 
 // WebSocket connection for real-time updates
 io.on('connection', (socket) => {
@@ -102,6 +117,21 @@ async function initializeServices() {
     await initializeAgents(io);
     logger.info('AI agents initialized successfully');
     
+    // Initialize drift detection
+    await driftService.initialize(io);
+    
+    // Load the policy signing key
+    await policySigner.initialize();
+    
+    // Prepare the GitOps repository clone
+    await gitOpsService.initialize();
+    
+    // Start the policy exception expiry checks
+    await policyExceptionService.initialize();
+    
+    // Initialize batch policy generation
+    await generationJobService.initialize(io);
+    
     // Start server
     server.listen(PORT, () => {
       logger.info(`🚀 AI Policy Foundry Backend running on port ${PORT}`);
@@ -118,6 +148,10 @@ async function initializeServices() {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  driftService.shutdown();
+  generationJobService.shutdown();
+  gitOpsService.shutdown();
+  policyExceptionService.shutdown();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -126,6 +160,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  driftService.shutdown();
+  generationJobService.shutdown();
+  gitOpsService.shutdown();
+  policyExceptionService.shutdown();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -33,9 +33,16 @@ export const errorHandler = (err, req, res, next) => {
   } else if (err.name === 'ConflictError') {
     statusCode = 409;
     message = 'Conflict';
+  } else if (err.name === 'UnprocessableEntityError') {
+    statusCode = 422;
+    message = 'Unprocessable Entity';
   } else if (err.name === 'RateLimitError') {
     statusCode = 429;
     message = 'Too Many Requests';
+  } else if (err.name === 'MulterError') {
+    // Rejected uploads: too large, too many files or an unexpected field
+    statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    message = 'Invalid Upload';
   }
 
   // Send error response
@@ -43,10 +50,25 @@ export const errorHandler = (err, req, res, next) => {
     success: false,
     error: message,
     message: isDevelopment ? err.message : 'An error occurred',
+    ...(err.details && { details: err.details }),
     ...(isDevelopment && { stack: err.stack })
   });
 };
 
+// Errors with a dedicated status code above; routes pass these on via next()
+// instead of answering with their own 500
+const HTTP_ERROR_NAMES = [
+  'ValidationError',
+  'UnauthorizedError',
+  'ForbiddenError',
+  'NotFoundError',
+  'ConflictError',
+  'UnprocessableEntityError',
+  'RateLimitError'
+];
+
+export const isHttpError = (err) => HTTP_ERROR_NAMES.includes(err?.name);
+
 // Custom error classes
 export class ValidationError extends Error {
   constructor(message) {
@@ -83,6 +105,14 @@ export class ConflictError extends Error {
   }
 }
 
+export class UnprocessableEntityError extends Error {
+  constructor(message = 'Unprocessable entity', details) {
+    super(message);
+    this.name = 'UnprocessableEntityError';
+    this.details = details;
+  }
+}
+
 export class RateLimitError extends Error {
   constructor(message = 'Rate limit exceeded') {
     super(message);
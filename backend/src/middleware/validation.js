@@ -9,10 +9,229 @@ const policyRequestSchema = Joi.object({
     businessUnit: Joi.string().valid('upstream', 'downstream', 'trading', 'corporate'),
     compliance: Joi.string().valid('CIS', 'NIST', 'ISO', 'SOC2', 'PCI'),
     additionalRequirements: Joi.string().max(1000),
-    optimizeFor: Joi.string().valid('performance', 'cost', 'security')
+    optimizeFor: Joi.string().valid('performance', 'cost', 'security'),
+    // Without `id` the service's default template is rendered with `parameters`
+    template: Joi.object({
+      id: Joi.string().guid(),
+      version: Joi.string().pattern(/^\d+\.\d+\.\d+$/),
+      parameters: Joi.object()
+    }).with('version', 'id')
   }).required()
 });
 
+const batchGenerationSchema = Joi.object({
+  items: Joi.array().items(policyRequestSchema).min(1).max(500).required(),
+  concurrency: Joi.number().integer().min(1).max(10).default(3)
+});
+
+const generationJobResumeSchema = Joi.object({
+  retryFailed: Joi.boolean().default(false),
+  concurrency: Joi.number().integer().min(1).max(10)
+});
+
+const policyUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(255),
+  service: Joi.string().min(1).max(100),
+  environment: Joi.string().valid('production', 'staging', 'development', 'testing'),
+  businessUnit: Joi.string().valid('upstream', 'downstream', 'trading', 'corporate'),
+  complianceFramework: Joi.string().valid('CIS', 'NIST', 'ISO', 'SOC2', 'PCI'),
+  riskLevel: Joi.string().valid('minimal', 'low', 'medium', 'high', 'critical'),
+  layer: Joi.string().valid('organization', 'business-unit', 'environment').allow(null),
+  document: Joi.object(),
+  reason: Joi.string().min(1).max(1000).required(),
+  versionBump: Joi.string().valid('major', 'minor', 'patch')
+}).or('name', 'service', 'environment', 'businessUnit', 'complianceFramework', 'riskLevel', 'layer', 'document');
+
+const policyRollbackSchema = Joi.object({
+  version: Joi.string().pattern(/^\d+\.\d+\.\d+$/).required(),
+  reason: Joi.string().max(1000)
+});
+
+// Without `to` the current version is compared, without `from` the one before `to`
+const policyDiffQuerySchema = Joi.object({
+  from: Joi.string().pattern(/^\d+\.\d+\.\d+$/),
+  to: Joi.string().pattern(/^\d+\.\d+\.\d+$/)
+});
+
+const policyTransitionSchema = Joi.object({
+  comment: Joi.string().max(1000)
+});
+
+const policyExportSchema = Joi.object({
+  format: Joi.string().required(),
+  ids: Joi.array().items(Joi.string().guid()).min(1).max(100).unique(),
+  filters: Joi.object({
+    service: Joi.string().max(100),
+    status: Joi.string().valid('draft', 'in-review', 'approved', 'active', 'deprecated', 'retired'),
+    compliance: Joi.string().valid('CIS', 'NIST', 'ISO', 'SOC2', 'PCI'),
+    risk: Joi.string().valid('minimal', 'low', 'medium', 'high', 'critical'),
+    businessUnit: Joi.string().valid('upstream', 'downstream', 'trading', 'corporate'),
+    environment: Joi.string().valid('production', 'staging', 'development', 'testing')
+  }),
+  signed: Joi.boolean().default(false)
+}).or('ids', 'filters');
+
+// Route parameter and query of a business unit's admission bundle; policies without a unit are 'unassigned'
+const policyBundleExportSchema = Joi.object({
+  businessUnit: Joi.string().valid('upstream', 'downstream', 'trading', 'corporate', 'unassigned').required(),
+  format: Joi.string().valid('kyverno', 'gatekeeper').required(),
+  status: Joi.string().valid('draft', 'in-review', 'approved', 'active', 'deprecated', 'retired').default('active'),
+  environment: Joi.string().valid('production', 'staging', 'development', 'testing')
+});
+
+// Form fields sent alongside the uploaded files
+const policyImportSchema = Joi.object({
+  format: Joi.string().valid('aws', 'azure', 'rego'),
+  service: Joi.string().min(1).max(100),
+  environment: Joi.string().valid('production', 'staging', 'development', 'testing'),
+  businessUnit: Joi.string().valid('upstream', 'downstream', 'trading', 'corporate'),
+  compliance: Joi.string().valid('CIS', 'NIST', 'ISO', 'SOC2', 'PCI')
+});
+
+const policySimulationSchema = Joi.object({
+  snapshot: Joi.object().required(),
+  format: Joi.string().valid('terraform', 'aws-config', 'resources'),
+  allServices: Joi.boolean().default(false)
+});
+
+const policyTestSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required(),
+  description: Joi.string().max(1000),
+  resource: Joi.object({
+    id: Joi.string().max(255),
+    type: Joi.string().max(255),
+    service: Joi.string().max(100),
+    configuration: Joi.object().required()
+  }).required(),
+  expect: Joi.string().valid('deny', 'allow').required(),
+  reasons: Joi.array().items(Joi.string().min(1).max(500))
+});
+
+const policyTestsSchema = Joi.array().items(policyTestSchema).max(200).unique('name');
+
+// Without `tests` the policy's stored tests are run
+const policyTestRunSchema = Joi.object({
+  tests: policyTestsSchema.min(1)
+});
+
+const policyTestUpdateSchema = Joi.object({
+  tests: policyTestsSchema.required(),
+  reason: Joi.string().min(1).max(1000).required()
+});
+
+// A policy document with the detached signature issued at approval
+const policyVerificationSchema = Joi.object({
+  document: Joi.object().required(),
+  signature: Joi.string().base64().max(1024).required(),
+  keyId: Joi.string().max(100)
+});
+
+const templateParameterSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(64).required(),
+  type: Joi.string().valid('string', 'number', 'bool', 'list(string)', 'list(number)', 'map(string)').required(),
+  description: Joi.string().max(500),
+  default: Joi.any(),
+  required: Joi.boolean(),
+  allowedValues: Joi.array().items(Joi.string(), Joi.number()).min(1),
+  minimum: Joi.number(),
+  maximum: Joi.number()
+});
+
+const templateParametersSchema = Joi.array().items(templateParameterSchema).max(50).unique('name');
+
+const templateCreateSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required(),
+  service: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(1000),
+  structure: Joi.string().min(1).max(20000).required(),
+  parameters: templateParametersSchema.default([]),
+  isDefault: Joi.boolean().default(false),
+  reason: Joi.string().max(1000)
+});
+
+const templateUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(255),
+  description: Joi.string().max(1000),
+  structure: Joi.string().min(1).max(20000),
+  parameters: templateParametersSchema,
+  reason: Joi.string().min(1).max(1000).required(),
+  versionBump: Joi.string().valid('major', 'minor', 'patch')
+}).or('name', 'description', 'structure', 'parameters');
+
+const templatePreviewSchema = Joi.object({
+  version: Joi.string().pattern(/^\d+\.\d+\.\d+$/),
+  parameters: Joi.object().default({})
+});
+
+const policyConflictQuerySchema = Joi.object({
+  service: Joi.string().min(1).max(100),
+  environment: Joi.string().valid('production', 'staging', 'development', 'testing'),
+  businessUnit: Joi.string().valid('upstream', 'downstream', 'trading', 'corporate'),
+  status: Joi.array().items(
+    Joi.string().valid('draft', 'in-review', 'approved', 'active', 'deprecated', 'retired')
+  ).single()
+});
+
+// where: structured spec conditions, e.g. `spec.network.blockedPorts contains 22`
+const policySearchSchema = Joi.object({
+  q: Joi.string().trim().max(500),
+  where: Joi.array().items(Joi.string().trim().min(1).max(500)).single().max(20),
+  service: Joi.string().min(1).max(100),
+  status: Joi.string().valid('draft', 'in-review', 'approved', 'active', 'deprecated', 'retired'),
+  compliance: Joi.string().valid('CIS', 'NIST', 'ISO', 'SOC2', 'PCI'),
+  risk: Joi.string().valid('minimal', 'low', 'medium', 'high', 'critical'),
+  businessUnit: Joi.string().valid('upstream', 'downstream', 'trading', 'corporate'),
+  environment: Joi.string().valid('production', 'staging', 'development', 'testing'),
+  layer: Joi.string().valid('organization', 'business-unit', 'environment'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const effectivePolicyQuerySchema = Joi.object({
+  service: Joi.string().min(1).max(100).required(),
+  businessUnit: Joi.string().valid('upstream', 'downstream', 'trading', 'corporate').required(),
+  environment: Joi.string().valid('production', 'staging', 'development', 'testing').required(),
+  status: Joi.array().items(
+    Joi.string().valid('draft', 'in-review', 'approved', 'active', 'deprecated', 'retired')
+  ).single()
+});
+
+const driftSnapshotSchema = Joi.object({
+  snapshot: Joi.object().required(),
+  format: Joi.string().valid('terraform', 'aws-config', 'resources'),
+  source: Joi.string().min(1).max(255)
+});
+
+const driftQuerySchema = Joi.object({
+  status: Joi.string().valid('open', 'resolved', 'closed'),
+  since: Joi.date().iso(),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100)
+});
+
+const policyExceptionRequestSchema = Joi.object({
+  policyId: Joi.string().guid().required(),
+  controlId: Joi.string().min(1).max(100).required(),
+  justification: Joi.string().min(20).max(5000).required(),
+  compensatingControls: Joi.array().items(Joi.string().min(1).max(500)).max(20).default([]),
+  approver: Joi.string().min(1).max(255).required(),
+  expiresAt: Joi.date().iso().greater('now').required()
+});
+
+const policyExceptionDecisionSchema = Joi.object({
+  comment: Joi.string().max(1000)
+});
+
+const policyExceptionQuerySchema = Joi.object({
+  policyId: Joi.string().guid(),
+  controlId: Joi.string().max(100),
+  status: Joi.string().valid('requested', 'approved', 'rejected', 'revoked', 'expired'),
+  approver: Joi.string().max(255),
+  expiringWithinDays: Joi.number().integer().min(1).max(365),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100)
+});
+
 const threatAnalysisSchema = Joi.object({
   threats: Joi.array().items(Joi.object({
     id: Joi.string().required(),
@@ -54,6 +273,390 @@ export const validatePolicyRequest = (req, res, next) => {
   next();
 };
 
+export const validateBatchGeneration = (req, res, next) => {
+  const { error, value } = batchGenerationSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Batch generation validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validateGenerationJobResume = (req, res, next) => {
+  const { error, value } = generationJobResumeSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Generation job resume validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyUpdate = (req, res, next) => {
+  const { error, value } = policyUpdateSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Policy update validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyRollback = (req, res, next) => {
+  const { error, value } = policyRollbackSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Policy rollback validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyDiffQuery = (req, res, next) => {
+  const { error, value } = policyDiffQuerySchema.validate(req.query);
+  
+  if (error) {
+    logger.warn('Policy diff query validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyTransition = (req, res, next) => {
+  const { error, value } = policyTransitionSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Policy transition validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyExport = (req, res, next) => {
+  const { error, value } = policyExportSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Policy export validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyBundleExport = (req, res, next) => {
+  const { error, value } = policyBundleExportSchema.validate({ ...req.query, ...req.params });
+  
+  if (error) {
+    logger.warn('Policy bundle export validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyImport = (req, res, next) => {
+  const { error, value } = policyImportSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Policy import validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicySimulation = (req, res, next) => {
+  const { error, value } = policySimulationSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Policy simulation validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyTestRun = (req, res, next) => {
+  const { error, value } = policyTestRunSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Policy test run validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyTestUpdate = (req, res, next) => {
+  const { error, value } = policyTestUpdateSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Policy test update validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyVerification = (req, res, next) => {
+  const { error, value } = policyVerificationSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Policy verification validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validateTemplateCreate = (req, res, next) => {
+  const { error, value } = templateCreateSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Template create validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validateTemplateUpdate = (req, res, next) => {
+  const { error, value } = templateUpdateSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Template update validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validateTemplatePreview = (req, res, next) => {
+  const { error, value } = templatePreviewSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Template preview validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyConflictQuery = (req, res, next) => {
+  const { error, value } = policyConflictQuerySchema.validate(req.query);
+  
+  if (error) {
+    logger.warn('Policy conflict query validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicySearch = (req, res, next) => {
+  const { error, value } = policySearchSchema.validate(req.query);
+  
+  if (error) {
+    logger.warn('Policy search validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validateEffectivePolicyQuery = (req, res, next) => {
+  const { error, value } = effectivePolicyQuerySchema.validate(req.query);
+  
+  if (error) {
+    logger.warn('Effective policy query validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validateDriftSnapshot = (req, res, next) => {
+  const { error, value } = driftSnapshotSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Drift snapshot validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validateDriftQuery = (req, res, next) => {
+  const { error, value } = driftQuerySchema.validate(req.query);
+  
+  if (error) {
+    logger.warn('Drift query validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyExceptionRequest = (req, res, next) => {
+  const { error, value } = policyExceptionRequestSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Policy exception request validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyExceptionDecision = (req, res, next) => {
+  const { error, value } = policyExceptionDecisionSchema.validate(req.body);
+  
+  if (error) {
+    logger.warn('Policy exception decision validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
+export const validatePolicyExceptionQuery = (req, res, next) => {
+  const { error, value } = policyExceptionQuerySchema.validate(req.query);
+  
+  if (error) {
+    logger.warn('Policy exception query validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  req.validatedData = value;
+  next();
+};
+
 export const validateThreatAnalysis = (req, res, next) => {
   const { error, value } = threatAnalysisSchema.validate(req.body);
   
@@ -0,0 +1,34 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Last known status and metrics of an agent, so they survive restarts.
+ */
+export class AgentState extends Model {
+  static initModel(sequelize) {
+    return AgentState.init({
+      agentName: {
+        type: DataTypes.STRING(100),
+        primaryKey: true
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      lastActivity: {
+        type: DataTypes.DATE
+      },
+      metrics: {
+        type: DataTypes.JSONB,
+        defaultValue: {}
+      }
+    }, {
+      sequelize,
+      modelName: 'AgentState',
+      tableName: 'agent_states',
+      underscored: true
+    });
+  }
+
+  static associate() {}
+}
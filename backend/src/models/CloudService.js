@@ -0,0 +1,57 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Cloud provider service known to the foundry. New rows are discovered by
+ * the CloudProviderAgent scans.
+ */
+export class CloudService extends Model {
+  static initModel(sequelize) {
+    return CloudService.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      serviceId: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      provider: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      category: {
+        type: DataTypes.STRING(50),
+        defaultValue: 'General'
+      },
+      description: {
+        type: DataTypes.TEXT
+      },
+      launchDate: {
+        type: DataTypes.DATE
+      },
+      requiresPolicy: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+      }
+    }, {
+      sequelize,
+      modelName: 'CloudService',
+      tableName: 'cloud_services',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    CloudService.hasMany(models.ServiceUpdate, {
+      as: 'updates',
+      foreignKey: 'serviceId',
+      sourceKey: 'serviceId'
+    });
+  }
+}
@@ -0,0 +1,55 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Individual control within a compliance framework, e.g. `CIS-2.1.1`.
+ * Keywords drive the ComplianceAgent's coverage checks.
+ */
+export class ComplianceControl extends Model {
+  static initModel(sequelize) {
+    return ComplianceControl.init({
+      id: {
+        type: DataTypes.STRING(100),
+        primaryKey: true
+      },
+      framework: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT
+      },
+      requirement: {
+        type: DataTypes.TEXT
+      },
+      keywords: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        defaultValue: []
+      },
+      services: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        defaultValue: ['all']
+      },
+      environments: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        defaultValue: ['all']
+      }
+    }, {
+      sequelize,
+      modelName: 'ComplianceControl',
+      tableName: 'compliance_controls',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    ComplianceControl.belongsTo(models.ComplianceFramework, {
+      as: 'frameworkDefinition',
+      foreignKey: 'framework',
+      targetKey: 'name'
+    });
+  }
+}
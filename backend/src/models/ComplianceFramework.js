@@ -0,0 +1,47 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Regulatory or industry framework (CIS, NIST, ISO, SOC2, PCI) that
+ * policies are validated against.
+ */
+export class ComplianceFramework extends Model {
+  static initModel(sequelize) {
+    return ComplianceFramework.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      version: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT
+      }
+    }, {
+      sequelize,
+      modelName: 'ComplianceFramework',
+      tableName: 'compliance_frameworks',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    ComplianceFramework.hasMany(models.ComplianceControl, {
+      as: 'controls',
+      foreignKey: 'framework',
+      sourceKey: 'name'
+    });
+
+    // Agents read framework.controls straight off findAll() results
+    ComplianceFramework.addScope('defaultScope', {
+      include: [{ model: models.ComplianceControl, as: 'controls' }]
+    }, { override: true });
+  }
+}
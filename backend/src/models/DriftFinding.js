@@ -0,0 +1,89 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * A deployed resource that violates an active policy. A finding stays open
+ * while later snapshots keep reporting the violation and is resolved once a
+ * snapshot shows the resource complying with that spec path. Findings still
+ * open when their policy stops being enforced are closed.
+ */
+export class DriftFinding extends Model {
+  static initModel(sequelize) {
+    return DriftFinding.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      policyId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      policyVersion: {
+        type: DataTypes.STRING(20)
+      },
+      resourceId: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      resourceType: {
+        type: DataTypes.STRING(100)
+      },
+      service: {
+        type: DataTypes.STRING(100)
+      },
+      path: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      control: {
+        type: DataTypes.STRING(50)
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      required: {
+        type: DataTypes.JSONB
+      },
+      actual: {
+        type: DataTypes.JSONB
+      },
+      source: {
+        type: DataTypes.STRING
+      },
+      status: {
+        type: DataTypes.ENUM('open', 'resolved', 'closed'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      occurrences: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      firstSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      resolvedAt: {
+        type: DataTypes.DATE
+      }
+    }, {
+      sequelize,
+      modelName: 'DriftFinding',
+      tableName: 'drift_findings',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    DriftFinding.belongsTo(models.SecurityPolicy, {
+      as: 'policy',
+      foreignKey: 'policyId'
+    });
+  }
+}
@@ -0,0 +1,56 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Background batch of policy generations. A job is `running` until every
+ * item has been attempted (`completed`), it is cancelled, or the process
+ * stops under it (`interrupted`); cancelled and interrupted jobs can be
+ * resumed.
+ */
+export class GenerationJob extends Model {
+  static initModel(sequelize) {
+    return GenerationJob.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      status: {
+        type: DataTypes.ENUM('running', 'cancelled', 'interrupted', 'completed'),
+        allowNull: false,
+        defaultValue: 'running'
+      },
+      concurrency: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      total: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdBy: {
+        type: DataTypes.STRING
+      },
+      startedAt: {
+        type: DataTypes.DATE
+      },
+      finishedAt: {
+        type: DataTypes.DATE
+      }
+    }, {
+      sequelize,
+      modelName: 'GenerationJob',
+      tableName: 'generation_jobs',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    GenerationJob.hasMany(models.GenerationJobItem, {
+      as: 'items',
+      foreignKey: 'jobId',
+      onDelete: 'CASCADE'
+    });
+  }
+}
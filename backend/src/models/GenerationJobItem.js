@@ -0,0 +1,71 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * One service of a generation job, in request order. `policyId` points to
+ * the draft created for it once the item has succeeded.
+ */
+export class GenerationJobItem extends Model {
+  static initModel(sequelize) {
+    return GenerationJobItem.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      jobId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      position: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      service: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      requirements: {
+        type: DataTypes.JSONB,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'running', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      policyId: {
+        type: DataTypes.UUID
+      },
+      error: {
+        type: DataTypes.TEXT
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      startedAt: {
+        type: DataTypes.DATE
+      },
+      finishedAt: {
+        type: DataTypes.DATE
+      }
+    }, {
+      sequelize,
+      modelName: 'GenerationJobItem',
+      tableName: 'generation_job_items',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    GenerationJobItem.belongsTo(models.GenerationJob, {
+      as: 'job',
+      foreignKey: 'jobId'
+    });
+    GenerationJobItem.belongsTo(models.SecurityPolicy, {
+      as: 'policy',
+      foreignKey: 'policyId'
+    });
+  }
+}
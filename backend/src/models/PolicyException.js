@@ -0,0 +1,77 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Accepted risk for one compliance control of a policy, e.g. `CIS-5.2`.
+ * An exception is requested with a justification, compensating controls,
+ * the approver who has to decide it and an expiry date; while approved and
+ * unexpired the ComplianceAgent reports the control as excepted instead of
+ * failed.
+ */
+export class PolicyException extends Model {
+  static initModel(sequelize) {
+    return PolicyException.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      policyId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      controlId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      justification: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      compensatingControls: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      approver: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('requested', 'approved', 'rejected', 'revoked', 'expired'),
+        allowNull: false,
+        defaultValue: 'requested'
+      },
+      requestedBy: {
+        type: DataTypes.STRING
+      },
+      decidedBy: {
+        type: DataTypes.STRING
+      },
+      decidedAt: {
+        type: DataTypes.DATE
+      },
+      decisionComment: {
+        type: DataTypes.TEXT
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      expiryAlertedAt: {
+        type: DataTypes.DATE
+      }
+    }, {
+      sequelize,
+      modelName: 'PolicyException',
+      tableName: 'policy_exceptions',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    PolicyException.belongsTo(models.SecurityPolicy, {
+      as: 'policy',
+      foreignKey: 'policyId'
+    });
+  }
+}
@@ -0,0 +1,70 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Detached signature of an approved policy version: `signature` is the
+ * base64 signature over the canonical JSON of the version's document,
+ * whose SHA-256 is `digest`. Rows are never updated or deleted directly.
+ */
+export class PolicySignature extends Model {
+  static initModel(sequelize) {
+    return PolicySignature.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      policyVersionId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      policyId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      version: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      keyId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      algorithm: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      digest: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+      },
+      signature: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      signedBy: {
+        type: DataTypes.STRING
+      }
+    }, {
+      sequelize,
+      modelName: 'PolicySignature',
+      tableName: 'policy_signatures',
+      underscored: true,
+      updatedAt: false,
+      hooks: {
+        beforeUpdate: () => {
+          throw new Error('Policy signatures are immutable');
+        },
+        beforeDestroy: () => {
+          throw new Error('Policy signatures are immutable');
+        }
+      }
+    });
+  }
+
+  static associate(models) {
+    PolicySignature.belongsTo(models.PolicyVersion, {
+      as: 'policyVersion',
+      foreignKey: 'policyVersionId'
+    });
+  }
+}
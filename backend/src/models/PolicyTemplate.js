@@ -0,0 +1,70 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Service-specific structure hint fed into the policy generation prompt,
+ * with typed parameters substituted for `{{ name }}` placeholders. The row
+ * holds the current version; every version is kept in
+ * policy_template_versions. Generation uses the service's `isDefault`
+ * template unless one is selected, then the `default` service's.
+ */
+export class PolicyTemplate extends Model {
+  static initModel(sequelize) {
+    return PolicyTemplate.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      service: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT
+      },
+      structure: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      // [{ name, type, description, default, required, allowedValues, minimum, maximum }]
+      parameters: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      version: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: '1.0.0'
+      },
+      isDefault: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdBy: {
+        type: DataTypes.STRING
+      },
+      updatedBy: {
+        type: DataTypes.STRING
+      }
+    }, {
+      sequelize,
+      modelName: 'PolicyTemplate',
+      tableName: 'policy_templates',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    PolicyTemplate.hasMany(models.PolicyTemplateVersion, {
+      as: 'versions',
+      foreignKey: 'templateId',
+      onDelete: 'CASCADE'
+    });
+  }
+}
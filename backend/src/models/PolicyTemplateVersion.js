@@ -0,0 +1,69 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Immutable snapshot of a policy template. Generated policies record the
+ * template version they were rendered from, so rows are never updated or
+ * deleted directly.
+ */
+export class PolicyTemplateVersion extends Model {
+  static initModel(sequelize) {
+    return PolicyTemplateVersion.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      templateId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      version: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT
+      },
+      structure: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      parameters: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      author: {
+        type: DataTypes.STRING
+      },
+      reason: {
+        type: DataTypes.TEXT
+      }
+    }, {
+      sequelize,
+      modelName: 'PolicyTemplateVersion',
+      tableName: 'policy_template_versions',
+      underscored: true,
+      updatedAt: false,
+      hooks: {
+        beforeUpdate: () => {
+          throw new Error('Policy template versions are immutable');
+        },
+        beforeDestroy: () => {
+          throw new Error('Policy template versions are immutable');
+        }
+      }
+    });
+  }
+
+  static associate(models) {
+    PolicyTemplateVersion.belongsTo(models.PolicyTemplate, {
+      as: 'template',
+      foreignKey: 'templateId'
+    });
+  }
+}
@@ -0,0 +1,57 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Lifecycle event for a policy. Approvals that do not yet meet the required
+ * approver count are recorded with fromStatus === toStatus.
+ */
+export class PolicyTransition extends Model {
+  static initModel(sequelize) {
+    return PolicyTransition.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      policyId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      action: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      fromStatus: {
+        type: DataTypes.STRING(20)
+      },
+      toStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      policyVersion: {
+        type: DataTypes.STRING(20)
+      },
+      actor: {
+        type: DataTypes.STRING
+      },
+      actorRole: {
+        type: DataTypes.STRING(50)
+      },
+      comment: {
+        type: DataTypes.TEXT
+      }
+    }, {
+      sequelize,
+      modelName: 'PolicyTransition',
+      tableName: 'policy_transitions',
+      underscored: true,
+      updatedAt: false
+    });
+  }
+
+  static associate(models) {
+    PolicyTransition.belongsTo(models.SecurityPolicy, {
+      as: 'policy',
+      foreignKey: 'policyId'
+    });
+  }
+}
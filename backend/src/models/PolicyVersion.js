@@ -0,0 +1,70 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Immutable snapshot of a policy document. A row is written for every
+ * create, update and rollback, together with the outcome of the policy's
+ * tests at that version; rows are never updated or deleted directly.
+ */
+export class PolicyVersion extends Model {
+  static initModel(sequelize) {
+    return PolicyVersion.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      policyId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      version: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      changeType: {
+        type: DataTypes.ENUM('create', 'update', 'rollback'),
+        allowNull: false
+      },
+      document: {
+        type: DataTypes.JSONB,
+        allowNull: false
+      },
+      author: {
+        type: DataTypes.STRING
+      },
+      reason: {
+        type: DataTypes.TEXT
+      },
+      // Policy test report for this version's document (see policies/policyTests.js)
+      testResults: {
+        type: DataTypes.JSONB
+      }
+    }, {
+      sequelize,
+      modelName: 'PolicyVersion',
+      tableName: 'policy_versions',
+      underscored: true,
+      updatedAt: false,
+      hooks: {
+        beforeUpdate: () => {
+          throw new Error('Policy versions are immutable');
+        },
+        beforeDestroy: () => {
+          throw new Error('Policy versions are immutable');
+        }
+      }
+    });
+  }
+
+  static associate(models) {
+    PolicyVersion.belongsTo(models.SecurityPolicy, {
+      as: 'policy',
+      foreignKey: 'policyId'
+    });
+    PolicyVersion.hasMany(models.PolicySignature, {
+      as: 'signatures',
+      foreignKey: 'policyVersionId',
+      onDelete: 'CASCADE'
+    });
+  }
+}
@@ -0,0 +1,102 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Persisted security policy. `document` holds the structured policy produced
+ * by the agents (metadata, policy, compliance, security); the scalar columns
+ * duplicate the fields the API filters and sorts on.
+ */
+export class SecurityPolicy extends Model {
+  static initModel(sequelize) {
+    return SecurityPolicy.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      service: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      environment: {
+        type: DataTypes.STRING(20),
+        defaultValue: 'production'
+      },
+      businessUnit: {
+        type: DataTypes.STRING(20),
+        defaultValue: 'corporate'
+      },
+      // Inheritance layer (organization, business-unit, environment); null for standalone policies
+      layer: {
+        type: DataTypes.STRING(20)
+      },
+      complianceFramework: {
+        type: DataTypes.STRING(50),
+        defaultValue: 'CIS'
+      },
+      riskLevel: {
+        type: DataTypes.STRING(20),
+        defaultValue: 'low'
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      version: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: '1.0.0'
+      },
+      document: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      createdBy: {
+        type: DataTypes.STRING
+      },
+      updatedBy: {
+        type: DataTypes.STRING
+      }
+    }, {
+      sequelize,
+      modelName: 'SecurityPolicy',
+      tableName: 'security_policies',
+      underscored: true,
+      // Deleting a draft keeps the row, and with it the version and transition history
+      paranoid: true
+    });
+  }
+
+  static associate(models) {
+    SecurityPolicy.hasMany(models.SecurityRisk, {
+      as: 'risks',
+      foreignKey: 'policyId',
+      onDelete: 'CASCADE'
+    });
+    SecurityPolicy.hasMany(models.PolicyVersion, {
+      as: 'versions',
+      foreignKey: 'policyId',
+      onDelete: 'RESTRICT'
+    });
+    SecurityPolicy.hasMany(models.PolicyTransition, {
+      as: 'transitions',
+      foreignKey: 'policyId',
+      onDelete: 'RESTRICT'
+    });
+    SecurityPolicy.hasMany(models.DriftFinding, {
+      as: 'driftFindings',
+      foreignKey: 'policyId',
+      onDelete: 'CASCADE'
+    });
+    SecurityPolicy.hasMany(models.PolicyException, {
+      as: 'exceptions',
+      foreignKey: 'policyId',
+      onDelete: 'CASCADE'
+    });
+  }
+}
@@ -0,0 +1,50 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Risk factor identified for a policy by the SecurityAnalysisAgent.
+ */
+export class SecurityRisk extends Model {
+  static initModel(sequelize) {
+    return SecurityRisk.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      policyId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      type: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      level: {
+        type: DataTypes.ENUM('critical', 'high', 'medium', 'low', 'minimal'),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT
+      },
+      mitigation: {
+        type: DataTypes.TEXT
+      },
+      status: {
+        type: DataTypes.ENUM('open', 'mitigated', 'accepted'),
+        defaultValue: 'open'
+      }
+    }, {
+      sequelize,
+      modelName: 'SecurityRisk',
+      tableName: 'security_risks',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    SecurityRisk.belongsTo(models.SecurityPolicy, {
+      as: 'policy',
+      foreignKey: 'policyId'
+    });
+  }
+}
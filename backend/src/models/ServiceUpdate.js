@@ -0,0 +1,52 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Change announced by a cloud provider for one of the tracked services.
+ */
+export class ServiceUpdate extends Model {
+  static initModel(sequelize) {
+    return ServiceUpdate.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      serviceId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      updateType: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT
+      },
+      impact: {
+        type: DataTypes.ENUM('low', 'medium', 'high'),
+        defaultValue: 'low'
+      },
+      requiresPolicyUpdate: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+      },
+      updateDate: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+      }
+    }, {
+      sequelize,
+      modelName: 'ServiceUpdate',
+      tableName: 'service_updates',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    ServiceUpdate.belongsTo(models.CloudService, {
+      as: 'service',
+      foreignKey: 'serviceId',
+      targetKey: 'serviceId'
+    });
+  }
+}
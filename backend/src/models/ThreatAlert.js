@@ -0,0 +1,58 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Alert raised for a threat, mirroring ThreatIntelligenceAgent.generateAlert.
+ */
+export class ThreatAlert extends Model {
+  static initModel(sequelize) {
+    return ThreatAlert.init({
+      id: {
+        type: DataTypes.STRING(200),
+        primaryKey: true
+      },
+      threatId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      severity: {
+        type: DataTypes.ENUM('critical', 'high', 'medium', 'low'),
+        allowNull: false
+      },
+      title: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT
+      },
+      source: {
+        type: DataTypes.STRING(100)
+      },
+      affectedServices: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        defaultValue: []
+      },
+      recommendedActions: {
+        type: DataTypes.JSONB,
+        defaultValue: []
+      },
+      status: {
+        type: DataTypes.ENUM('new', 'acknowledged', 'resolved'),
+        defaultValue: 'new'
+      }
+    }, {
+      sequelize,
+      modelName: 'ThreatAlert',
+      tableName: 'threat_alerts',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    ThreatAlert.belongsTo(models.Vulnerability, {
+      as: 'threat',
+      foreignKey: 'threatId',
+      constraints: false
+    });
+  }
+}
@@ -0,0 +1,52 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * External threat intelligence source scanned by the ThreatIntelligenceAgent.
+ * `type` selects the scanner (nist-nvd, mitre-attack, cisa-alerts,
+ * cloud-security-alliance).
+ */
+export class ThreatFeed extends Model {
+  static initModel(sequelize) {
+    return ThreatFeed.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      type: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      url: {
+        type: DataTypes.STRING(500)
+      },
+      apiKey: {
+        type: DataTypes.STRING
+      },
+      enabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+      },
+      lastScan: {
+        type: DataTypes.DATE
+      }
+    }, {
+      sequelize,
+      modelName: 'ThreatFeed',
+      tableName: 'threat_feeds',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    ThreatFeed.hasMany(models.Vulnerability, {
+      as: 'vulnerabilities',
+      foreignKey: 'feedId'
+    });
+  }
+}
@@ -0,0 +1,65 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Threat or vulnerability record collected from a feed. The primary key is
+ * the upstream identifier (CVE id, ATT&CK technique id, ...).
+ */
+export class Vulnerability extends Model {
+  static initModel(sequelize) {
+    return Vulnerability.init({
+      id: {
+        type: DataTypes.STRING(100),
+        primaryKey: true
+      },
+      feedId: {
+        type: DataTypes.UUID
+      },
+      title: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.TEXT
+      },
+      severity: {
+        type: DataTypes.ENUM('critical', 'high', 'medium', 'low'),
+        allowNull: false,
+        defaultValue: 'medium'
+      },
+      cvss: {
+        type: DataTypes.DECIMAL(3, 1)
+      },
+      source: {
+        type: DataTypes.STRING(100)
+      },
+      publishedDate: {
+        type: DataTypes.DATE
+      },
+      affectedServices: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        defaultValue: []
+      },
+      exploited: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+      }
+    }, {
+      sequelize,
+      modelName: 'Vulnerability',
+      tableName: 'vulnerabilities',
+      underscored: true
+    });
+  }
+
+  static associate(models) {
+    Vulnerability.belongsTo(models.ThreatFeed, {
+      as: 'feed',
+      foreignKey: 'feedId'
+    });
+    Vulnerability.hasMany(models.ThreatAlert, {
+      as: 'alerts',
+      foreignKey: 'threatId',
+      constraints: false
+    });
+  }
+}
@@ -0,0 +1,88 @@
+import { getDatabase } from '../database/connection.js';
+import { AgentState } from './AgentState.js';
+import { CloudService } from './CloudService.js';
+import { ComplianceControl } from './ComplianceControl.js';
+import { ComplianceFramework } from './ComplianceFramework.js';
+import { DriftFinding } from './DriftFinding.js';
+import { GenerationJob } from './GenerationJob.js';
+import { GenerationJobItem } from './GenerationJobItem.js';
+import { PolicyException } from './PolicyException.js';
+import { PolicyTemplate } from './PolicyTemplate.js';
+import { PolicyTemplateVersion } from './PolicyTemplateVersion.js';
+import { PolicySignature } from './PolicySignature.js';
+import { PolicyTransition } from './PolicyTransition.js';
+import { PolicyVersion } from './PolicyVersion.js';
+import { SecurityPolicy } from './SecurityPolicy.js';
+import { SecurityRisk } from './SecurityRisk.js';
+import { ServiceUpdate } from './ServiceUpdate.js';
+import { ThreatAlert } from './ThreatAlert.js';
+import { ThreatFeed } from './ThreatFeed.js';
+import { Vulnerability } from './Vulnerability.js';
+
+export const models = {
+  AgentState,
+  CloudService,
+  ComplianceControl,
+  ComplianceFramework,
+  DriftFinding,
+  GenerationJob,
+  GenerationJobItem,
+  PolicyException,
+  PolicyTemplate,
+  PolicyTemplateVersion,
+  PolicySignature,
+  PolicyTransition,
+  PolicyVersion,
+  SecurityPolicy,
+  SecurityRisk,
+  ServiceUpdate,
+  ThreatAlert,
+  ThreatFeed,
+  Vulnerability
+};
+
+let initialized = false;
+
+/**
+ * Bind every model to the active Sequelize instance and wire associations.
+ * Model classes are imported directly by the agents, so this must run before
+ * any agent is initialized.
+ */
+export const initializeModels = (sequelize = getDatabase()) => {
+  if (initialized) {
+    return models;
+  }
+
+  for (const model of Object.values(models)) {
+    model.initModel(sequelize);
+  }
+
+  for (const model of Object.values(models)) {
+    model.associate(models);
+  }
+
+  initialized = true;
+  return models;
+};
+
+export {
+  AgentState,
+  CloudService,
+  ComplianceControl,
+  ComplianceFramework,
+  DriftFinding,
+  GenerationJob,
+  GenerationJobItem,
+  PolicyException,
+  PolicyTemplate,
+  PolicyTemplateVersion,
+  PolicySignature,
+  PolicyTransition,
+  PolicyVersion,
+  SecurityPolicy,
+  SecurityRisk,
+  ServiceUpdate,
+  ThreatAlert,
+  ThreatFeed,
+  Vulnerability
+};
@@ -0,0 +1,219 @@
+import { Op } from 'sequelize';
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { policyService } from './PolicyService.js';
+import { getPolicySpec } from './policyDocument.js';
+import { SECURITY_POLICY_API_VERSION, SECURITY_POLICY_KIND } from './securityPolicySchema.js';
+import { REQUIREMENT_RULES, compareRequirement } from './requirementRules.js';
+import { setPath, deepClone, toIdentifier } from '../exporters/exportUtils.js';
+
+// Most general first; each layer is merged over the ones before it
+export const POLICY_LAYERS = ['organization', 'business-unit', 'environment'];
+
+// Layers that make up the effective policy unless other statuses are asked for
+const EFFECTIVE_STATUSES = ['active'];
+
+const ROLES_PATH = 'spec.accessControl.authorization.roles';
+const RULES_BY_PATH = new Map(REQUIREMENT_RULES.map(rule => [rule.path, rule]));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// { encryption: { atRest: true } } -> [['spec.encryption.atRest', true]]; arrays are leaves
+const specLeaves = (node, path = 'spec') => Object.entries(node || {}).flatMap(([key, value]) => (
+  isPlainObject(value) ? specLeaves(value, `${path}.${key}`) : [[`${path}.${key}`, value]]
+));
+
+const format = (value) => (Array.isArray(value) ? JSON.stringify(value) : String(value));
+
+// Overlay roles may drop roles or permissions, never add them
+const narrowsRoles = (overlay, base) => overlay.every(role => {
+  const parent = base.find(candidate => candidate.name === role.name);
+  return parent && role.permissions.every(permission => parent.permissions.includes(permission));
+});
+
+/**
+ * Merge one overlay value over the effective value of a spec path.
+ * Returns { value, mode: 'set' | 'add' | 'keep' } or { rejected: message }.
+ */
+const mergeValue = (path, overlay, base) => {
+  if (base === undefined) return { value: overlay, mode: 'set' };
+
+  if (path === ROLES_PATH) {
+    return narrowsRoles(overlay, base)
+      ? { value: overlay, mode: 'set' }
+      : { rejected: 'adds roles or permissions the parent layers do not grant' };
+  }
+
+  const rule = RULES_BY_PATH.get(path);
+  if (!rule) {
+    // Descriptive settings (playbook, compliance, risk assessment) take the most specific value
+    return { value: overlay, mode: 'set' };
+  }
+
+  if (rule.kind === 'require') {
+    const added = overlay.filter(value => !base.includes(value));
+    return added.length === 0 ? { value: base, mode: 'keep' } : { value: [...base, ...added], mode: 'add' };
+  }
+
+  const comparison = compareRequirement(rule, overlay, base);
+  if (comparison.relation === 'equal') return { value: base, mode: 'keep' };
+  if (comparison.relation === 'stricter' && comparison.stricter === 'a') return { value: overlay, mode: 'set' };
+  if (comparison.relation === 'conflict' && comparison.requiring === 'a') return { value: overlay, mode: 'set' };
+  if (rule.kind === 'flag' && comparison.relation === 'independent') return { value: base, mode: 'keep' };
+
+  return { rejected: `would loosen ${format(base)} to ${format(overlay)}` };
+};
+
+const layerRef = (policy) => ({
+  id: policy.id,
+  name: policy.name,
+  layer: policy.layer,
+  businessUnit: policy.layer === 'organization' ? null : policy.businessUnit,
+  environment: policy.layer === 'environment' ? policy.environment : null,
+  status: policy.status,
+  version: policy.version
+});
+
+/**
+ * Merge policy layers, most general first. Every setting records the
+ * layers it came from; overlay settings that would loosen an inherited
+ * value are left out and reported in `rejected`.
+ */
+export const mergeLayers = (layers) => {
+  const values = new Map();
+  const sources = new Map();
+  const rejected = [];
+
+  for (const policy of layers) {
+    const ref = layerRef(policy);
+
+    for (const [path, overlay] of specLeaves(getPolicySpec(policy.document))) {
+      const merged = mergeValue(path, overlay, values.get(path));
+
+      if (merged.rejected) {
+        rejected.push({
+          path,
+          policy: ref,
+          value: overlay,
+          effective: values.get(path),
+          message: `${policy.name} (${policy.layer}) ${merged.rejected}`
+        });
+        continue;
+      }
+
+      values.set(path, merged.value);
+      if (merged.mode === 'set') sources.set(path, [ref]);
+      if (merged.mode === 'add') sources.set(path, [...sources.get(path), ref]);
+    }
+  }
+
+  const spec = {};
+  for (const [path, value] of values) {
+    setPath(spec, path.slice('spec.'.length), deepClone(value));
+  }
+
+  const settings = [...values.keys()].sort().map(path => ({
+    path,
+    value: values.get(path),
+    sources: sources.get(path)
+  }));
+
+  return { spec, settings, rejected };
+};
+
+// Does a layer policy apply to the (service, business unit, environment) scope
+export const appliesTo = (policy, { businessUnit, environment }) => {
+  if (policy.layer === 'organization') return true;
+  if (policy.layer === 'business-unit') return policy.businessUnit === businessUnit;
+  return policy.businessUnit === businessUnit && policy.environment === environment;
+};
+
+// appliesTo as query conditions on the security_policies columns
+export const appliesToWhere = ({ businessUnit, environment }) => ({
+  [Op.or]: [
+    { layer: 'organization' },
+    { layer: 'business-unit', businessUnit },
+    { layer: 'environment', businessUnit, environment },
+    { layer: null, businessUnit, environment }
+  ]
+});
+
+const byLayer = (a, b) => POLICY_LAYERS.indexOf(a.layer) - POLICY_LAYERS.indexOf(b.layer)
+  || new Date(a.createdAt) - new Date(b.createdAt);
+
+/**
+ * Policy inheritance: organization base policies for a service, with
+ * business-unit overlays and business-unit environment overlays that can
+ * tighten but not loosen what they inherit. Policies without a layer are
+ * standalone and take no part.
+ */
+export class PolicyHierarchy {
+  /**
+   * The layers of a scope, most general first
+   */
+  async getLayers({ service, businessUnit, environment, statuses = EFFECTIVE_STATUSES }) {
+    const candidates = await policyService.findPolicies({ service, layer: POLICY_LAYERS, status: statuses });
+    return candidates
+      .filter(policy => appliesTo(policy, { businessUnit, environment }))
+      .sort(byLayer);
+  }
+
+  /**
+   * The effective policy for a (service, business unit, environment)
+   * triple, with the layer behind each setting
+   */
+  async getEffectivePolicy(scope) {
+    const layers = await this.getLayers(scope);
+    const { spec, settings, rejected } = mergeLayers(layers);
+    const name = toIdentifier(`${scope.service}-${scope.businessUnit}-${scope.environment}`).replace(/_/g, '-');
+
+    return {
+      scope: {
+        service: scope.service,
+        businessUnit: scope.businessUnit,
+        environment: scope.environment
+      },
+      layers: layers.map(layerRef),
+      policy: layers.length === 0 ? null : {
+        apiVersion: SECURITY_POLICY_API_VERSION,
+        kind: SECURITY_POLICY_KIND,
+        metadata: { name: `effective-${name}` },
+        spec
+      },
+      settings,
+      rejected
+    };
+  }
+
+  /**
+   * Reject an overlay that loosens the active layers above it
+   */
+  async assertTightens(policy) {
+    if (!policy.layer || policy.layer === 'organization') {
+      return;
+    }
+
+    const parents = (await this.getLayers({
+      service: policy.service,
+      businessUnit: policy.businessUnit,
+      environment: policy.environment
+    })).filter(parent => parent.id !== policy.id
+      && POLICY_LAYERS.indexOf(parent.layer) < POLICY_LAYERS.indexOf(policy.layer));
+
+    const loosened = mergeLayers([...parents, policy]).rejected
+      .filter(entry => entry.policy.id === policy.id);
+
+    if (loosened.length > 0) {
+      logger.warn(`Policy ${policy.id} loosens ${loosened.length} inherited settings`);
+      throw new UnprocessableEntityError(
+        `Policy ${policy.name} loosens settings inherited from its parent layers`,
+        loosened.map(entry => ({ path: entry.path, message: entry.message }))
+      );
+    }
+  }
+}
+
+// Singleton instance
+const policyHierarchy = new PolicyHierarchy();
+
+export { policyHierarchy };
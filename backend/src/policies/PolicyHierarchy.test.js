@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+
+const { policyHierarchy, mergeLayers } = await import('./PolicyHierarchy.js');
+const { policyService } = await import('./PolicyService.js');
+
+const layer = (id, layer, spec, overrides = {}) => ({
+  id,
+  name: `${layer}-policy`,
+  layer,
+  service: 'AWS S3',
+  businessUnit: 'payments',
+  environment: 'production',
+  status: 'active',
+  version: '1.0.0',
+  createdAt: new Date('2025-01-01'),
+  document: { spec },
+  ...overrides
+});
+
+const organization = layer('org', 'organization', {
+  network: { allowedSources: ['10.0.0.0/16'], blockedPorts: [22] },
+  logging: { retentionDays: 90 }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('mergeLayers', () => {
+  it('takes settings that tighten the parent layers', () => {
+    const overlay = layer('bu', 'business-unit', {
+      network: { allowedSources: ['10.0.1.0/24'], blockedPorts: [3389] },
+      logging: { retentionDays: 365 }
+    });
+
+    const { spec, rejected } = mergeLayers([organization, overlay]);
+    expect(rejected).toEqual([]);
+    expect(spec.network).toEqual({ allowedSources: ['10.0.1.0/24'], blockedPorts: [22, 3389] });
+    expect(spec.logging.retentionDays).toBe(365);
+  });
+
+  it('leaves out settings that loosen the parent layers', () => {
+    const overlay = layer('bu', 'business-unit', {
+      network: { allowedSources: ['10.0.0.0/8'] },
+      logging: { retentionDays: 30 }
+    });
+
+    const { spec, rejected } = mergeLayers([organization, overlay]);
+    expect(spec.network.allowedSources).toEqual(['10.0.0.0/16']);
+    expect(spec.logging.retentionDays).toBe(90);
+    expect(rejected.map(entry => entry.path)).toEqual(['spec.network.allowedSources', 'spec.logging.retentionDays']);
+  });
+});
+
+describe('PolicyHierarchy.assertTightens', () => {
+  it('rejects an overlay that widens allowed sources from /16 to /8', async () => {
+    jest.spyOn(policyService, 'findPolicies').mockResolvedValue([organization]);
+    const overlay = layer('env', 'environment', { network: { allowedSources: ['10.0.0.0/8'] } }, { status: 'draft' });
+
+    await expect(policyHierarchy.assertTightens(overlay)).rejects.toMatchObject({
+      name: 'UnprocessableEntityError',
+      details: [expect.objectContaining({ path: 'spec.network.allowedSources' })]
+    });
+  });
+
+  it('accepts an overlay that narrows allowed sources', async () => {
+    jest.spyOn(policyService, 'findPolicies').mockResolvedValue([organization]);
+    const overlay = layer('env', 'environment', { network: { allowedSources: ['10.0.4.0/22'] } }, { status: 'draft' });
+
+    await expect(policyHierarchy.assertTightens(overlay)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,335 @@
+import { Op } from 'sequelize';
+import { getDatabase } from '../database/connection.js';
+import { PolicyTransition } from '../models/PolicyTransition.js';
+import { ConflictError, ForbiddenError, UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { policyService } from './PolicyService.js';
+import { policyHierarchy } from './PolicyHierarchy.js';
+import { runPolicyTests } from './policyTests.js';
+import { policySigner } from '../signing/PolicySigner.js';
+import { bundleService } from '../bundles/BundleService.js';
+import { gitOpsService } from '../gitops/GitOpsService.js';
+import { driftService } from '../drift/DriftService.js';
+import { agentManager } from '../agents/agentManager.js';
+import { logger } from '../utils/logger.js';
+
+export const POLICY_STATUSES = ['draft', 'in-review', 'approved', 'active', 'deprecated', 'retired'];
+
+// Roles allowed to sign off or operate policies; route guards use the same lists
+export const APPROVER_ROLES = ['admin', 'security-admin', 'policy-approver'];
+export const OPERATOR_ROLES = ['admin', 'security-admin'];
+
+export const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'in-review' },
+  reject: { from: ['in-review'], to: 'draft' },
+  approve: { from: ['in-review'], to: 'approved' },
+  activate: { from: ['approved'], to: 'active' },
+  deprecate: { from: ['active'], to: 'deprecated' },
+  retire: { from: ['deprecated'], to: 'retired' },
+  // Reopen a reviewed policy for changes; it goes through review again
+  revise: { from: ['approved', 'active', 'deprecated'], to: 'draft' }
+};
+
+// Statuses of policies that may end up enforced alongside one under review
+export const CONFLICT_SCOPE_STATUSES = ['in-review', 'approved', 'active'];
+
+// Transitions toward approval report conflicts with the other policies
+const CONFLICT_CHECKED_ACTIONS = ['submit', 'approve'];
+
+// Transitions that change the active policy set served as OPA bundles
+const BUNDLE_ACTIONS = ['activate', 'deprecate', 'revise'];
+
+// Distinct human approvals needed before a policy leaves review
+export const REQUIRED_APPROVALS = {
+  minimal: 1,
+  low: 1,
+  medium: 1,
+  high: 2,
+  critical: 3
+};
+
+/**
+ * Policy lifecycle state machine:
+ * draft -> in-review -> approved -> active -> deprecated -> retired,
+ * with in-review -> draft on rejection and approved, active or deprecated
+ * -> draft on revision. Every transition is recorded in
+ * policy_transitions, and the version is signed when it is approved.
+ */
+export class PolicyLifecycle {
+  async transition(id, action, user, comment) {
+    const definition = TRANSITIONS[action];
+    if (!definition) {
+      throw new ConflictError(`Unknown lifecycle action: ${action}`);
+    }
+
+    const actor = user?.email || user?.id;
+
+    const result = await getDatabase().transaction(async (transaction) => {
+      const policy = await policyService.getPolicy(id, { transaction, lock: transaction.LOCK.UPDATE });
+      return this.applyTransition(policy, action, user, comment, transaction);
+    });
+
+    logger.info(`Policy ${id}: ${action} by ${actor} -> ${result.policy.status}`);
+    this.rebuildBundles(result.policy, action);
+
+    if (action === 'activate' && gitOpsService.isEnabled()) {
+      gitOpsService.publishPolicy(result.policy, user)
+        .catch(error => logger.error(`GitOps commit of policy ${id} ${result.policy.version} failed:`, error));
+    }
+
+    if (CONFLICT_CHECKED_ACTIONS.includes(action)) {
+      // Reported to reviewers, not enforced; a failed analysis must not undo the transition
+      try {
+        result.conflicts = await this.analyzeConflicts(result.policy);
+        if (result.conflicts.summary.conflicts > 0) {
+          logger.warn(`Policy ${id} conflicts with ${result.conflicts.summary.conflicts} requirements of other policies`);
+        }
+      } catch (error) {
+        logger.error(`Conflict analysis for policy ${id} failed:`, error);
+        result.conflicts = null;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Move a policy locked in `transaction` through `action` and record the
+   * transition
+   */
+  async applyTransition(policy, action, user, comment, transaction) {
+    const definition = TRANSITIONS[action];
+    const actor = user?.email || user?.id;
+
+    if (!definition.from.includes(policy.status)) {
+      throw new ConflictError(`Cannot ${action} a policy in status '${policy.status}'`);
+    }
+
+    if (action === 'submit') {
+      // Overlays may only tighten what their parent layers require
+      await policyHierarchy.assertTightens(policy);
+    }
+
+    let toStatus = definition.to;
+    let approvals = null;
+
+    if (action === 'approve') {
+      this.assertTestsPass(policy);
+      approvals = await this.recordApproval(policy, actor, transaction);
+      if (approvals.received < approvals.required) {
+        // Stay in review until enough distinct approvers have signed off
+        toStatus = policy.status;
+      }
+    }
+
+    if (action === 'activate') {
+      approvals = await this.getApprovalStatus(policy, transaction);
+      if (approvals.received < approvals.required) {
+        throw new ConflictError(`Policy needs ${approvals.required} human approvals, has ${approvals.received}`);
+      }
+    }
+
+    const record = await PolicyTransition.create({
+      policyId: policy.id,
+      action,
+      fromStatus: policy.status,
+      toStatus,
+      policyVersion: policy.version,
+      actor,
+      actorRole: user?.role,
+      comment
+    }, { transaction });
+
+    if (toStatus !== policy.status) {
+      await policy.update({ status: toStatus, updatedBy: actor }, { transaction });
+    }
+
+    if (record.fromStatus === 'active' && toStatus !== 'active') {
+      await driftService.closeFindings(policy.id, transaction);
+    }
+
+    // Enforcement points check exported policies against this signature
+    const signature = toStatus === 'approved'
+      ? await policySigner.signPolicyVersion(policy, actor, transaction)
+      : null;
+
+    return { policy, transition: record, approvals, signature };
+  }
+
+  /**
+   * Rebuild OPA bundles once a transition that changes the active policy
+   * set has committed
+   */
+  rebuildBundles(policy, action) {
+    if (BUNDLE_ACTIONS.includes(action)) {
+      // Built in the background; polling OPA agents pick up the new revision
+      bundleService.rebuildForPolicy(policy)
+        .catch(error => logger.error(`OPA bundle rebuild after ${action} of policy ${policy.id} failed:`, error));
+    }
+  }
+
+  /**
+   * Apply changes to a policy as its next version, revising it back to
+   * draft first when it is past review. Both happen in one transaction, so
+   * a rejected change leaves the policy where it was. Policy ids stay
+   * stable across revisions, so versions, signatures and transitions stay
+   * with the policy.
+   */
+  async revise(id, updates, user) {
+    if (updates.document) {
+      policyService.assertValidDocument(updates.document);
+    }
+
+    let revised = false;
+    const policy = await getDatabase().transaction(async (transaction) => {
+      const current = await policyService.getPolicy(id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (TRANSITIONS.revise.from.includes(current.status)) {
+        await this.applyTransition(current, 'revise', user, updates.reason, transaction);
+        revised = true;
+      }
+      policyService.assertEditable(current);
+      return policyService.applyUpdate(current, updates, user, transaction);
+    });
+
+    logger.info(`Policy updated: ${policy.id} -> ${policy.version}${revised ? ', revised back to draft' : ''}`);
+    if (revised) {
+      this.rebuildBundles(policy, 'revise');
+    }
+    return policy;
+  }
+
+  /**
+   * Block approval while any of the policy's tests fail
+   */
+  assertTestsPass(policy) {
+    const report = runPolicyTests(policy);
+    if (report.failed > 0) {
+      logger.warn(`Policy ${policy.id} fails ${report.failed} of ${report.total} tests`);
+      throw new UnprocessableEntityError(
+        `Policy ${policy.name} fails ${report.failed} of its ${report.total} tests`,
+        report.results
+          .filter(result => !result.passed)
+          .map(result => ({ test: result.name, message: result.failure }))
+      );
+    }
+  }
+
+  /**
+   * Conflicts between a policy and the in-review, approved and active
+   * policies for its service, environment and business unit
+   */
+  async analyzeConflicts(policy) {
+    const policies = await policyService.findPolicies({
+      service: policy.service,
+      environment: policy.environment,
+      businessUnit: policy.businessUnit,
+      status: CONFLICT_SCOPE_STATUSES
+    });
+
+    if (!policies.some(candidate => candidate.id === policy.id)) {
+      policies.push(policy);
+    }
+
+    return agentManager.executeTask('security-analysis', 'conflict-analysis', {
+      policies,
+      focusId: policy.id
+    });
+  }
+
+  /**
+   * Validate an approval against the current review round and return the
+   * approval count including it.
+   */
+  async recordApproval(policy, actor, transaction) {
+    if (!actor) {
+      throw new ForbiddenError('Approvals require an authenticated user');
+    }
+
+    const round = await this.getReviewRound(policy, transaction);
+
+    if (round.submittedBy === actor) {
+      throw new ForbiddenError('The submitter of a policy cannot approve it');
+    }
+
+    if (round.approvers.includes(actor)) {
+      throw new ConflictError(`${actor} has already approved this policy`);
+    }
+
+    return {
+      required: this.getRequiredApprovals(policy),
+      received: round.approvers.length + 1,
+      approvers: [...round.approvers, actor]
+    };
+  }
+
+  async getApprovalStatus(policy, transaction) {
+    const round = await this.getReviewRound(policy, transaction);
+    return {
+      required: this.getRequiredApprovals(policy),
+      received: round.approvers.length,
+      approvers: round.approvers
+    };
+  }
+
+  /**
+   * Approvals only count since the most recent submit, so a rejected and
+   * resubmitted policy needs a fresh sign-off.
+   */
+  async getReviewRound(policy, transaction) {
+    const submission = await PolicyTransition.findOne({
+      where: { policyId: policy.id, action: 'submit' },
+      order: [['createdAt', 'DESC']],
+      transaction
+    });
+
+    if (!submission) {
+      return { submittedBy: null, approvers: [] };
+    }
+
+    const approvals = await PolicyTransition.findAll({
+      where: {
+        policyId: policy.id,
+        action: 'approve',
+        createdAt: { [Op.gte]: submission.createdAt }
+      },
+      transaction
+    });
+
+    return {
+      submittedBy: submission.actor,
+      approvers: [...new Set(approvals.map(approval => approval.actor))]
+    };
+  }
+
+  getRequiredApprovals(policy) {
+    return REQUIRED_APPROVALS[policy.riskLevel] || REQUIRED_APPROVALS.high;
+  }
+
+  async getHistory(id) {
+    const policy = await policyService.getPolicy(id);
+
+    const transitions = await PolicyTransition.findAll({
+      where: { policyId: id },
+      order: [['createdAt', 'ASC']]
+    });
+
+    return {
+      status: policy.status,
+      approvals: policy.status === 'in-review' ? await this.getApprovalStatus(policy) : null,
+      transitions: transitions.map(transition => ({
+        action: transition.action,
+        fromStatus: transition.fromStatus,
+        toStatus: transition.toStatus,
+        policyVersion: transition.policyVersion,
+        actor: transition.actor,
+        actorRole: transition.actorRole,
+        comment: transition.comment,
+        createdAt: transition.createdAt
+      }))
+    };
+  }
+}
+
+// Singleton instance
+const policyLifecycle = new PolicyLifecycle();
+
+export { policyLifecycle };
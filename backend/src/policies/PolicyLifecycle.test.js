@@ -0,0 +1,199 @@
+import { jest } from '@jest/globals';
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+jest.unstable_mockModule('../database/connection.js', () => ({
+  getDatabase: () => ({ transaction: async (work) => work(transaction) })
+}));
+
+const { policyLifecycle, REQUIRED_APPROVALS } = await import('./PolicyLifecycle.js');
+const { policyService } = await import('./PolicyService.js');
+const { policyHierarchy } = await import('./PolicyHierarchy.js');
+const { policySigner } = await import('../signing/PolicySigner.js');
+const { bundleService } = await import('../bundles/BundleService.js');
+const { gitOpsService } = await import('../gitops/GitOpsService.js');
+const { driftService } = await import('../drift/DriftService.js');
+const { PolicyTransition } = await import('../models/PolicyTransition.js');
+
+const makePolicy = (overrides = {}) => ({
+  id: '7f1c2a4e-1111-4c8b-9d1e-000000000001',
+  name: 'storage-policy',
+  version: '1.0.0',
+  status: 'draft',
+  riskLevel: 'medium',
+  document: {},
+  async update(values) {
+    Object.assign(this, values);
+    return this;
+  },
+  ...overrides
+});
+
+// Transitions recorded so far, newest last
+let transitions;
+let policy;
+
+beforeEach(() => {
+  transitions = [];
+  policy = makePolicy();
+
+  jest.spyOn(policyService, 'getPolicy').mockImplementation(async () => policy);
+  jest.spyOn(policyHierarchy, 'assertTightens').mockResolvedValue();
+  jest.spyOn(policySigner, 'signPolicyVersion').mockResolvedValue(null);
+  jest.spyOn(bundleService, 'rebuildForPolicy').mockResolvedValue([]);
+  jest.spyOn(gitOpsService, 'isEnabled').mockReturnValue(false);
+  jest.spyOn(driftService, 'closeFindings').mockResolvedValue(0);
+  jest.spyOn(policyLifecycle, 'analyzeConflicts').mockResolvedValue({ summary: { conflicts: 0 } });
+
+  jest.spyOn(PolicyTransition, 'create').mockImplementation(async (values) => {
+    const record = { ...values, createdAt: new Date(Date.now() + transitions.length) };
+    transitions.push(record);
+    return record;
+  });
+  jest.spyOn(PolicyTransition, 'findOne').mockImplementation(async ({ where }) => (
+    transitions.filter(record => record.action === where.action).at(-1) || null
+  ));
+  jest.spyOn(PolicyTransition, 'findAll').mockImplementation(async ({ where }) => {
+    const since = transitions.filter(record => record.action === 'submit').at(-1);
+    return transitions.filter(record => record.action === where.action && record.createdAt >= since.createdAt);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const author = { email: 'author@example.com', role: 'policy-author' };
+const approver = (n) => ({ email: `approver${n}@example.com`, role: 'policy-approver' });
+
+describe('PolicyLifecycle', () => {
+  it('moves a policy from draft to active', async () => {
+    await policyLifecycle.transition(policy.id, 'submit', author);
+    expect(policy.status).toBe('in-review');
+
+    const approval = await policyLifecycle.transition(policy.id, 'approve', approver(1));
+    expect(policy.status).toBe('approved');
+    expect(approval.approvals).toMatchObject({ required: 1, received: 1 });
+    expect(policySigner.signPolicyVersion).toHaveBeenCalledTimes(1);
+
+    await policyLifecycle.transition(policy.id, 'activate', approver(1));
+    expect(policy.status).toBe('active');
+    expect(transitions.map(record => record.action)).toEqual(['submit', 'approve', 'activate']);
+  });
+
+  it('rejects transitions from the wrong status', async () => {
+    await expect(policyLifecycle.transition(policy.id, 'activate', approver(1)))
+      .rejects.toMatchObject({ name: 'ConflictError' });
+    await expect(policyLifecycle.transition(policy.id, 'publish', approver(1)))
+      .rejects.toMatchObject({ name: 'ConflictError' });
+    expect(transitions).toHaveLength(0);
+  });
+
+  it('does not let the submitter approve', async () => {
+    await policyLifecycle.transition(policy.id, 'submit', author);
+
+    await expect(policyLifecycle.transition(policy.id, 'approve', author))
+      .rejects.toMatchObject({ name: 'ForbiddenError' });
+    expect(policy.status).toBe('in-review');
+  });
+
+  it('requires distinct approvers by risk level', async () => {
+    policy = makePolicy({ riskLevel: 'critical' });
+    await policyLifecycle.transition(policy.id, 'submit', author);
+
+    await policyLifecycle.transition(policy.id, 'approve', approver(1));
+    await policyLifecycle.transition(policy.id, 'approve', approver(2));
+    expect(policy.status).toBe('in-review');
+
+    await expect(policyLifecycle.transition(policy.id, 'approve', approver(2)))
+      .rejects.toMatchObject({ name: 'ConflictError' });
+
+    await policyLifecycle.transition(policy.id, 'approve', approver(3));
+    expect(policy.status).toBe('approved');
+    expect(REQUIRED_APPROVALS.critical).toBe(3);
+  });
+
+  it('counts approvals only since the latest submit', async () => {
+    policy = makePolicy({ riskLevel: 'high' });
+    await policyLifecycle.transition(policy.id, 'submit', author);
+    await policyLifecycle.transition(policy.id, 'approve', approver(1));
+    await policyLifecycle.transition(policy.id, 'reject', approver(2));
+    expect(policy.status).toBe('draft');
+
+    await policyLifecycle.transition(policy.id, 'submit', author);
+    await policyLifecycle.transition(policy.id, 'approve', approver(2));
+    expect(policy.status).toBe('in-review');
+  });
+
+  it('rebuilds bundles when the active policy set changes', async () => {
+    policy = makePolicy({ status: 'active' });
+
+    await policyLifecycle.transition(policy.id, 'deprecate', approver(1));
+    expect(policy.status).toBe('deprecated');
+    expect(bundleService.rebuildForPolicy).toHaveBeenCalledWith(policy);
+  });
+
+  it('closes drift findings when a policy stops being enforced', async () => {
+    await policyLifecycle.transition(policy.id, 'submit', author);
+    await policyLifecycle.transition(policy.id, 'approve', approver(1));
+    await policyLifecycle.transition(policy.id, 'activate', approver(1));
+    expect(driftService.closeFindings).not.toHaveBeenCalled();
+
+    await policyLifecycle.transition(policy.id, 'deprecate', approver(1));
+    expect(driftService.closeFindings).toHaveBeenCalledWith(policy.id, transaction);
+
+    await policyLifecycle.transition(policy.id, 'retire', approver(1));
+    expect(driftService.closeFindings).toHaveBeenCalledTimes(1);
+  });
+
+  it('revises a policy past review as a draft version of the same policy in one transaction', async () => {
+    policy = makePolicy({ status: 'active' });
+    const applyUpdate = jest.spyOn(policyService, 'applyUpdate').mockImplementation(async (current) => current);
+    const updates = { document: { policy: {} }, reason: 'Tighten TLS' };
+    jest.spyOn(policyService, 'assertValidDocument').mockReturnValue();
+
+    const revised = await policyLifecycle.revise(policy.id, updates, author);
+
+    expect(revised).toBe(policy);
+    expect(policy.status).toBe('draft');
+    expect(transitions).toEqual([expect.objectContaining({ action: 'revise', fromStatus: 'active', toStatus: 'draft', comment: 'Tighten TLS' })]);
+    expect(policyService.getPolicy).toHaveBeenCalledTimes(1);
+    expect(applyUpdate).toHaveBeenCalledWith(policy, updates, author, transaction);
+    expect(bundleService.rebuildForPolicy).toHaveBeenCalledWith(policy);
+  });
+
+  it('rebuilds no bundles when the revised version is rejected', async () => {
+    policy = makePolicy({ status: 'active' });
+    jest.spyOn(policyService, 'applyUpdate').mockRejectedValue(new Error('unique violation'));
+
+    await expect(policyLifecycle.revise(policy.id, { reason: 'Rename' }, author)).rejects.toThrow('unique violation');
+    expect(bundleService.rebuildForPolicy).not.toHaveBeenCalled();
+  });
+
+  it('updates drafts without a transition', async () => {
+    const applyUpdate = jest.spyOn(policyService, 'applyUpdate').mockImplementation(async (current) => current);
+
+    await policyLifecycle.revise(policy.id, { reason: 'Rename' }, author);
+
+    expect(transitions).toHaveLength(0);
+    expect(applyUpdate).toHaveBeenCalledTimes(1);
+    expect(bundleService.rebuildForPolicy).not.toHaveBeenCalled();
+  });
+
+  it('does not update policies in review or retired', async () => {
+    const applyUpdate = jest.spyOn(policyService, 'applyUpdate');
+    for (const status of ['in-review', 'retired']) {
+      policy = makePolicy({ status });
+      await expect(policyLifecycle.revise(policy.id, { reason: 'Rename' }, author))
+        .rejects.toMatchObject({ name: 'ConflictError' });
+    }
+    expect(applyUpdate).not.toHaveBeenCalled();
+  });
+
+  it('does not revise policies under review or retired', async () => {
+    for (const status of ['in-review', 'retired']) {
+      policy = makePolicy({ status });
+      await expect(policyLifecycle.transition(policy.id, 'revise', approver(1)))
+        .rejects.toMatchObject({ name: 'ConflictError' });
+    }
+  });
+});
@@ -0,0 +1,182 @@
+import { Op } from 'sequelize';
+import { getDatabase } from '../database/connection.js';
+import { SecurityPolicy } from '../models/SecurityPolicy.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { policyService } from './PolicyService.js';
+
+export const SEARCH_OPERATORS = ['contains', 'not contains', 'exists', 'not exists', '=', '!=', '>', '>=', '<', '<='];
+
+// <path> <operator> <value>; word operators need spaces around them
+const CONDITION = /^([A-Za-z_][\w.]*)(?:\s+(not\s+contains|contains|not\s+exists|exists)(?=\s|$)|\s*(!=|>=|<=|=|>|<))\s*(.*)$/;
+
+export const SEARCH_FACETS = {
+  service: 'service',
+  compliance: 'complianceFramework',
+  risk: 'riskLevel'
+};
+
+const VALUELESS_OPERATORS = ['exists', 'not exists'];
+const NUMERIC_OPERATORS = ['>', '>=', '<', '<='];
+
+// Spec and SecurityPolicy metadata paths, e.g. spec.network.blockedPorts
+const CONDITION_PATH = /^(spec|metadata)(\.[A-Za-z_][A-Za-z0-9_]*)+$/;
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "';
+
+// Every string in the document, as the text snippets are cut from
+const DOCUMENT_TEXT = `(SELECT string_agg(value #>> '{}', ' … ') FROM jsonb_path_query(document, 'strict $.**') AS value WHERE jsonb_typeof(value) = 'string')`;
+
+const parseValue = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Bare words are strings: spec.encryption.algorithm = AES-256
+    return text.replace(/^'(.*)'$/, '$1');
+  }
+};
+
+/**
+ * Parse a structured condition such as `spec.network.blockedPorts contains 22`
+ * into { path, operator, value }. Values are JSON where they parse as JSON
+ * and strings otherwise.
+ */
+export const parseCondition = (expression) => {
+  const text = String(expression).trim();
+  const match = text.match(CONDITION);
+  if (!match) {
+    throw new ValidationError(`Invalid condition '${text}': expected <path> <operator> <value> with one of: ${SEARCH_OPERATORS.join(', ')}`);
+  }
+
+  const [, path, word, symbol, rest] = match;
+  const operator = (word || symbol).replace(/\s+/g, ' ');
+  if (!CONDITION_PATH.test(path)) {
+    throw new ValidationError(`Invalid condition '${text}': path must start with spec. or metadata., e.g. spec.network.blockedPorts`);
+  }
+
+  if (VALUELESS_OPERATORS.includes(operator)) {
+    return { path, operator, value: null };
+  }
+  if (rest === '') {
+    throw new ValidationError(`Invalid condition '${text}': ${operator} needs a value`);
+  }
+
+  const value = parseValue(rest);
+  if (NUMERIC_OPERATORS.includes(operator) && typeof value !== 'number') {
+    throw new ValidationError(`Invalid condition '${text}': ${operator} compares numbers`);
+  }
+  return { path, operator, value };
+};
+
+/**
+ * Full-text and structured search over stored policies. Text queries use
+ * the weighted `search_vector` column (name, then service and scope, then
+ * every string in the document) with web search syntax: quoted phrases,
+ * `or` and `-excluded` words.
+ */
+export class PolicySearch {
+  async search({ q, where: expressions = [], page = 1, limit = 20, ...filters } = {}) {
+    const sequelize = getDatabase();
+    const conditions = [].concat(expressions).map(parseCondition);
+    const query = q ? `websearch_to_tsquery('english', ${sequelize.escape(q)})` : null;
+
+    const literals = conditions.map(condition => sequelize.literal(this.toSql(condition)));
+    if (query) {
+      literals.push(sequelize.literal(`search_vector @@ ${query}`));
+    }
+
+    const where = { ...policyService.buildFilters(filters), [Op.and]: literals };
+
+    const [total, rows, ...facets] = await Promise.all([
+      SecurityPolicy.count({ where }),
+      SecurityPolicy.findAll({
+        where,
+        attributes: {
+          exclude: ['document'],
+          ...(query && { include: [[sequelize.literal(`ts_rank_cd(search_vector, ${query})`), 'rank']] })
+        },
+        order: query
+          ? [[sequelize.literal('rank'), 'DESC'], ['name', 'ASC']]
+          : [['updatedAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      }),
+      ...Object.values(SEARCH_FACETS).map(field => policyService.countBy(field, where))
+    ]);
+
+    const highlights = query ? await this.getHighlights(rows.map(row => row.id), query) : new Map();
+
+    return {
+      results: rows.map(row => ({
+        ...policyService.toSummary(row),
+        ...(query && {
+          rank: Number(row.get('rank')),
+          highlights: highlights.get(row.id) || null
+        })
+      })),
+      facets: Object.fromEntries(Object.keys(SEARCH_FACETS).map((facet, index) => [facet, facets[index]])),
+      conditions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Highlighted name and document snippets, only for the page of results
+   * since ts_headline is expensive
+   */
+  async getHighlights(ids, query) {
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const sequelize = getDatabase();
+    const rows = await SecurityPolicy.findAll({
+      where: { id: ids },
+      attributes: [
+        'id',
+        [sequelize.literal(`ts_headline('english', name, ${query}, '${HEADLINE_OPTIONS}')`), 'name'],
+        [sequelize.literal(`ts_headline('english', coalesce(${DOCUMENT_TEXT}, ''), ${query}, '${HEADLINE_OPTIONS}')`), 'content']
+      ],
+      raw: true
+    });
+
+    return new Map(rows.map(row => [row.id, { name: row.name, content: row.content }]));
+  }
+
+  /**
+   * SQL for a condition on the policy document. Missing paths never match,
+   * except for `not contains` and `not exists`.
+   */
+  toSql({ path, operator, value }) {
+    const sequelize = getDatabase();
+    const [root, ...segments] = path.split('.');
+    // Documents keep the SecurityPolicy under `policy`; older ones at the top level
+    const target = `coalesce(document #> '{policy,${root},${segments.join(',')}}', document #> '{${root},${segments.join(',')}}')`;
+    const json = `${sequelize.escape(JSON.stringify(value))}::jsonb`;
+
+    const contains = `(CASE jsonb_typeof(${target})
+      WHEN 'array' THEN ${target} @> jsonb_build_array(${json})
+      WHEN 'string' THEN strpos(lower(${target} #>> '{}'), lower(${sequelize.escape(String(value))})) > 0
+      ELSE false END)`;
+    const number = `(CASE WHEN jsonb_typeof(${target}) = 'number' THEN (${target} #>> '{}')::numeric END)`;
+
+    switch (operator) {
+      case 'exists': return `${target} IS NOT NULL`;
+      case 'not exists': return `${target} IS NULL`;
+      case '=': return `${target} = ${json}`;
+      case '!=': return `${target} <> ${json}`;
+      case 'contains': return contains;
+      case 'not contains': return `NOT ${contains}`;
+      default: return `${number} ${operator} ${Number(value)}`;
+    }
+  }
+}
+
+// Singleton instance
+const policySearch = new PolicySearch();
+
+export { policySearch };
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { Sequelize } from 'sequelize';
+
+// Building the instance does not connect; toSql only needs its escaping
+const sequelize = new Sequelize('postgres://localhost/unused', { logging: false });
+jest.unstable_mockModule('../database/connection.js', () => ({
+  getDatabase: () => sequelize
+}));
+
+const { parseCondition, policySearch, SEARCH_OPERATORS } = await import('./PolicySearch.js');
+
+const TARGET = "coalesce(document #> '{policy,spec,network,blockedPorts}', document #> '{spec,network,blockedPorts}')";
+
+// Collapse the whitespace of multi-line SQL
+const sql = (condition) => policySearch.toSql(condition).replace(/\s+/g, ' ');
+
+describe('parseCondition', () => {
+  it.each([
+    ['spec.network.blockedPorts contains 22', 'contains', 22],
+    ['spec.network.blockedPorts not  contains 22', 'not contains', 22],
+    ['spec.encryption.keyRotationDays<=90', '<=', 90],
+    ['spec.encryption.keyRotationDays >= 30', '>=', 30],
+    ['spec.encryption.keyRotationDays > 30', '>', 30],
+    ['spec.encryption.keyRotationDays < 30', '<', 30],
+    ['spec.encryption.tlsMinVersion = "1.2"', '=', '1.2'],
+    ['spec.encryption.tlsMinVersion != 1.2', '!=', 1.2],
+    ['spec.backup exists', 'exists', null],
+    ['spec.backup not exists', 'not exists', null]
+  ])('reads %s', (expression, operator, value) => {
+    const { operator: parsed, value: parsedValue } = parseCondition(expression);
+    expect(SEARCH_OPERATORS).toContain(parsed);
+    expect([parsed, parsedValue]).toEqual([operator, value]);
+  });
+
+  it('reads JSON values as JSON and anything else as a string', () => {
+    expect(parseCondition('spec.accessControl.publicAccess = false').value).toBe(false);
+    expect(parseCondition('spec.network.allowedSources contains "10.0.0.0/8"').value).toBe('10.0.0.0/8');
+    expect(parseCondition('spec.encryption.algorithm = AES-256').value).toBe('AES-256');
+    expect(parseCondition("spec.encryption.algorithm = 'AES 256'").value).toBe('AES 256');
+    expect(parseCondition('metadata.labels.team = {"name": "storage"}').value).toEqual({ name: 'storage' });
+    expect(parseCondition('  metadata.name contains storage  ')).toEqual({ path: 'metadata.name', operator: 'contains', value: 'storage' });
+  });
+
+  it('needs spaces around word operators', () => {
+    expect(() => parseCondition('spec.network.blockedPortscontains 22')).toThrow(/^Invalid condition/);
+    expect(parseCondition('spec.containsData = true')).toEqual({ path: 'spec.containsData', operator: '=', value: true });
+  });
+
+  it.each([
+    'spec.network."blockedPorts" contains 22',
+    "spec.network.blocked'Ports contains 22",
+    'spec.network.{blockedPorts} contains 22',
+    'spec.network,blockedPorts contains 22',
+    'spec.network}.blockedPorts contains 22',
+    'spec..network contains 22',
+    'spec. contains 22'
+  ])('rejects the path of %s', (expression) => {
+    expect(() => parseCondition(expression)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+
+  it('rejects paths outside the spec and metadata', () => {
+    expect(() => parseCondition('document.policy.spec exists'))
+      .toThrow("Invalid condition 'document.policy.spec exists': path must start with spec. or metadata., e.g. spec.network.blockedPorts");
+    expect(() => parseCondition('spec exists')).toThrow(/path must start with spec\. or metadata\./);
+  });
+
+  it('rejects missing values, unknown operators and non-numeric comparisons', () => {
+    expect(() => parseCondition('spec.network.blockedPorts contains')).toThrow("Invalid condition 'spec.network.blockedPorts contains': contains needs a value");
+    expect(() => parseCondition('spec.network.blockedPorts ~ 22')).toThrow(/^Invalid condition 'spec\.network\.blockedPorts ~ 22': expected <path> <operator> <value>/);
+    expect(() => parseCondition('spec.encryption.keyRotationDays > ninety')).toThrow("Invalid condition 'spec.encryption.keyRotationDays > ninety': > compares numbers");
+    expect(() => parseCondition('spec.encryption.keyRotationDays <= "90"')).toThrow(/<= compares numbers$/);
+  });
+});
+
+describe('PolicySearch.toSql', () => {
+  const path = 'spec.network.blockedPorts';
+
+  it('reads the path under policy and, for older documents, the top level', () => {
+    expect(sql({ path, operator: 'exists', value: null })).toBe(`${TARGET} IS NOT NULL`);
+    expect(sql({ path, operator: 'not exists', value: null })).toBe(`${TARGET} IS NULL`);
+  });
+
+  it('compares equality as JSON so missing paths never match', () => {
+    expect(sql({ path, operator: '=', value: 22 })).toBe(`${TARGET} = '22'::jsonb`);
+    expect(sql({ path, operator: '!=', value: '1.2' })).toBe(`${TARGET} <> '"1.2"'::jsonb`);
+  });
+
+  it('tests array membership or a case-insensitive substring for contains', () => {
+    const contains = `(CASE jsonb_typeof(${TARGET}) WHEN 'array' THEN ${TARGET} @> jsonb_build_array('22'::jsonb) `
+      + `WHEN 'string' THEN strpos(lower(${TARGET} #>> '{}'), lower('22')) > 0 ELSE false END)`;
+
+    expect(sql({ path, operator: 'contains', value: 22 })).toBe(contains);
+    expect(sql({ path, operator: 'not contains', value: 22 })).toBe(`NOT ${contains}`);
+  });
+
+  it('compares numbers only against numeric values', () => {
+    const number = `(CASE WHEN jsonb_typeof(${TARGET}) = 'number' THEN (${TARGET} #>> '{}')::numeric END)`;
+
+    for (const operator of ['>', '>=', '<', '<=']) {
+      expect(sql({ path, operator, value: 90 })).toBe(`${number} ${operator} 90`);
+    }
+  });
+
+  it('escapes values as SQL literals', () => {
+    expect(sql({ path: 'metadata.name', operator: 'contains', value: "o'brien" }))
+      .toContain("jsonb_build_array('\"o''brien\"'::jsonb)");
+    expect(sql({ path: 'metadata.name', operator: 'contains', value: "o'brien" }))
+      .toContain("lower('o''brien')");
+  });
+});
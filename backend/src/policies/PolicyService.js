@@ -0,0 +1,493 @@
+import { Op } from 'sequelize';
+import { validate as isUuid } from 'uuid';
+import { getDatabase } from '../database/connection.js';
+import { SecurityPolicy } from '../models/SecurityPolicy.js';
+import { PolicyVersion } from '../models/PolicyVersion.js';
+import { PolicyTransition } from '../models/PolicyTransition.js';
+import { ConflictError, NotFoundError, UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { diffDocuments, diffYaml, bumpVersion } from './policyDiff.js';
+import { validatePolicyDocument } from './policyDocument.js';
+import { runPolicyTests } from './policyTests.js';
+import { driftService } from '../drift/DriftService.js';
+
+const SORTABLE_FIELDS = {
+  name: 'name',
+  service: 'service',
+  status: 'status',
+  risk: 'riskLevel',
+  compliance: 'complianceFramework',
+  createdAt: 'createdAt',
+  lastUpdated: 'updatedAt'
+};
+
+// Update fields that are mirrored into the document metadata
+const METADATA_FIELDS = {
+  name: 'name',
+  service: 'service',
+  environment: 'environment',
+  businessUnit: 'businessUnit',
+  complianceFramework: 'compliance',
+  riskLevel: 'riskLevel',
+  layer: 'layer'
+};
+
+// Rows read per query by bulk operations
+const BULK_LIMIT = 500;
+
+const RISK_WEIGHTS = { minimal: 0, low: 1, medium: 2, high: 3, critical: 4 };
+
+/**
+ * Policy store backed by the security_policies table.
+ * Routes and agents go through this service rather than the model so the
+ * scalar filter columns always stay in step with the stored document.
+ */
+export class PolicyService {
+  /**
+   * List policies with filtering, sorting and pagination
+   */
+  async listPolicies(query = {}) {
+    const page = Number(query.page) || 1;
+    const limit = Number(query.limit) || 20;
+    const sortField = SORTABLE_FIELDS[query.sortBy] || 'updatedAt';
+    const sortOrder = String(query.order).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    const { rows, count } = await SecurityPolicy.findAndCountAll({
+      where: this.buildFilters(query),
+      order: [[sortField, sortOrder]],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      policies: rows.map(policy => this.toSummary(policy)),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Full policy rows for bulk operations, selected by id and/or filters and
+   * sorted by name. Every match is returned; the rows are read through
+   * eachPolicy so no bulk limit cuts the result short.
+   */
+  async findPolicies({ ids, ...filters } = {}) {
+    const where = ids ? { id: ids.filter(id => isUuid(id)) } : {};
+
+    const policies = [];
+    for await (const policy of this.eachPolicy(filters, where)) {
+      policies.push(policy);
+    }
+    return policies.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  /**
+   * Every policy matching the filters, read BULK_LIMIT rows at a time, for
+   * callers that must not stop at the bulk limit. `where` adds conditions
+   * the filters cannot express.
+   */
+  async *eachPolicy(filters = {}, where = {}) {
+    const conditions = { ...this.buildFilters(filters), ...where };
+    let after = null;
+
+    for (;;) {
+      const page = await SecurityPolicy.findAll({
+        where: after ? { [Op.and]: [conditions, { id: { [Op.gt]: after } }] } : conditions,
+        order: [['id', 'ASC']],
+        limit: BULK_LIMIT
+      });
+
+      yield* page;
+      if (page.length < BULK_LIMIT) return;
+      after = page.at(-1).id;
+    }
+  }
+
+  buildFilters(query) {
+    const where = {};
+
+    if (query.service) where.service = query.service;
+    if (query.status) where.status = query.status;
+    if (query.compliance) where.complianceFramework = query.compliance;
+    if (query.risk) where.riskLevel = query.risk;
+    if (query.businessUnit) where.businessUnit = query.businessUnit;
+    if (query.environment) where.environment = query.environment;
+    if (query.layer) where.layer = query.layer;
+
+    return where;
+  }
+
+  async getPolicy(id, options = {}) {
+    // Non-UUID ids would otherwise surface as a Postgres cast error
+    const policy = isUuid(id) ? await SecurityPolicy.findByPk(id, options) : null;
+    if (!policy) {
+      throw new NotFoundError(`Policy not found: ${id}`);
+    }
+    return policy;
+  }
+
+  /**
+   * Persist a structured policy as produced by agentManager.generatePolicy
+   */
+  async createPolicy(document, user, { reason } = {}) {
+    const author = user?.email || user?.id;
+    const version = document.metadata?.version || '1.0.0';
+    const versionedDocument = this.withVersion(document, version);
+
+    const policy = await getDatabase().transaction(async (transaction) => {
+      const created = await SecurityPolicy.create({
+        ...this.extractColumns(versionedDocument),
+        version,
+        document: versionedDocument,
+        createdBy: author,
+        updatedBy: author
+      }, { transaction });
+
+      await this.recordVersion(created, 'create', author, reason || 'Initial version', transaction);
+      await PolicyTransition.create({
+        policyId: created.id,
+        action: 'create',
+        fromStatus: null,
+        toStatus: created.status,
+        policyVersion: version,
+        actor: author,
+        actorRole: user?.role
+      }, { transaction });
+      return created;
+    });
+
+    logger.info(`Policy stored: ${policy.id} (${policy.name})`);
+    return policy;
+  }
+
+  /**
+   * Apply changes as a new version. `reason` is required by the route and
+   * `versionBump` (major, minor, patch) defaults to patch.
+   */
+  async updatePolicy(id, updates, user) {
+    if (updates.document) {
+      this.assertValidDocument(updates.document);
+    }
+
+    const policy = await getDatabase().transaction(async (transaction) => {
+      const current = await this.getPolicy(id, { transaction, lock: transaction.LOCK.UPDATE });
+      this.assertEditable(current);
+      return this.applyUpdate(current, updates, user, transaction);
+    });
+
+    logger.info(`Policy updated: ${policy.id} -> ${policy.version}`);
+    return policy;
+  }
+
+  /**
+   * Store `updates` as the next version of a draft locked in `transaction`
+   */
+  async applyUpdate(policy, updates, user, transaction) {
+    const { reason, versionBump, ...changes } = updates;
+    const author = user?.email || user?.id;
+    const version = bumpVersion(policy.version, versionBump);
+    const document = this.withVersion(
+      this.applyMetadataUpdates(changes.document || policy.document, changes),
+      version
+    );
+
+    await policy.update({
+      ...this.extractColumns(document),
+      version,
+      document,
+      updatedBy: author
+    }, { transaction });
+
+    await this.recordVersion(policy, 'update', author, reason, transaction);
+    return policy;
+  }
+
+  /**
+   * Content changes are only allowed on drafts; anything further along the
+   * lifecycle has to be rejected back to draft first.
+   */
+  assertEditable(policy) {
+    if (policy.status !== 'draft') {
+      throw new ConflictError(`Policy is ${policy.status}; only draft policies can be edited`);
+    }
+  }
+
+  /**
+   * Reject documents whose `policy` section is not a valid SecurityPolicy
+   */
+  assertValidDocument(document) {
+    const issues = validatePolicyDocument(document.policy);
+    if (issues.length > 0) {
+      throw new UnprocessableEntityError('Policy document does not match the SecurityPolicy schema', issues);
+    }
+  }
+
+  /**
+   * Soft-delete a draft. Policies that have been reviewed or enforced are
+   * part of the audit trail and leave through deprecate and retire instead.
+   */
+  async deletePolicy(id, user) {
+    const actor = user?.email || user?.id;
+
+    const policy = await getDatabase().transaction(async (transaction) => {
+      const current = await this.getPolicy(id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (current.status !== 'draft') {
+        throw new ConflictError(`Policy is ${current.status}; only draft policies can be deleted, deprecate and retire it instead`);
+      }
+
+      await current.update({ updatedBy: actor }, { transaction });
+      await current.destroy({ transaction });
+      await driftService.closeFindings(current.id, transaction);
+      return current;
+    });
+
+    logger.info(`Policy deleted: ${id} by ${actor}`);
+    return policy;
+  }
+
+  async recordVersion(policy, changeType, author, reason, transaction) {
+    return await PolicyVersion.create({
+      policyId: policy.id,
+      version: policy.version,
+      changeType,
+      document: policy.document,
+      author,
+      reason,
+      testResults: runPolicyTests(policy)
+    }, { transaction });
+  }
+
+  async listVersions(id) {
+    await this.getPolicy(id);
+
+    const versions = await PolicyVersion.findAll({
+      where: { policyId: id },
+      attributes: { exclude: ['document'] },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return versions.map(version => ({
+      version: version.version,
+      changeType: version.changeType,
+      author: version.author,
+      reason: version.reason,
+      tests: version.testResults && {
+        status: version.testResults.status,
+        total: version.testResults.total,
+        passed: version.testResults.passed,
+        failed: version.testResults.failed
+      },
+      createdAt: version.createdAt
+    }));
+  }
+
+  async getVersion(id, version) {
+    await this.getPolicy(id);
+
+    const record = await PolicyVersion.findOne({ where: { policyId: id, version } });
+    if (!record) {
+      throw new NotFoundError(`Version ${version} not found for policy ${id}`);
+    }
+    return record;
+  }
+
+  /**
+   * Compare two versions. `to` defaults to the current version and `from`
+   * to the version recorded immediately before `to`.
+   */
+  async diffVersions(id, from, to) {
+    const policy = await this.getPolicy(id);
+    const target = await this.getVersion(id, to || policy.version);
+
+    let source;
+    if (from) {
+      source = await this.getVersion(id, from);
+    } else {
+      source = await PolicyVersion.findOne({
+        where: {
+          policyId: id,
+          createdAt: { [Op.lt]: target.createdAt }
+        },
+        order: [['createdAt', 'DESC']]
+      });
+    }
+
+    const before = source?.document || {};
+    return {
+      from: source?.version || null,
+      to: target.version,
+      changes: diffDocuments(before, target.document),
+      yaml: diffYaml(before, target.document)
+    };
+  }
+
+  /**
+   * Restore an earlier version's document as a new version; history is
+   * never rewritten.
+   */
+  async rollbackPolicy(id, version, user, reason) {
+    const author = user?.email || user?.id;
+    const target = await this.getVersion(id, version);
+
+    const policy = await getDatabase().transaction(async (transaction) => {
+      const current = await this.getPolicy(id, { transaction, lock: transaction.LOCK.UPDATE });
+      this.assertEditable(current);
+      const newVersion = bumpVersion(current.version);
+      const document = this.withVersion(target.document, newVersion);
+
+      await current.update({
+        ...this.extractColumns(document),
+        version: newVersion,
+        document,
+        updatedBy: author
+      }, { transaction });
+
+      await this.recordVersion(current, 'rollback', author, reason || `Rollback to ${version}`, transaction);
+      return current;
+    });
+
+    logger.info(`Policy ${id} rolled back to ${version} as ${policy.version}`);
+    return policy;
+  }
+
+  async getStats() {
+    const sequelize = getDatabase();
+
+    const [total, byStatus, byService, byCompliance, byRisk, score] = await Promise.all([
+      SecurityPolicy.count(),
+      this.countBy('status'),
+      this.countBy('service'),
+      this.countBy('complianceFramework'),
+      this.countBy('riskLevel'),
+      SecurityPolicy.findOne({
+        attributes: [[
+          sequelize.literal("AVG((document->'compliance'->'validation'->>'score')::float)"),
+          'complianceScore'
+        ]],
+        raw: true
+      })
+    ]);
+
+    return {
+      total,
+      active: byStatus.active || 0,
+      pending: byStatus['in-review'] || 0,
+      draft: byStatus.draft || 0,
+      byStatus,
+      complianceScore: score?.complianceScore !== null && score?.complianceScore !== undefined
+        ? Math.round(score.complianceScore)
+        : null,
+      averageRisk: this.averageRisk(byRisk),
+      byService,
+      byCompliance,
+      byRisk
+    };
+  }
+
+  async countBy(field, where = {}) {
+    const rows = await SecurityPolicy.count({ where, group: [field] });
+    const counts = {};
+    for (const row of rows) {
+      counts[row[field]] = row.count;
+    }
+    return counts;
+  }
+
+  averageRisk(byRisk) {
+    let weighted = 0;
+    let total = 0;
+    for (const [level, count] of Object.entries(byRisk)) {
+      if (RISK_WEIGHTS[level] === undefined) continue;
+      weighted += RISK_WEIGHTS[level] * count;
+      total += count;
+    }
+    if (total === 0) return null;
+
+    const average = Math.round(weighted / total);
+    return Object.keys(RISK_WEIGHTS).find(level => RISK_WEIGHTS[level] === average);
+  }
+
+  /**
+   * Derive the indexed columns from a structured policy document
+   */
+  extractColumns(document = {}) {
+    const metadata = document.metadata || {};
+    const columns = {
+      name: metadata.name,
+      service: metadata.service,
+      environment: metadata.environment,
+      businessUnit: metadata.businessUnit,
+      complianceFramework: document.compliance?.framework || metadata.compliance,
+      riskLevel: document.security?.riskLevel || metadata.riskLevel,
+      layer: metadata.layer,
+      version: metadata.version
+    };
+
+    // Leave model defaults in place for anything the document omits
+    return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+  }
+
+  applyMetadataUpdates(document, changes) {
+    const updated = {
+      ...document,
+      metadata: { ...(document.metadata || {}) }
+    };
+
+    for (const [field, metadataKey] of Object.entries(METADATA_FIELDS)) {
+      if (changes[field] !== undefined) {
+        updated.metadata[metadataKey] = changes[field];
+      }
+    }
+
+    if (changes.complianceFramework !== undefined && updated.compliance) {
+      updated.compliance = { ...updated.compliance, framework: changes.complianceFramework };
+    }
+    if (changes.riskLevel !== undefined && updated.security) {
+      updated.security = { ...updated.security, riskLevel: changes.riskLevel };
+    }
+
+    return updated;
+  }
+
+  withVersion(document, version) {
+    return {
+      ...document,
+      metadata: { ...(document.metadata || {}), version }
+    };
+  }
+
+  toSummary(policy) {
+    return {
+      id: policy.id,
+      name: policy.name,
+      service: policy.service,
+      environment: policy.environment,
+      businessUnit: policy.businessUnit,
+      layer: policy.layer,
+      status: policy.status,
+      compliance: policy.complianceFramework,
+      risk: policy.riskLevel,
+      version: policy.version,
+      lastUpdated: policy.updatedAt
+    };
+  }
+
+  toDetail(policy) {
+    return {
+      ...this.toSummary(policy),
+      createdBy: policy.createdBy,
+      updatedBy: policy.updatedBy,
+      createdAt: policy.createdAt,
+      document: policy.document
+    };
+  }
+}
+
+// Singleton instance
+const policyService = new PolicyService();
+
+export { policyService };
@@ -0,0 +1,129 @@
+import { jest } from '@jest/globals';
+import { Op, Sequelize } from 'sequelize';
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+jest.unstable_mockModule('../database/connection.js', () => ({
+  getDatabase: () => ({ transaction: async (work) => work(transaction) })
+}));
+
+const { policyService } = await import('./PolicyService.js');
+const { SecurityPolicy } = await import('../models/SecurityPolicy.js');
+const { PolicyVersion } = await import('../models/PolicyVersion.js');
+const { driftService } = await import('../drift/DriftService.js');
+
+const POLICY_ID = '7f1c2a4e-2222-4c8b-9d1e-000000000001';
+
+const makePolicy = (status) => ({
+  id: POLICY_ID,
+  name: 'storage-policy',
+  version: '1.0.0',
+  status,
+  document: { metadata: {} },
+  update: jest.fn(async function (values) {
+    Object.assign(this, values);
+    return this;
+  }),
+  destroy: jest.fn()
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PolicyService.updatePolicy', () => {
+  it.each(['in-review', 'approved', 'active', 'deprecated'])('rejects edits to %s policies', async (status) => {
+    const policy = makePolicy(status);
+    jest.spyOn(SecurityPolicy, 'findByPk').mockResolvedValue(policy);
+    jest.spyOn(PolicyVersion, 'create').mockResolvedValue({});
+
+    await expect(policyService.updatePolicy(POLICY_ID, { name: 'renamed', reason: 'rename' }, { email: 'a@example.com' }))
+      .rejects.toMatchObject({ name: 'ConflictError' });
+    expect(policy.update).not.toHaveBeenCalled();
+    expect(PolicyVersion.create).not.toHaveBeenCalled();
+  });
+
+  it('stores an edit to a draft as a new version', async () => {
+    const policy = makePolicy('draft');
+    jest.spyOn(SecurityPolicy, 'findByPk').mockResolvedValue(policy);
+    jest.spyOn(PolicyVersion, 'create').mockResolvedValue({});
+
+    await policyService.updatePolicy(POLICY_ID, { name: 'renamed', reason: 'rename' }, { email: 'a@example.com' });
+
+    expect(policy.version).toBe('1.0.1');
+    expect(PolicyVersion.create).toHaveBeenCalledWith(
+      expect.objectContaining({ policyId: POLICY_ID, version: '1.0.1', changeType: 'update', reason: 'rename' }),
+      { transaction }
+    );
+  });
+});
+
+describe('PolicyService.deletePolicy', () => {
+  it.each(['in-review', 'approved', 'active', 'deprecated', 'retired'])('keeps %s policies', async (status) => {
+    const policy = makePolicy(status);
+    jest.spyOn(SecurityPolicy, 'findByPk').mockResolvedValue(policy);
+
+    await expect(policyService.deletePolicy(POLICY_ID, { email: 'a@example.com' }))
+      .rejects.toMatchObject({ name: 'ConflictError' });
+    expect(policy.destroy).not.toHaveBeenCalled();
+  });
+
+  it('soft-deletes drafts and closes their drift findings', async () => {
+    const policy = makePolicy('draft');
+    jest.spyOn(SecurityPolicy, 'findByPk').mockResolvedValue(policy);
+    jest.spyOn(driftService, 'closeFindings').mockResolvedValue(1);
+
+    await policyService.deletePolicy(POLICY_ID, { email: 'a@example.com' });
+
+    expect(policy.updatedBy).toBe('a@example.com');
+    expect(policy.destroy).toHaveBeenCalledWith({ transaction });
+    expect(driftService.closeFindings).toHaveBeenCalledWith(POLICY_ID, transaction);
+  });
+
+  it('keeps deleted rows for their history', () => {
+    // Building the model does not connect
+    SecurityPolicy.initModel(new Sequelize('postgres://localhost/unused', { logging: false }));
+    expect(SecurityPolicy.options.paranoid).toBe(true);
+  });
+});
+
+describe('PolicyService.eachPolicy', () => {
+  it('pages past the bulk limit by id', async () => {
+    const rows = Array.from({ length: 501 }, (_, i) => ({ id: `id-${String(i).padStart(3, '0')}` }));
+    const findAll = jest.spyOn(SecurityPolicy, 'findAll').mockImplementation(async ({ where, limit }) => {
+      const after = where[Op.and]?.[1].id[Op.gt];
+      return rows.filter(row => !after || row.id > after).slice(0, limit);
+    });
+
+    const seen = [];
+    for await (const policy of policyService.eachPolicy({ status: 'active' })) {
+      seen.push(policy.id);
+    }
+
+    expect(seen).toHaveLength(501);
+    expect(findAll).toHaveBeenCalledTimes(2);
+    expect(findAll.mock.calls[1][0].where[Op.and][0]).toEqual({ status: 'active' });
+  });
+});
+
+describe('PolicyService.findPolicies', () => {
+  it('returns every match past the bulk limit, by name', async () => {
+    const rows = Array.from({ length: 501 }, (_, i) => ({ id: `id-${String(i).padStart(3, '0')}`, name: `policy-${500 - i}` }));
+    jest.spyOn(SecurityPolicy, 'findAll').mockImplementation(async ({ where, limit }) => {
+      const after = where[Op.and]?.[1].id[Op.gt];
+      return rows.filter(row => !after || row.id > after).slice(0, limit);
+    });
+
+    const policies = await policyService.findPolicies({ status: 'active' });
+
+    expect(policies).toHaveLength(501);
+    expect(policies[0].name).toBe('policy-0');
+  });
+
+  it('keeps the id selection while paging', async () => {
+    const findAll = jest.spyOn(SecurityPolicy, 'findAll').mockResolvedValue([]);
+
+    await policyService.findPolicies({ ids: [POLICY_ID, 'not-a-uuid'], service: 'AWS S3' });
+
+    expect(findAll.mock.calls[0][0].where).toEqual({ service: 'AWS S3', id: [POLICY_ID] });
+  });
+});
@@ -0,0 +1,270 @@
+import { validate as isUuid } from 'uuid';
+import { getDatabase } from '../database/connection.js';
+import { PolicyTemplate } from '../models/PolicyTemplate.js';
+import { PolicyTemplateVersion } from '../models/PolicyTemplateVersion.js';
+import { NotFoundError, UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { bumpVersion } from './policyDiff.js';
+import { validateTemplateDefinition, renderTemplate } from './templateParameters.js';
+
+// Service whose default template applies when a service has none
+const FALLBACK_SERVICE = 'default';
+
+// Fields that make up a template version
+const CONTENT_FIELDS = ['name', 'description', 'structure', 'parameters'];
+
+/**
+ * Policy templates and their version history. Generation renders a
+ * template version with parameter values; the version and values are
+ * recorded in the policy metadata so exports use the same template.
+ */
+export class PolicyTemplateService {
+  async listTemplates({ service } = {}) {
+    const where = {};
+    if (service) where.service = service;
+
+    const templates = await PolicyTemplate.findAll({
+      where,
+      order: [['service', 'ASC'], ['name', 'ASC']]
+    });
+    return templates.map(template => this.toSummary(template));
+  }
+
+  async getTemplate(id, options = {}) {
+    const template = isUuid(id) ? await PolicyTemplate.findByPk(id, options) : null;
+    if (!template) {
+      throw new NotFoundError(`Policy template not found: ${id}`);
+    }
+    return template;
+  }
+
+  async createTemplate(data, user, { reason } = {}) {
+    const author = user?.email || user?.id;
+    const { isDefault = false, ...content } = data;
+    this.assertValidTemplate(content);
+
+    const template = await getDatabase().transaction(async (transaction) => {
+      if (isDefault) {
+        await this.clearDefault(content.service, transaction);
+      }
+
+      const created = await PolicyTemplate.create({
+        ...content,
+        parameters: content.parameters || [],
+        version: '1.0.0',
+        isDefault,
+        createdBy: author,
+        updatedBy: author
+      }, { transaction });
+
+      await this.recordVersion(created, author, reason || 'Initial version', transaction);
+      return created;
+    });
+
+    logger.info(`Policy template stored: ${template.id} (${template.name} for ${template.service})`);
+    return template;
+  }
+
+  /**
+   * Apply content changes as a new version. `versionBump` (major, minor,
+   * patch) defaults to patch.
+   */
+  async updateTemplate(id, updates, user) {
+    const { reason, versionBump, ...changes } = updates;
+    const author = user?.email || user?.id;
+
+    const template = await getDatabase().transaction(async (transaction) => {
+      const current = await this.getTemplate(id, { transaction, lock: transaction.LOCK.UPDATE });
+      const content = Object.fromEntries(CONTENT_FIELDS.map(field => [field, changes[field] ?? current[field]]));
+      this.assertValidTemplate(content);
+
+      await current.update({
+        ...content,
+        version: bumpVersion(current.version, versionBump),
+        updatedBy: author
+      }, { transaction });
+
+      await this.recordVersion(current, author, reason, transaction);
+      return current;
+    });
+
+    logger.info(`Policy template updated: ${template.id} -> ${template.version}`);
+    return template;
+  }
+
+  async deleteTemplate(id) {
+    const template = await this.getTemplate(id);
+    await template.destroy();
+
+    logger.info(`Policy template deleted: ${id}`);
+  }
+
+  /**
+   * Make a template the one generation uses for its service
+   */
+  async setDefault(id) {
+    const template = await getDatabase().transaction(async (transaction) => {
+      const current = await this.getTemplate(id, { transaction, lock: transaction.LOCK.UPDATE });
+      await this.clearDefault(current.service, transaction);
+      await current.update({ isDefault: true }, { transaction });
+      return current;
+    });
+
+    logger.info(`Policy template ${id} is now the default for ${template.service}`);
+    return template;
+  }
+
+  async clearDefault(service, transaction) {
+    await PolicyTemplate.update({ isDefault: false }, { where: { service, isDefault: true }, transaction });
+  }
+
+  assertValidTemplate(content) {
+    const issues = validateTemplateDefinition(content);
+    if (issues.length > 0) {
+      throw new UnprocessableEntityError('Policy template structure or parameters are invalid', issues);
+    }
+  }
+
+  async recordVersion(template, author, reason, transaction) {
+    return await PolicyTemplateVersion.create({
+      templateId: template.id,
+      version: template.version,
+      name: template.name,
+      description: template.description,
+      structure: template.structure,
+      parameters: template.parameters,
+      author,
+      reason
+    }, { transaction });
+  }
+
+  async listVersions(id) {
+    await this.getTemplate(id);
+
+    const versions = await PolicyTemplateVersion.findAll({
+      where: { templateId: id },
+      attributes: { exclude: ['structure'] },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return versions.map(version => ({
+      version: version.version,
+      name: version.name,
+      parameters: version.parameters.map(parameter => parameter.name),
+      author: version.author,
+      reason: version.reason,
+      createdAt: version.createdAt
+    }));
+  }
+
+  async getVersion(id, version) {
+    const template = await this.getTemplate(id);
+
+    const record = await PolicyTemplateVersion.findOne({ where: { templateId: id, version } });
+    if (!record) {
+      throw new NotFoundError(`Version ${version} not found for policy template ${id}`);
+    }
+    return this.toVersion(template, record);
+  }
+
+  /**
+   * The template version generation should use: `selection.id` at
+   * `selection.version` (default current), or the service's default
+   * template, or the `default` service's. Null when there is none.
+   */
+  async resolveTemplate(service, selection = {}) {
+    if (selection.id) {
+      return selection.version
+        ? await this.getVersion(selection.id, selection.version)
+        : this.toVersion(await this.getTemplate(selection.id));
+    }
+
+    const template = await PolicyTemplate.findOne({ where: { service, isDefault: true } })
+      || await PolicyTemplate.findOne({ where: { service: FALLBACK_SERVICE, isDefault: true } });
+    return template ? this.toVersion(template) : null;
+  }
+
+  /**
+   * Render a template version with parameter values
+   */
+  async previewTemplate(id, { version, parameters } = {}) {
+    const template = await this.resolveTemplate(null, { id, version });
+    const rendered = renderTemplate(template, parameters);
+
+    return {
+      template: { id: template.id, name: template.name, service: template.service, version: template.version },
+      parameters: rendered.parameters,
+      structure: rendered.structure
+    };
+  }
+
+  /**
+   * The template a stored policy was generated from, with the parameter
+   * values it was rendered with as defaults. Policies generated before
+   * templates were recorded, or whose template is gone, get their
+   * service's default template.
+   */
+  async getPolicyTemplate(policy) {
+    const recorded = policy.document?.metadata?.template;
+
+    if (recorded?.id) {
+      try {
+        const template = await this.resolveTemplate(policy.service, recorded);
+        const values = recorded.parameters || {};
+        return {
+          ...template,
+          parameters: template.parameters.map(parameter => (
+            values[parameter.name] !== undefined ? { ...parameter, default: values[parameter.name] } : parameter
+          ))
+        };
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) {
+          throw error;
+        }
+        logger.warn(`Template ${recorded.id} ${recorded.version} of policy ${policy.id} no longer exists`);
+      }
+    }
+
+    return await this.resolveTemplate(policy.service);
+  }
+
+  toVersion(template, record = template) {
+    return {
+      id: template.id,
+      service: template.service,
+      version: record.version,
+      name: record.name,
+      description: record.description,
+      structure: record.structure,
+      parameters: record.parameters || []
+    };
+  }
+
+  toSummary(template) {
+    return {
+      id: template.id,
+      name: template.name,
+      service: template.service,
+      description: template.description,
+      version: template.version,
+      isDefault: template.isDefault,
+      parameters: template.parameters,
+      updatedAt: template.updatedAt
+    };
+  }
+
+  toDetail(template) {
+    return {
+      ...this.toSummary(template),
+      structure: template.structure,
+      createdBy: template.createdBy,
+      updatedBy: template.updatedBy,
+      createdAt: template.createdAt
+    };
+  }
+}
+
+// Singleton instance
+const policyTemplateService = new PolicyTemplateService();
+
+export { policyTemplateService };
@@ -0,0 +1,148 @@
+import { getPolicySpec } from './policyDocument.js';
+import { SECURITY_CONTROLS, controlForPath } from './securityControls.js';
+import { getSpecValue, isRequested } from '../exporters/exportUtils.js';
+import { REQUIREMENT_RULES, requiredFlag, compareRequirement } from './requirementRules.js';
+
+const format = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+const conflictMessage = (rule, comparison, a, b) => {
+  if (rule.kind === 'flag') {
+    const [requiring, allowing] = comparison.requiring === 'a' ? [a, b] : [b, a];
+    return `${requiring.name} requires ${rule.path} to be ${requiredFlag(rule.path)}; ${allowing.name} explicitly sets it to ${!requiredFlag(rule.path)}`;
+  }
+  if (rule.kind === 'allow') {
+    return `No value is allowed by both ${a.name} (${format(a.value)}) and ${b.name} (${format(b.value)}); every resource would be denied`;
+  }
+  return `${a.name} requires ${format(a.value)} and ${b.name} requires ${format(b.value)}; no resource can satisfy both`;
+};
+
+const toEntry = (policy) => {
+  const spec = getPolicySpec(policy.document);
+  return {
+    ref: { id: policy.id, name: policy.name, status: policy.status, version: policy.version },
+    // Inheritance layers are merged rather than enforced side by side
+    scope: [String(policy.service || '').toLowerCase(), policy.environment, policy.businessUnit, policy.layer || ''].join('|'),
+    values: new Map(REQUIREMENT_RULES.map(rule => [rule.path, getSpecValue(spec, rule.path)]))
+  };
+};
+
+const withControl = (path, entry) => {
+  const control = controlForPath(path);
+  return { path, control, controlTitle: SECURITY_CONTROLS[control]?.title || null, ...entry };
+};
+
+/**
+ * Compare every pair of policies that apply to the same service, environment
+ * and business unit and report:
+ *   conflicts  - requirements no resource can satisfy together, or a
+ *                requirement the other policy explicitly opts out of
+ *   duplicates - policies with the same requirements (`duplicate`) or whose
+ *                every requirement another policy already enforces as strictly
+ *                or more (`redundant`)
+ *   shadowed   - single requirements that never decide an outcome because a
+ *                stricter one applies, or allowed values the other policy denies
+ * Policies are stored rows with a document; `focusId` limits the report to
+ * pairs involving that policy.
+ */
+export const detectPolicyConflicts = (policies, { focusId } = {}) => {
+  const entries = policies.map(toEntry);
+  const conflicts = [];
+  const duplicates = [];
+  const shadowed = [];
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const [a, b] = [entries[i], entries[j]];
+      if (a.scope !== b.scope) continue;
+      if (focusId && a.ref.id !== focusId && b.ref.id !== focusId) continue;
+
+      const pairShadowed = [];
+      let aCovered = true;
+      let bCovered = true;
+      let pairConflicts = 0;
+
+      for (const rule of REQUIREMENT_RULES) {
+        const valueA = a.values.get(rule.path);
+        const valueB = b.values.get(rule.path);
+        const requestedA = isRequested(rule.path, valueA);
+        const requestedB = isRequested(rule.path, valueB);
+        if (!requestedA && !requestedB && rule.kind !== 'flag') continue;
+
+        const comparison = compareRequirement(rule, valueA, valueB);
+        const side = (key) => (key === 'a' ? { ...a.ref, value: valueA } : { ...b.ref, value: valueB });
+
+        if (comparison.relation === 'conflict') {
+          pairConflicts++;
+          conflicts.push(withControl(rule.path, {
+            policies: [side('a'), side('b')],
+            message: conflictMessage(rule, comparison, side('a'), side('b'))
+          }));
+          continue;
+        }
+
+        // A requirement is covered when the other policy enforces it at least as strictly
+        if (requestedA && !(comparison.relation === 'equal' || comparison.stricter === 'b')) aCovered = false;
+        if (requestedB && !(comparison.relation === 'equal' || comparison.stricter === 'a')) bCovered = false;
+
+        if (comparison.relation === 'stricter') {
+          const stricter = side(comparison.stricter);
+          const weaker = side(comparison.weaker);
+          pairShadowed.push(withControl(rule.path, {
+            policy: weaker,
+            shadowedBy: stricter,
+            message: comparison.excluded
+              ? `${format(comparison.excluded)} allowed by ${weaker.name} is denied by ${stricter.name}`
+              : `${weaker.name} requires ${format(weaker.value)}; ${stricter.name} already requires ${format(stricter.value)}`
+          }));
+        } else if (comparison.relation === 'overlap') {
+          pairShadowed.push(
+            withControl(rule.path, {
+              policy: side('a'),
+              shadowedBy: side('b'),
+              message: `${format(comparison.onlyA)} allowed by ${a.ref.name} is denied by ${b.ref.name}`
+            }),
+            withControl(rule.path, {
+              policy: side('b'),
+              shadowedBy: side('a'),
+              message: `${format(comparison.onlyB)} allowed by ${b.ref.name} is denied by ${a.ref.name}`
+            })
+          );
+        }
+      }
+
+      if (pairConflicts > 0) {
+        shadowed.push(...pairShadowed);
+      } else if (aCovered && bCovered) {
+        duplicates.push({
+          type: 'duplicate',
+          policy: a.ref,
+          coveredBy: b.ref,
+          message: `${a.ref.name} and ${b.ref.name} have the same requirements`
+        });
+      } else if (aCovered || bCovered) {
+        const [redundant, covering] = aCovered ? [a, b] : [b, a];
+        duplicates.push({
+          type: 'redundant',
+          policy: redundant.ref,
+          coveredBy: covering.ref,
+          message: `Every requirement of ${redundant.ref.name} is enforced as strictly or more by ${covering.ref.name}`
+        });
+      } else {
+        shadowed.push(...pairShadowed);
+      }
+    }
+  }
+
+  return {
+    analysisTime: new Date().toISOString(),
+    policies: entries.length,
+    summary: {
+      conflicts: conflicts.length,
+      duplicates: duplicates.length,
+      shadowed: shadowed.length
+    },
+    conflicts,
+    duplicates,
+    shadowed
+  };
+};
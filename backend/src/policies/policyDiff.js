@@ -0,0 +1,113 @@
+import yaml from 'js-yaml';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const joinPath = (base, key) => {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+};
+
+/**
+ * Structured diff between two JSON documents.
+ * Returns one entry per changed leaf: { path, op: added|removed|changed, from, to }.
+ * Arrays are compared index by index.
+ */
+export const diffDocuments = (before, after, path = '') => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return keys.flatMap(key => {
+      const childPath = joinPath(path, key);
+      if (!(key in after)) return [{ path: childPath, op: 'removed', from: before[key] }];
+      if (!(key in before)) return [{ path: childPath, op: 'added', to: after[key] }];
+      return diffDocuments(before[key], after[key], childPath);
+    });
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    const changes = [];
+    for (let index = 0; index < length; index++) {
+      const childPath = joinPath(path, index);
+      if (index >= after.length) {
+        changes.push({ path: childPath, op: 'removed', from: before[index] });
+      } else if (index >= before.length) {
+        changes.push({ path: childPath, op: 'added', to: after[index] });
+      } else {
+        changes.push(...diffDocuments(before[index], after[index], childPath));
+      }
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+
+  return [{ path: path || '$', op: 'changed', from: before, to: after }];
+};
+
+/**
+ * Line diff of the YAML rendering of two documents, based on the longest
+ * common subsequence of lines. Each entry is prefixed with ' ', '+' or '-'.
+ */
+export const diffYaml = (before, after) => {
+  const a = yaml.dump(before, { sortKeys: true, lineWidth: -1 }).split('\n');
+  const b = yaml.dump(after, { sortKeys: true, lineWidth: -1 }).split('\n');
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(` ${a[i]}`);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push(`-${a[i++]}`);
+    } else {
+      lines.push(`+${b[j++]}`);
+    }
+  }
+  while (i < a.length) lines.push(`-${a[i++]}`);
+  while (j < b.length) lines.push(`+${b[j++]}`);
+
+  return lines.join('\n');
+};
+
+// '1.2.3', 'v1.2' or '2'; missing parts count as 0 and pre-release or build suffixes are dropped
+const LENIENT_VERSION = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:[-+][0-9A-Za-z.-]*)?$/;
+
+/**
+ * Bump a version to the next semantic version. Versions stored before they
+ * were kept as semver are read leniently ('1.0' -> '1.0.1'); anything else is
+ * rejected rather than restarted, which would reuse a recorded version.
+ */
+export const bumpVersion = (version, level = 'patch') => {
+  const match = LENIENT_VERSION.exec(String(version ?? '').trim());
+  if (!match) {
+    throw new ValidationError(`Version '${version}' is not a semantic version and cannot be bumped`);
+  }
+
+  let [major, minor, patch] = match.slice(1).map(part => Number(part || 0));
+  if (level === 'major') {
+    major++;
+    minor = 0;
+    patch = 0;
+  } else if (level === 'minor') {
+    minor++;
+    patch = 0;
+  } else {
+    patch++;
+  }
+
+  return `${major}.${minor}.${patch}`;
+};
@@ -0,0 +1,34 @@
+import { bumpVersion, diffDocuments } from './policyDiff.js';
+
+describe('bumpVersion', () => {
+  it('bumps each level of a semantic version', () => {
+    expect(bumpVersion('1.2.3')).toBe('1.2.4');
+    expect(bumpVersion('1.2.3', 'minor')).toBe('1.3.0');
+    expect(bumpVersion('1.2.3', 'major')).toBe('2.0.0');
+  });
+
+  it('reads short and prefixed versions leniently', () => {
+    expect(bumpVersion('1.0')).toBe('1.0.1');
+    expect(bumpVersion('v2')).toBe('2.0.1');
+    expect(bumpVersion('1.4.0-rc.1', 'minor')).toBe('1.5.0');
+  });
+
+  it.each(['latest', '', null, '1.x', '1.2.3.4'])('rejects %p instead of restarting at 1.0.0', (version) => {
+    expect(() => bumpVersion(version)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+});
+
+describe('diffDocuments', () => {
+  it('reports changed, added and removed leaves by path', () => {
+    const changes = diffDocuments(
+      { spec: { encryption: { atRest: true }, network: { blockedPorts: [22] } } },
+      { spec: { encryption: { atRest: false }, network: { blockedPorts: [22, 23] } }, owner: 'platform' }
+    );
+
+    expect(changes).toEqual(expect.arrayContaining([
+      { path: 'spec.encryption.atRest', op: 'changed', from: true, to: false },
+      { path: 'spec.network.blockedPorts[1]', op: 'added', to: 23 },
+      { path: 'owner', op: 'added', to: 'platform' }
+    ]));
+  });
+});
@@ -0,0 +1,104 @@
+import Ajv from 'ajv';
+import yaml from 'js-yaml';
+import { securityPolicySchema } from './securityPolicySchema.js';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(securityPolicySchema);
+
+// '/spec/accessControl/authorization/roles/0' -> 'spec.accessControl.authorization.roles[0]'
+const toFieldPath = (pointer, child) => {
+  const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (child !== undefined) segments.push(child);
+
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) return `${path}[${segment}]`;
+    return path ? `${path}.${segment}` : segment;
+  }, '') || '$';
+};
+
+const toIssue = (error) => {
+  switch (error.keyword) {
+    case 'additionalProperties':
+      return {
+        path: toFieldPath(error.instancePath, error.params.additionalProperty),
+        message: 'unknown field'
+      };
+    case 'required':
+      return {
+        path: toFieldPath(error.instancePath, error.params.missingProperty),
+        message: 'is required'
+      };
+    case 'enum':
+      return {
+        path: toFieldPath(error.instancePath),
+        message: `must be one of: ${error.params.allowedValues.join(', ')}`
+      };
+    case 'const':
+      return {
+        path: toFieldPath(error.instancePath),
+        message: `must be '${error.params.allowedValue}'`
+      };
+    default:
+      return {
+        path: toFieldPath(error.instancePath),
+        message: error.message
+      };
+  }
+};
+
+/**
+ * LLMs tend to wrap YAML in a markdown fence and add prose around it.
+ * Return the first fenced block if there is one, otherwise the whole text.
+ */
+export const extractYaml = (text) => {
+  const fenced = /```(?:ya?ml)?[ \t]*\r?\n([\s\S]*?)```/i.exec(text || '');
+  return (fenced ? fenced[1] : text || '').trim();
+};
+
+/**
+ * Validate an already parsed document against the SecurityPolicy schema.
+ * Returns a list of { path, message } issues; empty when the document is valid.
+ */
+export const validatePolicyDocument = (document) => {
+  if (validateSchema(document)) {
+    return [];
+  }
+  return validateSchema.errors.map(toIssue);
+};
+
+/**
+ * Parse LLM output into a SecurityPolicy document.
+ * Returns { document, issues }; document is null when the YAML does not parse.
+ */
+export const parsePolicyDocument = (text) => {
+  let document;
+  try {
+    document = yaml.load(extractYaml(text));
+  } catch (error) {
+    const line = error.mark ? ` at line ${error.mark.line + 1}, column ${error.mark.column + 1}` : '';
+    return {
+      document: null,
+      issues: [{ path: '$', message: `invalid YAML${line}: ${error.reason || error.message}` }]
+    };
+  }
+
+  if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+    return {
+      document: null,
+      issues: [{ path: '$', message: 'must be a YAML mapping' }]
+    };
+  }
+
+  return { document, issues: validatePolicyDocument(document) };
+};
+
+/**
+ * Resolve the SecurityPolicy spec from a stored policy document
+ * ({ metadata, policy: { spec } }) or a bare SecurityPolicy document.
+ */
+export const getPolicySpec = (policy) => {
+  const spec = policy?.policy?.spec || policy?.spec;
+  return spec && typeof spec === 'object' ? spec : {};
+};
+
+export const formatIssues = (issues) => issues.map(issue => `- ${issue.path}: ${issue.message}`).join('\n');
@@ -0,0 +1,56 @@
+import { extractYaml, parsePolicyDocument, getPolicySpec } from './policyDocument.js';
+
+const VALID_POLICY = `apiVersion: v1
+kind: SecurityPolicy
+metadata:
+  name: aws-s3-security-policy
+spec:
+  encryption:
+    atRest: true
+    inTransit: true
+  accessControl:
+    publicAccess: false`;
+
+describe('extractYaml', () => {
+  it('returns the first fenced block without the prose around it', () => {
+    const text = `Here is the policy:\n\n\`\`\`yaml\n${VALID_POLICY}\n\`\`\`\n\nLet me know if you need changes.\n\n\`\`\`yaml\nkind: Other\n\`\`\``;
+    expect(extractYaml(text)).toBe(VALID_POLICY);
+  });
+
+  it('accepts unlabelled fences and bare YAML', () => {
+    expect(extractYaml(`\`\`\`\n${VALID_POLICY}\n\`\`\``)).toBe(VALID_POLICY);
+    expect(extractYaml(`\n${VALID_POLICY}\n`)).toBe(VALID_POLICY);
+    expect(extractYaml(undefined)).toBe('');
+  });
+});
+
+describe('parsePolicyDocument', () => {
+  it('parses a valid SecurityPolicy', () => {
+    const { document, issues } = parsePolicyDocument(`\`\`\`yaml\n${VALID_POLICY}\n\`\`\``);
+
+    expect(issues).toEqual([]);
+    expect(getPolicySpec(document).encryption).toEqual({ atRest: true, inTransit: true });
+  });
+
+  it('reports where the YAML stops parsing', () => {
+    const { document, issues } = parsePolicyDocument('kind: SecurityPolicy\nspec: [unclosed');
+
+    expect(document).toBeNull();
+    expect(issues).toEqual([{ path: '$', message: expect.stringMatching(/^invalid YAML at line \d+, column \d+/) }]);
+  });
+
+  it.each(['- a list', 'just text', ''])('rejects %p as not a mapping', (text) => {
+    expect(parsePolicyDocument(text)).toEqual({ document: null, issues: [{ path: '$', message: 'must be a YAML mapping' }] });
+  });
+
+  it('reports schema issues by field path', () => {
+    const { issues } = parsePolicyDocument(VALID_POLICY
+      .replace('kind: SecurityPolicy', 'kind: Policy')
+      .replace('inTransit: true', 'inTransit: true\n    cipher: aes'));
+
+    expect(issues).toEqual(expect.arrayContaining([
+      { path: 'kind', message: "must be 'SecurityPolicy'" },
+      { path: 'spec.encryption.cipher', message: 'unknown field' }
+    ]));
+  });
+});
@@ -0,0 +1,90 @@
+import { isHttpError } from '../middleware/errorHandler.js';
+import { policySimulator } from '../simulation/PolicySimulator.js';
+
+/**
+ * Unit tests stored with a policy under `document.tests`:
+ *
+ *   { name, description?, resource: { id?, type?, service?, configuration },
+ *     expect: 'deny' | 'allow', reasons?: [...] }
+ *
+ * `configuration` uses the normalized resource model of the policy
+ * simulator. A `deny` test passes when the policy denies the resource and
+ * every reason matches a violation, either its spec path or part of its
+ * message; an `allow` test passes when the resource is not denied.
+ */
+export const getPolicyTests = (policy) => (Array.isArray(policy.document?.tests) ? policy.document.tests : []);
+
+const matchesReason = (violation, reason) => violation.path === reason
+  || violation.message.toLowerCase().includes(String(reason).toLowerCase());
+
+const runTest = (policy, test, index) => {
+  const resource = {
+    id: test.resource?.id || `test:${test.name}`,
+    type: test.resource?.type || null,
+    service: test.resource?.service || policy.service,
+    configuration: test.resource?.configuration || null
+  };
+
+  const [evaluated] = policySimulator.simulateResources(policy, [resource], { allServices: true }).resources;
+  const violations = (evaluated.violations || []).map(violation => ({ path: violation.path, message: violation.message }));
+  const denied = evaluated.outcome === 'denied';
+  const reasons = [].concat(test.reasons || []);
+
+  let failure = null;
+  if (test.expect === 'deny' && !denied) {
+    failure = `Expected deny, got ${evaluated.outcome}${evaluated.reason ? ` (${evaluated.reason})` : ''}`;
+  } else if (test.expect === 'allow' && denied) {
+    failure = `Expected allow, got deny: ${violations.map(violation => violation.path).join(', ')}`;
+  } else if (test.expect === 'deny') {
+    const missing = reasons.filter(reason => !violations.some(violation => matchesReason(violation, reason)));
+    if (missing.length > 0) {
+      failure = `Denied without the expected reason${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`;
+    }
+  }
+
+  return {
+    name: test.name || `test ${index + 1}`,
+    expect: test.expect,
+    outcome: evaluated.outcome,
+    passed: failure === null,
+    ...(failure && { failure }),
+    violations
+  };
+};
+
+/**
+ * Run a policy's tests, or `tests` when given, and report pass/fail per
+ * test. A policy whose document cannot be simulated fails every test.
+ */
+export const runPolicyTests = (policy, tests = getPolicyTests(policy)) => {
+  let results;
+  try {
+    results = tests.map((test, index) => runTest(policy, test, index));
+  } catch (error) {
+    if (!isHttpError(error)) {
+      throw error;
+    }
+    results = tests.map((test, index) => ({
+      name: test.name || `test ${index + 1}`,
+      expect: test.expect,
+      outcome: null,
+      passed: false,
+      failure: error.message,
+      violations: []
+    }));
+  }
+
+  const passed = results.filter(result => result.passed).length;
+  const failed = results.length - passed;
+
+  return {
+    policyId: policy.id,
+    version: policy.version,
+    status: results.length === 0 ? 'no-tests' : (failed > 0 ? 'failed' : 'passed'),
+    total: results.length,
+    passed,
+    failed,
+    ranAt: new Date().toISOString(),
+    results
+  };
+};
@@ -0,0 +1,106 @@
+import { cidrCovers, isCidr } from '../exporters/exportUtils.js';
+
+/**
+ * Requirement semantics shared by the conflict analysis, which compares
+ * policies side by side, and the inheritance merge, which lets overlays
+ * tighten but not loosen their parent layers.
+ */
+
+const TLS_VERSIONS = ['1.0', '1.1', '1.2', '1.3'];
+const KEY_MANAGEMENT_STRENGTH = ['provider-managed', 'customer-managed', 'customer-supplied'];
+
+/**
+ * How two values for a spec path combine when both apply to a resource:
+ *   flag     - boolean requirement; the explicit opposite contradicts it
+ *   minimum  - the higher value wins (`order` ranks non-numeric values)
+ *   maximum  - the lower value wins
+ *   exact    - different values cannot both be met
+ *   allow    - a value must be allowed by both lists
+ *   require  - every listed value is required, so lists add up
+ */
+export const REQUIREMENT_RULES = [
+  { path: 'spec.encryption.atRest', kind: 'flag' },
+  { path: 'spec.encryption.inTransit', kind: 'flag' },
+  { path: 'spec.encryption.algorithm', kind: 'exact' },
+  { path: 'spec.encryption.keyManagement', kind: 'minimum', order: KEY_MANAGEMENT_STRENGTH },
+  { path: 'spec.encryption.keyRotationDays', kind: 'maximum' },
+  { path: 'spec.encryption.tlsMinVersion', kind: 'minimum', order: TLS_VERSIONS },
+  { path: 'spec.accessControl.authentication.mfaRequired', kind: 'flag' },
+  { path: 'spec.accessControl.authentication.sessionTimeoutMinutes', kind: 'maximum' },
+  { path: 'spec.accessControl.authentication.methods', kind: 'allow' },
+  { path: 'spec.accessControl.authorization.model', kind: 'exact' },
+  { path: 'spec.accessControl.authorization.leastPrivilege', kind: 'flag' },
+  { path: 'spec.accessControl.publicAccess', kind: 'flag' },
+  { path: 'spec.network.allowedSources', kind: 'allow' },
+  { path: 'spec.network.blockedPorts', kind: 'require' },
+  { path: 'spec.network.privateEndpointsOnly', kind: 'flag' },
+  { path: 'spec.monitoring.enabled', kind: 'flag' },
+  { path: 'spec.monitoring.alerting', kind: 'flag' },
+  { path: 'spec.monitoring.metrics', kind: 'require' },
+  { path: 'spec.logging.enabled', kind: 'flag' },
+  { path: 'spec.logging.auditLogs', kind: 'flag' },
+  { path: 'spec.logging.retentionDays', kind: 'minimum' },
+  { path: 'spec.logging.destinations', kind: 'require' },
+  { path: 'spec.backup.enabled', kind: 'flag' },
+  { path: 'spec.backup.automated', kind: 'flag' },
+  { path: 'spec.backup.retentionDays', kind: 'minimum' },
+  { path: 'spec.incidentResponse.contacts', kind: 'require' },
+  { path: 'spec.incidentResponse.automatedRemediation', kind: 'flag' }
+];
+
+// `publicAccess: false` is the requirement; every other flag requires `true`
+export const requiredFlag = (path) => path !== 'spec.accessControl.publicAccess';
+
+// An allowed source is covered by an entry that equals or contains it
+const covers = (path, entry, value) => entry === value
+  || (path === 'spec.network.allowedSources' && isCidr(entry) && cidrCovers(entry, value));
+
+const uncovered = (path, values, by) => values.filter(value => !by.some(entry => covers(path, entry, value)));
+
+/**
+ * Relation between two values of one rule:
+ *   { relation: 'equal' | 'conflict' | 'stricter' | 'overlap' | 'independent', stricter?, weaker?, message? }
+ * where `stricter` and `weaker` are 'a' or 'b'.
+ */
+export const compareRequirement = (rule, a, b) => {
+  if (rule.kind === 'flag') {
+    const required = requiredFlag(rule.path);
+    if (a === b) return { relation: 'equal' };
+    if (a === required && b === !required) return { relation: 'conflict', requiring: 'a' };
+    if (b === required && a === !required) return { relation: 'conflict', requiring: 'b' };
+    return { relation: 'independent' };
+  }
+
+  if (a === undefined || b === undefined) {
+    return { relation: 'independent' };
+  }
+
+  if (rule.kind === 'exact') {
+    return a === b ? { relation: 'equal' } : { relation: 'conflict' };
+  }
+
+  if (rule.kind === 'minimum' || rule.kind === 'maximum') {
+    const rank = (value) => (rule.order ? rule.order.indexOf(value) : value);
+    if (rank(a) === rank(b)) return { relation: 'equal' };
+    const aStricter = rule.kind === 'minimum' ? rank(a) > rank(b) : rank(a) < rank(b);
+    return { relation: 'stricter', stricter: aStricter ? 'a' : 'b', weaker: aStricter ? 'b' : 'a' };
+  }
+
+  if (rule.kind === 'allow') {
+    const onlyA = uncovered(rule.path, a, b);
+    const onlyB = uncovered(rule.path, b, a);
+    if (onlyA.length === 0 && onlyB.length === 0) return { relation: 'equal' };
+    if (onlyA.length === 0) return { relation: 'stricter', stricter: 'a', weaker: 'b', excluded: onlyB };
+    if (onlyB.length === 0) return { relation: 'stricter', stricter: 'b', weaker: 'a', excluded: onlyA };
+    if (onlyA.length === a.length && onlyB.length === b.length) return { relation: 'conflict' };
+    return { relation: 'overlap', onlyA, onlyB };
+  }
+
+  // require: a superset of the other list makes it redundant
+  const missingFromA = b.filter(value => !a.includes(value));
+  const missingFromB = a.filter(value => !b.includes(value));
+  if (missingFromA.length === 0 && missingFromB.length === 0) return { relation: 'equal' };
+  if (missingFromA.length === 0) return { relation: 'stricter', stricter: 'a', weaker: 'b' };
+  if (missingFromB.length === 0) return { relation: 'stricter', stricter: 'b', weaker: 'a' };
+  return { relation: 'independent' };
+};
@@ -0,0 +1,33 @@
+import { REQUIREMENT_RULES, compareRequirement } from './requirementRules.js';
+
+const rule = (path) => REQUIREMENT_RULES.find(candidate => candidate.path === path);
+const allowedSources = rule('spec.network.allowedSources');
+
+describe('compareRequirement', () => {
+  it('treats a narrower allowed source range as stricter', () => {
+    expect(compareRequirement(allowedSources, ['10.1.0.0/16'], ['10.0.0.0/8']))
+      .toMatchObject({ relation: 'stricter', stricter: 'a', weaker: 'b' });
+  });
+
+  it('treats a wider allowed source range as weaker', () => {
+    expect(compareRequirement(allowedSources, ['10.0.0.0/8'], ['10.0.0.0/16']))
+      .toMatchObject({ relation: 'stricter', stricter: 'b', weaker: 'a', excluded: ['10.0.0.0/8'] });
+  });
+
+  it('finds disjoint allowed sources in conflict', () => {
+    expect(compareRequirement(allowedSources, ['10.0.0.0/16'], ['192.168.0.0/16']))
+      .toEqual({ relation: 'conflict' });
+  });
+
+  it('ranks ordered values', () => {
+    expect(compareRequirement(rule('spec.encryption.tlsMinVersion'), '1.3', '1.2'))
+      .toMatchObject({ relation: 'stricter', stricter: 'a' });
+    expect(compareRequirement(rule('spec.logging.retentionDays'), 30, 90))
+      .toMatchObject({ relation: 'stricter', stricter: 'b' });
+  });
+
+  it('finds opposite flags in conflict', () => {
+    expect(compareRequirement(rule('spec.encryption.atRest'), true, false))
+      .toEqual({ relation: 'conflict', requiring: 'a' });
+  });
+});
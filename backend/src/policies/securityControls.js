@@ -0,0 +1,43 @@
+/**
+ * Security control areas and the thresholds behind them. The security
+ * analysis agent scores a policy's spec per control; the policy simulator
+ * reports resource violations against the same controls.
+ */
+
+export const STRONG_ENCRYPTION_ALGORITHMS = ['AES-256', 'AES-256-GCM', 'AES-256-XTS', 'AES-256-CBC', 'CHACHA20-POLY1305'];
+export const WEAK_TLS_VERSIONS = ['1.0', '1.1'];
+export const ADMIN_PORTS = [22, 3389];
+export const MAX_KEY_ROTATION_DAYS = 365;
+export const MIN_LOG_RETENTION_DAYS = 90;
+
+// Shortest CIDR prefix still considered a restricted source range
+const MIN_IPV4_PREFIX = 8;
+const MIN_IPV6_PREFIX = 16;
+
+// Control key -> title and the spec section it reads
+export const SECURITY_CONTROLS = {
+  encryption: { title: 'Encryption', section: 'encryption' },
+  accessControl: { title: 'Access control', section: 'accessControl' },
+  networkSecurity: { title: 'Network security', section: 'network' },
+  monitoring: { title: 'Monitoring', section: 'monitoring' },
+  logging: { title: 'Logging', section: 'logging' },
+  backup: { title: 'Backup and recovery', section: 'backup' },
+  incidentResponse: { title: 'Incident response', section: 'incidentResponse' }
+};
+
+// 'spec.network.allowedSources' -> 'networkSecurity'
+export const controlForPath = (path) => {
+  const section = String(path).split('.')[1];
+  return Object.keys(SECURITY_CONTROLS).find(key => SECURITY_CONTROLS[key].section === section) || null;
+};
+
+export const isBroadSource = (source) => {
+  const value = String(source).trim().toLowerCase();
+  if (['*', 'any', 'internet', '0.0.0.0', '::'].includes(value)) return true;
+
+  const match = /\/(\d+)$/.exec(value);
+  if (!match) return false;
+
+  const prefix = Number(match[1]);
+  return value.includes(':') ? prefix < MIN_IPV6_PREFIX : prefix < MIN_IPV4_PREFIX;
+};
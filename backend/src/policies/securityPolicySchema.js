@@ -0,0 +1,117 @@
+/**
+ * JSON Schema for the SecurityPolicy document (apiVersion/kind/metadata/spec)
+ * that the generation agent asks the LLM to emit. Every object is closed with
+ * additionalProperties: false so that invented fields are reported instead of
+ * silently stored.
+ */
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const closedObject = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false
+});
+
+export const SECURITY_POLICY_API_VERSION = 'v1';
+export const SECURITY_POLICY_KIND = 'SecurityPolicy';
+
+export const securityPolicySchema = {
+  $id: 'https://ai-policy-foundry/schemas/security-policy.json',
+  title: 'SecurityPolicy',
+  ...closedObject({
+    apiVersion: { const: SECURITY_POLICY_API_VERSION },
+    kind: { const: SECURITY_POLICY_KIND },
+    metadata: closedObject({
+      name: {
+        type: 'string',
+        pattern: '^[a-z0-9]([-a-z0-9]*[a-z0-9])?$',
+        maxLength: 253
+      },
+      version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+      description: { type: 'string' },
+      labels: {
+        type: 'object',
+        additionalProperties: { type: 'string' }
+      },
+      annotations: {
+        type: 'object',
+        additionalProperties: { type: 'string' }
+      }
+    }, ['name']),
+    spec: closedObject({
+      encryption: closedObject({
+        atRest: { type: 'boolean' },
+        inTransit: { type: 'boolean' },
+        algorithm: { type: 'string' },
+        keyManagement: { enum: ['provider-managed', 'customer-managed', 'customer-supplied'] },
+        keyRotationDays: { type: 'integer', minimum: 1 },
+        tlsMinVersion: { enum: ['1.0', '1.1', '1.2', '1.3'] }
+      }, ['atRest', 'inTransit']),
+      accessControl: closedObject({
+        authentication: closedObject({
+          methods: stringList,
+          mfaRequired: { type: 'boolean' },
+          sessionTimeoutMinutes: { type: 'integer', minimum: 1 }
+        }),
+        authorization: closedObject({
+          model: { enum: ['rbac', 'abac'] },
+          leastPrivilege: { type: 'boolean' },
+          roles: {
+            type: 'array',
+            items: closedObject({
+              name: { type: 'string', minLength: 1 },
+              permissions: stringList
+            }, ['name', 'permissions'])
+          }
+        }),
+        publicAccess: { type: 'boolean' }
+      }),
+      network: closedObject({
+        allowedSources: stringList,
+        blockedPorts: {
+          type: 'array',
+          items: { type: 'integer', minimum: 1, maximum: 65535 }
+        },
+        privateEndpointsOnly: { type: 'boolean' }
+      }),
+      monitoring: closedObject({
+        enabled: { type: 'boolean' },
+        alerting: { type: 'boolean' },
+        metrics: stringList
+      }),
+      logging: closedObject({
+        enabled: { type: 'boolean' },
+        auditLogs: { type: 'boolean' },
+        retentionDays: { type: 'integer', minimum: 1 },
+        destinations: stringList
+      }),
+      backup: closedObject({
+        enabled: { type: 'boolean' },
+        automated: { type: 'boolean' },
+        retentionDays: { type: 'integer', minimum: 1 }
+      }),
+      incidentResponse: closedObject({
+        playbook: { type: 'string', minLength: 1 },
+        contacts: stringList,
+        automatedRemediation: { type: 'boolean' }
+      }),
+      compliance: closedObject({
+        framework: { enum: ['CIS', 'NIST', 'ISO', 'SOC2', 'PCI'] },
+        controls: {
+          type: 'array',
+          items: closedObject({
+            id: { type: 'string', minLength: 1 },
+            description: { type: 'string' }
+          }, ['id'])
+        }
+      }),
+      riskAssessment: closedObject({
+        level: { enum: ['minimal', 'low', 'medium', 'high', 'critical'] },
+        threats: stringList,
+        mitigations: stringList
+      })
+    }, ['encryption', 'accessControl'])
+  }, ['apiVersion', 'kind', 'metadata', 'spec'])
+};
@@ -0,0 +1,196 @@
+import Ajv from 'ajv';
+import yaml from 'js-yaml';
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { securityPolicySchema, SECURITY_POLICY_API_VERSION, SECURITY_POLICY_KIND } from './securityPolicySchema.js';
+
+// Terraform type names, so parameters double as module variables for exports
+export const PARAMETER_TYPES = ['string', 'number', 'bool', 'list(string)', 'list(number)', 'map(string)'];
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Structures sketch a SecurityPolicy for the generator, so below the spec
+// sections their values may be hints rather than valid settings
+const structureSchema = {
+  type: 'object',
+  properties: {
+    apiVersion: { const: SECURITY_POLICY_API_VERSION },
+    kind: { const: SECURITY_POLICY_KIND },
+    metadata: { type: ['object', 'null'] },
+    spec: {
+      type: 'object',
+      propertyNames: { enum: Object.keys(securityPolicySchema.properties.spec.properties) }
+    }
+  },
+  required: ['kind', 'spec'],
+  additionalProperties: false
+};
+
+const validateStructure = new Ajv({ allErrors: true, strict: false }).compile(structureSchema);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const MATCHES_TYPE = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  bool: value => typeof value === 'boolean',
+  'list(string)': value => Array.isArray(value) && value.every(MATCHES_TYPE.string),
+  'list(number)': value => Array.isArray(value) && value.every(MATCHES_TYPE.number),
+  'map(string)': value => isPlainObject(value) && Object.values(value).every(MATCHES_TYPE.string)
+};
+
+/**
+ * Names used as `{{ name }}` placeholders in a template structure
+ */
+export const templatePlaceholders = (structure) => [
+  ...new Set(Array.from(String(structure || '').matchAll(PLACEHOLDER), match => match[1]))
+];
+
+/**
+ * Why `value` is not acceptable for `parameter`, or null
+ */
+export const checkParameterValue = (parameter, value) => {
+  if (!MATCHES_TYPE[parameter.type]?.(value)) {
+    return `must be of type ${parameter.type}`;
+  }
+
+  if (Array.isArray(parameter.allowedValues)) {
+    const outside = [].concat(value).filter(entry => !parameter.allowedValues.includes(entry));
+    if (outside.length > 0) {
+      return `${outside.join(', ')} not allowed; allowed values are ${parameter.allowedValues.join(', ')}`;
+    }
+  }
+
+  for (const entry of [].concat(value).filter(MATCHES_TYPE.number)) {
+    if (parameter.minimum !== undefined && entry < parameter.minimum) return `must be at least ${parameter.minimum}`;
+    if (parameter.maximum !== undefined && entry > parameter.maximum) return `must be at most ${parameter.maximum}`;
+  }
+
+  return null;
+};
+
+/**
+ * Issues with a template definition: unknown types, defaults that do not
+ * satisfy their own parameter, placeholders without a parameter, and a
+ * structure that is not a SecurityPolicy sketch
+ */
+export const validateTemplateDefinition = ({ structure, parameters = [] }) => {
+  const issues = [];
+  const names = new Set();
+
+  parameters.forEach((parameter, index) => {
+    const path = `parameters[${index}]`;
+    if (names.has(parameter.name)) {
+      issues.push({ path: `${path}.name`, message: `duplicate parameter ${parameter.name}` });
+    }
+    names.add(parameter.name);
+
+    if (!PARAMETER_TYPES.includes(parameter.type)) {
+      issues.push({ path: `${path}.type`, message: `must be one of ${PARAMETER_TYPES.join(', ')}` });
+    } else if (parameter.default !== undefined) {
+      const problem = checkParameterValue(parameter, parameter.default);
+      if (problem) issues.push({ path: `${path}.default`, message: problem });
+    }
+  });
+
+  for (const name of templatePlaceholders(structure)) {
+    if (!names.has(name)) {
+      issues.push({ path: 'structure', message: `placeholder {{ ${name} }} has no parameter` });
+    }
+  }
+
+  issues.push(...checkRenderedStructure(String(structure || '').replace(PLACEHOLDER, 'null')));
+  return issues;
+};
+
+/**
+ * Parameter values for a render: the given values over the defaults.
+ * Returns { values, issues } with an issue for every unknown, missing
+ * required or invalid value.
+ */
+export const resolveParameters = (parameters = [], given = {}) => {
+  const issues = [];
+  const values = {};
+  const known = new Set(parameters.map(parameter => parameter.name));
+
+  for (const name of Object.keys(given)) {
+    if (!known.has(name)) {
+      issues.push({ path: `parameters.${name}`, message: 'is not a parameter of this template' });
+    }
+  }
+
+  for (const parameter of parameters) {
+    const value = given[parameter.name] !== undefined ? given[parameter.name] : parameter.default;
+    if (value === undefined) {
+      if (parameter.required) {
+        issues.push({ path: `parameters.${parameter.name}`, message: 'is required' });
+      }
+      continue;
+    }
+
+    const problem = checkParameterValue(parameter, value);
+    if (problem) {
+      issues.push({ path: `parameters.${parameter.name}`, message: problem });
+    } else {
+      values[parameter.name] = value;
+    }
+  }
+
+  return { values, issues };
+};
+
+// Every value as a JSON literal, which YAML reads back unchanged: strings
+// quoted and escaped, lists and maps as flow collections
+const renderValue = (value) => JSON.stringify(value);
+
+/**
+ * Issues with a rendered structure: YAML that does not parse, or a
+ * document that is not a SecurityPolicy sketch
+ */
+export const checkRenderedStructure = (structure) => {
+  let document;
+  try {
+    document = yaml.load(structure);
+  } catch (error) {
+    const line = error.mark ? ` at line ${error.mark.line + 1}, column ${error.mark.column + 1}` : '';
+    return [{ path: 'structure', message: `invalid YAML${line}: ${error.reason || error.message}` }];
+  }
+
+  if (validateStructure(document)) {
+    return [];
+  }
+  // A bad spec section also fails the enum inside propertyNames; report it once
+  return validateStructure.errors.filter(error => !error.schemaPath.includes('/propertyNames/')).map(error => ({
+    path: `structure${error.instancePath.replace(/\//g, '.')}`,
+    message: error.keyword === 'propertyNames'
+      ? `unknown spec section ${error.params.propertyName}`
+      : error.message
+  }));
+};
+
+/**
+ * Substitute parameter values into a template's structure. Placeholders
+ * stand for whole YAML values. Throws 422 with the parameter issues when
+ * the values do not fit the template, or with the structure issues when
+ * the result is not a SecurityPolicy sketch.
+ */
+export const renderTemplate = (template, given = {}) => {
+  const { values, issues } = resolveParameters(template.parameters, given);
+
+  for (const name of templatePlaceholders(template.structure)) {
+    if (values[name] === undefined && !issues.some(issue => issue.path === `parameters.${name}`)) {
+      issues.push({ path: `parameters.${name}`, message: 'is used by the template and has no value' });
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new UnprocessableEntityError(`Parameters do not fit template ${template.name} ${template.version}`, issues);
+  }
+
+  const structure = template.structure.replace(PLACEHOLDER, (placeholder, name) => renderValue(values[name]));
+  const structureIssues = checkRenderedStructure(structure);
+  if (structureIssues.length > 0) {
+    throw new UnprocessableEntityError(`Template ${template.name} ${template.version} does not render to a SecurityPolicy`, structureIssues);
+  }
+
+  return { parameters: values, structure };
+};
@@ -0,0 +1,63 @@
+import { renderTemplate, validateTemplateDefinition } from './templateParameters.js';
+import yaml from 'js-yaml';
+
+const template = {
+  name: 'Object Storage Security Policy',
+  version: '1.1.0',
+  structure: `apiVersion: v1
+kind: SecurityPolicy
+metadata: { name: {{ name }} }
+spec:
+  network: { allowedSources: {{ sources }} }
+  logging: { enabled: true, retentionDays: {{ retention_days }} }`,
+  parameters: [
+    { name: 'name', type: 'string', required: true },
+    { name: 'sources', type: 'list(string)', default: ['10.0.0.0/8'] },
+    { name: 'retention_days', type: 'number', default: 365 }
+  ]
+};
+
+describe('renderTemplate', () => {
+  it('renders parameter values as YAML literals', () => {
+    const { structure } = renderTemplate(template, { name: 'payments: true # bucket' });
+    const document = yaml.load(structure);
+
+    expect(document.metadata.name).toBe('payments: true # bucket');
+    expect(document.spec.network.allowedSources).toEqual(['10.0.0.0/8']);
+    expect(document.spec.logging.retentionDays).toBe(365);
+  });
+
+  it('keeps string values from injecting YAML', () => {
+    const { structure } = renderTemplate(template, { name: 'x }\nspec:\n  accessControl: { publicAccess: true' });
+    const document = yaml.load(structure);
+
+    expect(document.metadata.name).toBe('x }\nspec:\n  accessControl: { publicAccess: true');
+    expect(document.spec.accessControl).toBeUndefined();
+  });
+
+  it('rejects a structure that does not render to a SecurityPolicy', () => {
+    const broken = { ...template, structure: `kind: SecurityPolicy\nspec:\n  firewall: {{ name }}` };
+
+    expect(() => renderTemplate(broken, { name: 'open' })).toThrow(expect.objectContaining({
+      name: 'UnprocessableEntityError',
+      details: [{ path: 'structure.spec', message: 'unknown spec section firewall' }]
+    }));
+  });
+
+  it('rejects missing parameters before rendering', () => {
+    expect(() => renderTemplate(template, {})).toThrow(expect.objectContaining({
+      details: [{ path: 'parameters.name', message: 'is required' }]
+    }));
+  });
+});
+
+describe('validateTemplateDefinition', () => {
+  it('accepts a structure with placeholders', () => {
+    expect(validateTemplateDefinition(template)).toEqual([]);
+  });
+
+  it('rejects structures that are not YAML', () => {
+    const issues = validateTemplateDefinition({ ...template, structure: 'kind: SecurityPolicy\nspec: [' });
+    expect(issues).toEqual([expect.objectContaining({ path: 'structure', message: expect.stringMatching(/^invalid YAML/) })]);
+  });
+});
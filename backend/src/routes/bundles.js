@@ -0,0 +1,102 @@
+import express from 'express';
+import { bundleService } from '../bundles/BundleService.js';
+import { logger } from '../utils/logger.js';
+import { isHttpError } from '../middleware/errorHandler.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// If-None-Match may list several ETags, weak or strong, or be *
+const matchesETag = (header, etag) => Boolean(header) && header.split(',')
+  .map(value => value.trim().replace(/^W\//, ''))
+  .some(value => value === '*' || value === etag);
+
+// GET /api/bundles/:businessUnit/:environment - OPA bundle (.tar.gz) of the scope's active policies
+router.get('/:businessUnit/:environment', async (req, res, next) => {
+  try {
+    const { businessUnit, environment } = req.params;
+    
+    logger.info(`GET /api/bundles/${businessUnit}/${environment} - Serving OPA bundle`);
+    
+    const bundle = await bundleService.getBundle(businessUnit, environment);
+    const etag = bundleService.getETag(bundle);
+    
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'no-cache');
+    
+    if (matchesETag(req.get('If-None-Match'), etag)) {
+      return res.status(304).end();
+    }
+    
+    res.set('Content-Type', 'application/gzip');
+    res.send(bundle.archive);
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to serve OPA bundle ${req.params.businessUnit}/${req.params.environment}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to serve policy bundle',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/bundles/:businessUnit/:environment/manifest - Revision and policies of a bundle
+router.get('/:businessUnit/:environment/manifest', async (req, res, next) => {
+  try {
+    const { businessUnit, environment } = req.params;
+    
+    logger.info(`GET /api/bundles/${businessUnit}/${environment}/manifest - Retrieving OPA bundle manifest`);
+    
+    const bundle = await bundleService.getBundle(businessUnit, environment);
+    
+    res.json({
+      success: true,
+      data: bundleService.toSummary(bundle)
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to retrieve OPA bundle manifest ${req.params.businessUnit}/${req.params.environment}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve policy bundle manifest',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/bundles/:businessUnit/:environment/rebuild - Rebuild a bundle from the active policies
+router.post('/:businessUnit/:environment/rebuild', requirePermission('write'), async (req, res, next) => {
+  try {
+    const { businessUnit, environment } = req.params;
+    
+    logger.info(`POST /api/bundles/${businessUnit}/${environment}/rebuild - Rebuilding OPA bundle`);
+    
+    const bundle = await bundleService.buildBundle(businessUnit, environment);
+    
+    res.json({
+      success: true,
+      data: bundleService.toSummary(bundle),
+      message: `Bundle revision ${bundle.revision} built with ${bundle.policies.length} policies`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to rebuild OPA bundle ${req.params.businessUnit}/${req.params.environment}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rebuild policy bundle',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import { agentManager } from '../agents/agentManager.js';
+import { policyService } from '../policies/PolicyService.js';
 import { logger } from '../utils/logger.js';
+import { ValidationError, isHttpError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
@@ -49,45 +51,18 @@ router.get('/frameworks', async (req, res) => {
   }
 });
 
-// GET /api/compliance/audit - Get compliance audit results
-router.get('/audit', async (req, res) => {
+// GET /api/compliance/audit - Audit the active policies against their frameworks
+router.get('/audit', async (req, res, next) => {
   try {
-    logger.info('GET /api/compliance/audit - Retrieving compliance audit results');
+    logger.info('GET /api/compliance/audit - Auditing active policies');
     
-    // This would typically fetch from database
-    const audit = {
-      auditTime: new Date().toISOString(),
-      overallScore: 94,
-      frameworks: {
-        'CIS': {
-          score: 96,
-          compliantPolicies: 456,
-          totalPolicies: 475,
-          issues: 19
-        },
-        'NIST': {
-          score: 92,
-          compliantPolicies: 234,
-          totalPolicies: 254,
-          issues: 20
-        },
-        'ISO': {
-          score: 94,
-          compliantPolicies: 157,
-          totalPolicies: 167,
-          issues: 10
-        }
-      },
-      findings: [
-        {
-          type: 'warning',
-          severity: 'medium',
-          description: '3 policies need compliance review',
-          framework: 'CIS',
-          affectedPolicies: ['policy-001', 'policy-002', 'policy-003']
-        }
-      ]
-    };
+    const policies = [];
+    for await (const policy of policyService.eachPolicy({ status: 'active' })) {
+      policies.push(policy);
+    }
+    
+    // Audit using compliance agent; each policy's approved exceptions apply
+    const audit = await agentManager.executeTask('compliance', 'audit', { policies });
     
     res.json({
       success: true,
@@ -95,6 +70,9 @@ router.get('/audit', async (req, res) => {
     });
     
   } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
     logger.error('Failed to retrieve compliance audit:', error);
     res.status(500).json({
       success: false,
@@ -105,16 +83,28 @@ router.get('/audit', async (req, res) => {
 });
 
 // POST /api/compliance/validate - Validate policy compliance
-router.post('/validate', async (req, res) => {
+router.post('/validate', async (req, res, next) => {
   try {
-    const { policy, framework } = req.body;
+    const { policyId } = req.body;
+    let { policy, framework } = req.body;
     
     logger.info('POST /api/compliance/validate - Validating policy compliance');
     
+    // Exceptions accept risk for a stored document; they never apply to a submitted one
+    if (policyId) {
+      if (policy) {
+        throw new ValidationError('Give either a policy document or the policyId of a stored policy, not both');
+      }
+      const stored = await policyService.getPolicy(policyId);
+      policy = stored.document;
+      framework = framework || stored.complianceFramework;
+    }
+    
     // Validate policy using compliance agent
     const validation = await agentManager.executeTask('compliance', 'validate', {
       policy: policy,
-      framework: framework
+      framework: framework,
+      policyId: policyId
     });
     
     res.json({
@@ -123,6 +113,9 @@ router.post('/validate', async (req, res) => {
     });
     
   } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
     logger.error('Failed to validate compliance:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,98 @@
+import express from 'express';
+import { driftService } from '../drift/DriftService.js';
+import { policyService } from '../policies/PolicyService.js';
+import { logger } from '../utils/logger.js';
+import { isHttpError } from '../middleware/errorHandler.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validateDriftSnapshot, validateDriftQuery } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// POST /api/drift/snapshots - Compare an uploaded configuration snapshot with the active policies
+router.post('/snapshots', requirePermission('write'), validateDriftSnapshot, async (req, res, next) => {
+  try {
+    const { snapshot, format, source } = req.validatedData;
+    
+    logger.info('POST /api/drift/snapshots - Ingesting configuration snapshot');
+    
+    const result = await driftService.ingestSnapshot(snapshot, {
+      format,
+      source: source || `upload:${req.user?.email || req.user?.id || 'anonymous'}`
+    });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to ingest drift snapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to ingest drift snapshot',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/drift/policies/:policyId - Drift history of a policy
+router.get('/policies/:policyId', validateDriftQuery, async (req, res, next) => {
+  try {
+    const { policyId } = req.params;
+    
+    logger.info(`GET /api/drift/policies/${policyId} - Retrieving drift history`);
+    
+    await policyService.getPolicy(policyId);
+    const result = await driftService.listFindings({ ...req.validatedData, policyId });
+    
+    res.json({
+      success: true,
+      data: result.findings,
+      pagination: result.pagination
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to retrieve drift history for policy ${req.params.policyId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve drift history',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/drift/resources/:resourceId - Drift history of a resource (URL-encoded Terraform address or ARN)
+router.get('/resources/:resourceId', validateDriftQuery, async (req, res, next) => {
+  try {
+    const { resourceId } = req.params;
+    
+    logger.info(`GET /api/drift/resources/${resourceId} - Retrieving drift history`);
+    
+    const result = await driftService.listFindings({ ...req.validatedData, resourceId });
+    
+    res.json({
+      success: true,
+      data: result.findings,
+      pagination: result.pagination
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to retrieve drift history for resource ${req.params.resourceId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve drift history',
+      message: error.message
+    });
+  }
+});
+
+export default router;
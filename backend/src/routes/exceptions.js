@@ -0,0 +1,134 @@
+import express from 'express';
+import { policyExceptionService } from '../exceptions/PolicyExceptionService.js';
+import { logger } from '../utils/logger.js';
+import { isHttpError } from '../middleware/errorHandler.js';
+import { requirePermission, requireRole } from '../middleware/auth.js';
+import { APPROVER_ROLES } from '../policies/PolicyLifecycle.js';
+import {
+  validatePolicyExceptionRequest,
+  validatePolicyExceptionDecision,
+  validatePolicyExceptionQuery
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// GET /api/exceptions - Policy exceptions, soonest expiry first
+router.get('/', validatePolicyExceptionQuery, async (req, res, next) => {
+  try {
+    logger.info('GET /api/exceptions - Retrieving policy exceptions');
+    
+    const result = await policyExceptionService.listExceptions(req.validatedData);
+    
+    res.json({
+      success: true,
+      data: result.exceptions,
+      pagination: result.pagination
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to retrieve policy exceptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve policy exceptions',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/exceptions - Request an exception for a policy control
+router.post('/', requirePermission('write'), validatePolicyExceptionRequest, async (req, res, next) => {
+  try {
+    const { policyId, controlId } = req.validatedData;
+    
+    logger.info(`POST /api/exceptions - Requesting exception for ${controlId} on policy ${policyId}`);
+    
+    const exception = await policyExceptionService.requestException(req.validatedData, req.user);
+    
+    res.status(201).json({
+      success: true,
+      data: policyExceptionService.toSummary(exception),
+      message: `Exception requested; awaiting approval by ${exception.approver}`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to request policy exception:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request policy exception',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/exceptions/:id - Get a policy exception
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`GET /api/exceptions/${id} - Retrieving policy exception`);
+    
+    const exception = await policyExceptionService.getException(id);
+    
+    res.json({
+      success: true,
+      data: policyExceptionService.toSummary(exception)
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to retrieve policy exception ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve policy exception',
+      message: error.message
+    });
+  }
+});
+
+const decisionHandler = (action) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`POST /api/exceptions/${id}/${action} - Deciding policy exception`);
+    
+    const exception = action === 'revoke'
+      ? await policyExceptionService.revoke(id, req.user, req.validatedData)
+      : await policyExceptionService.decide(id, action, req.user, req.validatedData);
+    
+    res.json({
+      success: true,
+      data: policyExceptionService.toSummary(exception),
+      message: `Exception is now ${exception.status}`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to ${action} policy exception ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} policy exception`,
+      message: error.message
+    });
+  }
+};
+
+// POST /api/exceptions/:id/approve - Accept the risk (named approver only)
+router.post('/:id/approve', requireRole(APPROVER_ROLES), validatePolicyExceptionDecision, decisionHandler('approve'));
+
+// POST /api/exceptions/:id/reject - Decline the exception (named approver only)
+router.post('/:id/reject', requireRole(APPROVER_ROLES), validatePolicyExceptionDecision, decisionHandler('reject'));
+
+// POST /api/exceptions/:id/revoke - Withdraw a requested or approved exception
+router.post('/:id/revoke', requirePermission('write'), validatePolicyExceptionDecision, decisionHandler('revoke'));
+
+export default router;
@@ -0,0 +1,96 @@
+import express from 'express';
+import { gitOpsService } from '../gitops/GitOpsService.js';
+import { policyService } from '../policies/PolicyService.js';
+import { logger } from '../utils/logger.js';
+import { ConflictError, isHttpError } from '../middleware/errorHandler.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// GET /api/gitops/status - Repository, branch and last synced commit
+router.get('/status', async (req, res, next) => {
+  try {
+    logger.info('GET /api/gitops/status - Retrieving GitOps status');
+    
+    const status = await gitOpsService.getStatus();
+    
+    res.json({
+      success: true,
+      data: status
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to retrieve GitOps status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve GitOps status',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/gitops/sync - Import policy edits committed to the repository as drafts
+router.post('/sync', requirePermission('write'), async (req, res, next) => {
+  try {
+    logger.info('POST /api/gitops/sync - Importing repository changes');
+    
+    const result = await gitOpsService.sync();
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `Imported ${result.imported.length} policy files, skipped ${result.skipped.length}`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to sync GitOps repository:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync GitOps repository',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/gitops/policies/:id/publish - Commit an active policy's current version to the repository
+router.post('/policies/:id/publish', requirePermission('write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`POST /api/gitops/policies/${id}/publish - Committing policy to the repository`);
+    
+    const policy = await policyService.getPolicy(id);
+    if (policy.status !== 'active') {
+      throw new ConflictError(`Policy is ${policy.status}; only active policies are committed to the repository`);
+    }
+    
+    const result = await gitOpsService.publishPolicy(policy, req.user);
+    
+    res.json({
+      success: true,
+      data: result,
+      message: result.commit
+        ? `Committed ${policy.name} ${policy.version} as ${result.commit.slice(0, 7)}`
+        : `${result.path} is already up to date`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to publish policy ${req.params.id} to GitOps repository:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish policy to GitOps repository',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,41 +1,63 @@
 import express from 'express';
+import multer from 'multer';
 import { agentManager } from '../agents/agentManager.js';
+import { policyService } from '../policies/PolicyService.js';
+import { policyLifecycle, APPROVER_ROLES, OPERATOR_ROLES, CONFLICT_SCOPE_STATUSES } from '../policies/PolicyLifecycle.js';
+import { policyHierarchy } from '../policies/PolicyHierarchy.js';
+import { exportPolicy, exportPolicies, exportBusinessUnitBundle, listExportFormats } from '../exporters/index.js';
+import { importPolicies } from '../importers/index.js';
+import { policySimulator } from '../simulation/PolicySimulator.js';
+import { runPolicyTests } from '../policies/policyTests.js';
+import { generationJobService, SUMMARY_FORMATS } from '../generation/GenerationJobService.js';
+import { policySigner } from '../signing/PolicySigner.js';
+import { policySearch } from '../policies/PolicySearch.js';
 import { logger } from '../utils/logger.js';
-import { validatePolicyRequest } from '../middleware/validation.js';
+import { isHttpError, UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { requireRole, requirePermission } from '../middleware/auth.js';
+import {
+  validatePolicyRequest,
+  validateBatchGeneration,
+  validateGenerationJobResume,
+  validatePolicyUpdate,
+  validatePolicyRollback,
+  validatePolicyDiffQuery,
+  validatePolicyTransition,
+  validatePolicyExport,
+  validatePolicyBundleExport,
+  validatePolicyImport,
+  validatePolicySimulation,
+  validatePolicyTestRun,
+  validatePolicyTestUpdate,
+  validatePolicyVerification,
+  validatePolicyConflictQuery,
+  validatePolicySearch,
+  validateEffectivePolicyQuery,
+  validatePagination
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
+const IMPORT_MAX_FILES = 50;
+const IMPORT_MAX_FILE_BYTES = 1024 * 1024;
+
+// Imported policy files are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: IMPORT_MAX_FILES, fileSize: IMPORT_MAX_FILE_BYTES }
+});
+
 // GET /api/policies - Get all policies
-router.get('/', async (req, res) => {
+router.get('/', validatePagination, async (req, res) => {
   try {
     logger.info('GET /api/policies - Retrieving all policies');
     
-    // This would typically fetch from database
-    const policies = [
-      {
-        id: 'policy-001',
-        name: 'aws-s3-security-policy',
-        service: 'AWS S3',
-        status: 'active',
-        compliance: 'CIS 3.1',
-        lastUpdated: new Date().toISOString(),
-        risk: 'low'
-      },
-      {
-        id: 'policy-002',
-        name: 'azure-functions-security-policy',
-        service: 'Azure Functions',
-        status: 'pending',
-        compliance: 'CIS 2.4',
-        lastUpdated: new Date().toISOString(),
-        risk: 'medium'
-      }
-    ];
+    const { policies, pagination } = await policyService.listPolicies(req.query);
     
     res.json({
       success: true,
       data: policies,
-      count: policies.length
+      count: policies.length,
+      pagination
     });
     
   } catch (error) {
@@ -49,22 +71,28 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/policies/generate - Generate new policy
-router.post('/generate', validatePolicyRequest, async (req, res) => {
+router.post('/generate', requirePermission('write'), validatePolicyRequest, async (req, res, next) => {
   try {
-    const { service, requirements } = req.body;
+    const { service, requirements } = req.validatedData;
     
     logger.info(`POST /api/policies/generate - Generating policy for ${service}`);
     
     // Generate policy using agent system
     const policy = await agentManager.generatePolicy(service, requirements);
     
-    res.json({
+    // Persist the generated policy as a draft
+    const stored = await policyService.createPolicy(policy, req.user);
+    
+    res.status(201).json({
       success: true,
-      data: policy,
+      data: policyService.toDetail(stored),
       message: 'Policy generated successfully'
     });
     
   } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
     logger.error('Failed to generate policy:', error);
     res.status(500).json({
       success: false,
@@ -74,39 +102,438 @@ router.post('/generate', validatePolicyRequest, async (req, res) => {
   }
 });
 
+// POST /api/policies/generate/batch - Generate policies for many services as a background job
+router.post('/generate/batch', requirePermission('write'), validateBatchGeneration, async (req, res, next) => {
+  try {
+    const { items, concurrency } = req.validatedData;
+    
+    logger.info(`POST /api/policies/generate/batch - Queueing ${items.length} policy generations`);
+    
+    const job = await generationJobService.createJob(items, { concurrency }, req.user);
+    
+    res.status(202).json({
+      success: true,
+      data: generationJobService.toSummary(job),
+      message: `Generation job started for ${items.length} services`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to start generation job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start generation job',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/policies/generate/jobs - Recent generation jobs
+router.get('/generate/jobs', async (req, res) => {
+  try {
+    logger.info('GET /api/policies/generate/jobs - Retrieving generation jobs');
+    
+    const jobs = await generationJobService.listJobs();
+    
+    res.json({
+      success: true,
+      data: jobs,
+      count: jobs.length
+    });
+    
+  } catch (error) {
+    logger.error('Failed to retrieve generation jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve generation jobs',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/policies/generate/jobs/:jobId - Generation job progress with every item
+router.get('/generate/jobs/:jobId', async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    
+    logger.info(`GET /api/policies/generate/jobs/${jobId} - Retrieving generation job`);
+    
+    const job = await generationJobService.getJobDetail(jobId);
+    
+    res.json({
+      success: true,
+      data: job
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to retrieve generation job ${req.params.jobId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve generation job',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/policies/generate/jobs/:jobId/cancel - Stop a running generation job
+router.post('/generate/jobs/:jobId/cancel', requirePermission('write'), async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    
+    logger.info(`POST /api/policies/generate/jobs/${jobId}/cancel - Cancelling generation job`);
+    
+    const job = await generationJobService.cancelJob(jobId);
+    
+    res.json({
+      success: true,
+      data: generationJobService.toSummary(job, await generationJobService.countItems(jobId)),
+      message: 'Generation job cancelled; items in progress will still be recorded'
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to cancel generation job ${req.params.jobId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel generation job',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/policies/generate/jobs/:jobId/resume - Continue a cancelled or interrupted generation job
+router.post('/generate/jobs/:jobId/resume', requirePermission('write'), validateGenerationJobResume, async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    
+    logger.info(`POST /api/policies/generate/jobs/${jobId}/resume - Resuming generation job`);
+    
+    const job = await generationJobService.resumeJob(jobId, req.validatedData, req.user);
+    
+    res.status(202).json({
+      success: true,
+      data: generationJobService.toSummary(job),
+      message: 'Generation job resumed'
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to resume generation job ${req.params.jobId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume generation job',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/policies/generate/jobs/:jobId/summary?format= - Download the successes and failures of a generation job
+router.get('/generate/jobs/:jobId/summary', async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const format = req.query.format || 'json';
+    
+    if (!SUMMARY_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format parameter',
+        message: `format must be one of: ${SUMMARY_FORMATS.join(', ')}`
+      });
+    }
+    
+    logger.info(`GET /api/policies/generate/jobs/${jobId}/summary - Downloading ${format} summary`);
+    
+    const file = await generationJobService.getSummaryFile(jobId, format);
+    
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to build summary for generation job ${req.params.jobId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build generation job summary',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/policies/export - Export policies selected by id or filters in one format
+router.post('/export', validatePolicyExport, async (req, res, next) => {
+  try {
+    const { format, ids, filters = {}, signed } = req.validatedData;
+    
+    logger.info(`POST /api/policies/export - Exporting policies as ${format}`);
+    
+    const policies = await policyService.findPolicies({ ids, ...filters });
+    const exported = await exportPolicies(policies, format, { signed });
+    
+    res.json({
+      success: true,
+      data: exported,
+      message: `Exported ${exported.exports.length} of ${policies.length} policies`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to export policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export policies',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/policies/export/bundles/:businessUnit?format=&status=&environment= - Download a business unit's multi-document YAML bundle
+router.get('/export/bundles/:businessUnit', validatePolicyBundleExport, async (req, res, next) => {
+  try {
+    const { businessUnit, format, status, environment } = req.validatedData;
+    
+    logger.info(`GET /api/policies/export/bundles/${businessUnit} - Bundling ${status} ${format} policies`);
+    
+    const policies = [];
+    for await (const policy of policyService.eachPolicy({ status, environment }, {
+      businessUnit: businessUnit === 'unassigned' ? null : businessUnit
+    })) {
+      policies.push(policy);
+    }
+    
+    const { file, exported, errors } = await exportBusinessUnitBundle(policies, format, businessUnit);
+    
+    if (errors.length > 0) {
+      logger.warn(`Bundle for ${businessUnit} skipped ${errors.length} policies that could not be exported`);
+    }
+    
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${format}-${businessUnit}.yaml"`);
+    res.set('X-Exported-Policies', String(exported));
+    res.set('X-Skipped-Policies', String(errors.length));
+    res.send(file.content);
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to bundle policies for ${req.params.businessUnit}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to bundle policies',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/policies/import - Import IAM/SCP JSON, Azure Policy definitions and Rego files as draft policies
+router.post('/import', requirePermission('write'), upload.array('files', IMPORT_MAX_FILES), validatePolicyImport, async (req, res, next) => {
+  try {
+    const files = req.files || [];
+    
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded',
+        message: 'Upload policy files in the multipart field "files"'
+      });
+    }
+    
+    logger.info(`POST /api/policies/import - Importing ${files.length} policy files`);
+    
+    const result = await importPolicies(files, req.validatedData, req.user);
+    
+    if (result.imported.length === 0) {
+      throw new UnprocessableEntityError('None of the uploaded files could be imported', result.errors);
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `Imported ${result.imported.length} of ${files.length} files as draft policies`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to import policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import policies',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/policies/conflicts - Conflicts, duplicates and shadowed rules across the policy set
+router.get('/conflicts', validatePolicyConflictQuery, async (req, res, next) => {
+  try {
+    const { status = CONFLICT_SCOPE_STATUSES, ...filters } = req.validatedData;
+    
+    logger.info('GET /api/policies/conflicts - Analyzing policy conflicts');
+    
+    const policies = await policyService.findPolicies({ ...filters, status });
+    const analysis = await agentManager.executeTask('security-analysis', 'conflict-analysis', { policies });
+    
+    res.json({
+      success: true,
+      data: analysis
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to analyze policy conflicts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze policy conflicts',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/policies/search - Full-text and structured search with facets and highlights
+router.get('/search', validatePolicySearch, async (req, res, next) => {
+  try {
+    logger.info(`GET /api/policies/search - Searching policies${req.validatedData.q ? ` for '${req.validatedData.q}'` : ''}`);
+    
+    const { results, facets, conditions, pagination } = await policySearch.search(req.validatedData);
+    
+    res.json({
+      success: true,
+      data: results,
+      facets,
+      conditions,
+      pagination
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to search policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search policies',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/policies/effective - Effective policy of a service for a business unit and environment
+router.get('/effective', validateEffectivePolicyQuery, async (req, res, next) => {
+  try {
+    const { service, businessUnit, environment, status } = req.validatedData;
+    
+    logger.info(`GET /api/policies/effective - Merging ${service} layers for ${businessUnit}/${environment}`);
+    
+    const effective = await policyHierarchy.getEffectivePolicy({
+      service,
+      businessUnit,
+      environment,
+      ...(status && { statuses: status })
+    });
+    
+    res.json({
+      success: true,
+      data: effective
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to resolve effective policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve effective policy',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/policies/signing-key - Public key enforcement points verify policy signatures with
+router.get('/signing-key', async (req, res, next) => {
+  try {
+    logger.info('GET /api/policies/signing-key - Retrieving policy signing key');
+    
+    res.json({
+      success: true,
+      data: policySigner.getPublicKey()
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to retrieve policy signing key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve policy signing key',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/policies/verify - Check a policy document against its detached signature
+router.post('/verify', validatePolicyVerification, async (req, res, next) => {
+  try {
+    logger.info('POST /api/policies/verify - Verifying policy signature');
+    
+    const verification = await policySigner.verify(req.validatedData);
+    
+    res.json({
+      success: true,
+      data: verification,
+      message: verification.valid ? 'Policy signature is valid' : `Policy signature is invalid: ${verification.reason}`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to verify policy signature:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify policy signature',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/policies/:id - Get specific policy
-router.get('/:id', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
     
     logger.info(`GET /api/policies/${id} - Retrieving policy`);
     
-    // This would typically fetch from database
-    const policy = {
-      id: id,
-      name: `${id}-security-policy`,
-      service: 'AWS S3',
-      status: 'active',
-      compliance: 'CIS 3.1',
-      lastUpdated: new Date().toISOString(),
-      risk: 'low',
-      content: `# ${id} Security Policy
-apiVersion: v1
-kind: SecurityPolicy
-metadata:
-  name: ${id}-security-policy
-spec:
-  encryption:
-    atRest: true
-    inTransit: true`
-    };
+    const policy = await policyService.getPolicy(id);
     
     res.json({
       success: true,
-      data: policy
+      data: policyService.toDetail(policy)
     });
     
   } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
     logger.error(`Failed to retrieve policy ${req.params.id}:`, error);
     res.status(500).json({
       success: false,
@@ -117,27 +544,24 @@ spec:
 });
 
 // PUT /api/policies/:id - Update policy
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('write'), validatePolicyUpdate, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
     
     logger.info(`PUT /api/policies/${id} - Updating policy`);
     
-    // This would typically update in database
-    const updatedPolicy = {
-      id: id,
-      ...updates,
-      lastUpdated: new Date().toISOString()
-    };
+    const updatedPolicy = await policyService.updatePolicy(id, req.validatedData, req.user);
     
     res.json({
       success: true,
-      data: updatedPolicy,
+      data: policyService.toDetail(updatedPolicy),
       message: 'Policy updated successfully'
     });
     
   } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
     logger.error(`Failed to update policy ${req.params.id}:`, error);
     res.status(500).json({
       success: false,
@@ -148,13 +572,13 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/policies/:id - Delete policy
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
     logger.info(`DELETE /api/policies/${id} - Deleting policy`);
     
-    // This would typically delete from database
+    await policyService.deletePolicy(id, req.user);
     
     res.json({
       success: true,
@@ -162,6 +586,9 @@ router.delete('/:id', async (req, res) => {
     });
     
   } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
     logger.error(`Failed to delete policy ${req.params.id}:`, error);
     res.status(500).json({
       success: false,
@@ -171,17 +598,267 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// GET /api/policies/:id/versions - List policy version history
+router.get('/:id/versions', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`GET /api/policies/${id}/versions - Retrieving version history`);
+    
+    const versions = await policyService.listVersions(id);
+    
+    res.json({
+      success: true,
+      data: versions,
+      count: versions.length
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to retrieve versions for policy ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve policy versions',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/policies/:id/versions/:version - Get a specific policy version
+router.get('/:id/versions/:version', async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+    
+    logger.info(`GET /api/policies/${id}/versions/${version} - Retrieving policy version`);
+    
+    const record = await policyService.getVersion(id, version);
+    
+    res.json({
+      success: true,
+      data: {
+        version: record.version,
+        changeType: record.changeType,
+        author: record.author,
+        reason: record.reason,
+        createdAt: record.createdAt,
+        document: record.document,
+        signatures: await policySigner.listSignatures(record.id)
+      }
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to retrieve version ${req.params.version} of policy ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve policy version',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/policies/:id/diff?from=&to= - Diff two policy versions
+router.get('/:id/diff', validatePolicyDiffQuery, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.validatedData;
+    
+    logger.info(`GET /api/policies/${id}/diff - Comparing ${from || 'previous'} to ${to || 'current'}`);
+    
+    const diff = await policyService.diffVersions(id, from, to);
+    
+    res.json({
+      success: true,
+      data: diff
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to diff policy ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff policy versions',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/policies/:id/rollback - Restore an earlier version
+router.post('/:id/rollback', requirePermission('write'), validatePolicyRollback, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { version, reason } = req.validatedData;
+    
+    logger.info(`POST /api/policies/${id}/rollback - Rolling back to ${version}`);
+    
+    const policy = await policyService.rollbackPolicy(id, version, req.user, reason);
+    
+    res.json({
+      success: true,
+      data: policyService.toDetail(policy),
+      message: `Policy rolled back to ${version}`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to roll back policy ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back policy',
+      message: error.message
+    });
+  }
+});
+
+// Lifecycle transitions share one handler; guards differ per action
+const transitionHandler = (action) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { comment } = req.validatedData;
+    
+    logger.info(`POST /api/policies/${id}/${action} - Lifecycle transition`);
+    
+    const { policy, transition, approvals, conflicts, signature } = await policyLifecycle.transition(id, action, req.user, comment);
+    
+    res.json({
+      success: true,
+      data: {
+        ...policyService.toSummary(policy),
+        transition: {
+          action: transition.action,
+          fromStatus: transition.fromStatus,
+          toStatus: transition.toStatus,
+          actor: transition.actor,
+          createdAt: transition.createdAt
+        },
+        ...(approvals && { approvals }),
+        ...(signature && { signature: policySigner.toSummary(signature) }),
+        ...(conflicts !== undefined && { conflicts })
+      },
+      message: `Policy ${action} recorded; status is ${policy.status}`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to ${action} policy ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} policy`,
+      message: error.message
+    });
+  }
+};
+
+// POST /api/policies/:id/submit - Send a draft for review
+router.post('/:id/submit', requirePermission('write'), validatePolicyTransition, transitionHandler('submit'));
+
+// POST /api/policies/:id/approve - Sign off on a policy under review
+router.post('/:id/approve', requireRole(APPROVER_ROLES), validatePolicyTransition, transitionHandler('approve'));
+
+// POST /api/policies/:id/reject - Return a policy under review to draft
+router.post('/:id/reject', requireRole(APPROVER_ROLES), validatePolicyTransition, transitionHandler('reject'));
+
+// POST /api/policies/:id/activate - Enforce an approved policy
+router.post('/:id/activate', requireRole(OPERATOR_ROLES), validatePolicyTransition, transitionHandler('activate'));
+
+// POST /api/policies/:id/deprecate - Mark an active policy for replacement
+router.post('/:id/deprecate', requireRole(OPERATOR_ROLES), validatePolicyTransition, transitionHandler('deprecate'));
+
+// POST /api/policies/:id/retire - Take a deprecated policy out of service
+router.post('/:id/retire', requireRole(['admin']), validatePolicyTransition, transitionHandler('retire'));
+
+// POST /api/policies/:id/revise - Reopen an approved, active or deprecated policy as a draft
+router.post('/:id/revise', requireRole(OPERATOR_ROLES), validatePolicyTransition, transitionHandler('revise'));
+
+// GET /api/policies/:id/transitions - Lifecycle history
+router.get('/:id/transitions', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`GET /api/policies/${id}/transitions - Retrieving lifecycle history`);
+    
+    const history = await policyLifecycle.getHistory(id);
+    
+    res.json({
+      success: true,
+      data: history
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to retrieve transitions for policy ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve policy transitions',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/policies/:id/export?format=&signed= - Compile a policy for an enforcement engine
+router.get('/:id/export', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { format } = req.query;
+    const signed = req.query.signed === 'true';
+    
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format parameter',
+        message: `format is required; supported formats: ${listExportFormats().map(entry => entry.format).join(', ')}`
+      });
+    }
+    
+    logger.info(`GET /api/policies/${id}/export - Exporting policy as ${format}`);
+    
+    const policy = await policyService.getPolicy(id);
+    const exported = await exportPolicy(policy, format, { signed });
+    
+    res.json({
+      success: true,
+      data: exported
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to export policy ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export policy',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/policies/:id/validate - Validate policy
-router.post('/:id/validate', async (req, res) => {
+router.post('/:id/validate', async (req, res, next) => {
   try {
     const { id } = req.params;
     
     logger.info(`POST /api/policies/${id}/validate - Validating policy`);
     
-    // Validate policy using compliance agent
+    const policy = await policyService.getPolicy(id);
+    
+    // Validate policy using compliance agent, with the policy's approved exceptions
     const validation = await agentManager.executeTask('compliance', 'validate', {
-      policy: { metadata: { name: id } },
-      framework: 'CIS'
+      policy: policy.document,
+      framework: policy.complianceFramework,
+      policyId: policy.id
     });
     
     res.json({
@@ -190,6 +867,9 @@ router.post('/:id/validate', async (req, res) => {
     });
     
   } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
     logger.error(`Failed to validate policy ${req.params.id}:`, error);
     res.status(500).json({
       success: false,
@@ -200,16 +880,18 @@ router.post('/:id/validate', async (req, res) => {
 });
 
 // POST /api/policies/:id/analyze - Analyze policy security
-router.post('/:id/analyze', async (req, res) => {
+router.post('/:id/analyze', async (req, res, next) => {
   try {
     const { id } = req.params;
     
     logger.info(`POST /api/policies/${id}/analyze - Analyzing policy security`);
     
+    const policy = await policyService.getPolicy(id);
+    
     // Analyze policy using security analysis agent
     const analysis = await agentManager.executeTask('security-analysis', 'analyze', {
-      policy: { metadata: { name: id } },
-      context: { environment: 'production' }
+      policy: policy.document,
+      context: { environment: policy.environment }
     });
     
     res.json({
@@ -218,6 +900,9 @@ router.post('/:id/analyze', async (req, res) => {
     });
     
   } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
     logger.error(`Failed to analyze policy ${req.params.id}:`, error);
     res.status(500).json({
       success: false,
@@ -227,31 +912,134 @@ router.post('/:id/analyze', async (req, res) => {
   }
 });
 
+// GET /api/policies/:id/conflicts - Conflicts between a policy and the others for its service
+router.get('/:id/conflicts', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`GET /api/policies/${id}/conflicts - Analyzing policy conflicts`);
+    
+    const policy = await policyService.getPolicy(id);
+    const analysis = await policyLifecycle.analyzeConflicts(policy);
+    
+    res.json({
+      success: true,
+      data: analysis
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to analyze conflicts for policy ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze policy conflicts',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/policies/:id/simulate - Dry-run a policy against a snapshot of resource configurations
+router.post('/:id/simulate', validatePolicySimulation, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { snapshot, format, allServices } = req.validatedData;
+    
+    logger.info(`POST /api/policies/${id}/simulate - Simulating policy against a resource snapshot`);
+    
+    const policy = await policyService.getPolicy(id);
+    const simulation = policySimulator.simulate(policy, snapshot, { format, allServices });
+    
+    res.json({
+      success: true,
+      data: simulation
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to simulate policy ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to simulate policy',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/policies/:id/test - Run the policy's tests, or the tests in the body
+router.post('/:id/test', validatePolicyTestRun, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { tests } = req.validatedData;
+    
+    logger.info(`POST /api/policies/${id}/test - Running policy tests`);
+    
+    const policy = await policyService.getPolicy(id);
+    const report = runPolicyTests(policy, tests);
+    
+    res.json({
+      success: true,
+      data: report
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to run tests for policy ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run policy tests',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/policies/:id/tests - Replace a draft policy's tests as a new version
+router.put('/:id/tests', requirePermission('write'), validatePolicyTestUpdate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { tests, reason } = req.validatedData;
+    
+    logger.info(`PUT /api/policies/${id}/tests - Updating ${tests.length} policy tests`);
+    
+    const current = await policyService.getPolicy(id);
+    const policy = await policyService.updatePolicy(id, {
+      document: { ...current.document, tests },
+      reason
+    }, req.user);
+    
+    res.json({
+      success: true,
+      data: {
+        policy: policyService.toDetail(policy),
+        tests: runPolicyTests(policy)
+      },
+      message: 'Policy tests updated successfully'
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to update tests for policy ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update policy tests',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/policies/stats - Get policy statistics
 router.get('/stats/overview', async (req, res) => {
   try {
     logger.info('GET /api/policies/stats - Retrieving policy statistics');
     
-    // This would typically calculate from database
-    const stats = {
-      total: 847,
-      active: 823,
-      pending: 23,
-      draft: 1,
-      complianceScore: 94,
-      averageRisk: 'low',
-      byService: {
-        'AWS S3': 156,
-        'AWS Lambda': 89,
-        'Azure Functions': 67,
-        'GCP Cloud Storage': 45
-      },
-      byCompliance: {
-        'CIS': 456,
-        'NIST': 234,
-        'ISO': 157
-      }
-    };
+    const stats = await policyService.getStats();
     
     res.json({
       success: true,
@@ -268,4 +1056,4 @@ router.get('/stats/overview', async (req, res) => {
   }
 });
 
-export default router; 
\ No newline at end of file
+export default router;
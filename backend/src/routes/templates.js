@@ -0,0 +1,262 @@
+import express from 'express';
+import { policyTemplateService } from '../policies/PolicyTemplateService.js';
+import { logger } from '../utils/logger.js';
+import { isHttpError } from '../middleware/errorHandler.js';
+import { requirePermission } from '../middleware/auth.js';
+import {
+  validateTemplateCreate,
+  validateTemplateUpdate,
+  validateTemplatePreview
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// GET /api/templates - List policy templates (optional `service` filter)
+router.get('/', async (req, res, next) => {
+  try {
+    const { service } = req.query;
+    
+    logger.info('GET /api/templates - Retrieving policy templates');
+    
+    const templates = await policyTemplateService.listTemplates({ service });
+    
+    res.json({
+      success: true,
+      data: templates,
+      count: templates.length
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to retrieve policy templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve policy templates',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/templates - Create a policy template
+router.post('/', requirePermission('write'), validateTemplateCreate, async (req, res, next) => {
+  try {
+    const { reason, ...data } = req.validatedData;
+    
+    logger.info(`POST /api/templates - Creating template ${data.name} for ${data.service}`);
+    
+    const template = await policyTemplateService.createTemplate(data, req.user, { reason });
+    
+    res.status(201).json({
+      success: true,
+      data: policyTemplateService.toDetail(template),
+      message: 'Policy template created successfully'
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error('Failed to create policy template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create policy template',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/templates/:id - Get a policy template
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`GET /api/templates/${id} - Retrieving policy template`);
+    
+    const template = await policyTemplateService.getTemplate(id);
+    
+    res.json({
+      success: true,
+      data: policyTemplateService.toDetail(template)
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to retrieve policy template ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve policy template',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/templates/:id - Update a policy template (requires `reason`; stored as a new version)
+router.put('/:id', requirePermission('write'), validateTemplateUpdate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`PUT /api/templates/${id} - Updating policy template`);
+    
+    const template = await policyTemplateService.updateTemplate(id, req.validatedData, req.user);
+    
+    res.json({
+      success: true,
+      data: policyTemplateService.toDetail(template),
+      message: 'Policy template updated successfully'
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to update policy template ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update policy template',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/templates/:id - Delete a policy template and its versions
+router.delete('/:id', requirePermission('write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`DELETE /api/templates/${id} - Deleting policy template`);
+    
+    await policyTemplateService.deleteTemplate(id);
+    
+    res.json({
+      success: true,
+      message: 'Policy template deleted successfully'
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to delete policy template ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete policy template',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/templates/:id/default - Make a template its service's default for generation
+router.post('/:id/default', requirePermission('write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`POST /api/templates/${id}/default - Making template the service default`);
+    
+    const template = await policyTemplateService.setDefault(id);
+    
+    res.json({
+      success: true,
+      data: policyTemplateService.toDetail(template),
+      message: `Policy template is now the default for ${template.service}`
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to make policy template ${req.params.id} the default:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set default policy template',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/templates/:id/versions - List template version history
+router.get('/:id/versions', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`GET /api/templates/${id}/versions - Retrieving version history`);
+    
+    const versions = await policyTemplateService.listVersions(id);
+    
+    res.json({
+      success: true,
+      data: versions,
+      count: versions.length
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to retrieve versions for policy template ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve policy template versions',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/templates/:id/versions/:version - Get a specific template version
+router.get('/:id/versions/:version', async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+    
+    logger.info(`GET /api/templates/${id}/versions/${version} - Retrieving template version`);
+    
+    const template = await policyTemplateService.getVersion(id, version);
+    
+    res.json({
+      success: true,
+      data: template
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to retrieve version ${req.params.version} of policy template ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve policy template version',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/templates/:id/preview - Render a template version with parameter values
+router.post('/:id/preview', validateTemplatePreview, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    logger.info(`POST /api/templates/${id}/preview - Rendering policy template`);
+    
+    const preview = await policyTemplateService.previewTemplate(id, req.validatedData);
+    
+    res.json({
+      success: true,
+      data: preview
+    });
+    
+  } catch (error) {
+    if (isHttpError(error)) {
+      return next(error);
+    }
+    logger.error(`Failed to preview policy template ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview policy template',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,272 @@
+import crypto from 'crypto';
+import { readFile } from 'fs/promises';
+import { PolicySignature } from '../models/PolicySignature.js';
+import { PolicyVersion } from '../models/PolicyVersion.js';
+import { ConflictError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// JWS algorithm names by EC curve; signatures use the raw r||s encoding
+const EC_ALGORITHMS = {
+  prime256v1: { algorithm: 'ES256', hash: 'sha256' },
+  secp384r1: { algorithm: 'ES384', hash: 'sha384' },
+  secp521r1: { algorithm: 'ES512', hash: 'sha512' }
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * JSON with object keys sorted at every level, so a document signs to the
+ * same bytes however its keys were ordered (Postgres JSONB reorders them)
+ */
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(entry => canonicalJson(entry === undefined ? null : entry)).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+export const documentDigest = (document) => sha256(canonicalJson(document));
+
+/**
+ * Signs approved policy versions with the key in POLICY_SIGNING_KEY_FILE
+ * (PEM, Ed25519 or ECDSA P-256/384/521). The detached signature covers
+ * the canonical JSON of the version's document and is stored in
+ * policy_signatures. Without a key, approvals go through unsigned.
+ */
+export class PolicySigner {
+  constructor() {
+    this.key = null;
+  }
+
+  async initialize() {
+    const file = process.env.POLICY_SIGNING_KEY_FILE;
+    if (!file) {
+      logger.warn('Policy signing: POLICY_SIGNING_KEY_FILE not set, approved policies will not be signed');
+      return;
+    }
+
+    // A configured but unusable key must stop start-up rather than silently skip signing
+    const privateKey = crypto.createPrivateKey(await readFile(file));
+    const publicKey = crypto.createPublicKey(privateKey);
+    const { algorithm, hash } = this.getAlgorithm(privateKey);
+
+    this.key = {
+      privateKey,
+      publicKey,
+      algorithm,
+      hash,
+      keyId: process.env.POLICY_SIGNING_KEY_ID
+        || `sha256:${sha256(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 16)}`
+    };
+
+    logger.info(`Policy signing: signing approved policies with ${algorithm} key ${this.key.keyId}`);
+  }
+
+  getAlgorithm(privateKey) {
+    if (privateKey.asymmetricKeyType === 'ed25519') {
+      return { algorithm: 'Ed25519', hash: null };
+    }
+
+    const curve = privateKey.asymmetricKeyDetails?.namedCurve;
+    if (privateKey.asymmetricKeyType === 'ec' && EC_ALGORITHMS[curve]) {
+      return EC_ALGORITHMS[curve];
+    }
+
+    throw new Error(
+      `Unsupported policy signing key ${privateKey.asymmetricKeyType}${curve ? ` (${curve})` : ''}; use Ed25519 or ECDSA P-256, P-384 or P-521`
+    );
+  }
+
+  isEnabled() {
+    return this.key !== null;
+  }
+
+  assertEnabled() {
+    if (!this.key) {
+      throw new ConflictError('Policy signing is not configured');
+    }
+  }
+
+  sign(payload) {
+    const { privateKey, hash } = this.key;
+    return crypto.sign(hash, Buffer.from(payload), { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64');
+  }
+
+  verifySignature(payload, signature) {
+    const { publicKey, hash } = this.key;
+    try {
+      return crypto.verify(hash, Buffer.from(payload), { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      // Malformed signatures are reported as invalid, not as errors
+      logger.debug(`Policy signature could not be checked: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Sign the policy's current version. Returns the stored signature, the
+   * existing one when the version was already signed with this key, or
+   * null when signing is not configured.
+   */
+  async signPolicyVersion(policy, actor, transaction) {
+    if (!this.key) {
+      logger.warn(`Policy ${policy.id} ${policy.version} approved without a signature; signing is not configured`);
+      return null;
+    }
+
+    const version = await PolicyVersion.findOne({
+      where: { policyId: policy.id, version: policy.version },
+      transaction
+    });
+    if (!version) {
+      throw new ConflictError(`Policy ${policy.id} has no recorded version ${policy.version} to sign`);
+    }
+
+    const existing = await PolicySignature.findOne({
+      where: { policyVersionId: version.id, keyId: this.key.keyId },
+      transaction
+    });
+    if (existing) {
+      return existing;
+    }
+
+    const payload = canonicalJson(version.document);
+    const signature = await PolicySignature.create({
+      policyVersionId: version.id,
+      policyId: policy.id,
+      version: version.version,
+      keyId: this.key.keyId,
+      algorithm: this.key.algorithm,
+      digest: sha256(payload),
+      signature: this.sign(payload),
+      signedBy: actor
+    }, { transaction });
+
+    logger.info(`Policy ${policy.id} ${policy.version} signed with key ${this.key.keyId}`);
+    return signature;
+  }
+
+  /**
+   * The stored signature of a policy's current version with the active key
+   */
+  async getPolicySignature(policy) {
+    this.assertEnabled();
+
+    const signature = await PolicySignature.findOne({
+      where: { policyId: policy.id, version: policy.version, keyId: this.key.keyId }
+    });
+    if (!signature) {
+      throw new ConflictError(`Policy ${policy.name} ${policy.version} has not been signed; only approved versions are signed`);
+    }
+    return signature;
+  }
+
+  async listSignatures(policyVersionId) {
+    const signatures = await PolicySignature.findAll({
+      where: { policyVersionId },
+      order: [['createdAt', 'ASC']]
+    });
+    return signatures.map(signature => this.toSummary(signature));
+  }
+
+  getPublicKey() {
+    this.assertEnabled();
+
+    const { publicKey, keyId, algorithm } = this.key;
+    return {
+      keyId,
+      algorithm,
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      jwk: { ...publicKey.export({ format: 'jwk' }), kid: keyId, alg: algorithm === 'Ed25519' ? 'EdDSA' : algorithm }
+    };
+  }
+
+  /**
+   * Check a detached signature over a policy document, and find the stored
+   * policy version it was issued for
+   */
+  async verify({ document, signature, keyId }) {
+    this.assertEnabled();
+
+    const payload = canonicalJson(document);
+    const digest = sha256(payload);
+    const result = { valid: false, keyId: this.key.keyId, algorithm: this.key.algorithm, digest, policy: null };
+
+    if (keyId && keyId !== this.key.keyId) {
+      return { ...result, reason: `Signed with key ${keyId}, not the current signing key` };
+    }
+
+    if (!this.verifySignature(payload, signature)) {
+      return { ...result, reason: 'Signature does not match the document' };
+    }
+
+    const stored = await PolicySignature.findOne({ where: { digest, keyId: this.key.keyId } });
+    return {
+      ...result,
+      valid: true,
+      policy: stored && {
+        id: stored.policyId,
+        version: stored.version,
+        signedBy: stored.signedBy,
+        signedAt: stored.createdAt
+      }
+    };
+  }
+
+  /**
+   * Add the policy's signature to an export: embedded as `signature`, and
+   * shipped as signature.json with the SHA-256 of every exported file and
+   * a signature over that manifest
+   */
+  async attachSignature(policy, exported) {
+    const stored = await this.getPolicySignature(policy);
+    const signature = this.toSummary(stored);
+
+    const manifest = {
+      policyId: policy.id,
+      version: stored.version,
+      digest: stored.digest,
+      files: exported.files.map(file => ({ path: file.path, sha256: sha256(file.content) }))
+    };
+
+    return {
+      ...exported,
+      signature,
+      files: [
+        ...exported.files,
+        {
+          path: 'signature.json',
+          contentType: 'application/json',
+          content: JSON.stringify({
+            ...signature,
+            manifest,
+            manifestSignature: this.sign(canonicalJson(manifest))
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
+  toSummary(signature) {
+    return {
+      keyId: signature.keyId,
+      algorithm: signature.algorithm,
+      digest: signature.digest,
+      signature: signature.signature,
+      signedBy: signature.signedBy,
+      signedAt: signature.createdAt
+    };
+  }
+}
+
+// Singleton instance
+const policySigner = new PolicySigner();
+
+export { policySigner };
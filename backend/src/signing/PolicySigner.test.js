@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PolicySigner, canonicalJson } from './PolicySigner.js';
+import { PolicySignature } from '../models/PolicySignature.js';
+import { PolicyVersion } from '../models/PolicyVersion.js';
+
+const document = {
+  metadata: { name: 'storage-policy', version: '1.0.0' },
+  policy: { spec: { encryption: { atRest: true, inTransit: true } } }
+};
+
+const POLICY_ID = '7f1c2a4e-3333-4c8b-9d1e-000000000001';
+
+let directory;
+
+// A signer initialized from a freshly generated key file
+const signerWith = async (type, options) => {
+  const { privateKey } = crypto.generateKeyPairSync(type, options);
+  const file = path.join(directory, `${type}.pem`);
+  await fs.writeFile(file, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+  process.env.POLICY_SIGNING_KEY_FILE = file;
+  const signer = new PolicySigner();
+  await signer.initialize();
+  return signer;
+};
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'signing-'));
+  delete process.env.POLICY_SIGNING_KEY_ID;
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  delete process.env.POLICY_SIGNING_KEY_FILE;
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+describe('canonicalJson', () => {
+  it('does not depend on key order', () => {
+    expect(canonicalJson({ b: 1, a: { d: [1, { f: 2, e: 3 }], c: null } }))
+      .toBe(canonicalJson({ a: { c: null, d: [1, { e: 3, f: 2 }] }, b: 1 }));
+  });
+});
+
+describe('PolicySigner.verify', () => {
+  it.each([
+    ['ed25519', undefined, 'Ed25519'],
+    ['ec', { namedCurve: 'prime256v1' }, 'ES256'],
+    ['ec', { namedCurve: 'secp384r1' }, 'ES384']
+  ])('accepts a %s signature over the document in any key order', async (type, options, algorithm) => {
+    const signer = await signerWith(type, options);
+    jest.spyOn(PolicySignature, 'findOne').mockResolvedValue({
+      policyId: POLICY_ID, version: '1.0.0', signedBy: 'approver@example.com', createdAt: new Date()
+    });
+
+    const signature = signer.sign(canonicalJson(document));
+    const reordered = { policy: document.policy, metadata: { version: '1.0.0', name: 'storage-policy' } };
+    const result = await signer.verify({ document: reordered, signature, keyId: signer.key.keyId });
+
+    expect(result).toMatchObject({ valid: true, algorithm, policy: { id: POLICY_ID, version: '1.0.0' } });
+  });
+
+  it('rejects a signature over a changed document', async () => {
+    const signer = await signerWith('ed25519');
+    const signature = signer.sign(canonicalJson(document));
+    const tampered = { ...document, policy: { spec: { encryption: { atRest: false, inTransit: true } } } };
+
+    const result = await signer.verify({ document: tampered, signature });
+    expect(result).toMatchObject({ valid: false, reason: 'Signature does not match the document', policy: null });
+  });
+
+  it('rejects signatures from another key', async () => {
+    const signer = await signerWith('ed25519');
+    const other = await signerWith('ed25519');
+    const signature = other.sign(canonicalJson(document));
+
+    expect(await signer.verify({ document, signature })).toMatchObject({ valid: false });
+    expect(await signer.verify({ document, signature, keyId: other.key.keyId }))
+      .toMatchObject({ valid: false, reason: `Signed with key ${other.key.keyId}, not the current signing key` });
+  });
+
+  it('reports malformed signatures as invalid', async () => {
+    const signer = await signerWith('ec', { namedCurve: 'prime256v1' });
+
+    expect(await signer.verify({ document, signature: 'bm90IGEgc2lnbmF0dXJl' })).toMatchObject({ valid: false });
+  });
+
+  it('needs a configured key', async () => {
+    await expect(new PolicySigner().verify({ document, signature: '' }))
+      .rejects.toMatchObject({ name: 'ConflictError' });
+  });
+});
+
+describe('PolicySigner.signPolicyVersion', () => {
+  it('signs the stored version so that it verifies', async () => {
+    const signer = await signerWith('ed25519');
+    jest.spyOn(PolicyVersion, 'findOne').mockResolvedValue({ id: 'version-1', version: '1.0.0', document });
+    jest.spyOn(PolicySignature, 'findOne').mockResolvedValue(null);
+    jest.spyOn(PolicySignature, 'create').mockImplementation(async (values) => values);
+
+    const stored = await signer.signPolicyVersion({ id: POLICY_ID, version: '1.0.0' }, 'approver@example.com');
+
+    expect(stored).toMatchObject({ policyVersionId: 'version-1', keyId: signer.key.keyId, algorithm: 'Ed25519' });
+    expect((await signer.verify({ document, signature: stored.signature })).valid).toBe(true);
+  });
+
+  it('rejects unsupported keys at start-up', async () => {
+    await expect(signerWith('rsa', { modulusLength: 2048 })).rejects.toThrow(/Unsupported policy signing key rsa/);
+  });
+});
@@ -0,0 +1,281 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+import { getPolicySpec, validatePolicyDocument } from '../policies/policyDocument.js';
+import { SECURITY_CONTROLS, controlForPath, isBroadSource } from '../policies/securityControls.js';
+import { getSpecValue, isRequested, cidrCovers, isCidr } from '../exporters/exportUtils.js';
+import { readSnapshot } from './snapshots.js';
+
+const TLS_VERSIONS = ['1.0', '1.1', '1.2', '1.3'];
+const KEY_MANAGEMENT_STRENGTH = ['provider-managed', 'customer-managed', 'customer-supplied'];
+const PROVIDER_WORDS = /\b(aws|amazon|azure|microsoft|gcp|google)\b/g;
+
+const normalizeAlgorithm = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// 'AWS S3' and 'Amazon S3' -> 's3'
+const serviceKey = (service) => String(service || '').toLowerCase().replace(PROVIDER_WORDS, '').replace(/\s+/g, ' ').trim();
+
+const sourceAllowed = (source, allowed) => allowed.some(entry => entry === source
+  || (isCidr(entry) && cidrCovers(entry, source)));
+
+const sourcePhrase = (source) => (isBroadSource(source) ? `${source} (the internet)` : source);
+
+/**
+ * Checks of a resource configuration against one spec requirement. Every
+ * check reads one `attribute` of the normalized resource and only applies
+ * when the resource has it; `violation(actual, required)` returns a message
+ * or null when the resource complies.
+ */
+const CHECKS = [
+  {
+    path: 'spec.encryption.atRest',
+    attribute: 'encryption.atRest',
+    violation: (actual) => (actual === true ? null : 'Data is not encrypted at rest')
+  },
+  {
+    path: 'spec.encryption.inTransit',
+    attribute: 'encryption.inTransit',
+    violation: (actual) => (actual === true ? null : 'Unencrypted connections are accepted')
+  },
+  {
+    path: 'spec.encryption.tlsMinVersion',
+    attribute: 'encryption.tlsVersion',
+    violation: (actual, required) => (TLS_VERSIONS.indexOf(String(actual)) >= TLS_VERSIONS.indexOf(required)
+      ? null
+      : `Accepts TLS ${actual ?? 'of any version'}; ${required} or later is required`)
+  },
+  {
+    path: 'spec.encryption.algorithm',
+    attribute: 'encryption.algorithm',
+    violation: (actual, required) => (actual && normalizeAlgorithm(actual) === normalizeAlgorithm(required)
+      ? null
+      : `Encrypts with ${actual || 'no algorithm'}; ${required} is required`)
+  },
+  {
+    path: 'spec.encryption.keyManagement',
+    attribute: 'encryption.keyManagement',
+    violation: (actual, required) => (KEY_MANAGEMENT_STRENGTH.indexOf(actual) >= KEY_MANAGEMENT_STRENGTH.indexOf(required)
+      ? null
+      : `Keys are ${actual || 'unmanaged'}; ${required} keys are required`)
+  },
+  {
+    path: 'spec.encryption.keyRotationDays',
+    attribute: 'encryption.keyRotationDays',
+    violation: (actual, required) => {
+      if (actual === null) return 'Key rotation is disabled';
+      return actual <= required ? null : `Keys rotate every ${actual} days; at most ${required} days is allowed`;
+    }
+  },
+  {
+    path: 'spec.accessControl.authentication.mfaRequired',
+    attribute: 'accessControl.mfaEnabled',
+    violation: (actual) => (actual === true ? null : 'MFA is not enforced')
+  },
+  {
+    path: 'spec.accessControl.authentication.sessionTimeoutMinutes',
+    attribute: 'accessControl.sessionTimeoutMinutes',
+    violation: (actual, required) => {
+      if (actual === null) return 'Sessions never time out';
+      return actual <= required ? null : `Sessions time out after ${actual} minutes; at most ${required} minutes is allowed`;
+    }
+  },
+  {
+    path: 'spec.accessControl.authentication.methods',
+    attribute: 'accessControl.authenticationMethods',
+    violation: (actual, required) => {
+      const disallowed = (actual || []).filter(method => !required.includes(method));
+      return disallowed.length === 0 ? null : `Allows authentication by ${disallowed.join(', ')}`;
+    }
+  },
+  {
+    path: 'spec.accessControl.publicAccess',
+    attribute: 'accessControl.publicAccess',
+    violation: (actual) => (actual === true ? 'The resource is publicly accessible' : null)
+  },
+  {
+    path: 'spec.accessControl.authorization.roles',
+    attribute: 'accessControl.roles',
+    violation: (actual, required) => {
+      const messages = (actual || []).flatMap(role => {
+        const declared = required.find(candidate => candidate.name === role.name);
+        if (!declared) return [`role ${role.name} is not declared`];
+        const extra = (role.permissions || []).filter(permission => !(declared.permissions || []).includes(permission));
+        return extra.length === 0 ? [] : [`role ${role.name} grants ${extra.join(', ')}`];
+      });
+      return messages.length === 0 ? null : `Roles exceed the policy: ${messages.join('; ')}`;
+    }
+  },
+  {
+    path: 'spec.accessControl.authorization.leastPrivilege',
+    attribute: 'accessControl.roles',
+    violation: (actual) => {
+      const wildcards = (actual || []).filter(role => (role.permissions || []).some(permission => String(permission).endsWith('*')));
+      return wildcards.length === 0
+        ? null
+        : `Wildcard permissions granted to ${wildcards.map(role => role.name).join(', ')}`;
+    }
+  },
+  {
+    path: 'spec.network.privateEndpointsOnly',
+    attribute: 'network.privateEndpoint',
+    violation: (actual) => (actual === true ? null : 'The resource is reachable outside private endpoints')
+  },
+  {
+    path: 'spec.network.allowedSources',
+    attribute: 'network.ingress',
+    violation: (actual, required) => {
+      const outside = [...new Set((actual || [])
+        .map(rule => rule.source)
+        .filter(source => !sourceAllowed(source, required)))];
+      return outside.length === 0 ? null : `Ingress from ${outside.map(sourcePhrase).join(', ')} is outside the allowed sources`;
+    }
+  },
+  {
+    path: 'spec.network.blockedPorts',
+    attribute: 'network.ingress',
+    violation: (actual, required) => {
+      const opened = required.filter(port => (actual || [])
+        .some(rule => port >= rule.fromPort && port <= rule.toPort));
+      return opened.length === 0 ? null : `Ingress opens blocked port${opened.length > 1 ? 's' : ''} ${opened.join(', ')}`;
+    }
+  },
+  {
+    path: 'spec.logging.enabled',
+    attribute: 'logging.enabled',
+    violation: (actual) => (actual === true ? null : 'Logging is disabled')
+  },
+  {
+    path: 'spec.logging.auditLogs',
+    attribute: 'logging.auditLogs',
+    violation: (actual) => (actual === true ? null : 'Audit logs are not collected')
+  },
+  {
+    path: 'spec.logging.retentionDays',
+    attribute: 'logging.retentionDays',
+    violation: (actual, required) => (actual !== null && actual >= required
+      ? null
+      : `Logs are kept ${actual === null ? 'for an unset period' : `${actual} days`}; at least ${required} days is required`)
+  },
+  {
+    path: 'spec.logging.destinations',
+    attribute: 'logging.destinations',
+    violation: (actual, required) => {
+      const missing = required.filter(destination => !(actual || []).includes(destination));
+      return missing.length === 0 ? null : `Logs are not shipped to ${missing.join(', ')}`;
+    }
+  },
+  {
+    path: 'spec.backup.enabled',
+    attribute: 'backup.enabled',
+    violation: (actual) => (actual === true ? null : 'Backups are disabled')
+  },
+  {
+    path: 'spec.backup.automated',
+    attribute: 'backup.automated',
+    violation: (actual) => (actual === true ? null : 'Backups are not automated')
+  },
+  {
+    path: 'spec.backup.retentionDays',
+    attribute: 'backup.retentionDays',
+    violation: (actual, required) => (actual !== null && actual >= required
+      ? null
+      : `Backups are kept ${actual === null ? 'for an unset period' : `${actual} days`}; at least ${required} days is required`)
+  }
+];
+
+// 'encryption.atRest' -> configuration.encryption.atRest
+const readAttribute = (configuration, attribute) => attribute
+  .split('.')
+  .reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), configuration);
+
+/**
+ * Dry-runs a stored policy against a snapshot of resource configurations
+ * and reports, per resource, whether the policy would deny it. Violations
+ * carry the failing spec path and the security control it belongs to, as
+ * scored by the security analysis agent.
+ */
+export class PolicySimulator {
+  /**
+   * `options.format` names the snapshot format when it cannot be detected;
+   * `options.allServices` evaluates resources of other services as well.
+   */
+  simulate(policy, snapshot, options = {}) {
+    const { format, resources } = readSnapshot(snapshot, options.format);
+    return { format, ...this.simulateResources(policy, resources, options) };
+  }
+
+  /**
+   * Evaluate resources already normalized by readSnapshot
+   */
+  simulateResources(policy, resources, options = {}) {
+    const document = policy.document || {};
+    const issues = validatePolicyDocument(document.policy);
+    if (issues.length > 0) {
+      throw new UnprocessableEntityError('Policy has no valid SecurityPolicy document to simulate', issues);
+    }
+
+    const spec = getPolicySpec(document);
+    const requirements = CHECKS
+      .map(check => ({ ...check, required: getSpecValue(spec, check.path) }))
+      .filter(check => isRequested(check.path, check.required));
+
+    const results = resources.map(resource => this.evaluate(resource, requirements, policy.service, options));
+
+    const summary = { total: results.length, compliant: 0, denied: 0, unaffected: 0 };
+    for (const result of results) {
+      summary[result.outcome]++;
+    }
+
+    return {
+      policy: { id: policy.id, name: policy.name, service: policy.service, version: policy.version },
+      // Exporters deny in production and only audit elsewhere
+      enforcement: policy.environment === 'production' ? 'deny' : 'audit',
+      summary,
+      resources: results
+    };
+  }
+
+  evaluate(resource, requirements, service, options) {
+    const base = { id: resource.id, type: resource.type, service: resource.service };
+
+    if (!resource.configuration) {
+      return { ...base, outcome: 'unaffected', reason: 'The simulator does not model this resource type' };
+    }
+    if (!options.allServices && serviceKey(resource.service) !== serviceKey(service)) {
+      return { ...base, outcome: 'unaffected', reason: `The policy applies to ${service}` };
+    }
+
+    const applicable = requirements.filter(check => readAttribute(resource.configuration, check.attribute) !== undefined);
+    if (applicable.length === 0) {
+      return { ...base, outcome: 'unaffected', reason: 'None of the policy requirements apply to this resource type' };
+    }
+
+    const violations = applicable
+      .map(check => {
+        const actual = readAttribute(resource.configuration, check.attribute);
+        const message = check.violation(actual, check.required);
+        if (!message) return null;
+
+        const control = controlForPath(check.path);
+        return {
+          control,
+          controlTitle: SECURITY_CONTROLS[control].title,
+          path: check.path,
+          message,
+          required: check.required,
+          actual
+        };
+      })
+      .filter(Boolean);
+
+    return {
+      ...base,
+      outcome: violations.length > 0 ? 'denied' : 'compliant',
+      checked: applicable.map(check => check.path),
+      violations
+    };
+  }
+}
+
+// Singleton instance
+const policySimulator = new PolicySimulator();
+
+export { policySimulator };
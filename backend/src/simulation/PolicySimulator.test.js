@@ -0,0 +1,161 @@
+import { policySimulator } from './PolicySimulator.js';
+import { regoExporter } from '../exporters/RegoExporter.js';
+
+const policy = (spec, overrides = {}) => ({
+  id: '7f1c2a4e-bbbb-4c8b-9d1e-000000000001',
+  name: 'aws-ec2-network-policy',
+  service: 'AWS EC2',
+  environment: 'production',
+  version: '1.0.0',
+  document: {
+    policy: {
+      apiVersion: 'v1',
+      kind: 'SecurityPolicy',
+      metadata: { name: 'aws-ec2-network-policy' },
+      spec: { encryption: { atRest: false, inTransit: false }, accessControl: {}, ...spec }
+    }
+  },
+  ...overrides
+});
+
+const network = { allowedSources: ['10.0.0.0/8'], blockedPorts: [22, 3389] };
+
+const securityGroup = (ingress) => ({
+  id: 'sg-1',
+  type: 'aws_security_group',
+  service: 'AWS EC2',
+  configuration: { network: { ingress } }
+});
+
+const evaluate = (spec, resource) => policySimulator.simulateResources(policy(spec), [resource]).resources[0];
+
+describe('PolicySimulator.simulateResources', () => {
+  it('judges the example inputs of the Rego export as OPA would', () => {
+    const spec = {
+      encryption: { atRest: true, inTransit: true, tlsMinVersion: '1.2' },
+      network,
+      logging: { retentionDays: 90 }
+    };
+    const examples = Object.fromEntries(regoExporter.export({ ...policy(spec), spec }).files
+      .filter(file => file.path.endsWith('.json'))
+      .map(file => [file.path.split('/').pop(), JSON.parse(file.content).resource]));
+
+    const compliant = evaluate(spec, { id: 'compliant', service: 'AWS EC2', configuration: examples['compliant.json'] });
+    expect(compliant.outcome).toBe('compliant');
+    expect(compliant.checked).toEqual(expect.arrayContaining(['spec.network.allowedSources', 'spec.network.blockedPorts']));
+
+    const denied = evaluate(spec, { id: 'non-compliant', service: 'AWS EC2', configuration: examples['non-compliant.json'] });
+    expect(denied.outcome).toBe('denied');
+    expect(denied.violations.map(violation => violation.path)).toEqual([
+      'spec.encryption.atRest',
+      'spec.encryption.inTransit',
+      'spec.encryption.tlsMinVersion',
+      'spec.network.allowedSources',
+      'spec.network.blockedPorts',
+      'spec.logging.retentionDays'
+    ]);
+  });
+
+  it('finds blocked ports inside ingress port ranges', () => {
+    const result = evaluate({ network }, securityGroup([
+      { source: '10.1.0.0', fromPort: 443, toPort: 443 },
+      { source: '10.2.0.0', fromPort: 0, toPort: 65535 }
+    ]));
+
+    expect(result.violations).toEqual([expect.objectContaining({
+      path: 'spec.network.blockedPorts',
+      message: 'Ingress opens blocked ports 22, 3389',
+      required: [22, 3389]
+    })]);
+  });
+
+  it('reports sources outside the allowed list and CIDRs', () => {
+    const result = evaluate({ network }, securityGroup([
+      { source: '10.4.0.0/16', fromPort: 443, toPort: 443 },
+      { source: '0.0.0.0/0', fromPort: 443, toPort: 443 },
+      { source: '0.0.0.0/0', fromPort: 80, toPort: 80 }
+    ]));
+
+    expect(result.outcome).toBe('denied');
+    expect(result.violations.map(violation => violation.message)).toEqual([
+      'Ingress from 0.0.0.0/0 (the internet) is outside the allowed sources'
+    ]);
+  });
+
+  it('leaves other services, unmodelled types and unrelated attributes unaffected', () => {
+    const result = policySimulator.simulateResources(policy({ network }), [
+      { id: 'bucket', type: 'aws_s3_bucket', service: 'AWS S3', configuration: { accessControl: { publicAccess: true } } },
+      { id: 'queue', type: 'aws_sqs_queue', service: 'AWS EC2', configuration: null },
+      { id: 'instance', type: 'aws_instance', service: 'Amazon EC2', configuration: { logging: { enabled: false } } },
+      securityGroup([])
+    ]);
+
+    expect(result.resources.map(resource => [resource.id, resource.outcome, resource.reason])).toEqual([
+      ['bucket', 'unaffected', 'The policy applies to AWS EC2'],
+      ['queue', 'unaffected', 'The simulator does not model this resource type'],
+      ['instance', 'unaffected', 'None of the policy requirements apply to this resource type'],
+      ['sg-1', 'compliant', undefined]
+    ]);
+    expect(result.summary).toEqual({ total: 4, compliant: 1, denied: 0, unaffected: 3 });
+    expect(result.enforcement).toBe('deny');
+  });
+
+  it('rejects policies without a valid SecurityPolicy document', () => {
+    expect(() => policySimulator.simulateResources(policy({}, { document: {} }), []))
+      .toThrow(expect.objectContaining({ name: 'UnprocessableEntityError' }));
+  });
+});
+
+describe('PolicySimulator.simulate', () => {
+  it('reads security group ingress from Terraform into the shared ingress shape', () => {
+    const snapshot = {
+      values: {
+        root_module: {
+          resources: [
+            {
+              address: 'aws_security_group.web',
+              mode: 'managed',
+              type: 'aws_security_group',
+              values: {
+                id: 'sg-web',
+                ingress: [
+                  { cidr_blocks: ['10.0.0.0/8'], from_port: 20, to_port: 25, protocol: 'tcp' },
+                  { cidr_blocks: ['10.0.0.0/8'], from_port: 0, to_port: 0, protocol: '-1' }
+                ]
+              }
+            },
+            {
+              address: 'aws_vpc_security_group_ingress_rule.rdp',
+              mode: 'managed',
+              type: 'aws_vpc_security_group_ingress_rule',
+              values: { security_group_id: 'sg-web', cidr_ipv4: '203.0.113.0/24', from_port: 3389, to_port: 3389, ip_protocol: 'tcp' }
+            }
+          ]
+        }
+      }
+    };
+
+    const result = policySimulator.simulate(policy({ network }), snapshot);
+    const [resource] = result.resources;
+
+    expect(result.format).toBe('terraform');
+    expect(resource.id).toBe('aws_security_group.web');
+    expect(resource.violations.map(violation => violation.actual)).toEqual([
+      [
+        { source: '10.0.0.0/8', fromPort: 20, toPort: 25 },
+        { source: '10.0.0.0/8', fromPort: 0, toPort: 65535 },
+        { source: '203.0.113.0/24', fromPort: 3389, toPort: 3389 }
+      ],
+      expect.any(Array)
+    ]);
+    expect(resource.violations.map(violation => violation.message)).toEqual([
+      'Ingress from 203.0.113.0/24 is outside the allowed sources',
+      'Ingress opens blocked ports 22, 3389'
+    ]);
+  });
+
+  it('rejects snapshots of an unknown shape', () => {
+    expect(() => policySimulator.simulate(policy({ network }), { items: [] }))
+      .toThrow('Could not tell the snapshot format; pass format as one of terraform, aws-config, resources');
+  });
+});
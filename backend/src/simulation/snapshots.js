@@ -0,0 +1,395 @@
+import { UnprocessableEntityError } from '../middleware/errorHandler.js';
+
+/**
+ * Resource snapshots normalized to the configuration model the Rego
+ * exporter evaluates as `input.resource`, plus a backup section:
+ *
+ *   encryption:    { atRest, inTransit, algorithm, keyManagement, keyRotationDays, tlsVersion }
+ *   accessControl: { authenticationMethods, mfaEnabled, sessionTimeoutMinutes, publicAccess, roles }
+ *   network:       { privateEndpoint, ingress: [{ source, fromPort, toPort }] }
+ *   logging:       { enabled, auditLogs, retentionDays, destinations }
+ *   backup:        { enabled, automated, retentionDays }
+ *
+ * Attributes a resource type does not have stay undefined; attributes it
+ * has but leaves off are false or null. Resource types without a
+ * normalizer get a null configuration.
+ */
+
+export const SNAPSHOT_FORMATS = ['terraform', 'aws-config', 'resources'];
+
+// AWS endpoints have refused connections below TLS 1.2 since 2024
+const AWS_MINIMUM_TLS = '1.2';
+const ALL_PORTS = { fromPort: 0, toPort: 65535 };
+const PUBLIC_GRANTEES = /AllUsers|AuthenticatedUsers/;
+
+const asArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Terraform nests single blocks in one-element arrays
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+// AWS Config and bucket policies embed JSON documents as strings
+const parseEmbedded = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+const denyStatements = (policy) => asArray(parseEmbedded(policy)?.Statement).filter(statement => statement.Effect === 'Deny');
+
+const deniesInsecureTransport = (policy) => denyStatements(policy)
+  .some(statement => String(statement.Condition?.Bool?.['aws:SecureTransport']) === 'false');
+
+const bucketPolicyTlsFloor = (policy) => {
+  const floor = denyStatements(policy)
+    .map(statement => statement.Condition?.NumericLessThan?.['s3:TlsVersion'])
+    .find(value => value !== undefined);
+  return floor === undefined ? AWS_MINIMUM_TLS : String(floor);
+};
+
+// 'TLS1_2' -> '1.2'
+const tlsLabel = (value) => (value ? String(value).replace(/^tls/i, '').replace('_', '.') : null);
+
+const ingressRule = (sources, fromPort, toPort, protocol) => {
+  const ports = String(protocol) === '-1' || fromPort === undefined || fromPort === null
+    ? ALL_PORTS
+    : { fromPort: Number(fromPort), toPort: Number(toPort ?? fromPort) };
+  return sources.filter(Boolean).map(source => ({ source, ...ports }));
+};
+
+/**
+ * One S3 bucket from its parts, shared by the Terraform and AWS Config readers
+ */
+const s3Bucket = ({ kmsKeyId, publicAccessBlock, publicAcl, loggingEnabled, versioningEnabled, policy }) => {
+  const blocked = ['blockPublicAcls', 'ignorePublicAcls', 'blockPublicPolicy', 'restrictPublicBuckets']
+    .every(setting => publicAccessBlock?.[setting] === true);
+
+  return {
+    encryption: {
+      // S3 has encrypted every new object with SSE-S3 since January 2023
+      atRest: true,
+      inTransit: deniesInsecureTransport(policy),
+      algorithm: 'AES-256',
+      keyManagement: kmsKeyId ? 'customer-managed' : 'provider-managed',
+      tlsVersion: bucketPolicyTlsFloor(policy)
+    },
+    accessControl: { publicAccess: Boolean(publicAcl) || !blocked },
+    logging: { enabled: Boolean(loggingEnabled) },
+    backup: { enabled: Boolean(versioningEnabled) }
+  };
+};
+
+// Terraform S3 companion resources are folded into their bucket
+const TERRAFORM_COMPANIONS = [
+  'aws_s3_bucket_server_side_encryption_configuration',
+  'aws_s3_bucket_public_access_block',
+  'aws_s3_bucket_logging',
+  'aws_s3_bucket_versioning',
+  'aws_s3_bucket_policy',
+  'aws_s3_bucket_acl',
+  'aws_security_group_rule',
+  'aws_vpc_security_group_ingress_rule'
+];
+
+/**
+ * Terraform resource types by name. `normalize(values, related)` gets the
+ * resource's attribute values and `related(type, match)`, which finds the
+ * companion resources of a type whose values satisfy `match`.
+ */
+const TERRAFORM_TYPES = {
+  aws_s3_bucket: {
+    service: 'AWS S3',
+    normalize: (values, related) => {
+      const ofBucket = (type) => related(type, companion => companion.bucket === values.bucket);
+      const sse = first(first(ofBucket('aws_s3_bucket_server_side_encryption_configuration')[0]?.rule)
+        ?.apply_server_side_encryption_by_default)
+        || first(first(first(values.server_side_encryption_configuration)?.rule)?.apply_server_side_encryption_by_default);
+      const publicAccessBlock = ofBucket('aws_s3_bucket_public_access_block')[0];
+      const acls = [values.acl, ...ofBucket('aws_s3_bucket_acl').map(acl => acl.acl)];
+      const versioning = first(ofBucket('aws_s3_bucket_versioning')[0]?.versioning_configuration)?.status === 'Enabled'
+        || first(values.versioning)?.enabled === true;
+
+      return s3Bucket({
+        kmsKeyId: sse?.kms_master_key_id,
+        publicAccessBlock: publicAccessBlock && {
+          blockPublicAcls: publicAccessBlock.block_public_acls,
+          ignorePublicAcls: publicAccessBlock.ignore_public_acls,
+          blockPublicPolicy: publicAccessBlock.block_public_policy,
+          restrictPublicBuckets: publicAccessBlock.restrict_public_buckets
+        },
+        publicAcl: acls.some(acl => ['public-read', 'public-read-write', 'authenticated-read'].includes(acl)),
+        loggingEnabled: ofBucket('aws_s3_bucket_logging').length > 0 || asArray(values.logging).length > 0,
+        versioningEnabled: versioning,
+        policy: ofBucket('aws_s3_bucket_policy')[0]?.policy || values.policy
+      });
+    }
+  },
+  aws_kms_key: {
+    service: 'AWS KMS',
+    normalize: (values) => ({
+      encryption: {
+        keyManagement: 'customer-managed',
+        keyRotationDays: values.enable_key_rotation ? (values.rotation_period_in_days || 365) : null
+      }
+    })
+  },
+  aws_security_group: {
+    service: 'AWS EC2',
+    normalize: (values, related) => ({
+      network: {
+        ingress: [
+          ...asArray(values.ingress).flatMap(rule => ingressRule(
+            [...asArray(rule.cidr_blocks), ...asArray(rule.ipv6_cidr_blocks)], rule.from_port, rule.to_port, rule.protocol)),
+          ...related('aws_security_group_rule', rule => rule.type === 'ingress' && rule.security_group_id === values.id)
+            .flatMap(rule => ingressRule(
+              [...asArray(rule.cidr_blocks), ...asArray(rule.ipv6_cidr_blocks)], rule.from_port, rule.to_port, rule.protocol)),
+          ...related('aws_vpc_security_group_ingress_rule', rule => rule.security_group_id === values.id)
+            .flatMap(rule => ingressRule([rule.cidr_ipv4, rule.cidr_ipv6], rule.from_port, rule.to_port, rule.ip_protocol))
+        ]
+      }
+    })
+  },
+  aws_db_instance: {
+    service: 'AWS RDS',
+    normalize: (values) => ({
+      encryption: {
+        atRest: values.storage_encrypted === true,
+        keyManagement: values.kms_key_id ? 'customer-managed' : 'provider-managed'
+      },
+      accessControl: {
+        publicAccess: values.publicly_accessible === true,
+        authenticationMethods: values.iam_database_authentication_enabled ? ['password', 'iam'] : ['password']
+      },
+      logging: { enabled: asArray(values.enabled_cloudwatch_logs_exports).length > 0 },
+      backup: {
+        enabled: values.backup_retention_period > 0,
+        automated: values.backup_retention_period > 0,
+        retentionDays: values.backup_retention_period || null
+      }
+    })
+  },
+  aws_lambda_function: {
+    service: 'AWS Lambda',
+    normalize: (values) => ({
+      encryption: { keyManagement: values.kms_key_arn ? 'customer-managed' : 'provider-managed' },
+      network: { privateEndpoint: asArray(first(values.vpc_config)?.subnet_ids).length > 0 }
+    })
+  },
+  aws_lambda_function_url: {
+    service: 'AWS Lambda',
+    normalize: (values) => ({ accessControl: { publicAccess: values.authorization_type === 'NONE' } })
+  },
+  aws_cloudtrail: {
+    service: 'AWS CloudTrail',
+    normalize: (values) => ({
+      encryption: { keyManagement: values.kms_key_id ? 'customer-managed' : 'provider-managed' },
+      logging: { enabled: values.enable_logging !== false, auditLogs: values.enable_logging !== false }
+    })
+  },
+  google_storage_bucket: {
+    service: 'GCP Cloud Storage',
+    normalize: (values) => ({
+      encryption: {
+        atRest: true,
+        inTransit: true,
+        keyManagement: first(values.encryption)?.default_kms_key_name ? 'customer-managed' : 'provider-managed'
+      },
+      accessControl: { publicAccess: values.public_access_prevention !== 'enforced' },
+      logging: { enabled: asArray(values.logging).length > 0 },
+      backup: {
+        enabled: first(values.versioning)?.enabled === true,
+        retentionDays: first(values.soft_delete_policy)?.retention_duration_seconds
+          ? Math.floor(first(values.soft_delete_policy).retention_duration_seconds / 86400)
+          : null
+      }
+    })
+  },
+  azurerm_storage_account: {
+    service: 'Azure Storage',
+    normalize: (values) => {
+      const rules = first(values.network_rules);
+      const restricted = rules?.default_action === 'Deny';
+      return {
+        encryption: {
+          atRest: true,
+          inTransit: (values.https_traffic_only_enabled ?? values.enable_https_traffic_only) !== false,
+          tlsVersion: tlsLabel(values.min_tls_version) || '1.2',
+          keyManagement: first(values.customer_managed_key) ? 'customer-managed' : 'provider-managed'
+        },
+        accessControl: {
+          publicAccess: (values.allow_nested_items_to_be_public ?? values.allow_blob_public_access) === true
+        },
+        network: {
+          privateEndpoint: values.public_network_access_enabled === false,
+          ingress: restricted ? ingressRule(asArray(rules.ip_rules)) : ingressRule(['0.0.0.0/0'])
+        }
+      };
+    }
+  },
+  azurerm_key_vault: {
+    service: 'Azure Key Vault',
+    normalize: (values) => ({
+      accessControl: { publicAccess: first(values.network_acls)?.default_action !== 'Deny' },
+      network: { privateEndpoint: values.public_network_access_enabled === false },
+      backup: {
+        enabled: values.purge_protection_enabled === true,
+        retentionDays: values.soft_delete_retention_days || null
+      }
+    })
+  }
+};
+
+const readTerraform = (snapshot) => {
+  const root = snapshot.values?.root_module || snapshot.planned_values?.root_module;
+  if (!root) {
+    throw new UnprocessableEntityError('Terraform snapshot has no values.root_module or planned_values.root_module');
+  }
+
+  const collect = (module) => [
+    ...asArray(module.resources),
+    ...asArray(module.child_modules).flatMap(collect)
+  ];
+  const managed = collect(root).filter(resource => resource.mode !== 'data');
+  const related = (type, match) => managed
+    .filter(resource => resource.type === type && match(resource.values || {}))
+    .map(resource => resource.values);
+
+  return managed
+    .filter(resource => !TERRAFORM_COMPANIONS.includes(resource.type))
+    .map(resource => {
+      const known = TERRAFORM_TYPES[resource.type];
+      return {
+        id: resource.address,
+        type: resource.type,
+        service: known?.service || null,
+        configuration: known ? known.normalize(resource.values || {}, related) : null
+      };
+    });
+};
+
+/**
+ * AWS Config resource types. `normalize(configuration, supplementary)` gets
+ * the configuration item's configuration and supplementaryConfiguration.
+ */
+const AWS_CONFIG_TYPES = {
+  'AWS::S3::Bucket': {
+    service: 'AWS S3',
+    normalize: (configuration, supplementary) => {
+      const sse = asArray(supplementary.ServerSideEncryptionConfiguration?.rules)[0]?.applyServerSideEncryptionByDefault;
+      return s3Bucket({
+        kmsKeyId: sse?.kmsMasterKeyID,
+        publicAccessBlock: supplementary.PublicAccessBlockConfiguration,
+        publicAcl: PUBLIC_GRANTEES.test(JSON.stringify(supplementary.AccessControlList || '')),
+        loggingEnabled: Boolean(supplementary.BucketLoggingConfiguration?.destinationBucketName),
+        versioningEnabled: supplementary.BucketVersioningConfiguration?.status === 'Enabled',
+        policy: supplementary.BucketPolicy?.policyText
+      });
+    }
+  },
+  'AWS::EC2::SecurityGroup': {
+    service: 'AWS EC2',
+    normalize: (configuration) => ({
+      network: {
+        ingress: asArray(configuration.ipPermissions).flatMap(permission => ingressRule([
+          ...asArray(permission.ipRanges),
+          ...asArray(permission.ipv4Ranges).map(range => range.cidrIp),
+          ...asArray(permission.ipv6Ranges).map(range => range.cidrIpv6)
+        ], permission.fromPort, permission.toPort, permission.ipProtocol))
+      }
+    })
+  },
+  'AWS::RDS::DBInstance': {
+    service: 'AWS RDS',
+    normalize: (configuration) => ({
+      encryption: {
+        atRest: configuration.storageEncrypted === true,
+        keyManagement: configuration.kmsKeyId ? 'customer-managed' : 'provider-managed'
+      },
+      accessControl: {
+        publicAccess: configuration.publiclyAccessible === true,
+        authenticationMethods: configuration.iAMDatabaseAuthenticationEnabled ? ['password', 'iam'] : ['password']
+      },
+      logging: { enabled: asArray(configuration.enabledCloudwatchLogsExports).length > 0 },
+      backup: {
+        enabled: configuration.backupRetentionPeriod > 0,
+        automated: configuration.backupRetentionPeriod > 0,
+        retentionDays: configuration.backupRetentionPeriod || null
+      }
+    })
+  },
+  'AWS::Lambda::Function': {
+    service: 'AWS Lambda',
+    normalize: (configuration) => ({
+      encryption: { keyManagement: configuration.kmsKeyArn ? 'customer-managed' : 'provider-managed' },
+      network: { privateEndpoint: asArray(configuration.vpcConfig?.subnetIds).length > 0 }
+    })
+  },
+  'AWS::KMS::Key': {
+    service: 'AWS KMS',
+    normalize: (configuration) => ({
+      encryption: { keyManagement: configuration.keyManager === 'CUSTOMER' ? 'customer-managed' : 'provider-managed' }
+    })
+  }
+};
+
+// Configuration snapshot files, get-resource-config-history and select-resource-config output
+const readAwsConfig = (snapshot) => {
+  const items = [
+    ...asArray(snapshot.configurationItems),
+    ...asArray(snapshot.Results).map(parseEmbedded)
+  ];
+
+  return items.map(item => {
+    const known = AWS_CONFIG_TYPES[item.resourceType];
+    const supplementary = Object.fromEntries(Object.entries(parseEmbedded(item.supplementaryConfiguration) || {})
+      .map(([key, value]) => [key, parseEmbedded(value)]));
+
+    return {
+      id: item.ARN || item.arn || `${item.resourceType}/${item.resourceId}`,
+      type: item.resourceType,
+      service: known?.service || null,
+      configuration: known ? known.normalize(parseEmbedded(item.configuration) || {}, supplementary) : null
+    };
+  });
+};
+
+// Already normalized: { resources: [{ id, type, service, configuration }] }
+const readResources = (snapshot) => asArray(snapshot.resources).map((resource, index) => ({
+  id: resource.id || `resources[${index}]`,
+  type: resource.type || null,
+  service: resource.service || null,
+  configuration: resource.configuration || null
+}));
+
+const READERS = {
+  terraform: readTerraform,
+  'aws-config': readAwsConfig,
+  resources: readResources
+};
+
+export const detectSnapshotFormat = (snapshot) => {
+  if (snapshot?.values?.root_module || snapshot?.planned_values?.root_module) return 'terraform';
+  if (Array.isArray(snapshot?.configurationItems) || Array.isArray(snapshot?.Results)) return 'aws-config';
+  if (Array.isArray(snapshot?.resources)) return 'resources';
+  return null;
+};
+
+/**
+ * Normalize a snapshot into [{ id, type, service, configuration }].
+ * `format` is detected from the snapshot's shape when omitted.
+ */
+export const readSnapshot = (snapshot, format) => {
+  const resolved = format || detectSnapshotFormat(snapshot);
+  if (!READERS[resolved]) {
+    throw new UnprocessableEntityError(
+      `Could not tell the snapshot format; pass format as one of ${SNAPSHOT_FORMATS.join(', ')}`
+    );
+  }
+
+  return { format: resolved, resources: READERS[resolved](snapshot) };
+};